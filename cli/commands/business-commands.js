@@ -9,209 +9,22 @@ const ora = require('ora');
 const Table = require('cli-table3');
 const fs = require('fs').promises;
 const path = require('path');
+const socketRegistry = require('../../core/socket-registry');
 
 class BusinessCommands {
     constructor(client) {
         this.client = client;
-        
-        // Business event templates and configurations
-        this.eventTemplates = {
-            dental: {
-                appointment_booking: {
-                    description: 'Book a dental appointment',
-                    fields: [
-                        { name: 'patientName', type: 'string', required: true, description: 'Patient full name' },
-                        { name: 'dentistId', type: 'string', required: true, description: 'Dentist identifier' },
-                        { name: 'appointmentDate', type: 'datetime', required: true, description: 'Appointment date and time' },
-                        { name: 'serviceType', type: 'select', required: true, options: ['cleaning', 'checkup', 'filling', 'extraction', 'crown'], description: 'Type of service' },
-                        { name: 'duration', type: 'number', required: false, default: 60, description: 'Duration in minutes' },
-                        { name: 'notes', type: 'text', required: false, description: 'Additional notes' },
-                        { name: 'insuranceInfo', type: 'object', required: false, description: 'Insurance information' }
-                    ],
-                    sampleData: {
-                        patientName: 'John Doe',
-                        dentistId: 'dr_smith_001',
-                        appointmentDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-                        serviceType: 'cleaning',
-                        duration: 60,
-                        notes: 'Regular checkup and cleaning',
-                        insuranceInfo: { provider: 'BlueCross', policyNumber: 'BC123456' }
-                    }
-                },
-                dentist_registration: {
-                    description: 'Register a new dentist',
-                    fields: [
-                        { name: 'personalInfo', type: 'object', required: true, description: 'Personal information' },
-                        { name: 'credentials', type: 'object', required: true, description: 'Professional credentials' },
-                        { name: 'practiceInfo', type: 'object', required: true, description: 'Practice information' },
-                        { name: 'specialties', type: 'array', required: false, description: 'Areas of specialization' },
-                        { name: 'availability', type: 'object', required: false, description: 'Available hours' }
-                    ],
-                    sampleData: {
-                        personalInfo: { name: 'Dr. Jane Smith', email: 'jane@dentalpractice.com', phone: '555-0123' },
-                        credentials: { licenseNumber: 'DDS12345', school: 'Harvard Dental', graduationYear: 2015 },
-                        practiceInfo: { name: 'Smith Dental Care', address: '123 Main St, City, State' },
-                        specialties: ['General Dentistry', 'Cosmetic Dentistry'],
-                        availability: { monday: '9:00-17:00', tuesday: '9:00-17:00' }
-                    }
-                },
-                patient_registration: {
-                    description: 'Register a new patient',
-                    fields: [
-                        { name: 'patientInfo', type: 'object', required: true, description: 'Patient information' },
-                        { name: 'contactInfo', type: 'object', required: true, description: 'Contact details' },
-                        { name: 'medicalHistory', type: 'object', required: false, description: 'Medical history' },
-                        { name: 'insuranceInfo', type: 'object', required: false, description: 'Insurance information' },
-                        { name: 'emergencyContact', type: 'object', required: true, description: 'Emergency contact' }
-                    ],
-                    sampleData: {
-                        patientInfo: { name: 'Alice Johnson', dateOfBirth: '1985-06-15', gender: 'female' },
-                        contactInfo: { email: 'alice@email.com', phone: '555-0456', address: '456 Oak St' },
-                        medicalHistory: { allergies: ['penicillin'], conditions: [], medications: [] },
-                        insuranceInfo: { provider: 'Aetna', policyNumber: 'AET789012' },
-                        emergencyContact: { name: 'Bob Johnson', phone: '555-0789', relationship: 'spouse' }
-                    }
-                }
-            },
-            pizza: {
-                online_order: {
-                    description: 'Place an online pizza order',
-                    fields: [
-                        { name: 'customerInfo', type: 'object', required: true, description: 'Customer information' },
-                        { name: 'orderItems', type: 'array', required: true, description: 'Order items' },
-                        { name: 'orderType', type: 'select', required: true, options: ['delivery', 'pickup', 'dine-in'], description: 'Order type' },
-                        { name: 'deliveryAddress', type: 'object', required: false, description: 'Delivery address' },
-                        { name: 'paymentMethod', type: 'select', required: true, options: ['credit_card', 'paypal', 'cash'], description: 'Payment method' },
-                        { name: 'specialInstructions', type: 'text', required: false, description: 'Special instructions' },
-                        { name: 'totalAmount', type: 'number', required: true, description: 'Total order amount' }
-                    ],
-                    sampleData: {
-                        customerInfo: { name: 'Mike Wilson', email: 'mike@email.com', phone: '555-0321' },
-                        orderItems: [
-                            { name: 'Margherita Pizza', size: 'large', quantity: 1, price: 18.99 },
-                            { name: 'Garlic Bread', quantity: 2, price: 5.99 }
-                        ],
-                        orderType: 'delivery',
-                        deliveryAddress: { street: '789 Pine St', city: 'Anytown', zipCode: '12345' },
-                        paymentMethod: 'credit_card',
-                        specialInstructions: 'Extra cheese, light sauce',
-                        totalAmount: 26.97
-                    }
-                },
-                restaurant_registration: {
-                    description: 'Register a new pizza restaurant',
-                    fields: [
-                        { name: 'restaurantInfo', type: 'object', required: true, description: 'Restaurant information' },
-                        { name: 'ownerInfo', type: 'object', required: true, description: 'Owner information' },
-                        { name: 'menuData', type: 'array', required: true, description: 'Menu items' },
-                        { name: 'deliveryAreas', type: 'array', required: false, description: 'Delivery coverage areas' },
-                        { name: 'operatingHours', type: 'object', required: true, description: 'Operating hours' }
-                    ],
-                    sampleData: {
-                        restaurantInfo: { name: 'Tony\'s Pizza Palace', address: '321 Food St', phone: '555-PIZZA' },
-                        ownerInfo: { name: 'Tony Romano', email: 'tony@pizzapalace.com', phone: '555-0654' },
-                        menuData: [
-                            { category: 'Pizza', items: ['Margherita', 'Pepperoni', 'Supreme'] },
-                            { category: 'Sides', items: ['Garlic Bread', 'Caesar Salad'] }
-                        ],
-                        deliveryAreas: ['Downtown', 'University District', 'Suburbs'],
-                        operatingHours: { open: '11:00', close: '23:00', days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'] }
-                    }
-                },
-                menu_update: {
-                    description: 'Update restaurant menu',
-                    fields: [
-                        { name: 'restaurantId', type: 'string', required: true, description: 'Restaurant identifier' },
-                        { name: 'menuChanges', type: 'array', required: true, description: 'Menu changes' },
-                        { name: 'changeType', type: 'select', required: true, options: ['add', 'remove', 'update', 'price_change'], description: 'Type of change' },
-                        { name: 'effectiveDate', type: 'datetime', required: false, description: 'When changes take effect' },
-                        { name: 'updatedBy', type: 'string', required: true, description: 'Who made the update' }
-                    ],
-                    sampleData: {
-                        restaurantId: 'rest_001',
-                        menuChanges: [
-                            { action: 'add', item: 'BBQ Chicken Pizza', price: 19.99, description: 'Smoky BBQ sauce with grilled chicken' },
-                            { action: 'price_change', item: 'Pepperoni Pizza', oldPrice: 16.99, newPrice: 17.99 }
-                        ],
-                        changeType: 'add',
-                        effectiveDate: new Date().toISOString(),
-                        updatedBy: 'manager_001'
-                    }
-                },
-                delivery_request: {
-                    description: 'Request delivery for an order',
-                    fields: [
-                        { name: 'orderId', type: 'string', required: true, description: 'Order identifier' },
-                        { name: 'deliveryAddress', type: 'object', required: true, description: 'Delivery address' },
-                        { name: 'customerPhone', type: 'string', required: true, description: 'Customer phone number' },
-                        { name: 'deliveryInstructions', type: 'text', required: false, description: 'Delivery instructions' },
-                        { name: 'estimatedTime', type: 'number', required: false, description: 'Estimated delivery time in minutes' }
-                    ],
-                    sampleData: {
-                        orderId: 'order_123456',
-                        deliveryAddress: { street: '456 Elm St', apartment: '2B', city: 'Anytown', zipCode: '12345' },
-                        customerPhone: '555-0987',
-                        deliveryInstructions: 'Ring doorbell twice, leave at door if no answer',
-                        estimatedTime: 30
-                    }
-                }
-            },
-            gym: {
-                member_registration: {
-                    description: 'Register a new gym member',
-                    fields: [
-                        { name: 'memberInfo', type: 'object', required: true, description: 'Member information' },
-                        { name: 'membershipType', type: 'select', required: true, options: ['basic', 'premium', 'vip'], description: 'Membership level' },
-                        { name: 'contactInfo', type: 'object', required: true, description: 'Contact information' },
-                        { name: 'emergencyContact', type: 'object', required: true, description: 'Emergency contact' },
-                        { name: 'fitnessGoals', type: 'array', required: false, description: 'Fitness goals' },
-                        { name: 'medicalConditions', type: 'array', required: false, description: 'Medical conditions' }
-                    ],
-                    sampleData: {
-                        memberInfo: { name: 'Sarah Davis', dateOfBirth: '1990-03-22', gender: 'female' },
-                        membershipType: 'premium',
-                        contactInfo: { email: 'sarah@email.com', phone: '555-0246', address: '789 Fitness Ave' },
-                        emergencyContact: { name: 'Tom Davis', phone: '555-0135', relationship: 'husband' },
-                        fitnessGoals: ['weight_loss', 'muscle_building', 'endurance'],
-                        medicalConditions: []
-                    }
-                },
-                class_booking: {
-                    description: 'Book a fitness class',
-                    fields: [
-                        { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
-                        { name: 'classId', type: 'string', required: true, description: 'Class identifier' },
-                        { name: 'classDate', type: 'datetime', required: true, description: 'Class date and time' },
-                        { name: 'instructorId', type: 'string', required: false, description: 'Preferred instructor' },
-                        { name: 'notes', type: 'text', required: false, description: 'Additional notes' }
-                    ],
-                    sampleData: {
-                        memberId: 'member_001',
-                        classId: 'yoga_basic_001',
-                        classDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-                        instructorId: 'instructor_jane',
-                        notes: 'First time taking yoga class'
-                    }
-                },
-                trainer_registration: {
-                    description: 'Register a new trainer',
-                    fields: [
-                        { name: 'trainerInfo', type: 'object', required: true, description: 'Trainer information' },
-                        { name: 'certifications', type: 'array', required: true, description: 'Professional certifications' },
-                        { name: 'specialties', type: 'array', required: true, description: 'Training specialties' },
-                        { name: 'availability', type: 'object', required: true, description: 'Available schedule' },
-                        { name: 'rates', type: 'object', required: true, description: 'Training rates' }
-                    ],
-                    sampleData: {
-                        trainerInfo: { name: 'Mark Johnson', email: 'mark@fitness.com', phone: '555-0777' },
-                        certifications: ['NASM-CPT', 'ACSM-CPT', 'Yoga Alliance RYT-200'],
-                        specialties: ['strength_training', 'weight_loss', 'yoga', 'nutrition'],
-                        availability: { monday: '6:00-20:00', tuesday: '6:00-20:00', wednesday: '6:00-20:00' },
-                        rates: { individual: 75, group: 25, online: 50 }
-                    }
-                }
-            }
-        };
+    }
+    
+    /**
+     * Business event templates per socket type, taken from the socket registry
+     */
+    get eventTemplates() {
+        const templates = {};
+        for (const socketType of socketRegistry.getTypes()) {
+            templates[socketType] = socketRegistry.getEvents(socketType);
+        }
+        return templates;
     }
     
     /**
@@ -9,43 +9,29 @@ const ora = require('ora');
 const Table = require('cli-table3');
 const fs = require('fs').promises;
 const path = require('path');
+const socketRegistry = require('../../core/socket-registry');
 
 class SocketCommands {
     constructor(client, server) {
         this.client = client;
         this.server = server;
-        
-        // Socket configurations
-        this.socketConfigs = {
-            dental: {
-                name: 'Dental Practices',
-                description: 'Dental offices, appointments, and patient management',
-                color: '#00a0d2',
-                features: ['appointment_booking', 'patient_portal', 'insurance_verification'],
-                eventTypes: ['appointment_booking', 'dentist_registration', 'patient_registration']
-            },
-            pizza: {
-                name: 'Pizza Restaurants',
-                description: 'Pizza delivery, online ordering, and restaurant management',
-                color: '#d63638',
-                features: ['online_ordering', 'delivery_tracking', 'menu_management'],
-                eventTypes: ['online_order', 'restaurant_registration', 'menu_update', 'delivery_request']
-            },
-            gym: {
-                name: 'Fitness Centers',
-                description: 'Gyms, fitness classes, and membership management',
-                color: '#00ba37',
-                features: ['class_booking', 'membership_management', 'trainer_scheduling'],
-                eventTypes: ['member_registration', 'class_booking', 'trainer_registration']
-            },
-            restaurant: {
-                name: 'General Restaurants',
-                description: 'Dining establishments and reservation management',
-                color: '#f56e28',
-                features: ['reservation_system', 'menu_display', 'review_management'],
-                eventTypes: ['business_registration', 'review_submitted', 'rating_updated']
-            }
-        };
+    }
+    
+    /**
+     * Socket configurations, taken from the socket registry
+     */
+    get socketConfigs() {
+        const configs = {};
+        for (const entry of socketRegistry.list()) {
+            configs[entry.type] = {
+                name: entry.name,
+                description: entry.description,
+                color: entry.color,
+                features: entry.features,
+                eventTypes: socketRegistry.getEventTypes(entry.type)
+            };
+        }
+        return configs;
     }
     
     /**
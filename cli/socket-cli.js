@@ -18,6 +18,10 @@ const SocketDirectoryServer = require('../server/websocket-server');
 const SocketDirectoryClient = require('../client/websocket-client');
 const protocol = require('../protocol/socket-protocol');
 const MessageRouter = require('../protocol/message-router');
+const TaskStore = require('../core/task-store');
+const CostTracker = require('../core/cost-tracker');
+const socketRegistry = require('../core/socket-registry');
+const { loadTenantFile } = require('../core/tenants');
 
 class SocketCLI {
     constructor() {
@@ -48,7 +52,8 @@ class SocketCLI {
             .addCommand(this.createServerStartCommand())
             .addCommand(this.createServerStopCommand())
             .addCommand(this.createServerStatusCommand())
-            .addCommand(this.createServerStatsCommand());
+            .addCommand(this.createServerStatsCommand())
+            .addCommand(this.createServerTenantsCommand());
         
         // Socket commands
         this.program
@@ -76,6 +81,12 @@ class SocketCLI {
             .addCommand(this.createBusinessRegisterCommand())
             .addCommand(this.createBusinessListCommand());
         
+        // Agent commands
+        this.program
+            .command('agents')
+            .description('Claude agent commands')
+            .addCommand(this.createAgentCostsCommand());
+        
         // Interactive mode
         this.program
             .command('interactive')
@@ -99,6 +110,9 @@ class SocketCLI {
             .option('-p, --port <port>', 'server port', '8080')
             .option('-h, --host <host>', 'server host', 'localhost')
             .option('-s, --socket <type>', 'initial socket type', 'dental')
+            .option('-w, --watch', 'reload sockets when their files change')
+            .option('--admin-token <token>', 'token admin clients authenticate with (default: SOCKET_ADMIN_TOKEN)')
+            .option('--tenants <path>', 'JSON file of tenants to load ([{ id, socketType, config, accessToken }])')
             .action(async (options) => {
                 await this.startServer(options);
             });
@@ -129,6 +143,14 @@ class SocketCLI {
             });
     }
     
+    createServerTenantsCommand() {
+        return new Command('tenants')
+            .description('List the tenants loaded on the server')
+            .action(async () => {
+                await this.listTenants();
+            });
+    }
+    
     // Socket Commands
     createSocketListCommand() {
         return new Command('list')
@@ -143,7 +165,7 @@ class SocketCLI {
         return new Command('switch')
             .alias('sw')
             .description('Switch to a different socket')
-            .argument('<socketType>', 'socket type (dental, pizza, gym)')
+            .argument('<socketType>', 'socket type (see "socket list")')
             .option('-f, --force', 'force switch without confirmation')
             .action(async (socketType, options) => {
                 await this.switchSocket(socketType, options);
@@ -172,6 +194,8 @@ class SocketCLI {
         return new Command('connect')
             .description('Connect to WebSocket server')
             .option('-u, --url <url>', 'server URL', 'ws://localhost:8080')
+            .option('-t, --tenant <id>', 'join this tenant after connecting')
+            .option('--tenant-token <token>', 'access token of the tenant')
             .action(async (options) => {
                 await this.connectClient(options);
             });
@@ -209,6 +233,8 @@ class SocketCLI {
             .argument('<eventType>', 'event type')
             .option('-d, --data <data>', 'event data (JSON)')
             .option('-s, --socket <type>', 'target socket type')
+            .option('-t, --tenant <id>', 'send the event to this tenant\'s socket')
+            .option('--tenant-token <token>', 'access token of the tenant')
             .action(async (eventType, options) => {
                 await this.triggerBusinessEvent(eventType, options);
             });
@@ -234,6 +260,19 @@ class SocketCLI {
             });
     }
     
+    // Agent Commands
+    createAgentCostsCommand() {
+        return new Command('costs')
+            .description('Show token usage and cost of delegated agent tasks')
+            .option('-b, --business <type>', 'only tasks for this business type')
+            .option('-w, --workflow <id>', 'only tasks for this workflow')
+            .option('-l, --log <path>', 'task log file (defaults to data/tasks.jsonl)')
+            .option('--json', 'print the report as JSON')
+            .action(async (options) => {
+                await this.showCostReport(options);
+            });
+    }
+    
     // Development Commands
     createDevSetupCommand() {
         return new Command('setup')
@@ -267,9 +306,14 @@ class SocketCLI {
         const spinner = ora('Starting WebSocket server...').start();
         
         try {
+            const tenants = options.tenants ? await loadTenantFile(path.resolve(options.tenants)) : [];
+            
             this.server = new SocketDirectoryServer({
                 port: parseInt(options.port),
-                host: options.host
+                host: options.host,
+                watch: options.watch,
+                adminToken: options.adminToken,
+                tenants: tenants
             });
             
             // Setup server event listeners
@@ -294,6 +338,16 @@ class SocketCLI {
                 console.log(chalk.blue(`🔄 Socket switched: ${info.from} → ${info.to}`));
             });
             
+            this.server.on('socket_reloaded', (info) => {
+                console.log(chalk.blue(`♻️ Socket reloaded: ${info.socketType}`));
+            });
+            
+            this.server.on('tenant_added', (info) => {
+                if (!options.quiet) {
+                    console.log(chalk.green(`🏢 Tenant loaded: ${info.tenantId} (${info.socketType})`));
+                }
+            });
+            
             await this.server.start();
             
             // Keep process alive
@@ -344,6 +398,7 @@ class SocketCLI {
             ['Clients', stats.clients],
             ['Rooms', stats.rooms],
             ['Sockets', stats.sockets],
+            ['Tenants', stats.tenants],
             ['Current Socket', stats.currentSocket],
             ['Memory Usage', `${Math.round(stats.memory.heapUsed / 1024 / 1024)}MB`]
         );
@@ -372,8 +427,32 @@ class SocketCLI {
         }
     }
     
+    async listTenants() {
+        if (!this.server) {
+            console.log(chalk.red('❌ Server is not running'));
+            return;
+        }
+        
+        const tenants = this.server.listTenants();
+        if (tenants.length === 0) {
+            console.log(chalk.yellow('⚠️ No tenants loaded (use "server start --tenants <path>")'));
+            return;
+        }
+        
+        const table = new Table({
+            head: ['Tenant', 'Name', 'Socket Type', 'Status', 'Clients'],
+            colWidths: [20, 30, 15, 12, 10]
+        });
+        
+        for (const tenant of tenants) {
+            table.push([tenant.id, tenant.name, tenant.socketType, tenant.status, tenant.clients]);
+        }
+        
+        console.log(table.toString());
+    }
+    
     async listSockets() {
-        const sockets = ['dental', 'pizza', 'gym', 'restaurant'];
+        const sockets = socketRegistry.getTypes();
         
         const table = new Table({
             head: ['Socket Type', 'Description', 'Status'],
@@ -397,7 +476,7 @@ class SocketCLI {
             return;
         }
         
-        const validSockets = ['dental', 'pizza', 'gym', 'restaurant'];
+        const validSockets = socketRegistry.getTypes();
         if (!validSockets.includes(socketType)) {
             console.log(chalk.red(`❌ Invalid socket type. Valid types: ${validSockets.join(', ')}`));
             return;
@@ -444,6 +523,56 @@ class SocketCLI {
         }
     }
     
+    async showCostReport(options) {
+        const store = new TaskStore(options.log ? { filePath: options.log } : {});
+        const tasks = Array.from((await store.load()).values()).filter(task =>
+            (!options.business || task.businessType === options.business) &&
+            (!options.workflow || task.workflowId === options.workflow)
+        );
+        
+        const report = new CostTracker().recordTasks(tasks).getReport();
+        
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+            return;
+        }
+        
+        if (report.totals.attempts === 0) {
+            console.log(chalk.yellow('⚠️ No recorded agent usage'));
+            return;
+        }
+        
+        const sections = [
+            ['Business Type', report.byBusiness],
+            ['Agent', report.byAgent],
+            ['Workflow', report.byWorkflow]
+        ];
+        
+        for (const [label, buckets] of sections) {
+            if (Object.keys(buckets).length === 0) continue;
+            
+            const table = new Table({
+                head: [label, 'Attempts', 'Input Tokens', 'Output Tokens', 'Cost', 'Time'],
+                colWidths: [28, 10, 14, 15, 12, 10]
+            });
+            
+            for (const [name, bucket] of Object.entries(buckets)) {
+                table.push([
+                    name,
+                    bucket.attempts,
+                    bucket.inputTokens,
+                    bucket.outputTokens,
+                    `$${bucket.cost.toFixed(4)}`,
+                    `${Math.round(bucket.duration / 1000)}s`
+                ]);
+            }
+            
+            console.log(table.toString());
+        }
+        
+        console.log(chalk.cyan(`Total: ${report.totals.totalTokens} tokens, $${report.totals.cost.toFixed(4)}`));
+    }
+    
     async connectClient(options) {
         if (this.client && this.client.isConnected()) {
             console.log(chalk.yellow('⚠️ Already connected to server'));
@@ -454,7 +583,9 @@ class SocketCLI {
         
         try {
             this.client = new SocketDirectoryClient({
-                serverUrl: options.url
+                serverUrl: options.url,
+                tenantId: options.tenant,
+                tenantToken: options.tenantToken
             });
             
             // Setup client event listeners
@@ -466,6 +597,10 @@ class SocketCLI {
                 console.log(chalk.blue(`🔄 Socket switched: ${data.from} → ${data.to}`));
             });
             
+            this.client.on('tenant_joined', (data) => {
+                console.log(chalk.blue(`🏢 Tenant: ${data.tenantId || 'none'} (${data.socketType} socket)`));
+            });
+            
             this.client.on('business_event', (data) => {
                 console.log(chalk.cyan(`🏢 Business event: ${data.eventType}`));
             });
@@ -508,6 +643,11 @@ class SocketCLI {
         const spinner = ora(`Triggering ${eventType} event...`).start();
         
         try {
+            // The server handles messages in order, so the event goes to the tenant just joined
+            if (options.tenant && options.tenant !== this.client.getTenantId()) {
+                await this.client.joinTenant(options.tenant, options.tenantToken);
+            }
+            
             const success = await this.client.triggerBusinessEvent(eventType, eventData, {
                 targetSocket: options.socket
             });
@@ -598,7 +738,7 @@ class SocketCLI {
                 type: 'list',
                 name: 'socket',
                 message: 'Initial socket type:',
-                choices: ['dental', 'pizza', 'gym', 'restaurant'],
+                choices: socketRegistry.getTypes(),
                 default: 'dental'
             }
         ]);
@@ -617,7 +757,7 @@ class SocketCLI {
                 type: 'list',
                 name: 'socketType',
                 message: 'Select socket type:',
-                choices: ['dental', 'pizza', 'gym', 'restaurant']
+                choices: socketRegistry.getTypes()
             }
         ]);
         
@@ -625,14 +765,8 @@ class SocketCLI {
     }
     
     getSocketDescription(socketType) {
-        const descriptions = {
-            dental: 'Dental practices, appointments, and patient management',
-            pizza: 'Pizza restaurants, online ordering, and delivery',
-            gym: 'Fitness centers, memberships, and class bookings',
-            restaurant: 'General restaurants and dining establishments'
-        };
-        
-        return descriptions[socketType] || 'Unknown socket type';
+        const entry = socketRegistry.get(socketType);
+        return entry ? entry.description : 'Unknown socket type';
     }
     
     async collectEventData(eventType) {
@@ -16,6 +16,10 @@ class SocketDirectoryClient extends EventEmitter {
         this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
         this.clientId = options.clientId || null;
         
+        // Tenant to join on every (re)connect, with its access token if it has one
+        this.tenantId = options.tenantId || null;
+        this.tenantToken = options.tenantToken || null;
+        
         // Client state
         this.ws = null;
         this.connected = false;
@@ -23,6 +27,7 @@ class SocketDirectoryClient extends EventEmitter {
         this.heartbeatInterval = null;
         this.currentSocket = null;
         this.joinedRooms = new Set();
+        this.isAdmin = false;
         
         // Message types (must match server)
         this.messageTypes = {
@@ -34,6 +39,8 @@ class SocketDirectoryClient extends EventEmitter {
             ROOM_JOIN: 'room_join',
             ROOM_LEAVE: 'room_leave',
             BROADCAST: 'broadcast',
+            ADMIN_AUTH: 'admin_auth',
+            TENANT_JOIN: 'tenant_join',
             ERROR: 'error',
             HEARTBEAT: 'heartbeat'
         };
@@ -88,6 +95,11 @@ class SocketDirectoryClient extends EventEmitter {
         // Start heartbeat
         this.startHeartbeat();
         
+        // Rejoin the tenant; the server starts every connection outside any tenant
+        if (this.tenantId) {
+            this.joinTenant(this.tenantId, this.tenantToken);
+        }
+        
         // Emit connected event
         this.emit('connected');
     }
@@ -140,6 +152,14 @@ class SocketDirectoryClient extends EventEmitter {
                     this.handleHeartbeat(message.data);
                     break;
                     
+                case this.messageTypes.ADMIN_AUTH:
+                    this.handleAdminAuth(message.data);
+                    break;
+                    
+                case this.messageTypes.TENANT_JOIN:
+                    this.handleTenantJoin(message.data);
+                    break;
+                    
                 default:
                     console.warn(chalk.yellow(`⚠️ Unknown message type: ${message.type}`));
             }
@@ -154,10 +174,16 @@ class SocketDirectoryClient extends EventEmitter {
     
     handleSocketStatus(data) {
         this.currentSocket = data.currentSocket;
-        this.clientId = data.clientId;
         
-        console.log(chalk.cyan(`🔌 Socket status: ${this.currentSocket}`));
-        console.log(chalk.gray(`🆔 Client ID: ${this.clientId}`));
+        // Reload notifications are broadcast and carry no client ID
+        if (data.reloaded) {
+            console.log(chalk.cyan(`♻️ Socket reloaded: ${data.socketType}`));
+            this.emit('socket_reloaded', data);
+        } else {
+            this.clientId = data.clientId;
+            console.log(chalk.cyan(`🔌 Socket status: ${this.currentSocket}`));
+            console.log(chalk.gray(`🆔 Client ID: ${this.clientId}`));
+        }
         
         this.emit('socket_status', data);
     }
@@ -181,6 +207,26 @@ class SocketDirectoryClient extends EventEmitter {
         this.emit(`business_event:${eventType}`, data);
     }
     
+    handleAdminAuth(data) {
+        this.isAdmin = data.authenticated === true;
+        
+        console.log(chalk.green(`🔑 Authenticated as admin: ${data.name}`));
+        
+        this.emit('admin_authenticated', data);
+    }
+    
+    handleTenantJoin(data) {
+        this.tenantId = data.tenantId;
+        this.currentSocket = data.socketType;
+        
+        // Rooms are per tenant, so the server has taken the client out of its old ones
+        this.joinedRooms.clear();
+        
+        console.log(chalk.green(data.tenantId ? `🏢 Joined tenant: ${data.name || data.tenantId}` : '🏢 Left tenant'));
+        
+        this.emit('tenant_joined', data);
+    }
+    
     handleClientJoin(data) {
         const { clientId, room } = data;
         
@@ -359,6 +405,25 @@ class SocketDirectoryClient extends EventEmitter {
         });
     }
     
+    async authenticateAdmin(token, name) {
+        return this.sendMessage(this.messageTypes.ADMIN_AUTH, {
+            token: token,
+            name: name
+        });
+    }
+    
+    /**
+     * Bind this connection to a tenant (null returns to the shared sockets)
+     */
+    async joinTenant(tenantId, token = null) {
+        this.tenantId = tenantId || null;
+        this.tenantToken = token;
+        return this.sendMessage(this.messageTypes.TENANT_JOIN, {
+            tenantId: tenantId || undefined,
+            token: token || undefined
+        });
+    }
+    
     sendHeartbeat() {
         return this.sendMessage(this.messageTypes.HEARTBEAT, {
             clientId: this.clientId
@@ -379,12 +444,26 @@ class SocketDirectoryClient extends EventEmitter {
         });
     }
     
+    async trackOrder(orderId) {
+        return this.joinRoom(`pizza_order:${orderId}`);
+    }
+    
     async registerMember(memberData) {
         return this.triggerBusinessEvent('member_registration', memberData, {
             targetSocket: 'gym'
         });
     }
     
+    async reviewDentist(registrationId, action, notes) {
+        return this.triggerBusinessEvent('dentist_verification', {
+            registrationId: registrationId,
+            action: action,
+            notes: notes
+        }, {
+            targetSocket: 'dental'
+        });
+    }
+    
     async registerBusiness(businessData, businessType) {
         const eventTypeMap = {
             'dental': 'dentist_registration',
@@ -413,6 +492,10 @@ class SocketDirectoryClient extends EventEmitter {
         return this.clientId;
     }
     
+    getTenantId() {
+        return this.tenantId;
+    }
+    
     getJoinedRooms() {
         return Array.from(this.joinedRooms);
     }
@@ -0,0 +1,114 @@
+/**
+ * Agent Manifest - Declarative agent capabilities from .claude/agents/*.md front matter
+ *
+ * ---
+ * name: seo
+ * description: Local SEO specialist
+ * capabilities: [seo, keyword-research]
+ * taskTypes: [seo_optimize, seo_audit]
+ * businessTypes: ["*"]
+ * cost: 1
+ * priority: 5
+ * ---
+ * <system prompt>
+ */
+
+const yaml = require('js-yaml');
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+// Capabilities each known task type requires
+const TASK_REQUIREMENTS = {
+    wordpress_setup: ['wordpress'],
+    theme_configure: ['wordpress'],
+    plugin_develop: ['plugin-development'],
+    seo_optimize: ['seo'],
+    seo_audit: ['seo'],
+    keyword_research: ['seo'],
+    content_generate: ['content-generation'],
+    listing_generate: ['content-generation'],
+    workflow_plan: ['orchestration']
+};
+
+/**
+ * Normalize a manifest field into an array of strings
+ */
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Parse an agent markdown file into a manifest
+ * @param {string} agentName - Name derived from the file name
+ * @param {string} contents - Raw markdown contents
+ */
+function parseAgentManifest(agentName, contents) {
+    const match = contents.match(FRONT_MATTER_PATTERN);
+    let meta = {};
+    let prompt = contents;
+
+    if (match) {
+        try {
+            meta = yaml.load(match[1]) || {};
+        } catch (error) {
+            throw new Error(`Invalid front matter in agent '${agentName}': ${error.message}`);
+        }
+        if (typeof meta !== 'object' || Array.isArray(meta)) {
+            throw new Error(`Front matter in agent '${agentName}' must be a mapping`);
+        }
+        prompt = match[2];
+    }
+
+    const cost = meta.cost === undefined ? 1 : Number(meta.cost);
+    const priority = meta.priority === undefined ? 0 : Number(meta.priority);
+    if (Number.isNaN(cost) || Number.isNaN(priority)) {
+        throw new Error(`Agent '${agentName}' cost and priority must be numbers`);
+    }
+
+    return {
+        name: meta.name || agentName,
+        description: meta.description || '',
+        prompt: prompt.trim(),
+        hasManifest: Boolean(match),
+        capabilities: toList(meta.capabilities),
+        taskTypes: toList(meta.taskTypes),
+        businessTypes: meta.businessTypes === undefined ? ['*'] : toList(meta.businessTypes),
+        cost,
+        priority
+    };
+}
+
+/**
+ * Score an agent for a task; returns null when the agent cannot take it
+ * @param {Object} manifest - Parsed agent manifest
+ * @param {string} taskType - Task type
+ * @param {Array<string>} requiredCapabilities - Capabilities the task needs
+ * @param {string} businessType - Business type the task is for
+ */
+function scoreAgent(manifest, taskType, requiredCapabilities, businessType) {
+    const servesBusiness = manifest.businessTypes.includes('*') ||
+        manifest.businessTypes.includes(businessType);
+    if (!servesBusiness) return null;
+
+    const acceptsType = manifest.taskTypes.includes(taskType);
+    const matched = requiredCapabilities.filter(capability => manifest.capabilities.includes(capability));
+    const hasCapabilities = requiredCapabilities.length > 0 && matched.length === requiredCapabilities.length;
+
+    if (!acceptsType && !hasCapabilities) return null;
+
+    let score = 0;
+    if (acceptsType) score += 100;
+    score += matched.length * 10;
+    if (manifest.businessTypes.includes(businessType)) score += 5;
+    score += manifest.priority;
+    score -= manifest.cost;
+
+    return score;
+}
+
+module.exports = {
+    TASK_REQUIREMENTS,
+    parseAgentManifest,
+    scoreAgent
+};
@@ -0,0 +1,278 @@
+/**
+ * Agent Runtime - Pluggable execution layer for Claude Code sub-agents
+ * Spawns one child process per agent and exchanges newline-delimited JSON task frames
+ *
+ * Frames sent to the agent (stdin):
+ *   { type: 'init', agent, businessType, prompt, capabilities }
+ *   { type: 'task', taskId, taskType, businessType, data, context }
+ *   { type: 'cancel', taskId }
+ *   { type: 'shutdown' }
+ *
+ * Frames read from the agent (stdout):
+ *   { type: 'ready' }
+ *   { type: 'result', taskId, result, usage }
+ *   { type: 'error', taskId, error, usage }
+ *   { type: 'log', message }
+ *
+ * `usage` is optional: { inputTokens, outputTokens, cost }
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Base runtime interface - subclasses decide how an agent is hosted
+ */
+class AgentRuntime extends EventEmitter {
+    /**
+     * Start an agent and return a channel used to talk to it
+     */
+    async start(agent, config) {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    /**
+     * Send a task (with its business context) to a started agent and resolve with its result
+     */
+    async execute(agent, task, context) {
+        throw new Error(`${this.constructor.name} does not implement execute()`);
+    }
+
+    /**
+     * Stop work on one task, leaving the agent's other tasks running
+     */
+    async cancel(agent, taskId) {
+        throw new Error(`${this.constructor.name} does not implement cancel()`);
+    }
+
+    /**
+     * Stop a started agent
+     */
+    async stop(agent) {
+        throw new Error(`${this.constructor.name} does not implement stop()`);
+    }
+}
+
+/**
+ * Channel wrapping a single agent child process
+ */
+class AgentChannel extends EventEmitter {
+    constructor(child) {
+        super();
+        this.process = child;
+        this.pending = new Map(); // taskId -> { resolve, reject }
+        this.closed = false;
+
+        const lines = readline.createInterface({ input: child.stdout });
+        lines.on('line', (line) => this.handleLine(line));
+
+        child.on('exit', (code, signal) => {
+            this.closed = true;
+            const reason = `Agent process exited (${signal || code})`;
+            for (const { reject } of this.pending.values()) {
+                reject(new Error(reason));
+            }
+            this.pending.clear();
+            this.emit('exit', { code, signal });
+        });
+
+        child.on('error', (error) => {
+            this.emit('error', error);
+        });
+
+        // Writes racing an agent that is shutting down fail with EPIPE; the exit handler rejects its tasks
+        child.stdin.on('error', (error) => {
+            this.emit('log', `stdin closed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Parse a single stdout line as a frame
+     */
+    handleLine(line) {
+        if (!line.trim()) return;
+
+        let frame;
+        try {
+            frame = JSON.parse(line);
+        } catch (error) {
+            this.emit('log', line);
+            return;
+        }
+
+        switch (frame.type) {
+            case 'ready':
+                this.emit('ready', frame);
+                break;
+            case 'result':
+                this.settle(frame.taskId, (pending) => pending.resolve(frame));
+                break;
+            case 'error':
+                this.settle(frame.taskId, (pending) => {
+                    const error = new Error(frame.error || 'Agent reported an error');
+                    error.usage = frame.usage;
+                    pending.reject(error);
+                });
+                break;
+            case 'log':
+                this.emit('log', frame.message);
+                break;
+            default:
+                this.emit('frame', frame);
+        }
+    }
+
+    /**
+     * Resolve or reject the pending request for a task
+     */
+    settle(taskId, callback) {
+        const pending = this.pending.get(taskId);
+        if (!pending) return;
+
+        this.pending.delete(taskId);
+        callback(pending);
+    }
+
+    /**
+     * Write a frame to the agent's stdin
+     */
+    send(frame) {
+        if (this.closed || !this.process.stdin.writable) {
+            throw new Error('Agent process is not running');
+        }
+        this.process.stdin.write(JSON.stringify(frame) + '\n');
+    }
+
+    /**
+     * Send a task frame and wait for the matching result frame
+     */
+    request(frame) {
+        return new Promise((resolve, reject) => {
+            this.pending.set(frame.taskId, { resolve, reject });
+            try {
+                this.send(frame);
+            } catch (error) {
+                this.pending.delete(frame.taskId);
+                reject(error);
+            }
+        });
+    }
+}
+
+/**
+ * Runtime that hosts every agent in its own child process
+ */
+class ProcessAgentRuntime extends AgentRuntime {
+    constructor(options = {}) {
+        super();
+        this.command = options.command || process.execPath;
+        this.args = options.args || [path.join(__dirname, 'stub-agent.js')];
+        this.cwd = options.cwd || path.join(__dirname, '..');
+        this.env = { ...process.env, ...(options.env || {}) };
+        this.startupTimeout = options.startupTimeout || 10000;
+    }
+
+    async start(agent, config = {}) {
+        const child = spawn(this.command, this.args, {
+            cwd: this.cwd,
+            env: this.env,
+            stdio: ['pipe', 'pipe', 'inherit']
+        });
+        const channel = new AgentChannel(child);
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                cleanup();
+                child.kill();
+                reject(new Error(`Agent ${agent.name} did not become ready within ${this.startupTimeout}ms`));
+            }, this.startupTimeout);
+
+            const onReady = () => {
+                cleanup();
+                resolve();
+            };
+            const onExit = ({ code, signal }) => {
+                cleanup();
+                reject(new Error(`Agent ${agent.name} exited during startup (${signal || code})`));
+            };
+            const onError = (error) => {
+                cleanup();
+                reject(error);
+            };
+            const cleanup = () => {
+                clearTimeout(timer);
+                channel.off('ready', onReady);
+                channel.off('exit', onExit);
+                channel.off('error', onError);
+            };
+
+            channel.on('ready', onReady);
+            channel.on('exit', onExit);
+            channel.on('error', onError);
+
+            try {
+                channel.send({
+                    type: 'init',
+                    agent: agent.name,
+                    businessType: agent.businessType,
+                    prompt: config.prompt,
+                    capabilities: config.capabilities || []
+                });
+            } catch (error) {
+                onError(error);
+            }
+        });
+
+        return channel;
+    }
+
+    async execute(agent, task, context = {}) {
+        if (!agent.channel) {
+            throw new Error(`Agent ${agent.name} has not been started`);
+        }
+
+        return await agent.channel.request({
+            type: 'task',
+            taskId: task.id,
+            taskType: task.type,
+            businessType: task.businessType,
+            data: task.data,
+            context
+        });
+    }
+
+    /**
+     * Reject the task's pending request and tell the agent to drop it
+     */
+    async cancel(agent, taskId) {
+        const channel = agent.channel;
+        if (!channel || channel.closed) return;
+
+        channel.settle(taskId, (pending) => {
+            const error = new Error('Task cancelled');
+            error.code = 'TASK_CANCELLED';
+            pending.reject(error);
+        });
+        channel.send({ type: 'cancel', taskId });
+    }
+
+    async stop(agent) {
+        const channel = agent.channel;
+        if (!channel || channel.closed) return;
+
+        try {
+            channel.send({ type: 'shutdown' });
+        } catch (error) {
+            // Process already gone
+        }
+        channel.process.kill();
+    }
+}
+
+module.exports = {
+    AgentRuntime,
+    AgentChannel,
+    ProcessAgentRuntime
+};
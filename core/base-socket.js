@@ -0,0 +1,287 @@
+/**
+ * Base Socket - Lifecycle contract shared by every business socket
+ * Subclasses supply templates, SEO configuration and event handlers; the lifecycle
+ * (initialize, activate, pause, export/import, shutdown) works out of the box
+ */
+
+const EventEmitter = require('events');
+const chalk = require('chalk');
+const { GENERAL_EVENTS } = require('./general-events');
+
+class BaseSocket extends EventEmitter {
+    /**
+     * @param {string} businessType - Socket type (dental, pizza, ...)
+     * @param {Object} config - Caller configuration
+     * @param {Object} defaults - Default configuration values for this socket
+     */
+    constructor(businessType, config = {}, defaults = {}) {
+        super();
+        this.businessType = businessType;
+        this.displayName = businessType.charAt(0).toUpperCase() + businessType.slice(1);
+        this.config = {
+            siteName: `${this.displayName} Business`,
+            location: 'Your City',
+            services: [],
+            ...defaults,
+            ...config
+        };
+
+        this.status = 'inactive';
+        this.services = new Map();
+        this.activeIntegrations = [];
+        this.sharedServices = new Map(); // Services provided by the builder or server (wordpress, seo, ...)
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the socket
+     */
+    async initialize() {
+        console.log(chalk.blue(`🔌 Initializing ${this.displayName} Socket for ${this.config.siteName}...`));
+
+        try {
+            await this.loadTemplates();
+            await this.setupSEOConfig();
+
+            this.isInitialized = true;
+            console.log(chalk.green(`✅ ${this.displayName} socket initialized successfully`));
+            this.emit('initialized', { businessType: this.businessType });
+
+        } catch (error) {
+            console.error(chalk.red(`❌ Failed to initialize ${this.businessType} socket:`, error.message));
+            throw error;
+        }
+    }
+
+    /**
+     * Load page templates (override in subclasses)
+     */
+    async loadTemplates() {
+        this.templates = {
+            pages: ['home', 'about', 'contact'],
+            services: this.config.services,
+            content: { seoKeywords: [] }
+        };
+    }
+
+    /**
+     * Set up SEO configuration (override in subclasses)
+     */
+    async setupSEOConfig() {
+        this.seoConfig = {
+            localSEO: {
+                businessType: this.displayName,
+                location: this.config.location,
+                schema: 'LocalBusiness'
+            },
+            keywords: { primary: `${this.businessType} ${this.config.location.toLowerCase()}`, secondary: [] }
+        };
+    }
+
+    /**
+     * Apply business logic configuration from the builder
+     */
+    async initializeLogic(config = {}) {
+        this.config = { ...this.config, ...config };
+        this.emit('logic:initialized', { businessType: this.businessType });
+    }
+
+    /**
+     * Share the builder's or server's services with the socket
+     * @param {Map|Object} services - Services keyed by name
+     * @param {Object} overrides - Services only this socket uses (a tenant's own WordPress target)
+     */
+    attachServices(services = {}, overrides = {}) {
+        this.sharedServices = services instanceof Map ? services : new Map(Object.entries(services));
+        this.serviceOverrides = new Map(Object.entries(overrides));
+    }
+
+    getSharedService(name) {
+        return (this.serviceOverrides && this.serviceOverrides.get(name)) || this.sharedServices.get(name) || null;
+    }
+
+    /**
+     * Options for one of the socket's JSON stores; a tenant's config.dataDirectory
+     * replaces the store's default directory unless the store sets its own
+     * @param {string} key - Config key of the store (scheduling, orders, ...)
+     */
+    getStoreConfig(key) {
+        const options = this.config[key] || {};
+        if (this.config.dataDirectory === undefined || options.directory !== undefined) {
+            return options;
+        }
+        return { ...options, directory: this.config.dataDirectory };
+    }
+
+    /**
+     * Push an event to the WebSocket clients in a room; the server delivers 'notification' events
+     */
+    notify(room, eventType, data = {}) {
+        this.emit('notification', { businessType: this.businessType, room, eventType, data });
+    }
+
+    /**
+     * Push an event to a single WebSocket client (e.g. the guest who made a booking)
+     */
+    notifyClient(clientId, eventType, data = {}) {
+        if (!clientId) return;
+        this.emit('notification', { businessType: this.businessType, clientId, eventType, data });
+    }
+
+    /**
+     * Event handlers keyed by event type (override in subclasses)
+     * @returns {Object<string, Function>}
+     */
+    getEventHandlers() {
+        return {};
+    }
+
+    /**
+     * Handle business-specific events
+     */
+    async handleEvent(event) {
+        console.log(chalk.cyan(`📡 ${this.displayName} Socket handling event: ${event.type}`));
+
+        try {
+            const handler = this.getEventHandlers()[event.type];
+            if (handler) {
+                return await handler.call(this, event.data || {}, event);
+            }
+            if (GENERAL_EVENTS[event.type]) {
+                return this.recordEvent(event.type, event.data || {}, event);
+            }
+            return { success: true, message: `Handled ${event.type} event` };
+        } catch (error) {
+            console.error(chalk.red(`❌ Error handling ${this.businessType} event:`, error.message));
+            throw error;
+        }
+    }
+
+    /**
+     * Shared handler for the general events every socket accepts (business_registration, ...)
+     * and for manifest events without a hook; listeners receive the record on `event:<type>`
+     */
+    recordEvent(eventType, data, event = {}) {
+        const record = {
+            id: `${this.businessType}_${eventType}_${Date.now()}`,
+            type: eventType,
+            data,
+            actor: event.actor || null,
+            receivedAt: new Date()
+        };
+        this.emit(`event:${eventType}`, record);
+
+        return {
+            success: true,
+            eventId: record.id,
+            message: `Handled ${eventType} event`
+        };
+    }
+
+    /**
+     * Activate the socket
+     */
+    async activate() {
+        console.log(chalk.yellow(`🔄 Activating ${this.displayName} Socket...`));
+        this.status = 'active';
+        this.emit('socket:activated', { businessType: this.businessType });
+        console.log(chalk.green(`✅ ${this.displayName} Socket activated`));
+    }
+
+    /**
+     * Pause the socket
+     */
+    async pause() {
+        console.log(chalk.yellow(`⏸️ Pausing ${this.displayName} Socket...`));
+        this.status = 'paused';
+        this.emit('socket:paused', { businessType: this.businessType });
+        console.log(chalk.gray(`⏸️ ${this.displayName} Socket paused`));
+    }
+
+    /**
+     * Deactivate the socket when the server switches away from it
+     */
+    async deactivate() {
+        await this.pause();
+    }
+
+    /**
+     * Socket-specific state to include in exports (override in subclasses)
+     */
+    exportState() {
+        return {};
+    }
+
+    /**
+     * Restore socket-specific state from an export (override in subclasses)
+     */
+    importState(data) {}
+
+    /**
+     * Export data for migration
+     */
+    async exportData() {
+        return {
+            businessType: this.businessType,
+            config: this.config,
+            services: Object.fromEntries(this.services),
+            integrations: this.activeIntegrations,
+            status: this.status,
+            ...this.exportState(),
+            exportedAt: new Date()
+        };
+    }
+
+    /**
+     * Import data from migration
+     */
+    async importData(data) {
+        if (data.businessType === this.businessType) {
+            this.config = { ...this.config, ...data.config };
+
+            for (const [key, value] of Object.entries(data.services || {})) {
+                this.services.set(key, value);
+            }
+
+            if (data.integrations) {
+                this.activeIntegrations = data.integrations;
+            }
+            this.importState(data);
+
+            console.log(chalk.green(`✅ ${this.displayName} data imported successfully`));
+        } else {
+            console.log(chalk.yellow(`⚠️ Data not compatible with ${this.businessType} socket`));
+        }
+    }
+
+    /**
+     * Get socket status
+     */
+    getStatus() {
+        return {
+            businessType: this.businessType,
+            tenantId: this.config.tenantId || null,
+            status: this.status,
+            isInitialized: this.isInitialized,
+            siteName: this.config.siteName,
+            location: this.config.location,
+            services: this.config.services.length,
+            activeServices: Array.from(this.services.keys()),
+            integrations: this.activeIntegrations
+        };
+    }
+
+    /**
+     * Shutdown the socket
+     */
+    async shutdown() {
+        console.log(chalk.yellow(`🔄 Shutting down ${this.displayName} Socket...`));
+        this.status = 'inactive';
+        this.services.clear();
+        this.activeIntegrations = [];
+        this.emit('socket:shutdown', { businessType: this.businessType });
+        console.log(chalk.gray(`📴 ${this.displayName} Socket shutdown complete`));
+    }
+}
+
+module.exports = BaseSocket;
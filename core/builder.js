@@ -8,11 +8,20 @@ const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
 const chalk = require('chalk');
+const { createValidatedSocket } = require('./socket-contract');
+const socketRegistry = require('./socket-registry');
+const { SocketWatcher, transferSocketState } = require('./socket-hot-reload');
+const { SocketMigrator } = require('./socket-migration');
+const { normalizeTenant, tenantSocketConfig, createTenantServices } = require('./tenants');
 
 class UniversalBusinessBuilder extends EventEmitter {
     constructor() {
         super();
-        this.sockets = new Map(); // Active business sockets
+        this.sockets = new Map(); // Active business sockets by tenant ID (the business type by default)
+        this.socketConfigs = new Map(); // Config each socket was plugged with
+        this.tenants = new Map(); // Tenant ID -> { id, name, socketType, config }
+        this.socketWatcher = null;
+        this.migrator = new SocketMigrator(); // Field mappings used by switchBusiness
         this.currentBusiness = null;
         this.services = new Map(); // Shared services
         this.agents = new Map(); // Claude Code sub-agents
@@ -25,76 +34,285 @@ class UniversalBusinessBuilder extends EventEmitter {
      * Plug in a new business socket
      * @param {string} businessType - Type of business (dental, pizza, etc.)
      * @param {Object} config - Business-specific configuration
+     * @param {Object} options - { tenantId: plug the socket for a tenant, name: tenant display name }
+     *   Sockets are keyed by tenant ID; without one the business type is used as the ID
      */
-    async plugSocket(businessType, config = {}) {
+    async plugSocket(businessType, config = {}, options = {}) {
+        const tenant = options.tenantId
+            ? normalizeTenant({ id: options.tenantId, socketType: businessType, name: options.name, config })
+            : null;
+        const tenantId = tenant ? tenant.id : businessType;
+        const label = tenant ? `${businessType} socket for tenant ${tenantId}` : `${businessType} socket`;
+
         try {
-            console.log(chalk.yellow(`🔌 Plugging in ${businessType} socket...`));
-            
-            // Load business socket module
-            const socketPath = path.join(__dirname, '..', 'sockets', businessType, 'index.js');
-            const SocketClass = require(socketPath);
+            // Tenants and plain sockets share the map, so neither may replace the other
+            if (this.sockets.has(tenantId)) {
+                throw new Error(`${this.tenants.has(tenantId) ? 'Tenant' : 'Socket'} '${tenantId}' is already plugged in`);
+            }
+
+            console.log(chalk.yellow(`🔌 Plugging in ${label}...`));
             
-            // Initialize socket with config
-            const socket = new SocketClass(config);
-            await socket.initialize();
+            // Look up the socket class in the registry and check its lifecycle contract
+            const SocketClass = socketRegistry.getSocketClass(businessType);
+            const socket = await this.createSocket(SocketClass, businessType, config, tenant);
             
             // Register socket
-            this.sockets.set(businessType, socket);
+            this.sockets.set(tenantId, socket);
+            this.socketConfigs.set(tenantId, config);
+            if (tenant) {
+                this.tenants.set(tenantId, tenant);
+            }
             
-            console.log(chalk.green(`✅ ${businessType} socket plugged in successfully`));
-            this.emit('socket:plugged', { businessType, socket });
+            console.log(chalk.green(`✅ ${label} plugged in successfully`));
+            this.emit('socket:plugged', { businessType, tenantId: tenant ? tenantId : null, socket });
             
             return socket;
         } catch (error) {
-            console.error(chalk.red(`❌ Failed to plug ${businessType} socket:`, error.message));
+            console.error(chalk.red(`❌ Failed to plug ${label}:`, error.message));
             throw error;
         }
     }
 
     /**
-     * Switch from one business type to another
-     * @param {string} fromType - Current business type
-     * @param {string} toType - Target business type
+     * Plug in a socket for one tenant (one client business) with its own data and WordPress target
+     * @param {string} tenantId - Tenant ID (letters, digits, '-' and '_')
+     * @param {string} businessType - Socket type the tenant runs on
+     * @param {Object} config - Tenant configuration (siteName, wordpress, dataDirectory, ...)
      */
-    async switchBusiness(fromType, toType) {
-        console.log(chalk.blue(`🔄 Switching from ${fromType} to ${toType}...`));
-        
+    async plugTenant(tenantId, businessType, config = {}) {
+        return this.plugSocket(businessType, config, { tenantId });
+    }
+
+    /**
+     * Shut down a tenant's socket and forget it
+     */
+    async unplugTenant(tenantId) {
+        const socket = this.sockets.get(tenantId);
+        if (!socket || !this.tenants.has(tenantId)) {
+            throw new Error(`Tenant '${tenantId}' is not plugged in`);
+        }
+
+        await socket.shutdown();
+        this.sockets.delete(tenantId);
+        this.socketConfigs.delete(tenantId);
+        this.tenants.delete(tenantId);
+        if (this.currentBusiness === tenantId) {
+            this.currentBusiness = null;
+        }
+
+        console.log(chalk.gray(`📴 Tenant ${tenantId} unplugged`));
+        this.emit('tenant:unplugged', { tenantId, businessType: socket.businessType });
+    }
+
+    /**
+     * Plugged tenants with their socket type and status
+     */
+    listTenants() {
+        return Array.from(this.tenants.values()).map(tenant => ({
+            id: tenant.id,
+            name: tenant.name,
+            socketType: tenant.socketType,
+            status: this.sockets.get(tenant.id).status
+        }));
+    }
+
+    /**
+     * Build a socket instance; tenants get their own data directory and services
+     */
+    async createSocket(SocketClass, businessType, config, tenant = null) {
+        const socket = await createValidatedSocket(SocketClass, businessType, tenant ? tenantSocketConfig(tenant) : config);
+        if (typeof socket.attachServices === 'function') {
+            socket.attachServices(this.services, tenant ? createTenantServices(tenant) : {});
+        }
+        return socket;
+    }
+
+    /**
+     * Replace a plugged socket with a freshly loaded version of its module, keeping its state
+     * @param {string} tenantId - Plugged tenant ID (the business type for sockets plugged without one)
+     * @param {Function} SocketClass - Already reloaded socket class (reloads the module when omitted)
+     */
+    async reloadSocket(tenantId, SocketClass = null) {
+        const oldSocket = this.sockets.get(tenantId);
+        if (!oldSocket) {
+            throw new Error(`Socket '${tenantId}' is not plugged in`);
+        }
+
+        const businessType = oldSocket.businessType;
+        console.log(chalk.yellow(`♻️ Reloading ${tenantId} socket...`));
+
         try {
-            // Validate both sockets exist
-            if (!this.sockets.has(fromType)) {
-                throw new Error(`Source socket '${fromType}' not found`);
-            }
-            if (!this.sockets.has(toType)) {
-                throw new Error(`Target socket '${toType}' not found`);
+            const ReloadedClass = SocketClass || socketRegistry.reload(businessType).SocketClass;
+            const socket = await this.createSocket(ReloadedClass, businessType, this.socketConfigs.get(tenantId), this.tenants.get(tenantId));
+
+            await transferSocketState(oldSocket, socket);
+            this.sockets.set(tenantId, socket);
+
+            console.log(chalk.green(`✅ Reloaded ${tenantId} socket`));
+            this.emit('socket:reloaded', { businessType, tenantId: this.tenants.has(tenantId) ? tenantId : null, socket });
+
+            return socket;
+        } catch (error) {
+            console.error(chalk.red(`❌ Failed to reload ${tenantId} socket:`, error.message));
+            throw error;
+        }
+    }
+
+    /**
+     * Reload plugged sockets whenever their files change
+     * @param {Object} options - Watcher options (debounce)
+     */
+    watchSockets(options = {}) {
+        if (this.socketWatcher) return this.socketWatcher;
+
+        this.socketWatcher = new SocketWatcher(socketRegistry, options);
+        this.socketWatcher.on('change', ({ socketType }) => {
+            // Every tenant running this socket type picks up the reloaded module
+            const tenantIds = Array.from(this.sockets.keys())
+                .filter(tenantId => this.sockets.get(tenantId).businessType === socketType);
+            if (tenantIds.length === 0) return;
+
+            let SocketClass;
+            try {
+                SocketClass = socketRegistry.reload(socketType).SocketClass;
+            } catch (error) {
+                console.error(chalk.red(`❌ Failed to reload ${socketType} socket:`, error.message));
+                return;
             }
 
-            const fromSocket = this.sockets.get(fromType);
-            const toSocket = this.sockets.get(toType);
+            tenantIds.forEach(tenantId => this.reloadSocket(tenantId, SocketClass).catch(() => {
+                // Failure already reported; the previous instance keeps running
+            }));
+        });
+
+        return this.socketWatcher.start();
+    }
+
+    /**
+     * Switch between business types, migrating the source business's data into the target socket
+     * @param {string} fromType - Business type (or tenant ID) to switch away from
+     * @param {string} toType - Business type (or tenant ID) to switch to
+     * @param {Object} options - { dryRun: return the migration report without switching,
+     *   onConflict: 'keep' (default) or 'overwrite' values the target was configured with }
+     * @returns {Promise<Object>} Target socket, or the migration report for a dry run
+     */
+    async switchBusiness(fromType, toType, options = {}) {
+        console.log(chalk.blue(`🔄 ${options.dryRun ? 'Planning switch' : 'Switching'} from ${fromType} to ${toType}...`));
+
+        // Validate both sockets exist
+        if (!this.sockets.has(fromType)) {
+            throw new Error(`Source socket '${fromType}' not found`);
+        }
+        if (!this.sockets.has(toType)) {
+            throw new Error(`Target socket '${toType}' not found`);
+        }
+
+        const fromSocket = this.sockets.get(fromType);
+        const toSocket = this.sockets.get(toType);
+        const report = await this.planMigration(fromType, toType, options);
+
+        if (options.dryRun) {
+            this.migrator.printReport(report);
+            return report;
+        }
 
+        // Snapshot the target so a failed switch leaves both sockets as they were
+        const snapshot = await toSocket.exportData();
+        const snapshotConfig = { ...toSocket.config };
+        const previousStatus = { from: fromSocket.status, to: toSocket.status };
+        const previousBusiness = this.currentBusiness;
+
+        try {
             // Pause current business
             await fromSocket.pause();
-            
-            // Migrate data if needed
-            const migrationData = await fromSocket.exportData();
-            await toSocket.importData(migrationData);
-            
+
+            // Migrate mapped data into the target
+            await toSocket.importData(report.payload);
+
             // Activate new business
             await toSocket.activate();
             this.currentBusiness = toType;
-            
-            console.log(chalk.green(`✅ Successfully switched to ${toType}`));
-            this.emit('business:switched', { from: fromType, to: toType });
-            
+
+            console.log(chalk.green(`✅ Successfully switched to ${toType} (${this.migrator.summarize(report)})`));
+            this.emit('business:switched', { from: fromType, to: toType, migration: report });
+
             return toSocket;
         } catch (error) {
             console.error(chalk.red(`❌ Failed to switch business:`, error.message));
-            throw error;
+
+            const rolledBack = await this.rollbackSwitch(fromSocket, toSocket, { snapshot, snapshotConfig, previousStatus });
+            this.currentBusiness = previousBusiness;
+            this.emit('business:switch_failed', { from: fromType, to: toType, error, rolledBack, migration: report });
+
+            const failure = new Error(`Switch from ${fromType} to ${toType} failed: ${error.message}`);
+            failure.code = 'MIGRATION_FAILED';
+            failure.cause = error;
+            failure.report = report;
+            failure.rolledBack = rolledBack;
+            throw failure;
+        }
+    }
+
+    /**
+     * Put both sockets of a failed switch back the way they were
+     * @returns {Promise<boolean>} Whether the rollback completed
+     */
+    async rollbackSwitch(fromSocket, toSocket, { snapshot, snapshotConfig, previousStatus }) {
+        console.log(chalk.yellow(`↩️ Rolling back switch to ${toSocket.businessType}...`));
+
+        try {
+            // importData merges config, so drop migrated keys first
+            toSocket.config = snapshotConfig;
+            await toSocket.importData(snapshot);
+            if (previousStatus.to !== 'active' && toSocket.status === 'active') {
+                await toSocket.pause();
+            }
+            toSocket.status = previousStatus.to;
+
+            if (previousStatus.from === 'active') {
+                await fromSocket.activate();
+            } else {
+                fromSocket.status = previousStatus.from;
+            }
+
+            console.log(chalk.green('✅ Switch rolled back'));
+            return true;
+        } catch (rollbackError) {
+            console.error(chalk.red('❌ Rollback failed:', rollbackError.message));
+            return false;
         }
     }
 
+    /**
+     * Register field mappings and hooks for switching between two business types
+     * @param {Object} migration - { from, to, fields: [{ from, to, transform }], hooks: { before, after } }
+     */
+    registerMigration(migration) {
+        this.migrator.register(migration);
+        return this;
+    }
+
+    /**
+     * Report what a switch would migrate without touching either socket
+     * @returns {Promise<Object>} { mapped, dropped, conflicts, errors, payload }
+     */
+    async planMigration(fromType, toType, options = {}) {
+        const fromSocket = this.sockets.get(fromType);
+        const toSocket = this.sockets.get(toType);
+        if (!fromSocket || !toSocket) {
+            throw new Error(`Both '${fromType}' and '${toType}' sockets must be plugged in`);
+        }
+
+        return this.migrator.plan(fromSocket.businessType, toSocket.businessType, await fromSocket.exportData(), {
+            targetConfig: this.socketConfigs.get(toType),
+            currentConfig: toSocket.config,
+            onConflict: options.onConflict
+        });
+    }
+
     /**
      * Initialize business logic for a specific type
-     * @param {string} businessType - Type of business
+     * @param {string} businessType - Type of business (or tenant ID)
      * @param {Object} config - Configuration object
      */
     async initializeBusinessLogic(businessType, config = {}) {
@@ -109,17 +327,17 @@ class UniversalBusinessBuilder extends EventEmitter {
             // Initialize business-specific logic
             await socket.initializeLogic(config);
             
-            // Set up WordPress configuration
+            // Set up WordPress configuration (a tenant's own target when it has one)
             await this.configureWordPress(businessType, config);
             
             // Initialize SEO strategy
-            await this.initializeSEO(businessType, config);
+            await this.initializeSEO(socket.businessType, config);
             
             // Set up content templates
-            await this.setupContentTemplates(businessType);
+            await this.setupContentTemplates(socket.businessType);
             
             console.log(chalk.green(`✅ ${businessType} business logic initialized`));
-            this.emit('business:initialized', { businessType, config });
+            this.emit('business:initialized', { businessType: socket.businessType, tenantId: this.getTenantId(businessType), config });
             
         } catch (error) {
             console.error(chalk.red(`❌ Failed to initialize ${businessType}:`, error.message));
@@ -129,7 +347,7 @@ class UniversalBusinessBuilder extends EventEmitter {
 
     /**
      * Handle business-specific events
-     * @param {string} businessType - Type of business
+     * @param {string} businessType - Type of business (or tenant ID)
      * @param {Object} event - Event object
      */
     async handleBusinessEvent(businessType, event) {
@@ -149,7 +367,7 @@ class UniversalBusinessBuilder extends EventEmitter {
                 await this.delegateToAgents(businessType, event);
             }
             
-            this.emit('event:handled', { businessType, event, result });
+            this.emit('event:handled', { businessType: socket.businessType, tenantId: this.getTenantId(businessType), event, result });
             return result;
             
         } catch (error) {
@@ -159,12 +377,15 @@ class UniversalBusinessBuilder extends EventEmitter {
     }
 
     /**
-     * Configure WordPress for specific business type
+     * Configure WordPress for specific business type (or tenant)
      */
     async configureWordPress(businessType, config) {
-        const wpService = this.getService('wordpress');
+        const socket = this.sockets.get(businessType);
+        const wpService = socket && typeof socket.getSharedService === 'function'
+            ? socket.getSharedService('wordpress')
+            : this.getService('wordpress');
         if (wpService) {
-            await wpService.configure(businessType, config);
+            await wpService.configure(socket ? socket.businessType : businessType, config);
         }
     }
 
@@ -197,10 +418,28 @@ class UniversalBusinessBuilder extends EventEmitter {
     async delegateToAgents(businessType, event) {
         const claudeBridge = this.getService('claude');
         if (claudeBridge) {
-            await claudeBridge.delegate(businessType, event);
+            // Seed the shared agent context with the socket's site facts (one context per tenant)
+            const socket = this.sockets.get(businessType);
+            const tenantId = this.getTenantId(businessType);
+            if (socket && socket.config) {
+                await claudeBridge.updateBusinessContext(tenantId || socket.businessType, {
+                    siteName: socket.config.siteName,
+                    location: socket.config.location,
+                    services: socket.config.services
+                });
+            }
+            
+            await claudeBridge.delegate(socket ? socket.businessType : businessType, tenantId ? { ...event, tenantId } : event);
         }
     }
 
+    /**
+     * Tenant ID of a plugged socket, or null for a socket plugged without one
+     */
+    getTenantId(key) {
+        return this.tenants.has(key) ? key : null;
+    }
+
     /**
      * Register a shared service
      */
@@ -220,7 +459,7 @@ class UniversalBusinessBuilder extends EventEmitter {
      * List all plugged sockets
      */
     listSockets() {
-        const socketList = Array.from(this.sockets.keys());
+        const socketList = Array.from(this.sockets.keys()); // Tenant IDs alongside business types
         console.log(chalk.blue('🔌 Active Sockets:'), socketList);
         return socketList;
     }
@@ -229,9 +468,11 @@ class UniversalBusinessBuilder extends EventEmitter {
      * Get current business info
      */
     getCurrentBusiness() {
+        const socket = this.sockets.get(this.currentBusiness);
         return {
-            type: this.currentBusiness,
-            socket: this.sockets.get(this.currentBusiness),
+            type: socket ? socket.businessType : this.currentBusiness,
+            tenantId: this.getTenantId(this.currentBusiness),
+            socket,
             services: Array.from(this.services.keys())
         };
     }
@@ -242,6 +483,11 @@ class UniversalBusinessBuilder extends EventEmitter {
     async shutdown() {
         console.log(chalk.yellow('🔄 Shutting down Universal Business Builder...'));
         
+        if (this.socketWatcher) {
+            this.socketWatcher.stop();
+            this.socketWatcher = null;
+        }
+        
         for (const [type, socket] of this.sockets) {
             try {
                 await socket.shutdown();
@@ -0,0 +1,191 @@
+const UniversalBusinessBuilder = require('./builder');
+
+describe('UniversalBusinessBuilder tenants', () => {
+    let builder;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        builder = new UniversalBusinessBuilder();
+    });
+
+    afterEach(async () => {
+        await Promise.all(Array.from(builder.sockets.values()).map(socket => socket.shutdown()));
+    });
+
+    test('plugging a business type does not replace a tenant with the same ID', async () => {
+        const tenantSocket = await builder.plugTenant('pizza', 'pizza', { dataDirectory: null });
+
+        await expect(builder.plugSocket('pizza', { dataDirectory: null })).rejects.toThrow("Tenant 'pizza' is already plugged in");
+        expect(builder.sockets.get('pizza')).toBe(tenantSocket);
+        expect(builder.listTenants()).toEqual([expect.objectContaining({ id: 'pizza', socketType: 'pizza' })]);
+    });
+
+    test('a tenant cannot take the ID of a plugged business type', async () => {
+        const gymSocket = await builder.plugSocket('gym', { dataDirectory: null });
+
+        await expect(builder.plugTenant('gym', 'pizza', { dataDirectory: null })).rejects.toThrow("Socket 'gym' is already plugged in");
+        expect(builder.sockets.get('gym')).toBe(gymSocket);
+        expect(builder.listTenants()).toEqual([]);
+    });
+
+    test('tenants of the same type get their own socket instances', async () => {
+        const north = await builder.plugTenant('north', 'pizza', { dataDirectory: null });
+        const south = await builder.plugTenant('south', 'pizza', { dataDirectory: null });
+
+        expect(north).not.toBe(south);
+        expect(north.config.tenantId).toBe('north');
+        expect(south.config.tenantId).toBe('south');
+    });
+
+    test('unplugging a tenant shuts its socket down and leaves the others running', async () => {
+        const north = await builder.plugTenant('north', 'pizza', { dataDirectory: null, siteName: 'North Slice' });
+        await builder.plugTenant('south', 'pizza', { dataDirectory: null });
+
+        await builder.unplugTenant('north');
+
+        expect(north.status).toBe('inactive');
+        expect(builder.listTenants().map(tenant => tenant.id)).toEqual(['south']);
+        await expect(builder.unplugTenant('north')).rejects.toThrow("Tenant 'north' is not plugged in");
+    });
+});
+
+describe('UniversalBusinessBuilder.switchBusiness', () => {
+    let builder;
+    let restaurant;
+    let pizza;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    beforeEach(async () => {
+        builder = new UniversalBusinessBuilder();
+        restaurant = await builder.plugSocket('restaurant', { dataDirectory: null, siteName: 'Bistro' });
+        pizza = await builder.plugSocket('pizza', { dataDirectory: null });
+        await restaurant.catering.createQuote({
+            customer: { name: 'Jordan Lee', email: 'jordan@example.com' },
+            event: { date: new Date(2030, 0, 20, 18, 0), guests: 30 },
+            packageId: 'appetizer_platters'
+        }, { now: new Date(2030, 0, 2) });
+    });
+
+    afterEach(async () => {
+        await Promise.all(Array.from(builder.sockets.values()).map(socket => socket.shutdown()));
+    });
+
+    test('moves mapped settings and catering quotes into the target socket', async () => {
+        const switched = await builder.switchBusiness('restaurant', 'pizza');
+
+        expect(switched).toBe(pizza);
+        expect(builder.currentBusiness).toBe('pizza');
+        expect([restaurant.status, pizza.status]).toEqual(['paused', 'active']);
+        expect(pizza.config.siteName).toBe('Bistro');
+        expect(Array.from(pizza.catering.quotes.values())).toEqual([expect.objectContaining({ number: 'CQ-2030-0001', businessType: 'pizza' })]);
+    });
+
+    test('only reports on a dry run', async () => {
+        const report = await builder.switchBusiness('restaurant', 'pizza', { dryRun: true });
+
+        expect(report.mapped).toContainEqual(expect.objectContaining({ from: 'catering', to: 'catering' }));
+        expect(report.dropped).toContainEqual(expect.objectContaining({ path: 'reservations' }));
+        expect(pizza.catering.quotes.size).toBe(0);
+        expect(builder.currentBusiness).not.toBe('pizza');
+    });
+
+    test('rolls both sockets back when the switch fails', async () => {
+        const statuses = [restaurant.status, pizza.status];
+        jest.spyOn(pizza, 'activate').mockRejectedValueOnce(new Error('WordPress unreachable'));
+
+        await expect(builder.switchBusiness('restaurant', 'pizza')).rejects.toMatchObject({
+            code: 'MIGRATION_FAILED',
+            message: 'Switch from restaurant to pizza failed: WordPress unreachable',
+            rolledBack: true
+        });
+        expect([restaurant.status, pizza.status]).toEqual(statuses);
+        expect(pizza.config.siteName).not.toBe('Bistro');
+        expect(pizza.catering.quotes.size).toBe(0);
+    });
+});
+
+describe('UniversalBusinessBuilder.reloadSocket', () => {
+    const PizzaSocket = require('../sockets/pizza');
+    const socketRegistry = require('./socket-registry');
+    const { SocketWatcher } = require('./socket-hot-reload');
+    let builder;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        builder = new UniversalBusinessBuilder();
+    });
+
+    afterEach(async () => {
+        if (builder.socketWatcher) builder.socketWatcher.stop();
+        await Promise.all(Array.from(builder.sockets.values()).map(socket => socket.shutdown()));
+        jest.restoreAllMocks();
+    });
+
+    test('hands the running socket\'s state to the reloaded one', async () => {
+        const oldSocket = await builder.plugSocket('pizza', { dataDirectory: null });
+        await oldSocket.activate();
+        oldSocket.config.siteName = 'Slice';
+
+        const socket = await builder.reloadSocket('pizza', class ReloadedPizza extends PizzaSocket {});
+
+        expect(builder.sockets.get('pizza')).toBe(socket);
+        expect(socket.config.siteName).toBe('Slice');
+        expect([oldSocket.status, socket.status]).toEqual(['inactive', 'active']);
+    });
+
+    test('keeps the previous socket running when the reloaded one cannot import its state', async () => {
+        const oldSocket = await builder.plugSocket('pizza', { dataDirectory: null });
+        await oldSocket.activate();
+
+        class BrokenPizza extends PizzaSocket {
+            async importData(data) {
+                throw new Error(`Unreadable state exported at ${data.exportedAt.toISOString()}`);
+            }
+        }
+
+        await expect(builder.reloadSocket('pizza', BrokenPizza)).rejects.toThrow('Unreadable state');
+        expect(builder.sockets.get('pizza')).toBe(oldSocket);
+        expect(oldSocket.status).toBe('active');
+    });
+
+    test('reloads every tenant running a socket type when the watcher reports a change', async () => {
+        class ReloadedPizza extends PizzaSocket {}
+        jest.spyOn(SocketWatcher.prototype, 'start').mockReturnThis();
+        jest.spyOn(socketRegistry, 'reload').mockReturnValue({ SocketClass: ReloadedPizza });
+        await builder.plugTenant('north', 'pizza', { dataDirectory: null });
+        await builder.plugTenant('south', 'pizza', { dataDirectory: null });
+        const gym = await builder.plugSocket('gym', { dataDirectory: null });
+        const reloaded = [];
+        const done = new Promise(resolve => builder.on('socket:reloaded', ({ tenantId }) => {
+            reloaded.push(tenantId);
+            if (reloaded.length === 2) resolve();
+        }));
+
+        builder.watchSockets().emit('change', { socketType: 'pizza', files: ['index.js'] });
+        await done;
+
+        expect(socketRegistry.reload).toHaveBeenCalledTimes(1);
+        expect(reloaded.sort()).toEqual(['north', 'south']);
+        expect(builder.sockets.get('north')).toBeInstanceOf(ReloadedPizza);
+        expect(builder.sockets.get('gym')).toBe(gym);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Business Context Store - Shared memory for all agent tasks of one business
+ * Holds site facts (name, location, services) plus decisions taken by earlier tasks
+ * (SEO keywords, generated pages, theme) and persists them as one JSON file per business
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+// Result fields that accumulate into list-valued context entries
+const LIST_FIELDS = {
+    keywords: 'seoKeywords',
+    pages: 'generatedPages',
+    plugins: 'plugins'
+};
+
+class BusinessContextStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string|null} options.directory - Directory for context files (null keeps contexts in memory only)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory !== undefined
+            ? options.directory
+            : path.join(__dirname, '..', 'data', 'context');
+        this.contexts = new Map();
+        this.writeQueues = new Map();
+        this.loading = new Map(); // Pending disk reads by business type
+    }
+
+    /**
+     * Create an empty context for a business
+     */
+    createContext(businessType) {
+        return {
+            businessType,
+            siteName: null,
+            location: null,
+            services: [],
+            seoKeywords: [],
+            generatedPages: [],
+            plugins: [],
+            theme: null,
+            decisions: {}, // taskType -> { taskId, at }
+            updatedAt: null
+        };
+    }
+
+    /**
+     * Load a business context from disk if it is not cached yet
+     */
+    async load(businessType) {
+        if (this.contexts.has(businessType)) {
+            return this.contexts.get(businessType);
+        }
+        if (!this.loading.has(businessType)) {
+            const loading = this.readContext(businessType)
+                .then(context => {
+                    this.contexts.set(businessType, context);
+                    return context;
+                })
+                .finally(() => this.loading.delete(businessType));
+            this.loading.set(businessType, loading);
+        }
+
+        return await this.loading.get(businessType);
+    }
+
+    async readContext(businessType) {
+        let context = this.createContext(businessType);
+        if (this.directory) {
+            try {
+                const contents = await fs.readFile(this.getFilePath(businessType), 'utf8');
+                context = { ...context, ...JSON.parse(contents) };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        return context;
+    }
+
+    /**
+     * Snapshot of a business context (safe to send to an agent)
+     */
+    async get(businessType) {
+        const context = await this.load(businessType);
+        return JSON.parse(JSON.stringify(context));
+    }
+
+    /**
+     * Merge fields into a business context
+     */
+    async update(businessType, patch = {}) {
+        const context = await this.load(businessType);
+
+        for (const [key, value] of Object.entries(patch)) {
+            if (value === undefined || key === 'businessType') continue;
+            context[key] = value;
+        }
+        context.updatedAt = new Date().toISOString();
+
+        await this.save(businessType);
+        return context;
+    }
+
+    /**
+     * Fold a completed task's result into the business context
+     */
+    async applyTaskResult(task) {
+        const result = task.result;
+        if (!result || typeof result !== 'object') return;
+
+        // Tenants of the same business type each have their own context
+        const key = task.tenantId || task.businessType;
+        const context = await this.load(key);
+
+        for (const [resultField, contextField] of Object.entries(LIST_FIELDS)) {
+            if (Array.isArray(result[resultField])) {
+                context[contextField] = Array.from(new Set([...context[contextField], ...result[resultField]]));
+            }
+        }
+
+        if (result.theme) {
+            context.theme = result.theme;
+        }
+
+        // Agents can return explicit context updates alongside their result
+        if (result.context && typeof result.context === 'object') {
+            for (const [key, value] of Object.entries(result.context)) {
+                if (key !== 'businessType') context[key] = value;
+            }
+        }
+
+        context.decisions[task.type] = { taskId: task.id, at: new Date().toISOString() };
+        context.updatedAt = new Date().toISOString();
+
+        await this.save(key);
+    }
+
+    /**
+     * Remove a business context
+     */
+    async clear(businessType) {
+        this.contexts.delete(businessType);
+        if (!this.directory) return;
+
+        try {
+            await fs.unlink(this.getFilePath(businessType));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Write a business context to disk
+     */
+    async save(businessType) {
+        if (!this.directory) return;
+
+        // Chain writes per business so two saves never race on the temp file
+        const previous = this.writeQueues.get(businessType) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => this.writeFile(businessType));
+        this.writeQueues.set(businessType, write);
+        return write;
+    }
+
+    async writeFile(businessType) {
+        const filePath = this.getFilePath(businessType);
+        const tempPath = `${filePath}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(this.contexts.get(businessType), null, 2), 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    getFilePath(businessType) {
+        return path.join(this.directory, `${businessType}.json`);
+    }
+}
+
+module.exports = BusinessContextStore;
@@ -0,0 +1,873 @@
+/**
+ * Catering Desk - Catering and private event quotes shared by the restaurant and pizza sockets
+ *
+ * Packages are priced per guest (per_head) or per package serving a number of guests
+ * (package). A quote adds add-ons, the service style and tax, and needs a minimum lead
+ * time that grows with the guest count. Accepted quotes are confirmed once the deposit
+ * is paid and can be exported as JSON or printable HTML documents
+ *
+ *   quoted ──► accepted ──► confirmed ──► completed
+ *     ├──► declined / expired      └──► cancelled (any time before completion)
+ */
+
+const chalk = require('chalk');
+const JsonStore = require('./json-store');
+const { pick } = require('./event-data');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const STATUSES = ['quoted', 'accepted', 'confirmed', 'completed', 'declined', 'expired', 'cancelled'];
+const TRANSITIONS = {
+    quoted: ['accepted', 'declined', 'expired', 'cancelled'],
+    accepted: ['confirmed', 'cancelled'],
+    confirmed: ['completed', 'cancelled'],
+    completed: [],
+    declined: [],
+    expired: [],
+    cancelled: []
+};
+const EXPORTABLE_STATUSES = ['accepted', 'confirmed', 'completed'];
+
+const DEFAULT_SERVICE_STYLES = {
+    pickup: { name: 'Pickup', fee: 0, perGuest: 0, serviceChargeRate: 0 },
+    delivery: { name: 'Delivery and setup', fee: 35, perGuest: 0, serviceChargeRate: 0 },
+    buffet: { name: 'Staffed buffet', fee: 50, perGuest: 4, serviceChargeRate: 0 },
+    full_service: { name: 'Full service', fee: 0, perGuest: 12, serviceChargeRate: 0.18 }
+};
+
+// Minimum notice by guest count; a package's own leadTimeHours can only add to this
+const DEFAULT_LEAD_TIMES = [
+    { minGuests: 1, hours: 48 },
+    { minGuests: 50, hours: 96 },
+    { minGuests: 150, hours: 14 * 24 }
+];
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toDate(value, field = 'date') {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function cateringError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+class CateringDesk extends JsonStore {
+    /**
+     * @param {Object} options - Catering options
+     * @param {string} options.businessType - Socket the desk belongs to (names the data directory)
+     * @param {string|null} options.directory - Directory for catering.json (null keeps data in memory only)
+     * @param {Object[]} options.packages - Packages [{ id, name, pricing, pricePerHead | price + serves, minGuests, maxGuests }]
+     * @param {Object[]} options.addOns - Add-ons [{ id, name, price, per: 'guest'|'order' }]
+     */
+    constructor(options = {}) {
+        super({ fileName: 'catering.json', directory: options.directory, namespace: options.businessType || 'catering' });
+        this.businessType = options.businessType || 'catering';
+
+        this.packages = new Map((options.packages || []).map(pkg => [pkg.id, this.normalizePackage(pkg)]));
+        this.addOns = new Map((options.addOns || []).map(addOn => [addOn.id, { per: 'order', ...addOn }]));
+        this.serviceStyles = options.serviceStyles || DEFAULT_SERVICE_STYLES;
+        this.leadTimes = (options.leadTimes || DEFAULT_LEAD_TIMES).slice().sort((a, b) => a.minGuests - b.minGuests);
+        this.taxRate = options.taxRate !== undefined ? options.taxRate : 0.08;
+        this.depositRate = options.depositRate !== undefined ? options.depositRate : 0.25;
+        this.quoteValidDays = options.quoteValidDays || 14;
+        this.balanceDueDays = options.balanceDueDays !== undefined ? options.balanceDueDays : 3;
+        this.refundWindowDays = options.refundWindowDays !== undefined ? options.refundWindowDays : 7;
+        this.terms = options.terms || null;
+
+        this.quotes = new Map(); // quoteId -> quote
+        this.sequence = 0;
+    }
+
+    restore(snapshot = {}) {
+        this.quotes = new Map((snapshot.quotes || []).map(quote => [quote.id, quote]));
+        this.sequence = snapshot.sequence || this.quotes.size;
+    }
+
+    toJSON() {
+        return {
+            sequence: this.sequence,
+            quotes: Array.from(this.quotes.values())
+        };
+    }
+
+    normalizePackage(pkg) {
+        const pricing = pkg.pricing || (pkg.pricePerHead !== undefined ? 'per_head' : 'package');
+        if (pricing === 'per_head' && !(pkg.pricePerHead >= 0)) {
+            throw new Error(`Catering package ${pkg.id} needs a pricePerHead`);
+        }
+        if (pricing === 'package' && (!(pkg.price >= 0) || !(pkg.serves > 0))) {
+            throw new Error(`Catering package ${pkg.id} needs a price and the number of guests it serves`);
+        }
+        return {
+            minGuests: 1,
+            maxGuests: null,
+            leadTimeHours: 0,
+            includes: [],
+            ...pkg,
+            pricing
+        };
+    }
+
+    getPackage(packageId) {
+        const pkg = this.packages.get(packageId);
+        if (!pkg) {
+            throw new Error(`Unknown catering package: ${packageId}`);
+        }
+        return pkg;
+    }
+
+    /**
+     * Packages, add-ons and service styles offered to customers
+     */
+    getOffer() {
+        return {
+            packages: Array.from(this.packages.values()),
+            addOns: Array.from(this.addOns.values()),
+            serviceStyles: Object.entries(this.serviceStyles).map(([id, style]) => ({ id, ...style })),
+            leadTimes: this.leadTimes,
+            depositRate: this.depositRate
+        };
+    }
+
+    /**
+     * Hours of notice needed for a package and guest count
+     */
+    requiredLeadHours(pkg, guests) {
+        const tier = this.leadTimes.filter(entry => guests >= entry.minGuests).pop();
+        return Math.max(tier ? tier.hours : 0, pkg.leadTimeHours || 0);
+    }
+
+    /**
+     * Line items and totals for a package, guest count, add-ons and service style
+     * @param {Object[]} addOns - [{ id, quantity }] (guest add-ons are charged for every guest)
+     */
+    price(pkg, guests, addOns = [], serviceStyle = 'pickup') {
+        const lineItems = [];
+        const style = this.serviceStyles[serviceStyle];
+
+        if (pkg.pricing === 'per_head') {
+            lineItems.push({ description: pkg.name, quantity: guests, unitPrice: pkg.pricePerHead, total: round2(guests * pkg.pricePerHead) });
+        } else {
+            const count = Math.ceil(guests / pkg.serves);
+            lineItems.push({ description: `${pkg.name} (serves ${pkg.serves})`, quantity: count, unitPrice: pkg.price, total: round2(count * pkg.price) });
+        }
+
+        for (const request of addOns) {
+            const addOn = this.addOns.get(request.id);
+            const quantity = addOn.per === 'guest' ? guests : Number(request.quantity) || 1;
+            lineItems.push({ description: addOn.name, quantity, unitPrice: addOn.price, total: round2(quantity * addOn.price) });
+        }
+
+        if (style.fee) {
+            lineItems.push({ description: style.name, quantity: 1, unitPrice: style.fee, total: style.fee });
+        }
+        if (style.perGuest) {
+            lineItems.push({ description: `Service staff (${style.name.toLowerCase()})`, quantity: guests, unitPrice: style.perGuest, total: round2(guests * style.perGuest) });
+        }
+
+        const subtotal = round2(lineItems.reduce((sum, item) => sum + item.total, 0));
+        const serviceCharge = round2(subtotal * (style.serviceChargeRate || 0));
+        const tax = round2((subtotal + serviceCharge) * this.taxRate);
+        const total = round2(subtotal + serviceCharge + tax);
+        const deposit = round2(total * (pkg.depositRate !== undefined ? pkg.depositRate : this.depositRate));
+
+        return { lineItems, subtotal, serviceCharge, tax, total, deposit };
+    }
+
+    /**
+     * Validate and price a quote request; throws with code INVALID_QUOTE or LEAD_TIME_TOO_SHORT
+     * @param {Object} request - { customer: { name, email, phone, company }, event: { date, guests, type, venue, serviceStyle },
+     *                             packageId, addOns: [{ id, quantity }], dietary, notes }
+     */
+    async createQuote(request, options = {}) {
+        const now = options.now || new Date();
+        const customer = request.customer || {};
+        const event = request.event || {};
+        const guests = Number(event.guests);
+        const serviceStyle = event.serviceStyle || 'pickup';
+        const addOns = request.addOns || [];
+        const errors = [];
+
+        if (!customer.name) errors.push('customer name is required');
+        if (!customer.email && !customer.phone) errors.push('customer email or phone is required');
+        if (!Number.isInteger(guests) || guests < 1) errors.push('event guests must be a whole number of at least 1');
+        if (!this.serviceStyles[serviceStyle]) {
+            errors.push(`serviceStyle must be one of ${Object.keys(this.serviceStyles).join(', ')}`);
+        }
+        if (['delivery', 'buffet', 'full_service'].includes(serviceStyle) && !event.venue) {
+            errors.push(`A venue address is required for ${serviceStyle.replace(/_/g, ' ')}`);
+        }
+
+        let eventDate = null;
+        try {
+            eventDate = toDate(event.date, 'event date');
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        const pkg = this.packages.get(request.packageId);
+        if (!pkg) {
+            errors.push(`Unknown catering package: ${request.packageId}`);
+        } else if (Number.isInteger(guests)) {
+            if (guests < pkg.minGuests) errors.push(`${pkg.name} is for at least ${pkg.minGuests} guests`);
+            if (pkg.maxGuests && guests > pkg.maxGuests) errors.push(`${pkg.name} is for at most ${pkg.maxGuests} guests`);
+        }
+        for (const addOn of addOns) {
+            if (!this.addOns.has(addOn.id)) errors.push(`Unknown add-on: ${addOn.id}`);
+        }
+
+        if (errors.length > 0) {
+            throw cateringError('INVALID_QUOTE', `Invalid catering request: ${errors.join('; ')}`, { errors });
+        }
+
+        const leadHours = this.requiredLeadHours(pkg, guests);
+        const earliestDate = new Date(now.getTime() + leadHours * HOUR);
+        if (eventDate < earliestDate) {
+            throw cateringError('LEAD_TIME_TOO_SHORT',
+                `${pkg.name} for ${guests} guests needs ${leadHours} hours notice`,
+                { leadHours, earliestDate: earliestDate.toISOString() });
+        }
+
+        const pricing = this.price(pkg, guests, addOns, serviceStyle);
+        this.sequence++;
+        const quote = {
+            id: `cq_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            number: `CQ-${now.getFullYear()}-${String(this.sequence).padStart(4, '0')}`,
+            businessType: this.businessType,
+            customer: {
+                name: customer.name,
+                email: customer.email || null,
+                phone: customer.phone || null,
+                company: customer.company || null
+            },
+            event: {
+                date: eventDate.toISOString(),
+                guests,
+                type: event.type || null,
+                venue: event.venue || null,
+                serviceStyle
+            },
+            packageId: pkg.id,
+            packageName: pkg.name,
+            addOns,
+            dietary: request.dietary || [],
+            notes: request.notes || null,
+            ...pricing,
+            status: 'quoted',
+            validUntil: new Date(Math.min(now.getTime() + this.quoteValidDays * DAY, eventDate.getTime() - leadHours * HOUR)).toISOString(),
+            leadHours,
+            payments: [],
+            amountPaid: 0,
+            balanceDueDate: new Date(eventDate.getTime() - this.balanceDueDays * DAY).toISOString(),
+            clientId: request.clientId || null,
+            history: [{ status: 'quoted', at: now.toISOString(), by: options.by || null }],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.quotes.set(quote.id, quote);
+
+        await this.save();
+        this.emit('catering:quoted', quote);
+        return quote;
+    }
+
+    /**
+     * Look up a quote by ID or number; quotes past their validity are marked expired
+     */
+    get(reference, now = new Date()) {
+        const quote = this.quotes.get(reference) ||
+            Array.from(this.quotes.values()).find(entry => entry.number === String(reference).toUpperCase());
+        if (!quote) {
+            throw new Error(`Unknown catering quote: ${reference}`);
+        }
+
+        if (quote.status === 'quoted' && new Date(quote.validUntil) < now) {
+            this.setStatus(quote, 'expired', { now, by: 'system' });
+            this.save();
+        }
+        return quote;
+    }
+
+    setStatus(quote, status, options = {}) {
+        if (!TRANSITIONS[quote.status].includes(status)) {
+            throw cateringError('INVALID_TRANSITION', `Quote ${quote.number} is ${quote.status} and cannot become ${status}`, {
+                status: quote.status
+            });
+        }
+
+        const now = options.now || new Date();
+        const from = quote.status;
+        quote.status = status;
+        quote.updatedAt = now.toISOString();
+        quote.history.push({ status, at: now.toISOString(), by: options.by || null, note: options.note || null });
+        this.emit('catering:status_changed', { quote, from, to: status });
+        return from;
+    }
+
+    /**
+     * Accept a quote; the deposit is due from now. Throws with code QUOTE_EXPIRED or INVALID_TRANSITION
+     */
+    async accept(reference, options = {}) {
+        const now = options.now || new Date();
+        const quote = this.get(reference, now);
+        if (quote.status === 'expired') {
+            throw cateringError('QUOTE_EXPIRED', `Quote ${quote.number} expired on ${quote.validUntil.slice(0, 10)}; please request a new quote`);
+        }
+
+        this.setStatus(quote, 'accepted', { now, by: options.by, note: options.note });
+        quote.acceptedAt = now.toISOString();
+        quote.acceptedBy = options.acceptedBy || quote.customer.name;
+
+        await this.save();
+        return quote;
+    }
+
+    async decline(reference, options = {}) {
+        const quote = this.get(reference);
+        this.setStatus(quote, 'declined', { by: options.by, note: options.reason });
+
+        await this.save();
+        return quote;
+    }
+
+    /**
+     * Record a payment against an accepted quote; the deposit confirms the booking
+     * Throws with code INVALID_PAYMENT or INVALID_TRANSITION
+     */
+    async recordPayment(reference, payment = {}, options = {}) {
+        const now = options.now || new Date();
+        const quote = this.get(reference, now);
+        const amount = round2(Number(payment.amount));
+
+        if (!['accepted', 'confirmed'].includes(quote.status)) {
+            throw cateringError('INVALID_TRANSITION', `Quote ${quote.number} is ${quote.status}; payments are taken once it is accepted`, {
+                status: quote.status
+            });
+        }
+        if (!(amount > 0)) {
+            throw cateringError('INVALID_PAYMENT', 'Payment amount must be greater than 0');
+        }
+        if (quote.amountPaid + amount > quote.total) {
+            throw cateringError('INVALID_PAYMENT', `Payment exceeds the balance of ${round2(quote.total - quote.amountPaid)}`, {
+                balance: round2(quote.total - quote.amountPaid)
+            });
+        }
+
+        const entry = {
+            amount,
+            method: payment.method || null,
+            reference: payment.reference || null,
+            type: quote.amountPaid < quote.deposit ? 'deposit' : 'balance',
+            at: now.toISOString()
+        };
+        quote.payments.push(entry);
+        quote.amountPaid = round2(quote.amountPaid + amount);
+        quote.updatedAt = now.toISOString();
+
+        if (quote.status === 'accepted' && quote.amountPaid >= quote.deposit) {
+            quote.depositPaidAt = now.toISOString();
+            this.setStatus(quote, 'confirmed', { now, by: options.by, note: 'Deposit received' });
+        }
+
+        await this.save();
+        this.emit('catering:payment', { quote, payment: entry });
+        return { quote, payment: entry };
+    }
+
+    /**
+     * Cancel a quote or booking; payments beyond the deposit are refunded, and the deposit too
+     * when cancelled at least refundWindowDays before the event
+     */
+    async cancel(reference, options = {}) {
+        const now = options.now || new Date();
+        const quote = this.get(reference, now);
+        this.setStatus(quote, 'cancelled', { now, by: options.by, note: options.reason });
+
+        const refundable = new Date(quote.event.date) - now >= this.refundWindowDays * DAY;
+        quote.cancellation = {
+            reason: options.reason || null,
+            at: now.toISOString(),
+            refundDue: refundable ? quote.amountPaid : round2(Math.max(0, quote.amountPaid - quote.deposit))
+        };
+
+        await this.save();
+        return quote;
+    }
+
+    async complete(reference, options = {}) {
+        const quote = this.get(reference);
+        this.setStatus(quote, 'completed', { by: options.by });
+
+        await this.save();
+        return quote;
+    }
+
+    /**
+     * Structured catering order document for an accepted quote; throws with code QUOTE_NOT_ACCEPTED
+     * @param {Object} business - { name, location, phone, email }
+     */
+    toDocument(reference, business = {}) {
+        const quote = this.get(reference);
+        if (!EXPORTABLE_STATUSES.includes(quote.status)) {
+            throw cateringError('QUOTE_NOT_ACCEPTED', `Quote ${quote.number} is ${quote.status}; only accepted quotes can be exported`, {
+                status: quote.status
+            });
+        }
+
+        return {
+            documentType: 'catering_order',
+            number: quote.number,
+            status: quote.status,
+            issuedAt: new Date().toISOString(),
+            business: { type: this.businessType, ...business },
+            customer: quote.customer,
+            event: quote.event,
+            package: { id: quote.packageId, name: quote.packageName, includes: (this.packages.get(quote.packageId) || {}).includes || [] },
+            dietary: quote.dietary,
+            notes: quote.notes,
+            lineItems: quote.lineItems,
+            totals: {
+                subtotal: quote.subtotal,
+                serviceCharge: quote.serviceCharge,
+                tax: quote.tax,
+                total: quote.total,
+                deposit: quote.deposit,
+                amountPaid: quote.amountPaid,
+                balance: round2(quote.total - quote.amountPaid),
+                balanceDueDate: quote.balanceDueDate
+            },
+            payments: quote.payments,
+            acceptedAt: quote.acceptedAt,
+            acceptedBy: quote.acceptedBy,
+            terms: this.terms || this.defaultTerms()
+        };
+    }
+
+    defaultTerms() {
+        return [
+            `A ${Math.round(this.depositRate * 100)}% deposit confirms the booking.`,
+            `The balance is due ${this.balanceDueDays} days before the event.`,
+            `Deposits are refundable for cancellations at least ${this.refundWindowDays} days before the event.`
+        ];
+    }
+
+    /**
+     * Printable HTML rendering of a catering order document
+     */
+    renderHtml(document) {
+        const money = value => `$${Number(value).toFixed(2)}`;
+        const date = value => new Date(value).toLocaleString('en-US', {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        const rows = entries => entries
+            .filter(([, value]) => value || value === 0)
+            .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+            .join('\n        ');
+        const { business, customer, event, totals } = document;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Catering order ${escapeHtml(document.number)}</title>
+<style>
+    body { font-family: Georgia, serif; color: #222; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+    h1 { margin-bottom: 0; }
+    .muted { color: #666; }
+    table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    td.amount, th.amount { text-align: right; }
+    .totals td { border: none; }
+    .totals tr.total td { font-weight: bold; border-top: 2px solid #222; }
+    @media print { body { margin: 0; } .no-print { display: none; } }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHtml(business.name || 'Catering order')}</h1>
+    <p class="muted">${escapeHtml([business.location, business.phone, business.email].filter(Boolean).join(' · '))}</p>
+    <h2>Catering order ${escapeHtml(document.number)}</h2>
+    <p class="muted">Status: ${escapeHtml(document.status)} · Issued ${escapeHtml(date(document.issuedAt))}</p>
+</header>
+<section>
+    <h3>Customer</h3>
+    <table>
+        ${rows([
+            ['Name', customer.name],
+            ['Company', customer.company],
+            ['Email', customer.email],
+            ['Phone', customer.phone]
+        ])}
+    </table>
+    <h3>Event</h3>
+    <table>
+        ${rows([
+            ['Date', date(event.date)],
+            ['Guests', event.guests],
+            ['Occasion', event.type],
+            ['Service', event.serviceStyle.replace(/_/g, ' ')],
+            ['Venue', event.venue],
+            ['Dietary needs', document.dietary.join(', ')],
+            ['Notes', document.notes]
+        ])}
+    </table>
+</section>
+<section>
+    <h3>${escapeHtml(document.package.name)}</h3>
+    ${document.package.includes.length ? `<p>Includes: ${escapeHtml(document.package.includes.join(', '))}</p>` : ''}
+    <table>
+        <thead><tr><th>Item</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Amount</th></tr></thead>
+        <tbody>
+${document.lineItems.map(item => `            <tr><td>${escapeHtml(item.description)}</td><td class="amount">${item.quantity}</td><td class="amount">${money(item.unitPrice)}</td><td class="amount">${money(item.total)}</td></tr>`).join('\n')}
+        </tbody>
+    </table>
+    <table class="totals">
+        <tr><td>Subtotal</td><td class="amount">${money(totals.subtotal)}</td></tr>
+        ${totals.serviceCharge ? `<tr><td>Service charge</td><td class="amount">${money(totals.serviceCharge)}</td></tr>` : ''}
+        <tr><td>Tax</td><td class="amount">${money(totals.tax)}</td></tr>
+        <tr class="total"><td>Total</td><td class="amount">${money(totals.total)}</td></tr>
+        <tr><td>Deposit</td><td class="amount">${money(totals.deposit)}</td></tr>
+        <tr><td>Paid</td><td class="amount">${money(totals.amountPaid)}</td></tr>
+        <tr class="total"><td>Balance due by ${escapeHtml(totals.balanceDueDate.slice(0, 10))}</td><td class="amount">${money(totals.balance)}</td></tr>
+    </table>
+</section>
+<section>
+    <h3>Terms</h3>
+    <ul>
+${document.terms.map(term => `        <li>${escapeHtml(term)}</li>`).join('\n')}
+    </ul>
+    ${document.acceptedAt ? `<p class="muted">Accepted by ${escapeHtml(document.acceptedBy)} on ${escapeHtml(date(document.acceptedAt))}</p>` : ''}
+</section>
+<p class="no-print"><button onclick="window.print()">Print</button></p>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Export an accepted quote as { filename, contentType, content }
+     * @param {string} format - 'json' or 'html'
+     */
+    exportQuote(reference, format = 'json', business = {}) {
+        if (!['json', 'html'].includes(format)) {
+            throw cateringError('INVALID_QUOTE', `Unsupported export format: ${format}`, { errors: ['format must be json or html'] });
+        }
+
+        const document = this.toDocument(reference, business);
+        return format === 'html'
+            ? { filename: `${document.number}.html`, contentType: 'text/html', content: this.renderHtml(document) }
+            : { filename: `${document.number}.json`, contentType: 'application/json', content: JSON.stringify(document, null, 2) };
+    }
+
+    getStats() {
+        const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        let booked = 0;
+        for (const quote of this.quotes.values()) {
+            counts[quote.status]++;
+            if (['confirmed', 'completed'].includes(quote.status)) booked += quote.total;
+        }
+        return {
+            quotes: this.quotes.size,
+            byStatus: counts,
+            bookedRevenue: round2(booked)
+        };
+    }
+}
+
+function quoteReference(data) {
+    return pick(data, 'quote_id', 'quoteId', 'quote_number', 'quoteNumber');
+}
+
+/**
+ * Catering errors are reported to the caller, anything else is rethrown
+ */
+function cateringErrorResponse(error) {
+    switch (error.code) {
+        case 'INVALID_QUOTE':
+            return { success: false, code: error.code, message: error.message, errors: error.errors };
+        case 'LEAD_TIME_TOO_SHORT':
+            return { success: false, code: error.code, message: error.message, leadHours: error.leadHours, earliestDate: error.earliestDate };
+        case 'INVALID_PAYMENT':
+            return { success: false, code: error.code, message: error.message, balance: error.balance };
+        case 'INVALID_TRANSITION':
+        case 'QUOTE_NOT_ACCEPTED':
+            return { success: false, code: error.code, message: error.message, status: error.status };
+        case 'QUOTE_EXPIRED':
+            return { success: false, code: error.code, message: error.message };
+        default:
+            throw error;
+    }
+}
+
+/**
+ * Quote details shared with the customer (history and client ID left out)
+ */
+function describeQuote(quote) {
+    return {
+        quoteId: quote.id,
+        number: quote.number,
+        status: quote.status,
+        customer: quote.customer,
+        event: quote.event,
+        packageName: quote.packageName,
+        lineItems: quote.lineItems,
+        subtotal: quote.subtotal,
+        serviceCharge: quote.serviceCharge,
+        tax: quote.tax,
+        total: quote.total,
+        deposit: quote.deposit,
+        amountPaid: quote.amountPaid,
+        balance: round2(quote.total - quote.amountPaid),
+        validUntil: quote.validUntil,
+        balanceDueDate: quote.balanceDueDate
+    };
+}
+
+/**
+ * Catering event handlers for sockets with a `catering` desk; called with the socket as `this`
+ */
+CateringDesk.eventHandlers = {
+    async catering_packages() {
+        return { success: true, ...this.catering.getOffer() };
+    },
+
+    async catering_quote_request(data, event = {}) {
+        console.log(chalk.blue('🍱 Preparing catering quote...'));
+
+        const staff = !event.actor || event.actor.isAdmin;
+        const details = pick(data, 'event', 'event_details', 'eventDetails') || {};
+        try {
+            const quote = await this.catering.createQuote({
+                customer: pick(data, 'customer', 'contact_info', 'contactInfo'),
+                event: {
+                    date: details.date || pick(data, 'event_date', 'eventDate'),
+                    guests: details.guests || pick(data, 'guests', 'guest_count', 'guestCount'),
+                    type: details.type || pick(data, 'event_type', 'eventType'),
+                    venue: details.venue || data.venue,
+                    serviceStyle: details.serviceStyle || pick(data, 'service_style', 'serviceStyle')
+                },
+                packageId: pick(data, 'package_id', 'packageId'),
+                addOns: pick(data, 'add_ons', 'addOns'),
+                dietary: data.dietary,
+                notes: data.notes,
+                clientId: staff ? null : event.actor.clientId
+            }, { by: event.actor ? event.actor.name : null });
+
+            return {
+                success: true,
+                quoteId: quote.id,
+                number: quote.number,
+                message: `Quote ${quote.number}: $${quote.total.toFixed(2)} for ${quote.event.guests} guests, valid until ${quote.validUntil.slice(0, 10)}`,
+                quote: describeQuote(quote)
+            };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    },
+
+    async catering_quote_lookup(data) {
+        return { success: true, quote: describeQuote(this.catering.get(quoteReference(data))) };
+    },
+
+    async catering_quote_acceptance(data, event = {}) {
+        try {
+            const quote = await this.catering.accept(quoteReference(data), {
+                acceptedBy: pick(data, 'accepted_by', 'acceptedBy'),
+                by: event.actor ? event.actor.name : null
+            });
+            return {
+                success: true,
+                quoteId: quote.id,
+                status: quote.status,
+                message: `Quote ${quote.number} accepted - a deposit of $${quote.deposit.toFixed(2)} confirms the booking`,
+                depositDue: quote.deposit
+            };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    },
+
+    async catering_quote_decline(data, event = {}) {
+        try {
+            const quote = await this.catering.decline(quoteReference(data), {
+                reason: data.reason,
+                by: event.actor ? event.actor.name : null
+            });
+            return { success: true, quoteId: quote.id, status: quote.status };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    },
+
+    async catering_payment(data, event = {}) {
+        try {
+            const { quote, payment } = await this.catering.recordPayment(quoteReference(data), {
+                amount: data.amount,
+                method: data.method,
+                reference: pick(data, 'payment_reference', 'paymentReference')
+            }, { by: event.actor ? event.actor.name : null });
+            return {
+                success: true,
+                quoteId: quote.id,
+                status: quote.status,
+                payment,
+                amountPaid: quote.amountPaid,
+                balance: round2(quote.total - quote.amountPaid)
+            };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    },
+
+    async catering_cancellation(data, event = {}) {
+        try {
+            const quote = await this.catering.cancel(quoteReference(data), {
+                reason: data.reason,
+                by: event.actor ? event.actor.name : null
+            });
+            return {
+                success: true,
+                quoteId: quote.id,
+                status: quote.status,
+                refundDue: quote.cancellation.refundDue
+            };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    },
+
+    async catering_complete(data, event = {}) {
+        try {
+            const quote = await this.catering.complete(quoteReference(data), { by: event.actor ? event.actor.name : null });
+            return { success: true, quoteId: quote.id, status: quote.status };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    },
+
+    async catering_export(data) {
+        try {
+            const exported = this.catering.exportQuote(quoteReference(data), data.format || 'json', {
+                name: this.config.siteName,
+                location: this.config.location,
+                phone: this.config.phone,
+                email: this.config.email
+            });
+            return { success: true, ...exported };
+        } catch (error) {
+            return cateringErrorResponse(error);
+        }
+    }
+};
+
+/**
+ * Event metadata for the catering handlers; `samples` supplies socket-specific sample data
+ * @param {Object} samples - { quoteRequest, packageId }
+ */
+CateringDesk.metadataEvents = (samples = {}) => ({
+    catering_packages: {
+        description: 'Catering packages, add-ons, service styles and lead times',
+        fields: [],
+        sampleData: {}
+    },
+    catering_quote_request: {
+        description: 'Request a priced catering quote',
+        fields: [
+            { name: 'customer', type: 'object', required: true, description: 'Customer name, email, phone and company' },
+            { name: 'packageId', type: 'string', required: true, description: 'Catering package' },
+            { name: 'eventDate', type: 'datetime', required: true, description: 'Event date and time' },
+            { name: 'guests', type: 'number', required: true, description: 'Number of guests' },
+            { name: 'serviceStyle', type: 'select', required: false, options: Object.keys(DEFAULT_SERVICE_STYLES), description: 'Pickup, delivery or staffed service' },
+            { name: 'venue', type: 'string', required: false, description: 'Event address (required unless picking up)' },
+            { name: 'eventType', type: 'string', required: false, description: 'Corporate, wedding, birthday, ...' },
+            { name: 'addOns', type: 'array', required: false, description: 'Add-ons [{ id, quantity }]' },
+            { name: 'dietary', type: 'array', required: false, description: 'Dietary requirements' },
+            { name: 'notes', type: 'text', required: false, description: 'Additional notes' }
+        ],
+        sampleData: samples.quoteRequest || {}
+    },
+    catering_quote_lookup: {
+        description: 'Look up a catering quote',
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001' }
+    },
+    catering_quote_acceptance: {
+        description: 'Accept a catering quote; the deposit is then due',
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' },
+            { name: 'acceptedBy', type: 'string', required: false, description: 'Name of the person accepting' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001', acceptedBy: 'Jordan Lee' }
+    },
+    catering_quote_decline: {
+        description: 'Decline a catering quote',
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' },
+            { name: 'reason', type: 'text', required: false, description: 'Reason' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001', reason: 'Went with another option' }
+    },
+    catering_payment: {
+        description: 'Record a deposit or balance payment (staff only)',
+        admin: true,
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' },
+            { name: 'amount', type: 'number', required: true, description: 'Amount received' },
+            { name: 'method', type: 'select', required: false, options: ['card', 'cash', 'check', 'bank_transfer'], description: 'Payment method' },
+            { name: 'paymentReference', type: 'string', required: false, description: 'Receipt or transaction reference' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001', amount: 150, method: 'card' }
+    },
+    catering_cancellation: {
+        description: 'Cancel a catering quote or booking',
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' },
+            { name: 'reason', type: 'text', required: false, description: 'Cancellation reason' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001', reason: 'Event postponed' }
+    },
+    catering_complete: {
+        description: 'Mark a catered event as delivered (staff only)',
+        admin: true,
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001' }
+    },
+    catering_export: {
+        description: 'Export an accepted quote as a JSON or printable HTML document',
+        fields: [
+            { name: 'quoteId', type: 'string', required: true, description: 'Quote ID or number' },
+            { name: 'format', type: 'select', required: false, options: ['json', 'html'], description: 'Document format (default json)' }
+        ],
+        sampleData: { quoteId: 'CQ-2025-0001', format: 'html' }
+    }
+});
+
+CateringDesk.STATUSES = STATUSES;
+CateringDesk.DEFAULT_SERVICE_STYLES = DEFAULT_SERVICE_STYLES;
+CateringDesk.DEFAULT_LEAD_TIMES = DEFAULT_LEAD_TIMES;
+
+module.exports = CateringDesk;
@@ -0,0 +1,136 @@
+const CateringDesk = require('./catering');
+
+const NOW = new Date(2030, 0, 2, 10, 0);
+const EVENT_DATE = new Date(2030, 0, 20, 18, 0);
+
+function createDesk() {
+    return new CateringDesk({
+        businessType: 'test',
+        directory: null,
+        packages: [
+            { id: 'buffet', name: 'Buffet', pricing: 'per_head', pricePerHead: 20, minGuests: 10, includes: ['Two entrées'] },
+            { id: 'platters', name: 'Platters', pricing: 'package', price: 90, serves: 12 }
+        ],
+        addOns: [
+            { id: 'bar', name: 'Bar', price: 15, per: 'guest' },
+            { id: 'cake', name: 'Cake', price: 40 }
+        ]
+    });
+}
+
+function request(overrides = {}) {
+    return {
+        customer: { name: 'Jordan Lee', email: 'jordan@example.com' },
+        event: { date: EVENT_DATE, guests: 30 },
+        packageId: 'platters',
+        ...overrides
+    };
+}
+
+describe('CateringDesk', () => {
+    test('prices packages, add-ons, service staff, service charge and tax', async () => {
+        const desk = createDesk();
+
+        const quote = await desk.createQuote(request({
+            event: { date: EVENT_DATE, guests: 20, serviceStyle: 'full_service', venue: '1 Main St' },
+            packageId: 'buffet',
+            addOns: [{ id: 'bar' }, { id: 'cake', quantity: 2 }]
+        }), { now: NOW });
+
+        expect(quote.lineItems.map(item => [item.description, item.quantity, item.total])).toEqual([
+            ['Buffet', 20, 400],
+            ['Bar', 20, 300],
+            ['Cake', 2, 80],
+            ['Service staff (full service)', 20, 240]
+        ]);
+        expect(quote).toMatchObject({
+            number: 'CQ-2030-0001',
+            status: 'quoted',
+            subtotal: 1020,
+            serviceCharge: 183.6,
+            tax: 96.29,
+            total: 1299.89,
+            deposit: 324.97,
+            validUntil: new Date(2030, 0, 16, 10, 0).toISOString()
+        });
+    });
+
+    test('charges whole packages for the guests they serve', async () => {
+        const desk = createDesk();
+
+        const quote = await desk.createQuote(request(), { now: NOW });
+
+        expect(quote.lineItems).toEqual([{ description: 'Platters (serves 12)', quantity: 3, unitPrice: 90, total: 270 }]);
+        expect(quote).toMatchObject({ subtotal: 270, tax: 21.6, total: 291.6, deposit: 72.9 });
+    });
+
+    test('lists every problem with a quote request and enforces the notice period', async () => {
+        const desk = createDesk();
+
+        await expect(desk.createQuote({
+            customer: {},
+            event: { date: 'someday', guests: 5, serviceStyle: 'delivery' },
+            packageId: 'buffet',
+            addOns: [{ id: 'fireworks' }]
+        }, { now: NOW })).rejects.toMatchObject({
+            code: 'INVALID_QUOTE',
+            errors: [
+                'customer name is required',
+                'customer email or phone is required',
+                'A venue address is required for delivery',
+                'Invalid event date: someday',
+                'Buffet is for at least 10 guests',
+                'Unknown add-on: fireworks'
+            ]
+        });
+        await expect(desk.createQuote(request({ event: { date: new Date(2030, 0, 4, 10, 0), guests: 60 } }), { now: NOW }))
+            .rejects.toMatchObject({ code: 'LEAD_TIME_TOO_SHORT', leadHours: 96, earliestDate: new Date(2030, 0, 6, 10, 0).toISOString() });
+    });
+
+    test('confirms a booking once the deposit is paid and keeps the deposit on late cancellations', async () => {
+        const desk = createDesk();
+        const { number } = await desk.createQuote(request(), { now: NOW });
+
+        await expect(desk.recordPayment(number, { amount: 50 }, { now: NOW })).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        await desk.accept(number.toLowerCase(), { now: NOW });
+        const first = await desk.recordPayment(number, { amount: 50, method: 'card' }, { now: NOW });
+        expect(first.quote.status).toBe('accepted');
+
+        const second = await desk.recordPayment(number, { amount: 100 }, { now: NOW });
+
+        expect([first.payment.type, second.payment.type]).toEqual(['deposit', 'deposit']);
+        expect(second.quote).toMatchObject({ status: 'confirmed', amountPaid: 150 });
+        await expect(desk.recordPayment(number, { amount: 200 }, { now: NOW })).rejects.toMatchObject({ code: 'INVALID_PAYMENT', balance: 141.6 });
+        expect(desk.getStats()).toMatchObject({ byStatus: { confirmed: 1 }, bookedRevenue: 291.6 });
+
+        const cancelled = await desk.cancel(number, { now: new Date(2030, 0, 15), reason: 'Postponed' });
+
+        expect(cancelled.cancellation).toMatchObject({ reason: 'Postponed', refundDue: 77.1 });
+    });
+
+    test('expires quotes that are not accepted in time', async () => {
+        const desk = createDesk();
+        const { id } = await desk.createQuote(request(), { now: NOW });
+        const later = new Date(2030, 0, 17);
+
+        await expect(desk.accept(id, { now: later })).rejects.toMatchObject({ code: 'QUOTE_EXPIRED' });
+        expect(desk.get(id, later).history.map(entry => entry.status)).toEqual(['quoted', 'expired']);
+    });
+
+    test('exports accepted quotes as JSON or escaped, printable HTML', async () => {
+        const desk = createDesk();
+        const { id, number } = await desk.createQuote(request({ customer: { name: '<b>Jordan</b>', phone: '555-0100' } }), { now: NOW });
+
+        expect(() => desk.exportQuote(id)).toThrow(expect.objectContaining({ code: 'QUOTE_NOT_ACCEPTED' }));
+        await desk.accept(id, { now: NOW });
+
+        const json = desk.exportQuote(id, 'json', { name: 'Bistro' });
+        const html = desk.exportQuote(id, 'html', { name: 'Bistro' });
+
+        expect(json).toMatchObject({ filename: `${number}.json`, contentType: 'application/json' });
+        expect(JSON.parse(json.content)).toMatchObject({ number, business: { type: 'test', name: 'Bistro' }, totals: { balance: 291.6 } });
+        expect(html.content).toContain('&lt;b&gt;Jordan&lt;/b&gt;');
+        expect(html.content).toContain('A 25% deposit confirms the booking.');
+        expect(() => desk.exportQuote(id, 'pdf')).toThrow('Unsupported export format: pdf');
+    });
+});
@@ -4,20 +4,84 @@
  * Manages Claude Code sub-agents for parallel processing
  */
 
-const { spawn } = require('child_process');
 const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
 const chalk = require('chalk');
+const { ProcessAgentRuntime } = require('./agent-runtime');
+const TaskStore = require('./task-store');
+const TaskScheduler = require('./task-scheduler');
+const TaskGraph = require('./task-graph');
+const { TASK_REQUIREMENTS, parseAgentManifest, scoreAgent } = require('./agent-manifest');
+const BusinessContextStore = require('./business-context');
+const CostTracker = require('./cost-tracker');
+
+// Task statuses that will not change again
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Default execution timeouts per task type (ms)
+const DEFAULT_TASK_TIMEOUTS = {
+    default: 10 * 60 * 1000,
+    wordpress_setup: 15 * 60 * 1000,
+    seo_optimize: 10 * 60 * 1000,
+    content_generate: 20 * 60 * 1000
+};
+
+// Default retry policy: exponential backoff between attempts
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    initialDelay: 1000,
+    backoffFactor: 2,
+    maxDelay: 60 * 1000
+};
 
 class ClaudeBridge extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options - Bridge options
+     * @param {AgentRuntime} options.runtime - Runtime used to host agents (defaults to the local stub process runtime)
+     * @param {Object} options.runtimeOptions - Options for the default ProcessAgentRuntime
+     * @param {TaskStore|null} options.taskStore - Persistent task log (pass null to keep tasks in memory only)
+     * @param {Object} options.taskStoreOptions - Options for the default TaskStore
+     * @param {number} options.maxConcurrentTasks - Tasks allowed to run at once across all agents
+     * @param {number} options.maxTasksPerAgent - Tasks allowed to run at once on one agent instance
+     * @param {Object} options.taskTimeouts - Timeouts in ms keyed by task type (plus `default`)
+     * @param {Object} options.retryPolicy - Default retry policy ({ maxAttempts, initialDelay, backoffFactor, maxDelay })
+     * @param {Object} options.retryPolicies - Retry policy overrides keyed by task type
+     * @param {Object} options.taskRequirements - Extra task type -> required capabilities mappings
+     * @param {BusinessContextStore} options.contextStore - Per-business context shared by all tasks
+     * @param {Object} options.contextStoreOptions - Options for the default BusinessContextStore
+     * @param {Object} options.pricing - Token pricing used when the runtime reports no cost
+     * @param {Object} options.budgets - Budgets by scope: { business: { dental: { maxCost, maxTokens, action } }, workflow: {...} }
+     */
+    constructor(options = {}) {
         super();
+        this.runtime = options.runtime || new ProcessAgentRuntime(options.runtimeOptions);
+        this.taskStore = options.taskStore !== undefined
+            ? options.taskStore
+            : new TaskStore(options.taskStoreOptions);
+        this.contextStore = options.contextStore || new BusinessContextStore(options.contextStoreOptions);
+        this.costTracker = new CostTracker({ pricing: options.pricing, budgets: options.budgets });
+        this.isShuttingDown = false;
         this.agents = new Map(); // Active agent instances
         this.tasks = new Map(); // Task queue
         this.results = new Map(); // Task results
         this.agentConfigs = new Map(); // Agent configurations
-        this.maxConcurrentTasks = 5;
+        this.pendingStarts = new Map(); // Agent start promises by agent key
+        this.retryTimers = new Map(); // Pending retry timers by task ID
+        this.deadLetters = new Map(); // Permanently failed tasks by task ID
+        this.taskWaiters = new Map(); // Pending completion promises by task ID
+        this.pausedTasks = new Map(); // Tasks held back by an exhausted budget
+        this.taskTimeouts = { ...DEFAULT_TASK_TIMEOUTS, ...(options.taskTimeouts || {}) };
+        this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(options.retryPolicy || {}) };
+        this.retryPolicies = options.retryPolicies || {};
+        this.taskRequirements = { ...TASK_REQUIREMENTS, ...(options.taskRequirements || {}) };
+        this.maxConcurrentTasks = options.maxConcurrentTasks || 5;
+        this.maxTasksPerAgent = options.maxTasksPerAgent || 2;
+        this.scheduler = new TaskScheduler({
+            maxConcurrentTasks: this.maxConcurrentTasks,
+            maxTasksPerAgent: this.maxTasksPerAgent,
+            runTask: (taskId) => this.executeTask(taskId)
+        });
         
         console.log(chalk.blue('🤖 Claude Code Bridge v1.0 Initialized'));
     }
@@ -37,20 +101,26 @@ class ClaudeBridge extends EventEmitter {
                     const agentName = file.replace('.md', '');
                     const configPath = path.join(agentsDir, file);
                     const config = await fs.readFile(configPath, 'utf8');
+                    const manifest = parseAgentManifest(agentName, config);
                     
                     this.agentConfigs.set(agentName, {
+                        ...manifest,
                         name: agentName,
-                        prompt: config,
-                        status: 'ready',
-                        capabilities: this.parseCapabilities(config)
+                        status: 'ready'
                     });
                     
-                    console.log(chalk.green(`✅ Loaded agent: ${agentName}`));
+                    if (!manifest.hasManifest) {
+                        console.warn(chalk.yellow(`⚠️ Agent ${agentName} has no front matter; it will not be selected for any task`));
+                    }
+                    console.log(chalk.green(`✅ Loaded agent: ${agentName} [${manifest.capabilities.join(', ')}]`));
                 }
             }
             
             console.log(chalk.blue(`🤖 ${this.agentConfigs.size} agents configured`));
             
+            // Pick up tasks left behind by a previous run
+            await this.recoverTasks();
+            
         } catch (error) {
             console.error(chalk.red('❌ Failed to load agent configurations:', error.message));
             throw error;
@@ -58,19 +128,79 @@ class ClaudeBridge extends EventEmitter {
     }
 
     /**
-     * Parse agent capabilities from prompt
+     * Reload persisted tasks and re-queue the ones that were in flight when the process stopped
      */
-    parseCapabilities(prompt) {
-        const capabilities = [];
-        
-        // Extract capabilities from system prompt
-        if (prompt.includes('WordPress')) capabilities.push('wordpress');
-        if (prompt.includes('SEO')) capabilities.push('seo');
-        if (prompt.includes('plugin')) capabilities.push('plugin-development');
-        if (prompt.includes('content')) capabilities.push('content-generation');
-        if (prompt.includes('orchestrat')) capabilities.push('orchestration');
-        
-        return capabilities;
+    async recoverTasks() {
+        if (!this.taskStore) return [];
+
+        const storedTasks = await this.taskStore.load();
+        const requeued = [];
+
+        // Rebuild cost totals so budgets keep counting across restarts
+        this.costTracker.recordTasks(storedTasks.values());
+
+        for (const [taskId, task] of storedTasks) {
+            this.tasks.set(taskId, task);
+
+            if (task.status === 'paused') {
+                this.pausedTasks.set(taskId, task);
+            } else if (task.status === 'completed') {
+                this.results.set(taskId, task.result);
+            } else if (task.status === 'failed' && task.deadLettered) {
+                this.deadLetters.set(taskId, task);
+            } else if (['queued', 'executing', 'retrying'].includes(task.status)) {
+                task.status = 'queued';
+                task.recoveredAt = new Date();
+                task.queuedAt = task.recoveredAt;
+                task.recoveries = (task.recoveries || 0) + 1;
+                delete task.startedAt;
+                delete task.nextAttemptAt;
+                requeued.push(task);
+            }
+        }
+
+        // Collapse the replayed history so the log does not grow across restarts
+        await this.taskStore.compact(this.tasks);
+
+        for (const task of requeued) {
+            try {
+                const agent = await this.ensureAgent(task.agentName, task.businessType);
+                agent.tasks.push(task.id);
+                this.persistTask(task);
+                this.scheduleTask(task);
+
+                console.log(chalk.blue(`♻️  Re-queued task ${task.id} (${task.type}) for ${task.agentName}`));
+                this.emit('task:recovered', { taskId: task.id, agentName: task.agentName, businessType: task.businessType });
+            } catch (error) {
+                this.failTask(task, error);
+            }
+        }
+
+        this.resumePausedTasks();
+
+        if (storedTasks.size > 0) {
+            console.log(chalk.blue(`📂 Restored ${storedTasks.size} tasks (${requeued.length} re-queued)`));
+        }
+
+        return requeued.map(task => task.id);
+    }
+
+    /**
+     * Hand a queued task to the scheduler, which starts it once a slot is free
+     */
+    scheduleTask(task) {
+        this.scheduler.enqueue(task.id, `${task.agentName}-${task.businessType}`, task.priority);
+    }
+
+    /**
+     * Record a task state transition in the persistent store
+     */
+    persistTask(task) {
+        if (!this.taskStore) return;
+
+        this.taskStore.record(task).catch(error => {
+            console.warn(chalk.yellow(`⚠️ Failed to persist task ${task.id}: ${error.message}`));
+        });
     }
 
     /**
@@ -92,6 +222,7 @@ class ClaudeBridge extends EventEmitter {
                 businessType,
                 status: 'starting',
                 process: null,
+                channel: null,
                 tasks: [],
                 results: [],
                 startTime: new Date()
@@ -100,8 +231,22 @@ class ClaudeBridge extends EventEmitter {
             // Store agent instance
             this.agents.set(`${agentName}-${businessType}`, agent);
             
-            // Mark as ready (in real implementation, this would start Claude Code process)
+            // Spawn the agent process through the runtime
+            const channel = await this.runtime.start(agent, config);
+            agent.channel = channel;
+            agent.process = channel.process;
             agent.status = 'ready';
+
+            channel.on('exit', ({ code, signal }) => {
+                if (agent.status === 'stopped') return;
+                agent.status = 'exited';
+                console.error(chalk.red(`❌ Agent ${agentName} (${businessType}) exited unexpectedly`));
+                this.emit('agent:error', { agentName, businessType, error: `Agent process exited (${signal || code})` });
+            });
+
+            channel.on('log', (message) => {
+                console.log(chalk.gray(`  [${agentName}] ${message}`));
+            });
             
             console.log(chalk.green(`✅ Agent ${agentName} ready for ${businessType}`));
             this.emit('agent:ready', { agentName, businessType });
@@ -109,11 +254,34 @@ class ClaudeBridge extends EventEmitter {
             return agent;
             
         } catch (error) {
+            const agent = this.agents.get(`${agentName}-${businessType}`);
+            if (agent && agent.status === 'starting') {
+                agent.status = 'failed';
+            }
             console.error(chalk.red(`❌ Failed to start agent ${agentName}:`, error.message));
             throw error;
         }
     }
 
+    /**
+     * Return a ready agent instance, starting it once if several tasks arrive together
+     */
+    async ensureAgent(agentName, businessType) {
+        const agentKey = `${agentName}-${businessType}`;
+        const existing = this.agents.get(agentKey);
+        if (existing && existing.status === 'ready') {
+            return existing;
+        }
+
+        if (!this.pendingStarts.has(agentKey)) {
+            const start = this.startAgent(agentName, businessType)
+                .finally(() => this.pendingStarts.delete(agentKey));
+            this.pendingStarts.set(agentKey, start);
+        }
+
+        return await this.pendingStarts.get(agentKey);
+    }
+
     /**
      * Delegate task to appropriate sub-agent
      */
@@ -122,15 +290,7 @@ class ClaudeBridge extends EventEmitter {
         
         try {
             // Determine best agent for this task
-            const agentName = this.selectBestAgent(task);
-            const agentKey = `${agentName}-${businessType}`;
-            
-            // Start agent if not already running
-            if (!this.agents.has(agentKey)) {
-                await this.startAgent(agentName, businessType);
-            }
-
-            const agent = this.agents.get(agentKey);
+            const agentName = this.selectBestAgent(task, businessType);
             
             // Create task with unique ID
             const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -139,17 +299,48 @@ class ClaudeBridge extends EventEmitter {
                 type: task.type,
                 data: task.data,
                 businessType,
+                tenantId: task.tenantId || null, // Tenants of the same business type keep separate contexts
                 agentName,
+                workflowId: task.workflowId || null,
+                timeout: task.timeout || null,
+                attempts: 0,
+                priority: TaskScheduler.normalizePriority(task.priority),
                 status: 'queued',
                 createdAt: new Date()
             };
+            delegatedTask.queuedAt = delegatedTask.createdAt;
+
+            // Enforce budgets before accepting the task
+            const exceeded = this.costTracker.checkBudget(delegatedTask);
+            if (exceeded && exceeded.action === 'reject') {
+                const error = new Error(`Budget exceeded for ${exceeded.scope} '${exceeded.key}': spent ${exceeded.spent} of ${exceeded.limit}`);
+                error.code = 'BUDGET_EXCEEDED';
+                throw error;
+            }
+
+            // Start agent if not already running (or restart it if its process died)
+            const agent = await this.ensureAgent(agentName, businessType);
 
             // Queue task
             this.tasks.set(taskId, delegatedTask);
             agent.tasks.push(taskId);
             
-            // Execute task (simulate async execution)
-            this.executeTask(taskId);
+            if (exceeded) {
+                // Hold the task until the budget is raised
+                delegatedTask.status = 'paused';
+                delegatedTask.pausedReason = `Budget exceeded for ${exceeded.scope} '${exceeded.key}'`;
+                this.pausedTasks.set(taskId, delegatedTask);
+                this.persistTask(delegatedTask);
+                
+                console.warn(chalk.yellow(`⏸️ Task ${taskId} paused: ${delegatedTask.pausedReason} (${exceeded.spent} of ${exceeded.limit})`));
+                this.emit('task:paused', { taskId, agentName, businessType, reason: delegatedTask.pausedReason });
+                return taskId;
+            }
+            
+            this.persistTask(delegatedTask);
+            
+            // Let the scheduler start the task when concurrency limits allow
+            this.scheduleTask(delegatedTask);
             
             console.log(chalk.blue(`📤 Task ${taskId} delegated to ${agentName}`));
             this.emit('task:delegated', { taskId, agentName, businessType });
@@ -164,22 +355,53 @@ class ClaudeBridge extends EventEmitter {
 
     /**
      * Select best agent for a given task
+     * Agents that list the task type win, then agents holding every required capability;
+     * ties are broken by priority, cost and finally agent name
      */
-    selectBestAgent(task) {
-        const taskType = task.type.toLowerCase();
-        
-        // Agent selection logic based on task type
-        if (taskType.includes('wordpress') || taskType.includes('site')) {
-            return 'wordpress';
-        } else if (taskType.includes('plugin') || taskType.includes('develop')) {
-            return 'plugin-dev';
-        } else if (taskType.includes('seo') || taskType.includes('optimize')) {
-            return 'seo';
-        } else if (taskType.includes('content') || taskType.includes('write')) {
-            return 'content';
-        } else {
-            return 'orchestrator'; // Default to orchestrator
+    selectBestAgent(task, businessType = null) {
+        const ranking = this.rankAgents(task, businessType);
+
+        if (ranking.length === 0) {
+            const required = this.getRequiredCapabilities(task);
+            if (required.length === 0 && !this.isAcceptedTaskType(task.type)) {
+                throw new Error(`Unknown task type '${task.type}': no agent accepts it and no capabilities are registered for it`);
+            }
+            throw new Error(`No agent can handle '${task.type}' for ${businessType || 'any business'} (requires: ${required.join(', ') || 'n/a'})`);
+        }
+
+        return ranking[0].name;
+    }
+
+    /**
+     * Score every configured agent for a task, best first
+     */
+    rankAgents(task, businessType = null) {
+        const required = this.getRequiredCapabilities(task);
+        const ranking = [];
+
+        for (const [name, config] of this.agentConfigs) {
+            const score = scoreAgent(config, task.type, required, businessType);
+            if (score !== null) {
+                ranking.push({ name, score });
+            }
         }
+
+        return ranking.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Capabilities required by a task (explicit on the task, else registered for its type)
+     */
+    getRequiredCapabilities(task) {
+        const required = task.requiredCapabilities || this.taskRequirements[task.type] || [];
+        return Array.isArray(required) ? required : [required];
+    }
+
+    /**
+     * Whether any configured agent explicitly lists a task type
+     */
+    isAcceptedTaskType(taskType) {
+        return Array.from(this.agentConfigs.values()).some(config => (config.taskTypes || []).includes(taskType));
     }
 
     /**
@@ -187,79 +409,353 @@ class ClaudeBridge extends EventEmitter {
      */
     async executeTask(taskId) {
         const task = this.tasks.get(taskId);
-        if (!task) return;
+        if (!task || task.status !== 'queued') return;
 
-        console.log(chalk.yellow(`⚡ Executing task: ${taskId}`));
+        task.attempts = (task.attempts || 0) + 1;
+        console.log(chalk.yellow(`⚡ Executing task: ${taskId} (attempt ${task.attempts})`));
         task.status = 'executing';
         task.startedAt = new Date();
+        task.waitTime = task.startedAt - (task.queuedAt || task.createdAt);
+        this.persistTask(task);
 
+        let agent = null;
+        const attemptStart = Date.now();
         try {
-            // Simulate task execution (in real implementation, this would call Claude Code)
-            await this.simulateTaskExecution(task);
+            agent = await this.ensureAgent(task.agentName, task.businessType);
+
+            // Send the task frame, with the business context, and map the result frame back
+            const context = await this.contextStore.get(task.tenantId || task.businessType);
+            const frame = await this.withTimeout(
+                this.runtime.execute(agent, task, context),
+                this.getTaskTimeout(task),
+                `Task ${taskId} timed out after ${this.getTaskTimeout(task)}ms`
+            );
+            this.recordUsage(task, frame.usage, Date.now() - attemptStart);
+            if (task.status !== 'executing') return;
+
+            task.result = frame.result;
+            this.results.set(taskId, frame.result);
+            agent.results.push(taskId);
+            await this.contextStore.applyTaskResult(task).catch(error => {
+                console.warn(chalk.yellow(`⚠️ Failed to update ${task.businessType} context from ${taskId}: ${error.message}`));
+            });
             
             // Mark as completed
             task.status = 'completed';
             task.completedAt = new Date();
+            this.persistTask(task);
             
             console.log(chalk.green(`✅ Task ${taskId} completed by ${task.agentName}`));
+            this.settleTaskWaiter(task);
             this.emit('task:completed', { taskId, result: task.result });
             
         } catch (error) {
-            task.status = 'failed';
-            task.error = error.message;
-            task.failedAt = new Date();
+            if (error.usage) {
+                this.recordUsage(task, error.usage, Date.now() - attemptStart);
+            }
             
-            console.error(chalk.red(`❌ Task ${taskId} failed:`, error.message));
-            this.emit('task:failed', { taskId, error: error.message });
+            // Leave in-flight tasks as executing during shutdown so the next run re-queues them
+            if (this.isShuttingDown || task.status !== 'executing') return;
+
+            // A hung agent is killed so the retry gets a fresh process
+            if (error.code === 'TASK_TIMEOUT' && agent) {
+                await this.stopAgent(agent);
+            }
+
+            this.handleTaskError(task, error);
+        }
+    }
+
+    /**
+     * Add the usage of one attempt to the task record and the cost totals
+     */
+    recordUsage(task, usage, duration) {
+        const normalized = this.costTracker.record(task, usage, duration);
+        const totals = task.usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+
+        task.usage = {
+            inputTokens: totals.inputTokens + normalized.inputTokens,
+            outputTokens: totals.outputTokens + normalized.outputTokens,
+            totalTokens: totals.totalTokens + normalized.totalTokens,
+            cost: totals.cost + normalized.cost
+        };
+        task.executionTime = (task.executionTime || 0) + duration;
+    }
+
+    /**
+     * Set a token or cost budget for a business type or workflow
+     * @param {string} scope - 'business' or 'workflow'
+     * @param {string} key - Business type or workflow ID
+     * @param {Object} budget - { maxTokens, maxCost, action: 'reject' | 'pause' }
+     */
+    setBudget(scope, key, budget) {
+        this.costTracker.setBudget(scope, key, budget);
+        this.resumePausedTasks();
+    }
+
+    /**
+     * Remove a budget
+     */
+    removeBudget(scope, key) {
+        const removed = this.costTracker.removeBudget(scope, key);
+        this.resumePausedTasks();
+        return removed;
+    }
+
+    /**
+     * Queue paused tasks whose budgets allow them to run again
+     */
+    resumePausedTasks() {
+        for (const [taskId, task] of this.pausedTasks) {
+            if (this.costTracker.checkBudget(task)) continue;
+
+            this.pausedTasks.delete(taskId);
+            task.status = 'queued';
+            task.queuedAt = new Date();
+            delete task.pausedReason;
+            this.persistTask(task);
+            this.scheduleTask(task);
+
+            console.log(chalk.blue(`▶️ Task ${taskId} resumed`));
+            this.emit('task:resumed', { taskId });
+        }
+    }
+
+    /**
+     * Cost report per agent, business type and workflow
+     */
+    getCostReport(filter = {}) {
+        return this.costTracker.getReport(filter);
+    }
+
+    /**
+     * Reject with a TASK_TIMEOUT error if the promise does not settle in time
+     */
+    withTimeout(promise, timeout, message) {
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(message);
+                error.code = 'TASK_TIMEOUT';
+                reject(error);
+            }, timeout);
+        });
+
+        return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Timeout for a task: explicit task timeout, then per-type default
+     */
+    getTaskTimeout(task) {
+        return task.timeout || this.taskTimeouts[task.type] || this.taskTimeouts.default;
+    }
+
+    /**
+     * Retry policy for a task type
+     */
+    getRetryPolicy(taskType) {
+        return { ...this.retryPolicy, ...(this.retryPolicies[taskType] || {}) };
+    }
+
+    /**
+     * Retry a failed attempt with exponential backoff, or fail the task permanently
+     */
+    handleTaskError(task, error) {
+        const policy = this.getRetryPolicy(task.type);
+        task.lastError = error.message;
+
+        if (task.attempts >= policy.maxAttempts) {
+            this.failTask(task, error);
+            return;
         }
+
+        const delay = Math.min(
+            policy.maxDelay,
+            policy.initialDelay * Math.pow(policy.backoffFactor, task.attempts - 1)
+        );
+
+        task.status = 'retrying';
+        task.nextAttemptAt = new Date(Date.now() + delay);
+        this.persistTask(task);
+
+        console.warn(chalk.yellow(`🔁 Task ${task.id} attempt ${task.attempts} failed (${error.message}); retrying in ${delay}ms`));
+        this.emit('task:retrying', { taskId: task.id, attempts: task.attempts, error: error.message, delay });
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(task.id);
+            if (task.status !== 'retrying') return;
+
+            task.status = 'queued';
+            task.queuedAt = new Date();
+            delete task.nextAttemptAt;
+            this.persistTask(task);
+            this.scheduleTask(task);
+        }, delay);
+        this.retryTimers.set(task.id, timer);
     }
 
     /**
-     * Simulate task execution (replace with actual Claude Code integration)
+     * Mark a task as permanently failed and move it to the dead-letter list
      */
-    async simulateTaskExecution(task) {
-        // Simulate processing time
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 3000 + 1000));
+    failTask(task, error) {
+        const reason = error.code === 'TASK_TIMEOUT' ? 'timeout' : 'error';
+
+        task.status = 'failed';
+        task.error = error.message;
+        task.failureReason = reason;
+        task.failedAt = new Date();
+        task.deadLettered = true;
+        this.deadLetters.set(task.id, task);
+        this.persistTask(task);
         
-        // Generate mock result based on task type
-        switch (task.type) {
-            case 'wordpress_setup':
-                task.result = {
-                    message: `WordPress configured for ${task.businessType}`,
-                    plugins: ['directory-pro', 'seo-toolkit'],
-                    theme: `${task.businessType}-directory-theme`
-                };
-                break;
-                
-            case 'seo_optimize':
-                task.result = {
-                    message: `SEO optimization complete for ${task.businessType}`,
-                    keywords: [`${task.businessType} directory`, `local ${task.businessType}`],
-                    score: Math.floor(Math.random() * 30) + 70
-                };
-                break;
-                
-            case 'content_generate':
-                task.result = {
-                    message: `Content generated for ${task.businessType}`,
-                    pages: ['homepage', 'about', 'directory'],
-                    listings: Math.floor(Math.random() * 50) + 10
-                };
-                break;
-                
-            default:
-                task.result = {
-                    message: `Task ${task.type} completed`,
-                    status: 'success'
-                };
+        console.error(chalk.red(`❌ Task ${task.id} failed after ${task.attempts || 0} attempt(s):`, error.message));
+        this.settleTaskWaiter(task);
+        this.emit('task:failed', {
+            taskId: task.id,
+            error: error.message,
+            reason,
+            attempts: task.attempts || 0
+        });
+    }
+
+    /**
+     * Cancel a queued, paused, retrying or executing task
+     * Cancelling an executing task tells its agent to drop it; the agent's other tasks keep running
+     */
+    async cancelTask(taskId) {
+        const task = this.tasks.get(taskId);
+        if (!task) {
+            throw new Error(`Task '${taskId}' not found`);
+        }
+        if (!['queued', 'paused', 'retrying', 'executing'].includes(task.status)) {
+            throw new Error(`Task '${taskId}' cannot be cancelled (status: ${task.status})`);
+        }
+
+        const previousStatus = task.status;
+        task.status = 'cancelled';
+        task.cancelledAt = new Date();
+
+        this.scheduler.remove(taskId);
+        this.pausedTasks.delete(taskId);
+        if (this.retryTimers.has(taskId)) {
+            clearTimeout(this.retryTimers.get(taskId));
+            this.retryTimers.delete(taskId);
+        }
+
+        if (previousStatus === 'executing') {
+            const agent = this.agents.get(`${task.agentName}-${task.businessType}`);
+            if (agent) {
+                // Only this task stops; the agent keeps working on its other tasks
+                await this.runtime.cancel(agent, taskId).catch(async (error) => {
+                    console.warn(chalk.yellow(`⚠️ Could not cancel ${taskId} on ${agent.name}, stopping the agent: ${error.message}`));
+                    await this.stopAgent(agent);
+                });
+            }
+        }
+
+        this.persistTask(task);
+        console.log(chalk.yellow(`🚫 Task ${taskId} cancelled`));
+        this.settleTaskWaiter(task);
+        this.emit('task:cancelled', { taskId, previousStatus, attempts: task.attempts || 0 });
+
+        return task;
+    }
+
+    /**
+     * Stop an agent process without reporting it as a crash; it is restarted on next use
+     */
+    async stopAgent(agent) {
+        agent.status = 'stopped';
+        try {
+            await this.runtime.stop(agent);
+        } catch (error) {
+            console.error(chalk.red(`❌ Error stopping agent ${agent.name}:`, error.message));
+        }
+    }
+
+    /**
+     * List permanently failed tasks
+     */
+    getDeadLetters() {
+        return Array.from(this.deadLetters.values()).map(task => ({
+            taskId: task.id,
+            type: task.type,
+            businessType: task.businessType,
+            agentName: task.agentName,
+            attempts: task.attempts || 0,
+            reason: task.failureReason,
+            error: task.error,
+            failedAt: task.failedAt
+        }));
+    }
+
+    /**
+     * Re-submit a dead-lettered task as a new task
+     * @returns {Promise<string>} ID of the new task
+     */
+    async resubmitDeadLetter(taskId) {
+        const task = this.deadLetters.get(taskId);
+        if (!task) {
+            throw new Error(`Task '${taskId}' is not in the dead-letter list`);
         }
+
+        const newTaskId = await this.delegate(task.businessType, {
+            type: task.type,
+            data: task.data,
+            priority: task.priority,
+            timeout: task.timeout,
+            workflowId: task.workflowId,
+            tenantId: task.tenantId
+        });
+
+        this.deadLetters.delete(taskId);
+        task.deadLettered = false;
+        task.resubmittedAs = newTaskId;
+        this.persistTask(task);
+
+        console.log(chalk.blue(`📮 Dead-letter task ${taskId} re-submitted as ${newTaskId}`));
+        return newTaskId;
+    }
+
+    /**
+     * Get the shared context injected into every task for a business
+     */
+    async getBusinessContext(businessType) {
+        return await this.contextStore.get(businessType);
+    }
+
+    /**
+     * Seed or change the shared context for a business (site name, location, services, ...)
+     */
+    async updateBusinessContext(businessType, patch) {
+        const context = await this.contextStore.update(businessType, patch);
+        this.emit('context:updated', { businessType, fields: Object.keys(patch) });
+        return context;
     }
 
     /**
      * Get task status
      */
     getTaskStatus(taskId) {
-        return this.tasks.get(taskId);
+        const task = this.tasks.get(taskId);
+        if (!task || task.status !== 'queued') {
+            return task;
+        }
+
+        // Queued tasks also report where they are in line and how long they have waited
+        return {
+            ...task,
+            queuePosition: this.scheduler.getPosition(taskId),
+            waitTime: new Date() - (task.queuedAt || task.createdAt)
+        };
+    }
+
+    /**
+     * Get scheduler statistics (queue depth, running tasks, wait times)
+     */
+    getSchedulerStats() {
+        return this.scheduler.getStats();
     }
 
     /**
@@ -290,51 +786,266 @@ class ClaudeBridge extends EventEmitter {
             businessType: agent.businessType,
             status: agent.status,
             taskCount: agent.tasks.length,
+            running: this.scheduler.getRunningCount(key),
+            queueDepth: this.scheduler.getQueueDepth(key),
+            oldestWaitTime: this.scheduler.getOldestWaitTime(key),
             uptime: new Date() - agent.startTime
         }));
         
         console.log(chalk.blue('🤖 Active Agents:'));
         agentList.forEach(agent => {
-            console.log(chalk.gray(`  - ${agent.name} (${agent.businessType}): ${agent.status}`));
+            console.log(chalk.gray(`  - ${agent.name} (${agent.businessType}): ${agent.status}, ${agent.running} running, ${agent.queueDepth} queued`));
         });
         
         return agentList;
     }
 
+    /**
+     * Build the outcome reported to task waiters
+     */
+    getTaskOutcome(task) {
+        return {
+            taskId: task.id,
+            type: task.type,
+            status: task.status,
+            success: task.status === 'completed',
+            result: task.result,
+            error: task.status === 'cancelled' ? (task.error || 'Task cancelled') : task.error,
+            attempts: task.attempts || 0
+        };
+    }
+
+    /**
+     * Resolve the completion promise of a task that reached a terminal status
+     */
+    settleTaskWaiter(task) {
+        const waiter = this.taskWaiters.get(task.id);
+        if (!waiter) return;
+
+        this.taskWaiters.delete(task.id);
+        waiter.resolve(this.getTaskOutcome(task));
+    }
+
+    /**
+     * Wait for a task to complete, fail or be cancelled
+     * Resolves with the task outcome ({ taskId, status, success, result, error, attempts });
+     * rejects only if the task is unknown or the timeout elapses first (the task keeps running)
+     * @param {string} taskId - Task to wait for
+     * @param {Object} options - Wait options
+     * @param {number} options.timeout - Maximum wait in ms
+     */
+    waitForTask(taskId, options = {}) {
+        const task = this.tasks.get(taskId);
+        if (!task) {
+            return Promise.reject(new Error(`Task '${taskId}' not found`));
+        }
+        if (TERMINAL_STATUSES.includes(task.status)) {
+            return Promise.resolve(this.getTaskOutcome(task));
+        }
+
+        if (!this.taskWaiters.has(taskId)) {
+            let resolve;
+            let reject;
+            const promise = new Promise((res, rej) => {
+                resolve = res;
+                reject = rej;
+            });
+            this.taskWaiters.set(taskId, { promise, resolve, reject });
+        }
+
+        const { promise } = this.taskWaiters.get(taskId);
+        if (!options.timeout) {
+            return promise;
+        }
+
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Timed out after ${options.timeout}ms waiting for task ${taskId}`);
+                error.code = 'WAIT_TIMEOUT';
+                reject(error);
+            }, options.timeout);
+        });
+
+        return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Wait for several tasks; resolves with their outcomes in the order given
+     */
+    waitForAll(taskIds, options = {}) {
+        return Promise.all(taskIds.map(taskId => this.waitForTask(taskId, options)));
+    }
+
+    /**
+     * Yield task outcomes in the order the tasks finish
+     * @example
+     * for await (const outcome of bridge.iterateTaskResults(taskIds)) { ... }
+     */
+    async *iterateTaskResults(taskIds, options = {}) {
+        const pending = new Map(taskIds.map(taskId => [
+            taskId,
+            this.waitForTask(taskId, options).then(
+                outcome => ({ taskId, outcome }),
+                error => ({ taskId, error })
+            )
+        ]));
+
+        while (pending.size > 0) {
+            const { taskId, outcome, error } = await Promise.race(pending.values());
+            pending.delete(taskId);
+
+            if (error) throw error;
+            yield outcome;
+        }
+    }
+
     /**
      * Coordinate parallel task execution across agents
+     * Resolves with one outcome per input task (in input order) instead of rejecting on the first failure
      */
-    async coordinateParallelExecution(businessType, tasks) {
+    async coordinateParallelExecution(businessType, tasks, options = {}) {
         console.log(chalk.blue(`🔄 Coordinating ${tasks.length} parallel tasks for ${businessType}`));
         
-        const taskPromises = tasks.map(task => this.delegate(businessType, task));
-        const taskIds = await Promise.all(taskPromises);
+        const delegations = await Promise.allSettled(tasks.map(task => this.delegate(businessType, task)));
         
-        // Wait for all tasks to complete
-        return new Promise((resolve, reject) => {
-            let completedCount = 0;
-            const results = [];
-            
-            const checkCompletion = (taskId) => {
-                const task = this.tasks.get(taskId);
-                if (task.status === 'completed') {
-                    results.push({ taskId, result: task.result });
-                    completedCount++;
-                    
-                    if (completedCount === taskIds.length) {
-                        resolve(results);
+        const outcomes = await Promise.all(delegations.map((delegation, index) => {
+            if (delegation.status === 'rejected') {
+                return {
+                    taskId: null,
+                    type: tasks[index].type,
+                    status: 'failed',
+                    success: false,
+                    error: delegation.reason.message,
+                    attempts: 0
+                };
+            }
+            return this.waitForTask(delegation.value, options);
+        }));
+        
+        const succeeded = outcomes.filter(outcome => outcome.success).length;
+        console.log(chalk.blue(`🔄 Parallel execution finished: ${succeeded}/${outcomes.length} tasks succeeded`));
+        
+        return outcomes;
+    }
+
+    /**
+     * Run a workflow of tasks that declare dependencies on each other
+     * Upstream results are passed to downstream tasks as `data.inputs[<upstream id>]`
+     * @param {string} businessType - Business type the workflow builds
+     * @param {Object} workflow - Workflow definition
+     * @param {Array<Object>} workflow.tasks - Nodes of the form { id, type, data, dependsOn, priority }
+     * @param {string} workflow.policy - 'fail-fast' (default), 'skip-dependents' or 'continue'
+     */
+    async runWorkflow(businessType, workflow) {
+        const policy = workflow.policy || 'fail-fast';
+        if (!TaskGraph.FAILURE_POLICIES.includes(policy)) {
+            throw new Error(`Unknown workflow failure policy: ${policy}`);
+        }
+
+        const graph = new TaskGraph(workflow.tasks);
+        const workflowId = workflow.id || `workflow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const nodeStates = new Map(graph.order.map(id => [id, { status: 'pending', taskId: null }]));
+        let halted = false;
+
+        console.log(chalk.blue(`🧩 Running workflow ${workflowId} (${graph.order.length} tasks, ${policy}) for ${businessType}`));
+        this.emit('workflow:started', { workflowId, businessType, tasks: graph.order });
+
+        return new Promise((resolve) => {
+            const isSettled = (state) => ['completed', 'failed', 'skipped'].includes(state.status);
+
+            const finish = () => {
+                const tasks = {};
+                let failures = 0;
+                for (const [id, state] of nodeStates) {
+                    tasks[id] = { ...state };
+                    if (state.status !== 'completed') failures++;
+                }
+
+                const status = failures === 0
+                    ? 'completed'
+                    : (policy === 'fail-fast' ? 'failed' : 'partial');
+
+                console.log(chalk.blue(`🧩 Workflow ${workflowId} ${status}`));
+                this.emit('workflow:completed', { workflowId, businessType, status });
+                resolve({ workflowId, businessType, policy, status, tasks });
+            };
+
+            const markFailed = (id, error) => {
+                const state = nodeStates.get(id);
+                state.status = 'failed';
+                state.error = error;
+                if (policy === 'fail-fast') {
+                    halted = true;
+                }
+                if (policy === 'skip-dependents') {
+                    for (const descendant of graph.getDescendants(id)) {
+                        const downstream = nodeStates.get(descendant);
+                        if (downstream.status === 'pending') {
+                            downstream.status = 'skipped';
+                            downstream.reason = `Upstream task ${id} did not complete`;
+                        }
                     }
-                } else if (task.status === 'failed') {
-                    reject(new Error(`Task ${taskId} failed: ${task.error}`));
                 }
             };
 
-            // Listen for task completions
-            this.on('task:completed', ({ taskId }) => checkCompletion(taskId));
-            this.on('task:failed', ({ taskId }) => checkCompletion(taskId));
-            
-            // Check if any tasks are already complete
-            taskIds.forEach(checkCompletion);
+            // Record the outcome of a finished task and move the workflow forward
+            const settle = (id, outcome) => {
+                if (outcome.success) {
+                    const state = nodeStates.get(id);
+                    state.status = 'completed';
+                    state.result = outcome.result;
+                } else {
+                    markFailed(id, outcome.error);
+                }
+
+                advance();
+            };
+
+            // Start every pending task whose dependencies have settled
+            const advance = () => {
+                for (const id of graph.order) {
+                    const state = nodeStates.get(id);
+                    if (state.status !== 'pending') continue;
+
+                    if (halted) {
+                        state.status = 'skipped';
+                        state.reason = 'Workflow halted after a failure';
+                        continue;
+                    }
+
+                    const node = graph.get(id);
+                    const dependencies = node.dependsOn.map(dependency => nodeStates.get(dependency));
+                    if (!dependencies.every(isSettled)) continue;
+
+                    const inputs = {};
+                    for (const dependency of node.dependsOn) {
+                        inputs[dependency] = nodeStates.get(dependency).result || null;
+                    }
+
+                    state.status = 'running';
+                    this.delegate(businessType, {
+                        type: node.type,
+                        priority: node.priority,
+                        workflowId,
+                        data: { ...(node.data || {}), inputs }
+                    }).then(taskId => {
+                        state.taskId = taskId;
+                        return this.waitForTask(taskId);
+                    }).then(outcome => {
+                        settle(id, outcome);
+                    }).catch(error => {
+                        markFailed(id, error.message);
+                        advance();
+                    });
+                }
+
+                if (Array.from(nodeStates.values()).every(isSettled)) {
+                    finish();
+                }
+            };
+
+            advance();
         });
     }
 
@@ -343,21 +1054,38 @@ class ClaudeBridge extends EventEmitter {
      */
     async shutdown() {
         console.log(chalk.yellow('🔄 Shutting down Claude Bridge...'));
+        this.isShuttingDown = true;
+        
+        for (const timer of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
         
         for (const [key, agent] of this.agents) {
             try {
-                if (agent.process) {
-                    agent.process.kill();
-                }
+                agent.status = 'stopped';
+                await this.runtime.stop(agent);
                 console.log(chalk.gray(`📴 Agent ${agent.name} shutdown`));
             } catch (error) {
                 console.error(chalk.red(`❌ Error shutting down ${agent.name}:`, error.message));
             }
         }
         
+        if (this.taskStore) {
+            await this.taskStore.flush();
+        }
+        
         this.agents.clear();
         this.tasks.clear();
         this.results.clear();
+        this.deadLetters.clear();
+        this.pausedTasks.clear();
+        
+        for (const waiter of this.taskWaiters.values()) {
+            waiter.reject(new Error('Claude Bridge shut down before the task finished'));
+        }
+        this.taskWaiters.clear();
+        this.isShuttingDown = false;
         
         console.log(chalk.green('✅ Claude Bridge shutdown complete'));
     }
@@ -0,0 +1,357 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const ClaudeBridge = require('./claude-bridge');
+const TaskStore = require('./task-store');
+
+// Agents run as core/stub-agent.js processes: `fail` answers with an error frame, `hang` never answers,
+// `delay` answers after that many ms
+async function createBridge(options = {}) {
+    const bridge = new ClaudeBridge({
+        taskStore: null,
+        contextStoreOptions: { directory: null },
+        retryPolicy: { maxAttempts: 1, initialDelay: 10 },
+        ...options
+    });
+    await bridge.initializeAgents();
+    return bridge;
+}
+
+async function waitForStatus(bridge, taskId, status) {
+    while (bridge.getTaskStatus(taskId).status !== status) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('ClaudeBridge', () => {
+    let bridge;
+
+    beforeAll(() => {
+        for (const method of ['log', 'warn', 'error']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterEach(async () => {
+        if (bridge) await bridge.shutdown();
+        bridge = null;
+    });
+
+    describe('task lifecycle', () => {
+        test('delegates a task to the best agent and returns its result', async () => {
+            bridge = await createBridge();
+
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: {} });
+            const outcome = await bridge.waitForTask(taskId);
+
+            expect(bridge.getTaskStatus(taskId).agentName).toBe('seo');
+            expect(outcome).toMatchObject({ status: 'completed', success: true, attempts: 1 });
+            expect(outcome.result.message).toBe('SEO optimization complete for dental');
+        });
+
+        test('retries a failing task with backoff, then dead-letters it', async () => {
+            bridge = await createBridge({ retryPolicy: { maxAttempts: 3, initialDelay: 10 } });
+            const retries = [];
+            bridge.on('task:retrying', event => retries.push(event));
+
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: { fail: 'Search console unavailable' } });
+            const outcome = await bridge.waitForTask(taskId);
+
+            expect(outcome).toMatchObject({ status: 'failed', success: false, attempts: 3, error: 'Search console unavailable' });
+            expect(retries.map(retry => retry.delay)).toEqual([10, 20]);
+            expect(bridge.getDeadLetters()).toEqual([
+                expect.objectContaining({ taskId, attempts: 3, reason: 'error', error: 'Search console unavailable' })
+            ]);
+        });
+
+        test('re-submits a dead-lettered task as a new task', async () => {
+            bridge = await createBridge();
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: { fail: 'boom' } });
+            await bridge.waitForTask(taskId);
+
+            const newTaskId = await bridge.resubmitDeadLetter(taskId);
+
+            expect(newTaskId).not.toBe(taskId);
+            expect(bridge.getDeadLetters()).toEqual([]);
+            expect(bridge.getTaskStatus(taskId).resubmittedAs).toBe(newTaskId);
+            await expect(bridge.waitForTask(newTaskId)).resolves.toMatchObject({ status: 'failed' });
+        });
+
+        test('fails a task that times out and restarts the hung agent for the next task', async () => {
+            bridge = await createBridge();
+
+            const hungId = await bridge.delegate('dental', { type: 'seo_optimize', data: { hang: true }, timeout: 200 });
+            const hung = await bridge.waitForTask(hungId);
+
+            expect(hung).toMatchObject({ status: 'failed', attempts: 1 });
+            expect(bridge.getDeadLetters()[0]).toMatchObject({ taskId: hungId, reason: 'timeout' });
+
+            const nextId = await bridge.delegate('dental', { type: 'seo_optimize', data: {} });
+            await expect(bridge.waitForTask(nextId)).resolves.toMatchObject({ status: 'completed' });
+        });
+
+        test('cancels an executing task', async () => {
+            bridge = await createBridge();
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: { hang: true } });
+            await waitForStatus(bridge, taskId, 'executing');
+
+            const waiting = bridge.waitForTask(taskId);
+            const cancelled = await bridge.cancelTask(taskId);
+
+            expect(cancelled.status).toBe('cancelled');
+            await expect(waiting).resolves.toMatchObject({ status: 'cancelled', success: false, error: 'Task cancelled' });
+            await expect(bridge.cancelTask(taskId)).rejects.toThrow('cannot be cancelled (status: cancelled)');
+        });
+
+        test('cancelling a task leaves the other tasks on its agent running', async () => {
+            bridge = await createBridge({ retryPolicy: { maxAttempts: 3, initialDelay: 10 } });
+            const hungId = await bridge.delegate('dental', { type: 'seo_optimize', data: { hang: true } });
+            const slowId = await bridge.delegate('dental', { type: 'seo_optimize', data: { delay: 300 } });
+            await waitForStatus(bridge, hungId, 'executing');
+            await waitForStatus(bridge, slowId, 'executing');
+            const agent = bridge.agents.get('seo-dental');
+            const channel = agent.channel;
+
+            await bridge.cancelTask(hungId);
+
+            await expect(bridge.waitForTask(slowId)).resolves.toMatchObject({ status: 'completed', attempts: 1 });
+            await expect(bridge.waitForTask(hungId)).resolves.toMatchObject({ status: 'cancelled', attempts: 1 });
+            expect(agent.channel).toBe(channel);
+            expect(channel.closed).toBe(false);
+        });
+
+        test('rejects task types no agent accepts', async () => {
+            bridge = await createBridge();
+
+            await expect(bridge.delegate('dental', { type: 'tax_filing', data: {} })).rejects.toThrow("Unknown task type 'tax_filing'");
+        });
+    });
+
+    describe('waiting for results', () => {
+        test('waitForAll resolves with every outcome in the order the tasks were given', async () => {
+            bridge = await createBridge();
+            const failingId = await bridge.delegate('dental', { type: 'seo_optimize', data: { fail: 'boom' } });
+            const contentId = await bridge.delegate('dental', { type: 'content_generate', data: {} });
+
+            const listeners = bridge.listenerCount('task:completed');
+            const outcomes = await bridge.waitForAll([failingId, contentId]);
+
+            expect(bridge.listenerCount('task:completed')).toBe(listeners);
+            expect(outcomes).toEqual([
+                expect.objectContaining({ taskId: failingId, status: 'failed', error: 'boom' }),
+                expect.objectContaining({ taskId: contentId, status: 'completed', success: true })
+            ]);
+            await expect(bridge.waitForAll([contentId, 'task_missing'])).rejects.toThrow("Task 'task_missing' not found");
+        });
+
+        test('waitForTask gives up after its timeout while the task keeps running', async () => {
+            bridge = await createBridge();
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: { hang: true } });
+
+            await expect(bridge.waitForTask(taskId, { timeout: 50 })).rejects.toMatchObject({ code: 'WAIT_TIMEOUT' });
+            expect(['queued', 'executing']).toContain(bridge.getTaskStatus(taskId).status);
+        });
+
+        test('iterateTaskResults yields outcomes as tasks finish', async () => {
+            bridge = await createBridge();
+            const hungId = await bridge.delegate('dental', { type: 'content_generate', data: { hang: true } });
+            const seoId = await bridge.delegate('dental', { type: 'seo_optimize', data: {} });
+
+            const finished = [];
+            for await (const outcome of bridge.iterateTaskResults([hungId, seoId])) {
+                finished.push([outcome.taskId, outcome.status]);
+                if (outcome.taskId === seoId) await bridge.cancelTask(hungId);
+            }
+
+            expect(finished).toEqual([[seoId, 'completed'], [hungId, 'cancelled']]);
+        });
+    });
+
+    describe('business context', () => {
+        test('sends the business context with every task and folds results back into it', async () => {
+            bridge = await createBridge();
+            await bridge.updateBusinessContext('dental', { siteName: 'Bright Smiles', seoKeywords: ['family dentist'] });
+
+            const seoId = await bridge.delegate('dental', { type: 'seo_optimize', data: {} });
+            await bridge.waitForTask(seoId);
+            const contentId = await bridge.delegate('dental', { type: 'content_generate', data: {} });
+            const content = await bridge.waitForTask(contentId);
+
+            expect(content.result.keywordsUsed).toEqual(['family dentist', 'dental directory', 'local dental']);
+            expect(await bridge.getBusinessContext('dental')).toMatchObject({
+                siteName: 'Bright Smiles',
+                generatedPages: ['homepage', 'about', 'directory'],
+                decisions: { seo_optimize: { taskId: seoId }, content_generate: { taskId: contentId } }
+            });
+            expect((await bridge.getBusinessContext('pizza')).seoKeywords).toEqual([]);
+        });
+
+        test('keeps a separate context for each tenant of a business type', async () => {
+            bridge = await createBridge();
+
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: {}, tenantId: 'north' });
+            await bridge.waitForTask(taskId);
+
+            expect((await bridge.getBusinessContext('north')).seoKeywords).toEqual(['dental directory', 'local dental']);
+            expect((await bridge.getBusinessContext('dental')).seoKeywords).toEqual([]);
+        });
+    });
+
+    describe('workflows', () => {
+        test('rejects workflows with a dependency cycle', async () => {
+            bridge = await createBridge();
+
+            await expect(bridge.runWorkflow('dental', {
+                tasks: [
+                    { id: 'setup', type: 'wordpress_setup', dependsOn: ['content'] },
+                    { id: 'seo', type: 'seo_optimize', dependsOn: ['setup'] },
+                    { id: 'content', type: 'content_generate', dependsOn: ['seo'] }
+                ]
+            })).rejects.toThrow('Workflow contains a dependency cycle: setup -> content -> seo -> setup');
+        });
+
+        test('passes upstream results to dependent tasks', async () => {
+            bridge = await createBridge();
+
+            const run = await bridge.runWorkflow('dental', {
+                tasks: [
+                    { id: 'seo', type: 'seo_optimize' },
+                    { id: 'content', type: 'content_generate', dependsOn: ['seo'] }
+                ]
+            });
+
+            expect(run.status).toBe('completed');
+            const contentTask = bridge.getTaskStatus(run.tasks.content.taskId);
+            expect(contentTask.data.inputs.seo.score).toBe(85);
+        });
+
+        test('skip-dependents skips everything downstream of a failure and runs the rest', async () => {
+            bridge = await createBridge();
+
+            const run = await bridge.runWorkflow('dental', {
+                policy: 'skip-dependents',
+                tasks: [
+                    { id: 'setup', type: 'wordpress_setup', data: { fail: 'No hosting credentials' } },
+                    { id: 'seo', type: 'seo_optimize', dependsOn: ['setup'] },
+                    { id: 'content', type: 'content_generate', dependsOn: ['seo'] },
+                    { id: 'audit', type: 'seo_audit' }
+                ]
+            });
+
+            expect(run.status).toBe('partial');
+            expect(run.tasks.setup).toMatchObject({ status: 'failed', error: 'No hosting credentials' });
+            expect(run.tasks.seo).toMatchObject({ status: 'skipped', taskId: null, reason: 'Upstream task setup did not complete' });
+            expect(run.tasks.content).toMatchObject({ status: 'skipped', taskId: null, reason: 'Upstream task setup did not complete' });
+            expect(run.tasks.audit.status).toBe('completed');
+        });
+
+        test('fail-fast halts tasks that have not started', async () => {
+            bridge = await createBridge();
+
+            const run = await bridge.runWorkflow('dental', {
+                tasks: [
+                    { id: 'setup', type: 'wordpress_setup', data: { fail: 'boom' } },
+                    { id: 'seo', type: 'seo_optimize', dependsOn: ['setup'] }
+                ]
+            });
+
+            expect(run.status).toBe('failed');
+            expect(run.tasks.seo).toMatchObject({ status: 'skipped', reason: 'Workflow halted after a failure' });
+        });
+    });
+
+    describe('crash recovery', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-bridge-'));
+        });
+
+        afterEach(async () => {
+            // Shut down first so pending task log writes land before the directory goes
+            await bridge.shutdown();
+            bridge = null;
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        test('re-queues tasks that were in flight when the process stopped', async () => {
+            const filePath = path.join(directory, 'tasks.jsonl');
+            const previousRun = new TaskStore({ filePath });
+            const base = { type: 'seo_optimize', data: {}, businessType: 'dental', agentName: 'seo', priority: 5, createdAt: new Date() };
+            await previousRun.record({ ...base, id: 'task_executing', status: 'executing', attempts: 1 });
+            await previousRun.record({ ...base, id: 'task_done', status: 'completed', attempts: 1, result: { score: 90 } });
+
+            bridge = new ClaudeBridge({ taskStore: new TaskStore({ filePath }), contextStoreOptions: { directory: null } });
+            const recovered = new Promise(resolve => bridge.once('task:recovered', resolve));
+            await bridge.initializeAgents();
+
+            await expect(recovered).resolves.toMatchObject({ taskId: 'task_executing', agentName: 'seo' });
+            await expect(bridge.waitForTask('task_executing')).resolves.toMatchObject({ status: 'completed', attempts: 2 });
+            expect(bridge.getTaskStatus('task_executing').recoveries).toBe(1);
+            await expect(bridge.waitForTask('task_done')).resolves.toMatchObject({ status: 'completed', result: { score: 90 } });
+        });
+    });
+
+    describe('costs', () => {
+        test('adds up token usage per agent, business and workflow', async () => {
+            bridge = await createBridge();
+
+            const run = await bridge.runWorkflow('dental', {
+                id: 'launch',
+                tasks: [
+                    { id: 'seo', type: 'seo_optimize' },
+                    { id: 'content', type: 'content_generate' }
+                ]
+            });
+            const tasks = Object.values(run.tasks).map(state => bridge.getTaskStatus(state.taskId));
+            const tokens = tasks.reduce((sum, task) => sum + task.usage.totalTokens, 0);
+            const cost = tasks.reduce((sum, task) => sum + task.usage.cost, 0);
+
+            const report = bridge.getCostReport();
+
+            expect(tokens).toBeGreaterThan(0);
+            expect(report.totals).toMatchObject({ attempts: 2, totalTokens: tokens });
+            expect(report.totals.cost).toBeCloseTo(cost, 10);
+            expect(report.byBusiness.dental.totalTokens).toBe(tokens);
+            expect(report.byWorkflow.launch.attempts).toBe(2);
+            expect(report.byAgent.seo.attempts).toBe(1);
+            expect(report.byAgent.content.attempts).toBe(1);
+        });
+
+        test('counts the usage of failed attempts', async () => {
+            bridge = await createBridge({ retryPolicy: { maxAttempts: 2, initialDelay: 10 } });
+
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: { fail: 'boom' } });
+            await bridge.waitForTask(taskId);
+
+            expect(bridge.getCostReport().totals.attempts).toBe(2);
+            expect(bridge.getTaskStatus(taskId).usage.inputTokens).toBeGreaterThan(0);
+        });
+
+        test('rejects new tasks once a business budget is spent', async () => {
+            bridge = await createBridge({ budgets: { business: { dental: { maxTokens: 1 } } } });
+
+            const taskId = await bridge.delegate('dental', { type: 'seo_optimize', data: {} });
+            await bridge.waitForTask(taskId);
+
+            await expect(bridge.delegate('dental', { type: 'seo_optimize', data: {} }))
+                .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+        });
+
+        test('does not start an agent for a task its budget rejects', async () => {
+            bridge = await createBridge({ budgets: { business: { pizza: { maxTokens: 1 } } } });
+            const taskId = await bridge.delegate('pizza', { type: 'seo_optimize', data: {} });
+            await bridge.waitForTask(taskId);
+            const startAgent = jest.spyOn(bridge, 'startAgent');
+
+            await expect(bridge.delegate('pizza', { type: 'content_generate', data: {} }))
+                .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+            expect(startAgent).not.toHaveBeenCalled();
+            expect(bridge.agents.has('content-pizza')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Cost Tracker - Token usage, spend and wall-clock accounting for agent tasks
+ * Aggregates usage per agent, business type and workflow, and enforces budgets
+ */
+
+// Default price per million tokens (USD)
+const DEFAULT_PRICING = {
+    inputPerMillion: 3,
+    outputPerMillion: 15
+};
+
+const BUDGET_SCOPES = ['business', 'workflow'];
+const BUDGET_ACTIONS = ['reject', 'pause'];
+
+class CostTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {Object} options.pricing - { inputPerMillion, outputPerMillion } used when the runtime reports no cost
+     * @param {Object} options.budgets - Initial budgets: { business: { dental: {...} }, workflow: { id: {...} } }
+     */
+    constructor(options = {}) {
+        this.pricing = { ...DEFAULT_PRICING, ...(options.pricing || {}) };
+        this.totals = this.createBucket();
+        this.byAgent = new Map();
+        this.byBusiness = new Map();
+        this.byWorkflow = new Map();
+        this.budgets = {
+            business: new Map(),
+            workflow: new Map()
+        };
+
+        for (const scope of BUDGET_SCOPES) {
+            for (const [key, budget] of Object.entries((options.budgets || {})[scope] || {})) {
+                this.setBudget(scope, key, budget);
+            }
+        }
+    }
+
+    createBucket() {
+        return {
+            attempts: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            duration: 0
+        };
+    }
+
+    /**
+     * Fill in token totals and cost for usage reported by a runtime
+     */
+    normalizeUsage(usage = {}) {
+        const inputTokens = Number(usage.inputTokens) || 0;
+        const outputTokens = Number(usage.outputTokens) || 0;
+        const cost = usage.cost !== undefined
+            ? Number(usage.cost) || 0
+            : (inputTokens * this.pricing.inputPerMillion + outputTokens * this.pricing.outputPerMillion) / 1000000;
+
+        return {
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens,
+            cost
+        };
+    }
+
+    /**
+     * Record one task attempt
+     * @param {Object} task - Task record (agentName, businessType, workflowId)
+     * @param {Object} usage - Usage reported by the runtime
+     * @param {number} duration - Wall-clock time of the attempt in ms
+     * @returns {Object} Normalized usage of the attempt
+     */
+    record(task, usage, duration = 0) {
+        const normalized = this.normalizeUsage(usage);
+        const buckets = [
+            this.totals,
+            this.getBucket(this.byAgent, task.agentName),
+            this.getBucket(this.byBusiness, task.businessType)
+        ];
+        if (task.workflowId) {
+            buckets.push(this.getBucket(this.byWorkflow, task.workflowId));
+        }
+
+        for (const bucket of buckets) {
+            bucket.attempts++;
+            bucket.inputTokens += normalized.inputTokens;
+            bucket.outputTokens += normalized.outputTokens;
+            bucket.totalTokens += normalized.totalTokens;
+            bucket.cost += normalized.cost;
+            bucket.duration += duration;
+        }
+
+        return normalized;
+    }
+
+    getBucket(map, key) {
+        if (!map.has(key)) {
+            map.set(key, this.createBucket());
+        }
+        return map.get(key);
+    }
+
+    /**
+     * Set or replace a budget
+     * @param {string} scope - 'business' or 'workflow'
+     * @param {string} key - Business type or workflow ID
+     * @param {Object} budget - { maxTokens, maxCost, action: 'reject' | 'pause' }
+     */
+    setBudget(scope, key, budget = {}) {
+        if (!BUDGET_SCOPES.includes(scope)) {
+            throw new Error(`Invalid budget scope: ${scope}`);
+        }
+
+        const action = budget.action || 'reject';
+        if (!BUDGET_ACTIONS.includes(action)) {
+            throw new Error(`Invalid budget action: ${action}`);
+        }
+        if (budget.maxTokens === undefined && budget.maxCost === undefined) {
+            throw new Error('A budget needs maxTokens or maxCost');
+        }
+
+        this.budgets[scope].set(key, {
+            maxTokens: budget.maxTokens,
+            maxCost: budget.maxCost,
+            action
+        });
+    }
+
+    removeBudget(scope, key) {
+        return this.budgets[scope] ? this.budgets[scope].delete(key) : false;
+    }
+
+    /**
+     * Return the first budget a new task would exceed, or null if it may run
+     */
+    checkBudget(task) {
+        const checks = [
+            ['business', task.businessType, this.byBusiness],
+            ['workflow', task.workflowId, this.byWorkflow]
+        ];
+
+        for (const [scope, key, spendMap] of checks) {
+            if (!key || !this.budgets[scope].has(key)) continue;
+
+            const budget = this.budgets[scope].get(key);
+            const spent = spendMap.get(key) || this.createBucket();
+
+            if (budget.maxTokens !== undefined && spent.totalTokens >= budget.maxTokens) {
+                return { scope, key, action: budget.action, limit: `${budget.maxTokens} tokens`, spent: `${spent.totalTokens} tokens` };
+            }
+            if (budget.maxCost !== undefined && spent.cost >= budget.maxCost) {
+                return { scope, key, action: budget.action, limit: `$${budget.maxCost.toFixed(2)}`, spent: `$${spent.cost.toFixed(2)}` };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Record the accumulated usage of existing task records (e.g. replayed from the task log)
+     */
+    recordTasks(tasks) {
+        for (const task of tasks) {
+            if (task.usage) {
+                this.record(task, task.usage, task.executionTime || 0);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Build a cost report; the business and workflow sections can be narrowed with a filter
+     */
+    getReport(filter = {}) {
+        const select = (map, key) => Object.fromEntries(
+            Array.from(map.entries()).filter(([entryKey]) => !key || entryKey === key)
+        );
+
+        const budgets = {};
+        for (const scope of BUDGET_SCOPES) {
+            budgets[scope] = Object.fromEntries(this.budgets[scope]);
+        }
+
+        return {
+            totals: { ...this.totals },
+            byAgent: select(this.byAgent),
+            byBusiness: select(this.byBusiness, filter.businessType),
+            byWorkflow: select(this.byWorkflow, filter.workflowId),
+            budgets,
+            pricing: { ...this.pricing }
+        };
+    }
+}
+
+CostTracker.DEFAULT_PRICING = DEFAULT_PRICING;
+
+module.exports = CostTracker;
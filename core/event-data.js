@@ -0,0 +1,16 @@
+/**
+ * Event Data - Helpers for reading business event payloads
+ * Clients send both snake_case and camelCase field names, so handlers accept either
+ */
+
+/**
+ * First defined value among several accepted field names
+ */
+function pick(data, ...keys) {
+    for (const key of keys) {
+        if (data[key] !== undefined && data[key] !== null && data[key] !== '') return data[key];
+    }
+    return undefined;
+}
+
+module.exports = { pick };
@@ -0,0 +1,38 @@
+/**
+ * General Events - Events every socket accepts in addition to its own
+ * The registry advertises them for every socket type; sockets without their own handler
+ * fall back to BaseSocket.recordEvent
+ */
+
+const GENERAL_EVENTS = {
+    business_registration: {
+        description: 'Register a business listing',
+        fields: [
+            { name: 'businessInfo', type: 'object', required: true, description: 'Business information' },
+            { name: 'contactInfo', type: 'object', required: false, description: 'Contact details' }
+        ],
+        sampleData: {
+            businessInfo: { name: 'Sample Business', address: '100 Main St' },
+            contactInfo: { email: 'owner@example.com', phone: '555-0100' }
+        }
+    },
+    review_submitted: {
+        description: 'Submit a review for a listing',
+        fields: [
+            { name: 'listingId', type: 'string', required: true, description: 'Listing identifier' },
+            { name: 'rating', type: 'number', required: true, description: 'Rating from 1 to 5' },
+            { name: 'comment', type: 'text', required: false, description: 'Review text' }
+        ],
+        sampleData: { listingId: 'listing_001', rating: 5, comment: 'Great service' }
+    },
+    rating_updated: {
+        description: 'Update the aggregate rating of a listing',
+        fields: [
+            { name: 'listingId', type: 'string', required: true, description: 'Listing identifier' },
+            { name: 'rating', type: 'number', required: true, description: 'New aggregate rating' }
+        ],
+        sampleData: { listingId: 'listing_001', rating: 4.6 }
+    }
+};
+
+module.exports = { GENERAL_EVENTS };
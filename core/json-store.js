@@ -0,0 +1,93 @@
+/**
+ * JSON Store - Base class for stores that keep their state in one JSON file
+ * Subclasses implement restore(snapshot) and toJSON(); saves are serialized and written to a
+ * temp file that replaces the old one, so a crash never leaves a half-written file behind
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+
+const DATA_DIRECTORY = path.join(__dirname, '..', 'data');
+
+class JsonStore extends EventEmitter {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.fileName - File holding the state (orders.json, ...)
+     * @param {string|null} options.directory - Directory for the file (null keeps data in memory only)
+     * @param {string} options.namespace - Directory under data/ used when no directory is given
+     * @param {number} options.fileMode - Permissions of the written file
+     */
+    constructor(options = {}) {
+        super();
+        this.fileName = options.fileName;
+        this.directory = options.directory !== undefined
+            ? options.directory
+            : path.join(DATA_DIRECTORY, options.namespace);
+        this.fileMode = options.fileMode || null;
+        this.writeQueue = Promise.resolve();
+        this.loaded = false;
+    }
+
+    /**
+     * Load the persisted state; a missing file keeps the initial state
+     */
+    async load() {
+        if (this.loaded || !this.directory) {
+            this.loaded = true;
+            return;
+        }
+
+        try {
+            const contents = await fs.readFile(this.getFilePath(), 'utf8');
+            this.restore(JSON.parse(contents));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * Replace in-memory state with a snapshot (override in subclasses)
+     */
+    restore(snapshot = {}) {}
+
+    /**
+     * Snapshot of the state to persist (override in subclasses)
+     */
+    toJSON() {
+        return {};
+    }
+
+    /**
+     * Persist the current state (writes are serialized)
+     */
+    save() {
+        if (!this.directory) return Promise.resolve();
+
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const filePath = this.getFilePath();
+            const tempPath = `${filePath}.tmp`;
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.writeFile(tempPath, JSON.stringify(this.toJSON(), null, 2),
+                this.fileMode ? { encoding: 'utf8', mode: this.fileMode } : 'utf8');
+            await fs.rename(tempPath, filePath);
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Wait for pending writes to finish
+     */
+    flush() {
+        return this.writeQueue.catch(() => {});
+    }
+
+    getFilePath() {
+        return path.join(this.directory, this.fileName);
+    }
+}
+
+JsonStore.DATA_DIRECTORY = DATA_DIRECTORY;
+
+module.exports = JsonStore;
@@ -0,0 +1,96 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const JsonStore = require('./json-store');
+
+class CounterStore extends JsonStore {
+    constructor(options = {}) {
+        super({ fileName: 'counters.json', namespace: 'counters', ...options });
+        this.counters = {};
+    }
+
+    restore(snapshot = {}) {
+        this.counters = snapshot.counters || {};
+    }
+
+    toJSON() {
+        return { counters: this.counters };
+    }
+}
+
+describe('JsonStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('defaults to a directory under data/ named by the namespace', () => {
+        expect(new CounterStore().getFilePath()).toBe(path.join(JsonStore.DATA_DIRECTORY, 'counters', 'counters.json'));
+    });
+
+    test('persists state and restores it in a new instance', async () => {
+        const store = new CounterStore({ directory });
+        await store.load();
+        store.counters.visits = 3;
+        await store.save();
+
+        const reloaded = new CounterStore({ directory });
+        await reloaded.load();
+
+        expect(reloaded.counters).toEqual({ visits: 3 });
+        expect(await fs.readdir(directory)).toEqual(['counters.json']);
+    });
+
+    test('keeps the initial state when no file exists yet', async () => {
+        const store = new CounterStore({ directory });
+        store.counters.visits = 1;
+
+        await store.load();
+
+        expect(store.loaded).toBe(true);
+        expect(store.counters).toEqual({ visits: 1 });
+    });
+
+    test('rejects a corrupt file instead of starting empty', async () => {
+        await fs.writeFile(path.join(directory, 'counters.json'), '{ "counters": ', 'utf8');
+
+        await expect(new CounterStore({ directory }).load()).rejects.toThrow(SyntaxError);
+    });
+
+    test('serializes writes so the last save wins', async () => {
+        const store = new CounterStore({ directory });
+        for (let visits = 1; visits <= 5; visits++) {
+            store.counters.visits = visits;
+            store.save();
+        }
+        await store.flush();
+
+        const contents = JSON.parse(await fs.readFile(store.getFilePath(), 'utf8'));
+        expect(contents.counters.visits).toBe(5);
+    });
+
+    test('writes the file with the requested permissions', async () => {
+        if (process.platform === 'win32') return;
+        const store = new CounterStore({ directory, fileMode: 0o600 });
+
+        await store.save();
+
+        expect((await fs.stat(store.getFilePath())).mode & 0o777).toBe(0o600);
+    });
+
+    test('keeps data in memory only without a directory', async () => {
+        const store = new CounterStore({ directory: null });
+
+        await store.load();
+        store.counters.visits = 2;
+        await store.save();
+
+        expect(store.loaded).toBe(true);
+        expect(store.counters).toEqual({ visits: 2 });
+    });
+});
@@ -0,0 +1,405 @@
+/**
+ * Manifest Socket - Builds a working business socket from a declarative socket.json / socket.yaml
+ *
+ * {
+ *   "name": "salon",
+ *   "displayName": "Salon",
+ *   "label": "Hair & Beauty Salons",
+ *   "color": "#c2185b",
+ *   "schemaType": "HairSalon",
+ *   "category": "Beauty",
+ *   "defaults": { "siteName": "Hair Salon", "services": ["Haircuts"] },
+ *   "postTypes": ["stylists"],
+ *   "taxonomies": ["specialties"],
+ *   "customFields": { "stylist_profile": ["years_experience"] },
+ *   "integrations": ["online_booking"],
+ *   "pages": ["home", "services", "contact"],
+ *   "keywords": { "primary": "salon {location|lower}", "secondary": [], "content": ["{location} salon"] },
+ *   "events": { "booking_request": { "description": "...", "schema": { "required": ["client_name"], "fields": { "client_name": "string" } } } },
+ *   "hooks": "./hooks.js"
+ * }
+ *
+ * Keyword templates interpolate socket config values: {location}, {siteName|lower}, ...
+ * Hooks modules export `events` (handlers keyed by event type) and optional
+ * `onInitialize`, `onActivate`, `onShutdown` functions; all run with `this` bound to the socket
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const yaml = require('js-yaml');
+const chalk = require('chalk');
+const BaseSocket = require('./base-socket');
+const { GENERAL_EVENTS } = require('./general-events');
+
+const MANIFEST_FILES = ['socket.json', 'socket.yaml', 'socket.yml'];
+const FIELD_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+const LIST_KEYS = ['postTypes', 'taxonomies', 'integrations', 'pages'];
+
+/**
+ * Replace {key} / {key|lower} placeholders with config values
+ */
+function interpolate(template, values) {
+    return String(template).replace(/\{(\w+)(?:\|(lower|upper))?\}/g, (match, key, filter) => {
+        if (values[key] === undefined || values[key] === null) return match;
+        const value = String(values[key]);
+        if (filter === 'lower') return value.toLowerCase();
+        if (filter === 'upper') return value.toUpperCase();
+        return value;
+    });
+}
+
+/**
+ * Check a parsed manifest and fill in defaults
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} source - File the manifest came from (for error messages)
+ */
+function normalizeManifest(manifest, source = 'socket manifest') {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        throw new Error(`${source} must be an object`);
+    }
+    if (typeof manifest.name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(manifest.name)) {
+        errors.push('name must be a lowercase identifier');
+    }
+
+    for (const key of LIST_KEYS) {
+        if (manifest[key] !== undefined && !Array.isArray(manifest[key])) {
+            errors.push(`${key} must be an array`);
+        }
+    }
+
+    if (manifest.customFields !== undefined) {
+        if (typeof manifest.customFields !== 'object' || Array.isArray(manifest.customFields)) {
+            errors.push('customFields must map field groups to arrays of field names');
+        } else {
+            for (const [group, fields] of Object.entries(manifest.customFields)) {
+                if (!Array.isArray(fields)) errors.push(`customFields.${group} must be an array`);
+            }
+        }
+    }
+
+    const events = manifest.events || {};
+    if (typeof events !== 'object' || Array.isArray(events)) {
+        errors.push('events must map event types to definitions');
+    } else {
+        for (const [eventType, definition] of Object.entries(events)) {
+            const schema = (definition && definition.schema) || {};
+            if (schema.required !== undefined && !Array.isArray(schema.required)) {
+                errors.push(`events.${eventType}.schema.required must be an array`);
+            }
+            for (const [field, type] of Object.entries(schema.fields || {})) {
+                if (!FIELD_TYPES.includes(type)) {
+                    errors.push(`events.${eventType}.schema.fields.${field} has unknown type '${type}'`);
+                }
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const displayName = manifest.displayName || manifest.name.charAt(0).toUpperCase() + manifest.name.slice(1);
+    const keywords = manifest.keywords || {};
+
+    return {
+        name: manifest.name,
+        displayName,
+        label: manifest.label || displayName,
+        description: manifest.description || '',
+        color: manifest.color || null,
+        category: manifest.category || displayName,
+        schemaType: manifest.schemaType || 'LocalBusiness',
+        theme: manifest.theme || `${manifest.name}-professional`,
+        defaults: manifest.defaults || {},
+        postTypes: manifest.postTypes || [],
+        taxonomies: manifest.taxonomies || [],
+        customFields: manifest.customFields || {},
+        integrations: manifest.integrations || [],
+        features: manifest.features || manifest.integrations || [],
+        plugins: manifest.plugins || [],
+        pages: manifest.pages || ['home', 'about', 'services', 'contact'],
+        keywords: {
+            primary: keywords.primary || `${manifest.name} {location|lower}`,
+            secondary: keywords.secondary || [],
+            content: keywords.content || []
+        },
+        events: events,
+        hooks: manifest.hooks || null
+    };
+}
+
+/**
+ * Find the manifest file in a socket directory, or null if there is none
+ */
+function findManifestFile(directory) {
+    for (const fileName of MANIFEST_FILES) {
+        const filePath = path.join(directory, fileName);
+        if (fsSync.existsSync(filePath)) return filePath;
+    }
+    return null;
+}
+
+/**
+ * Read and normalize the manifest in a socket directory
+ */
+function loadSocketManifest(directory) {
+    const filePath = findManifestFile(directory);
+    if (!filePath) {
+        throw new Error(`No socket manifest found in ${directory}`);
+    }
+
+    const contents = fsSync.readFileSync(filePath, 'utf8');
+    let manifest;
+    try {
+        manifest = filePath.endsWith('.json') ? JSON.parse(contents) : yaml.load(contents);
+    } catch (error) {
+        throw new Error(`Could not parse ${filePath}: ${error.message}`);
+    }
+
+    return normalizeManifest(manifest, filePath);
+}
+
+/**
+ * Validate event data against a manifest event schema; returns a list of problems
+ */
+function validateEventData(schema = {}, data = {}) {
+    const problems = [];
+
+    for (const field of schema.required || []) {
+        if (data[field] === undefined || data[field] === null || data[field] === '') {
+            problems.push(`${field} is required`);
+        }
+    }
+
+    for (const [field, type] of Object.entries(schema.fields || {})) {
+        const value = data[field];
+        if (value === undefined || value === null) continue;
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== type) {
+            problems.push(`${field} must be ${type === 'array' ? 'an array' : `a ${type}`}`);
+        }
+    }
+
+    return problems;
+}
+
+class ManifestSocket extends BaseSocket {
+    /**
+     * @param {Object} manifest - Normalized socket manifest
+     * @param {Object} config - Caller configuration
+     * @param {Object} hooks - Optional hooks module
+     */
+    constructor(manifest, config = {}, hooks = {}) {
+        super(manifest.name, config, manifest.defaults);
+        this.manifest = manifest;
+        this.hooks = hooks || {};
+        this.displayName = manifest.displayName;
+        this.directoryConfig = {
+            postTypes: manifest.postTypes,
+            taxonomies: manifest.taxonomies,
+            customFields: manifest.customFields,
+            integrations: manifest.integrations
+        };
+    }
+
+    async initialize() {
+        await super.initialize();
+        if (typeof this.hooks.onInitialize === 'function') {
+            await this.hooks.onInitialize.call(this);
+        }
+    }
+
+    async loadTemplates() {
+        this.templates = {
+            pages: this.manifest.pages,
+            services: this.config.services,
+            content: {
+                seoKeywords: this.manifest.keywords.content.map(keyword => interpolate(keyword, this.config))
+            }
+        };
+    }
+
+    async setupSEOConfig() {
+        this.seoConfig = {
+            localSEO: {
+                businessType: this.displayName,
+                category: this.manifest.category,
+                location: this.config.location,
+                schema: this.manifest.schemaType
+            },
+            keywords: {
+                primary: interpolate(this.manifest.keywords.primary, this.config),
+                secondary: this.manifest.keywords.secondary.map(keyword => interpolate(keyword, this.config))
+            }
+        };
+    }
+
+    /**
+     * Event types declared by the manifest
+     */
+    getEventTypes() {
+        return Object.keys(this.manifest.events);
+    }
+
+    /**
+     * Validate declared events against their schema, then run the hook or the default handler;
+     * general events the manifest does not declare go to the shared BaseSocket handler
+     */
+    async handleEvent(event) {
+        const definition = this.manifest.events[event.type];
+        if (!definition) {
+            if (GENERAL_EVENTS[event.type]) {
+                return await super.handleEvent(event);
+            }
+            throw new Error(`Unknown ${this.businessType} event type: ${event.type}`);
+        }
+
+        const problems = validateEventData(definition.schema, event.data || {});
+        if (problems.length > 0) {
+            throw new Error(`Invalid ${event.type} data: ${problems.join(', ')}`);
+        }
+
+        return await super.handleEvent(event);
+    }
+
+    getEventHandlers() {
+        const handlers = {};
+        const hookEvents = this.hooks.events || {};
+
+        for (const eventType of this.getEventTypes()) {
+            handlers[eventType] = typeof hookEvents[eventType] === 'function'
+                ? hookEvents[eventType]
+                : (data, event) => this.recordEvent(eventType, data, event);
+        }
+        // Hooks may also take over general events
+        for (const eventType of Object.keys(GENERAL_EVENTS)) {
+            if (!handlers[eventType] && typeof hookEvents[eventType] === 'function') {
+                handlers[eventType] = hookEvents[eventType];
+            }
+        }
+        return handlers;
+    }
+
+    /**
+     * Generate the website structure described by the manifest
+     */
+    async generateWebsite() {
+        if (!this.isInitialized) {
+            throw new Error('Socket not initialized. Call initialize() first.');
+        }
+
+        const websiteStructure = {
+            theme: this.manifest.theme,
+            pages: this.templates.pages,
+            postTypes: this.directoryConfig.postTypes,
+            taxonomies: this.directoryConfig.taxonomies,
+            customFields: this.directoryConfig.customFields,
+            seo: this.seoConfig,
+            plugins: this.manifest.plugins
+        };
+
+        this.emit('website:generated', websiteStructure);
+        return websiteStructure;
+    }
+
+    async activate() {
+        await super.activate();
+        if (typeof this.hooks.onActivate === 'function') {
+            await this.hooks.onActivate.call(this);
+        }
+    }
+
+    async shutdown() {
+        if (typeof this.hooks.onShutdown === 'function') {
+            await this.hooks.onShutdown.call(this);
+        }
+        await super.shutdown();
+    }
+
+    exportState() {
+        return { directoryConfig: this.directoryConfig };
+    }
+
+    importState(data) {
+        this.directoryConfig = { ...this.directoryConfig, ...data.directoryConfig };
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            manifest: true,
+            eventTypes: this.getEventTypes(),
+            postTypes: this.directoryConfig.postTypes.length
+        };
+    }
+}
+
+/**
+ * Create a socket class for a manifest so it can be instantiated like a hand-written socket
+ */
+function createManifestSocketClass(manifest, hooks = {}) {
+    class DeclarativeSocket extends ManifestSocket {
+        constructor(config = {}) {
+            super(manifest, config, hooks);
+        }
+    }
+    Object.defineProperty(DeclarativeSocket, 'name', { value: `${manifest.displayName.replace(/\W/g, '')}Socket` });
+    DeclarativeSocket.manifest = manifest;
+    DeclarativeSocket.metadata = {
+        name: manifest.label,
+        description: manifest.description,
+        color: manifest.color,
+        features: manifest.features,
+        events: manifest.events
+    };
+
+    return DeclarativeSocket;
+}
+
+/**
+ * Resolve the socket class for a socket directory: index.js wins, otherwise the manifest
+ * (plus its optional hooks module) is turned into a class
+ */
+function resolveSocketClass(directory) {
+    const modulePath = path.join(directory, 'index.js');
+    if (fsSync.existsSync(modulePath)) {
+        return require(modulePath);
+    }
+
+    const manifest = loadSocketManifest(directory);
+    let hooks = {};
+    const hooksPath = manifest.hooks
+        ? path.resolve(directory, manifest.hooks)
+        : path.join(directory, 'hooks.js');
+
+    if (fsSync.existsSync(hooksPath)) {
+        hooks = require(hooksPath);
+    } else if (manifest.hooks) {
+        throw new Error(`Hooks module ${hooksPath} for socket '${manifest.name}' not found`);
+    }
+
+    console.log(chalk.gray(`📄 Building ${manifest.name} socket from manifest`));
+    return createManifestSocketClass(manifest, hooks);
+}
+
+/**
+ * Whether a directory contains a loadable socket (module or manifest)
+ */
+function isSocketDirectory(directory) {
+    return fsSync.existsSync(path.join(directory, 'index.js')) || findManifestFile(directory) !== null;
+}
+
+module.exports = {
+    ManifestSocket,
+    MANIFEST_FILES,
+    normalizeManifest,
+    loadSocketManifest,
+    validateEventData,
+    createManifestSocketClass,
+    resolveSocketClass,
+    isSocketDirectory,
+    interpolate
+};
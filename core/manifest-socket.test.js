@@ -0,0 +1,71 @@
+const socketRegistry = require('./socket-registry');
+const { GENERAL_EVENTS } = require('./general-events');
+const { normalizeManifest, createManifestSocketClass } = require('./manifest-socket');
+
+function createSocket(hooks = {}) {
+    const manifest = normalizeManifest({
+        name: 'florist',
+        displayName: 'Florist',
+        events: {
+            bouquet_order: {
+                description: 'Order a bouquet',
+                schema: { required: ['customer_name'], fields: { customer_name: 'string', stems: 'number' } }
+            }
+        }
+    });
+    const SocketClass = createManifestSocketClass(manifest, hooks);
+    return new SocketClass();
+}
+
+describe('ManifestSocket events', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test.each(Object.keys(GENERAL_EVENTS))('handles the general %s event the registry advertises', async eventType => {
+        expect(socketRegistry.getEventTypes('salon')).toContain(eventType);
+
+        const SalonSocket = socketRegistry.getSocketClass('salon');
+        const socket = new SalonSocket();
+        const received = jest.fn();
+        socket.on(`event:${eventType}`, received);
+
+        const result = await socket.handleEvent({ type: eventType, data: GENERAL_EVENTS[eventType].sampleData });
+
+        expect(result).toMatchObject({ success: true, message: `Handled ${eventType} event` });
+        expect(received).toHaveBeenCalledWith(expect.objectContaining({ type: eventType, data: GENERAL_EVENTS[eventType].sampleData }));
+    });
+
+    test('lets hooks take over a general event', async () => {
+        const socket = createSocket({
+            events: {
+                review_submitted(data) {
+                    return { success: true, message: `Review for ${data.listingId} held for moderation` };
+                }
+            }
+        });
+
+        const result = await socket.handleEvent({ type: 'review_submitted', data: { listingId: 'listing_001', rating: 5 } });
+
+        expect(result.message).toBe('Review for listing_001 held for moderation');
+    });
+
+    test('validates declared events against their schema', async () => {
+        const socket = createSocket();
+
+        await expect(socket.handleEvent({ type: 'bouquet_order', data: { stems: '12' } }))
+            .rejects.toThrow('Invalid bouquet_order data: customer_name is required, stems must be a number');
+        await expect(socket.handleEvent({ type: 'bouquet_order', data: { customer_name: 'Ada', stems: 12 } }))
+            .resolves.toMatchObject({ success: true });
+    });
+
+    test('rejects events that are neither declared nor general', async () => {
+        const socket = createSocket();
+
+        await expect(socket.handleEvent({ type: 'table_booking', data: {} })).rejects.toThrow('Unknown florist event type: table_booking');
+    });
+});
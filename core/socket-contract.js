@@ -0,0 +1,129 @@
+/**
+ * Socket Contract - Validates that a business socket implements the lifecycle
+ * the builder and server rely on before it is registered
+ */
+
+const EventEmitter = require('events');
+const chalk = require('chalk');
+const BaseSocket = require('./base-socket');
+
+// Methods every socket must provide, with the minimum number of declared parameters
+const REQUIRED_METHODS = {
+    initialize: 0,
+    handleEvent: 1,
+    activate: 0,
+    pause: 0,
+    exportData: 0,
+    importData: 1,
+    getStatus: 0,
+    shutdown: 0
+};
+
+// Methods the builder and server call when present
+const OPTIONAL_METHODS = ['deactivate', 'initializeLogic', 'generateWebsite', 'attachServices'];
+
+/**
+ * Validate a socket class before it is instantiated
+ * @param {Function} SocketClass - Value exported by the socket module
+ * @param {string} businessType - Socket type being loaded
+ */
+function validateSocketClass(SocketClass, businessType) {
+    const errors = [];
+
+    if (typeof SocketClass !== 'function') {
+        errors.push(`Socket module for '${businessType}' must export a class, got ${typeof SocketClass}`);
+    } else if (!SocketClass.prototype) {
+        errors.push(`Socket export for '${businessType}' is not constructible`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings: [] };
+}
+
+/**
+ * Validate a socket instance against the lifecycle contract
+ * @param {Object} socket - Socket instance
+ * @param {string} businessType - Socket type the instance is registered under
+ * @returns {Object} { valid, errors, warnings }
+ */
+function validateSocket(socket, businessType) {
+    const errors = [];
+    const warnings = [];
+
+    if (!socket || typeof socket !== 'object') {
+        errors.push('Socket instance must be an object');
+        return { valid: false, errors, warnings };
+    }
+
+    if (typeof socket.businessType !== 'string' || !socket.businessType) {
+        errors.push('businessType must be a non-empty string');
+    } else if (businessType && socket.businessType !== businessType) {
+        errors.push(`businessType '${socket.businessType}' does not match socket '${businessType}'`);
+    }
+
+    if (!socket.config || typeof socket.config !== 'object') {
+        errors.push('config must be an object');
+    }
+
+    for (const [method, arity] of Object.entries(REQUIRED_METHODS)) {
+        if (socket[method] === undefined) {
+            errors.push(`Missing required method ${method}()`);
+        } else if (typeof socket[method] !== 'function') {
+            errors.push(`${method} must be a function, got ${typeof socket[method]}`);
+        } else if (socket[method].length < arity) {
+            warnings.push(`${method}() should accept ${arity} argument(s)`);
+        }
+    }
+
+    for (const method of OPTIONAL_METHODS) {
+        if (socket[method] !== undefined && typeof socket[method] !== 'function') {
+            errors.push(`${method} must be a function, got ${typeof socket[method]}`);
+        }
+    }
+
+    if (!(socket instanceof EventEmitter)) {
+        warnings.push('Socket does not extend EventEmitter; lifecycle events will not be observable');
+    } else if (!(socket instanceof BaseSocket)) {
+        warnings.push('Socket does not extend BaseSocket');
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Throw when a validation report has errors
+ */
+function assertValid(report, businessType) {
+    if (report.valid) return;
+
+    const error = new Error(`Socket '${businessType}' violates the socket contract:\n  - ${report.errors.join('\n  - ')}`);
+    error.code = 'SOCKET_CONTRACT';
+    error.validation = report;
+    throw error;
+}
+
+/**
+ * Instantiate a socket class, check it against the contract and initialize it
+ * @param {Function} SocketClass - Socket class
+ * @param {string} businessType - Socket type the instance is registered under
+ * @param {Object} config - Configuration passed to the constructor
+ */
+async function createValidatedSocket(SocketClass, businessType, config = {}) {
+    assertValid(validateSocketClass(SocketClass, businessType), businessType);
+
+    const socket = new SocketClass(config);
+    const report = validateSocket(socket, businessType);
+    assertValid(report, businessType);
+    report.warnings.forEach(warning => console.warn(chalk.yellow(`⚠️ ${businessType} socket: ${warning}`)));
+
+    await socket.initialize();
+    return socket;
+}
+
+module.exports = {
+    REQUIRED_METHODS,
+    OPTIONAL_METHODS,
+    validateSocketClass,
+    validateSocket,
+    assertValid,
+    createValidatedSocket
+};
@@ -0,0 +1,100 @@
+const EventEmitter = require('events');
+const BaseSocket = require('./base-socket');
+const { validateSocket, validateSocketClass, createValidatedSocket } = require('./socket-contract');
+
+class BakerySocket extends BaseSocket {
+    constructor(config = {}) {
+        super('bakery', config);
+    }
+}
+
+describe('socket contract', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    test('accepts sockets built on BaseSocket without warnings', () => {
+        expect(validateSocket(new BakerySocket(), 'bakery')).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    test('lists every way a socket breaks the contract', () => {
+        const socket = {
+            businessType: 'bakery',
+            config: null,
+            initialize: async () => {},
+            handleEvent: 'not a function',
+            activate: async () => {},
+            pause: async () => {},
+            exportData: async () => ({}),
+            importData: async () => {},
+            getStatus: () => ({}),
+            generateWebsite: true
+        };
+
+        const report = validateSocket(socket, 'cafe');
+
+        expect(report.valid).toBe(false);
+        expect(report.errors).toEqual([
+            "businessType 'bakery' does not match socket 'cafe'",
+            'config must be an object',
+            'handleEvent must be a function, got string',
+            'Missing required method shutdown()',
+            'generateWebsite must be a function, got boolean'
+        ]);
+        expect(report.warnings).toEqual([
+            'importData() should accept 1 argument(s)',
+            'Socket does not extend EventEmitter; lifecycle events will not be observable'
+        ]);
+    });
+
+    test('warns about EventEmitter sockets that do not extend BaseSocket', () => {
+        class LegacySocket extends EventEmitter {
+            constructor() {
+                super();
+                this.businessType = 'bakery';
+                this.config = {};
+            }
+        }
+        for (const method of ['initialize', 'activate', 'pause', 'exportData', 'getStatus', 'shutdown']) {
+            LegacySocket.prototype[method] = async function () {};
+        }
+        LegacySocket.prototype.handleEvent = async function (event) { return event; };
+        LegacySocket.prototype.importData = async function (data) { return data; };
+
+        expect(validateSocket(new LegacySocket(), 'bakery')).toEqual({
+            valid: true,
+            errors: [],
+            warnings: ['Socket does not extend BaseSocket']
+        });
+    });
+
+    test('refuses modules that do not export a class', () => {
+        expect(validateSocketClass({ BakerySocket }, 'bakery').errors).toEqual([
+            "Socket module for 'bakery' must export a class, got object"
+        ]);
+        expect(validateSocketClass(() => {}, 'bakery').errors).toEqual([
+            "Socket export for 'bakery' is not constructible"
+        ]);
+    });
+
+    test('initializes valid sockets and throws SOCKET_CONTRACT before initializing invalid ones', async () => {
+        const socket = await createValidatedSocket(BakerySocket, 'bakery', { siteName: 'Crumbs' });
+        const initialize = jest.spyOn(BakerySocket.prototype, 'initialize');
+
+        expect(socket.isInitialized).toBe(true);
+        expect(socket.config.siteName).toBe('Crumbs');
+        await expect(createValidatedSocket(BakerySocket, 'cafe')).rejects.toMatchObject({
+            code: 'SOCKET_CONTRACT',
+            message: "Socket 'cafe' violates the socket contract:\n  - businessType 'bakery' does not match socket 'cafe'",
+            validation: { valid: false }
+        });
+        expect(initialize).not.toHaveBeenCalled();
+        initialize.mockRestore();
+    });
+});
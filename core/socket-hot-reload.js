@@ -0,0 +1,118 @@
+/**
+ * Socket Hot Reload - Watches socket directories and hands state from an old socket
+ * instance to a freshly loaded one without restarting the process
+ */
+
+const EventEmitter = require('events');
+const fsSync = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const WATCHED_EXTENSIONS = ['.js', '.json', '.yaml', '.yml'];
+
+class SocketWatcher extends EventEmitter {
+    /**
+     * @param {SocketRegistry} registry - Registry whose socket directories are watched
+     * @param {Object} options - Watcher options
+     * @param {number} options.debounce - Quiet period before a change is reported (ms)
+     */
+    constructor(registry, options = {}) {
+        super();
+        this.registry = registry;
+        this.debounce = options.debounce !== undefined ? options.debounce : 300;
+        this.watchers = new Map(); // socketType -> fs.FSWatcher
+        this.pending = new Map(); // socketType -> { timer, files }
+    }
+
+    /**
+     * Watch every registered socket directory
+     */
+    start() {
+        for (const entry of this.registry.list()) {
+            this.watch(entry);
+        }
+        return this;
+    }
+
+    watch(entry) {
+        if (this.watchers.has(entry.type)) return;
+
+        const onChange = (eventType, filename) => this.schedule(entry.type, filename);
+        let watcher;
+        try {
+            watcher = fsSync.watch(entry.directory, { recursive: true }, onChange);
+        } catch (error) {
+            // Recursive watching is not available on every platform
+            watcher = fsSync.watch(entry.directory, onChange);
+        }
+
+        watcher.on('error', (error) => {
+            console.warn(chalk.yellow(`⚠️ Stopped watching ${entry.type} socket: ${error.message}`));
+            this.unwatch(entry.type);
+        });
+        this.watchers.set(entry.type, watcher);
+    }
+
+    unwatch(socketType) {
+        const watcher = this.watchers.get(socketType);
+        if (watcher) {
+            watcher.close();
+            this.watchers.delete(socketType);
+        }
+
+        const pending = this.pending.get(socketType);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pending.delete(socketType);
+        }
+    }
+
+    /**
+     * Collapse a burst of file events into one change notification
+     */
+    schedule(socketType, filename) {
+        if (filename && !WATCHED_EXTENSIONS.includes(path.extname(String(filename)))) return;
+
+        const pending = this.pending.get(socketType) || { timer: null, files: new Set() };
+        if (filename) pending.files.add(String(filename));
+        clearTimeout(pending.timer);
+
+        pending.timer = setTimeout(() => {
+            this.pending.delete(socketType);
+            this.emit('change', { socketType, files: Array.from(pending.files) });
+        }, this.debounce);
+        this.pending.set(socketType, pending);
+    }
+
+    stop() {
+        for (const socketType of Array.from(this.watchers.keys())) {
+            this.unwatch(socketType);
+        }
+    }
+}
+
+/**
+ * Move a running socket's state into its replacement
+ * Exports the old instance and imports the export into the new instance before shutting
+ * the old one down, so a failed import leaves the old instance running; the new instance
+ * is activated if the old one was active
+ * @returns {Object} The exported state
+ */
+async function transferSocketState(oldSocket, newSocket) {
+    const wasActive = oldSocket.status === 'active';
+    const state = await oldSocket.exportData();
+
+    await newSocket.importData(state);
+    await oldSocket.shutdown();
+
+    if (wasActive) {
+        await newSocket.activate();
+    }
+
+    return state;
+}
+
+module.exports = {
+    SocketWatcher,
+    transferSocketState
+};
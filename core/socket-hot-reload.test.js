@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+const { SocketWatcher, transferSocketState } = require('./socket-hot-reload');
+
+describe('SocketWatcher', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('reports a burst of file events as one change once the socket is quiet', () => {
+        const watcher = new SocketWatcher({ list: () => [] }, { debounce: 100 });
+        const changes = [];
+        watcher.on('change', change => changes.push(change));
+
+        watcher.schedule('pizza', 'index.js');
+        jest.advanceTimersByTime(60);
+        watcher.schedule('pizza', 'menu.json');
+        watcher.schedule('pizza', 'notes.txt');
+        watcher.schedule('gym', 'index.js');
+        jest.advanceTimersByTime(60);
+
+        expect(changes).toEqual([]);
+
+        jest.advanceTimersByTime(40);
+
+        expect(changes).toEqual([
+            { socketType: 'pizza', files: ['index.js', 'menu.json'] },
+            { socketType: 'gym', files: ['index.js'] }
+        ]);
+    });
+
+    test('drops pending changes for sockets it stops watching', () => {
+        const watcher = new SocketWatcher({ list: () => [] }, { debounce: 100 });
+        const onChange = jest.fn();
+        watcher.on('change', onChange);
+
+        watcher.schedule('pizza', 'index.js');
+        watcher.unwatch('pizza');
+        jest.advanceTimersByTime(100);
+
+        expect(onChange).not.toHaveBeenCalled();
+    });
+});
+
+describe('transferSocketState', () => {
+    function createSocket(status) {
+        const socket = new EventEmitter();
+        socket.status = status;
+        socket.exportData = jest.fn(async () => ({ businessType: 'pizza', orders: [] }));
+        socket.importData = jest.fn(async () => {});
+        socket.shutdown = jest.fn(async () => { socket.status = 'inactive'; });
+        socket.activate = jest.fn(async () => { socket.status = 'active'; });
+        return socket;
+    }
+
+    test('imports into the new socket before shutting the old one down', async () => {
+        const oldSocket = createSocket('active');
+        const newSocket = createSocket('inactive');
+
+        const state = await transferSocketState(oldSocket, newSocket);
+
+        expect(newSocket.importData).toHaveBeenCalledWith(state);
+        expect(newSocket.importData.mock.invocationCallOrder[0]).toBeLessThan(oldSocket.shutdown.mock.invocationCallOrder[0]);
+        expect([oldSocket.status, newSocket.status]).toEqual(['inactive', 'active']);
+    });
+
+    test('leaves the old socket running when the import fails', async () => {
+        const oldSocket = createSocket('active');
+        const newSocket = createSocket('inactive');
+        newSocket.importData.mockRejectedValue(new Error('Unreadable state'));
+
+        await expect(transferSocketState(oldSocket, newSocket)).rejects.toThrow('Unreadable state');
+
+        expect(oldSocket.shutdown).not.toHaveBeenCalled();
+        expect(oldSocket.status).toBe('active');
+        expect(newSocket.activate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,386 @@
+/**
+ * Socket Migration - Moves a business's data between sockets of different verticals
+ *
+ * A migration declares field mappings from paths in the source socket's export
+ * (config.practiceInfo.office_hours, catering, ...) to paths in the payload imported by
+ * the target socket, with an optional transform per field and before/after hooks.
+ * Mappings registered for a specific pair apply before those registered for '*'.
+ *
+ * Planning never touches either socket and reports what maps, what is dropped (no
+ * mapping to the target) and what conflicts (the target was configured with a different
+ * value, or two fields map to the same path). Conflicts keep the target's value unless
+ * onConflict is 'overwrite'; between two source fields the first mapping wins.
+ */
+
+const chalk = require('chalk');
+
+// Export keys that describe the export itself rather than business data
+const META_KEYS = ['businessType', 'config', 'status', 'exportedAt'];
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let target = object;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0) ||
+        (isPlainObject(value) && Object.keys(value).length === 0);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 'HH:MM' from '9', '9:30', '5pm' or '17:00'
+ */
+function toClock(value) {
+    const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) throw new Error(`Unrecognized time: ${value}`);
+
+    let hours = Number(match[1]);
+    if (match[3] === 'pm' && hours < 12) hours += 12;
+    if (match[3] === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || Number(match[2] || 0) > 59) throw new Error(`Unrecognized time: ${value}`);
+    return `${String(hours).padStart(2, '0')}:${match[2] || '00'}`;
+}
+
+function toWeekday(value) {
+    const day = WEEKDAYS.find(weekday => weekday.startsWith(String(value).trim().toLowerCase().slice(0, 3)));
+    if (!day) throw new Error(`Unrecognized day: ${value}`);
+    return day;
+}
+
+/**
+ * Built-in field transforms; a mapping may name one of these or supply a function
+ */
+const transforms = {
+    /**
+     * Weekly opening hours as { monday: { open, close } } from the same shape,
+     * { monday: '9:00-17:00' } or 'Mon-Fri 8am-5pm, Sat 9:00-13:00'
+     */
+    weeklyHours(value) {
+        const hours = {};
+        const addRange = (day, range) => {
+            if (/^closed$/i.test(String(range).trim())) return;
+            const [open, close] = String(range).split(/\s*[-–]\s*/);
+            if (!close) throw new Error(`Unrecognized hours for ${day}: ${range}`);
+            hours[day] = { open: toClock(open), close: toClock(close) };
+        };
+
+        if (isPlainObject(value)) {
+            for (const [day, range] of Object.entries(value)) {
+                if (isPlainObject(range)) {
+                    hours[toWeekday(day)] = { open: toClock(range.open), close: toClock(range.close) };
+                } else {
+                    addRange(toWeekday(day), range);
+                }
+            }
+            return hours;
+        }
+
+        for (const part of String(value).split(/[,;]/).map(entry => entry.trim()).filter(Boolean)) {
+            const match = part.match(/^([a-z]+)(?:\s*[-–]\s*([a-z]+))?:?\s+(.+)$/i);
+            if (!match) throw new Error(`Unrecognized hours: ${part}`);
+
+            const first = WEEKDAYS.indexOf(toWeekday(match[1]));
+            const last = match[2] ? WEEKDAYS.indexOf(toWeekday(match[2])) : first;
+            for (let index = first; ; index = (index + 1) % 7) {
+                addRange(WEEKDAYS[index], match[3]);
+                if (index === last) break;
+            }
+        }
+        return hours;
+    },
+
+    /**
+     * Array from an array or a comma-separated string
+     */
+    list(value) {
+        return Array.isArray(value) ? value : String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    },
+
+    string(value) {
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+};
+
+// Identity and WordPress target carry over between any two verticals
+const COMMON_FIELDS = [
+    { from: 'config.siteName', to: 'config.siteName' },
+    { from: 'config.location', to: 'config.location' },
+    { from: 'config.phone', to: 'config.phone' },
+    { from: 'config.email', to: 'config.email' },
+    { from: 'config.address', to: 'config.address' },
+    { from: 'config.website', to: 'config.website' },
+    { from: 'config.wordpress', to: 'config.wordpress' }
+];
+
+/**
+ * Practice details (dental practice_info custom fields) as restaurant profile and location fields
+ */
+function practiceToRestaurantFields(hoursPath) {
+    return [
+        { from: 'config.practiceInfo.practice_name', to: 'config.siteName' },
+        { from: 'config.practiceInfo.office_hours', to: hoursPath, transform: 'weeklyHours' },
+        { from: 'config.practiceInfo.office_hours', to: 'config.restaurantProfile.operating_hours', transform: 'weeklyHours' },
+        { from: 'config.practiceInfo.address', to: 'config.locationInfo.address' },
+        { from: 'config.practiceInfo.phone', to: 'config.locationInfo.phone' },
+        { from: 'config.practiceInfo.email', to: 'config.email' },
+        { from: 'config.practiceInfo.payment_methods', to: 'config.restaurantProfile.payment_methods', transform: 'list' },
+        { from: 'config.practiceInfo.parking_availability', to: 'config.locationInfo.parking_info', transform: 'string' },
+        {
+            from: 'config.practiceInfo.wheelchair_accessible',
+            to: 'config.locationInfo.accessibility_features',
+            transform: value => (value === true || /^(yes|true)$/i.test(String(value)) ? ['wheelchair_accessible'] : [])
+        }
+    ];
+}
+
+/**
+ * Catering quotes and packages move between the restaurant and pizza sockets unchanged
+ */
+function cateringFields(toType) {
+    return [
+        { from: 'config.businessHours', to: 'config.businessHours', transform: 'weeklyHours' },
+        { from: 'config.restaurantProfile', to: 'config.restaurantProfile' },
+        { from: 'config.locationInfo', to: 'config.locationInfo' },
+        { from: 'config.catering', to: 'config.catering' },
+        {
+            from: 'catering',
+            to: 'catering',
+            transform: state => ({
+                ...state,
+                quotes: (state.quotes || []).map(quote => ({ ...quote, businessType: toType }))
+            })
+        }
+    ];
+}
+
+const BUILT_IN_MIGRATIONS = [
+    { from: '*', to: '*', fields: COMMON_FIELDS },
+    { from: 'dental', to: 'pizza', fields: practiceToRestaurantFields('config.businessHours') },
+    { from: 'dental', to: 'restaurant', fields: practiceToRestaurantFields('config.businessHours') },
+    { from: 'pizza', to: 'restaurant', fields: cateringFields('restaurant') },
+    { from: 'restaurant', to: 'pizza', fields: cateringFields('pizza') }
+];
+
+class SocketMigrator {
+    /**
+     * @param {Object} options - Migrator options
+     * @param {boolean} options.builtIns - Register the built-in migrations (default true)
+     */
+    constructor(options = {}) {
+        this.migrations = [];
+        if (options.builtIns !== false) {
+            BUILT_IN_MIGRATIONS.forEach(migration => this.register(migration));
+        }
+    }
+
+    /**
+     * Register a migration
+     * @param {Object} migration - { from, to, fields: [{ from, to, transform }], hooks: { before, after } }
+     *   from/to are business types or '*'; transform is a built-in name or (value, context) => value;
+     *   before(exported, context) may return a replacement export, after(payload, report, context) may
+     *   return a replacement payload
+     */
+    register(migration) {
+        if (!migration.from || !migration.to) {
+            throw new Error('Migrations need a from and to business type (or \'*\')');
+        }
+        for (const field of migration.fields || []) {
+            if (!field.from || !field.to) {
+                throw new Error(`Migration ${migration.from} → ${migration.to} has a field without from/to paths`);
+            }
+            if (typeof field.transform === 'string' && !transforms[field.transform]) {
+                throw new Error(`Unknown migration transform: ${field.transform}`);
+            }
+        }
+
+        this.migrations.push({ fields: [], hooks: {}, ...migration });
+        return this;
+    }
+
+    /**
+     * Migrations that apply to a pair, most specific first
+     */
+    getMigrations(fromType, toType) {
+        const specificity = migration => (migration.from === fromType) + (migration.to === toType);
+        return this.migrations
+            .filter(migration => [fromType, '*'].includes(migration.from) && [toType, '*'].includes(migration.to))
+            .sort((a, b) => specificity(b) - specificity(a));
+    }
+
+    /**
+     * Work out the import payload for the target socket and report on every field
+     * @param {Object} exported - Source socket's exportData()
+     * @param {Object} options - { targetConfig (config the target was plugged with), onConflict: 'keep'|'overwrite' }
+     * @returns {Promise<Object>} { from, to, mapped, dropped, conflicts, errors, payload }
+     */
+    async plan(fromType, toType, exported, options = {}) {
+        const onConflict = options.onConflict || 'keep';
+        const targetExplicit = { config: options.targetConfig || {} };
+        const targetCurrent = { config: options.currentConfig || {} };
+        const context = { fromType, toType, options };
+        const migrations = this.getMigrations(fromType, toType);
+
+        let source = clone(exported);
+        for (const migration of migrations) {
+            if (typeof migration.hooks.before === 'function') {
+                source = (await migration.hooks.before(source, context)) || source;
+            }
+        }
+
+        const report = { from: fromType, to: toType, mapped: [], dropped: [], conflicts: [], errors: [] };
+        const payload = { businessType: toType, config: {}, migratedFrom: fromType, exportedAt: exported.exportedAt };
+        const written = new Map(); // target path -> source path that set it
+        const consumed = new Set();
+
+        for (const migration of migrations) {
+            for (const field of migration.fields) {
+                const raw = getPath(source, field.from);
+                if (isEmpty(raw)) continue;
+                consumed.add(field.from);
+
+                let value;
+                try {
+                    const transform = typeof field.transform === 'string' ? transforms[field.transform] : field.transform;
+                    value = transform ? await transform(clone(raw), context) : clone(raw);
+                } catch (error) {
+                    report.errors.push({ from: field.from, to: field.to, message: error.message });
+                    continue;
+                }
+
+                if (written.has(field.to)) {
+                    const earlier = getPath(payload, field.to);
+                    if (!sameValue(earlier, value)) {
+                        report.conflicts.push({
+                            path: field.to,
+                            sources: [written.get(field.to), field.from],
+                            existing: earlier,
+                            incoming: value,
+                            resolution: 'kept_first_mapping'
+                        });
+                    }
+                    continue;
+                }
+
+                const configured = getPath(targetExplicit, field.to);
+                if (configured !== undefined && !sameValue(configured, value)) {
+                    report.conflicts.push({
+                        path: field.to,
+                        sources: [field.from],
+                        existing: configured,
+                        incoming: value,
+                        resolution: onConflict === 'overwrite' ? 'overwrote_target' : 'kept_target'
+                    });
+                    if (onConflict !== 'overwrite') continue;
+                }
+
+                // Nested config values are merged into the target's current settings
+                const topKey = field.to.split('.').slice(0, 2).join('.');
+                if (field.to.startsWith('config.') && topKey !== field.to && getPath(payload, topKey) === undefined &&
+                    isPlainObject(getPath(targetCurrent, topKey))) {
+                    setPath(payload, topKey, clone(getPath(targetCurrent, topKey)));
+                }
+
+                setPath(payload, field.to, value);
+                written.set(field.to, field.from);
+                report.mapped.push({ from: field.from, to: field.to, value });
+            }
+        }
+
+        report.dropped = this.findDropped(source, consumed, toType);
+
+        let finalPayload = payload;
+        for (const migration of migrations) {
+            if (typeof migration.hooks.after === 'function') {
+                finalPayload = (await migration.hooks.after(finalPayload, report, context)) || finalPayload;
+            }
+        }
+        report.payload = finalPayload;
+        return report;
+    }
+
+    /**
+     * Source data no mapping reads: config keys (or keys inside partly mapped config groups)
+     * and socket state such as appointments or orders
+     */
+    findDropped(source, consumed, toType) {
+        const isConsumed = dottedPath => Array.from(consumed).some(entry =>
+            entry === dottedPath || entry.startsWith(`${dottedPath}.`) || dottedPath.startsWith(`${entry}.`));
+        const dropped = [];
+        const drop = dottedPath => {
+            if (!isConsumed(dottedPath)) {
+                dropped.push({ path: dottedPath, reason: `No mapping to ${toType}` });
+            }
+        };
+
+        for (const [key, value] of Object.entries(source.config || {})) {
+            if (isEmpty(value)) continue;
+            const group = `config.${key}`;
+            if (isPlainObject(value) && Array.from(consumed).some(entry => entry.startsWith(`${group}.`))) {
+                Object.keys(value).filter(subKey => !isEmpty(value[subKey])).forEach(subKey => drop(`${group}.${subKey}`));
+            } else {
+                drop(group);
+            }
+        }
+        for (const [key, value] of Object.entries(source)) {
+            if (!META_KEYS.includes(key) && !isEmpty(value)) drop(key);
+        }
+        return dropped;
+    }
+
+    /**
+     * One-line summary of a plan for logs
+     */
+    summarize(report) {
+        return `${report.mapped.length} mapped, ${report.dropped.length} dropped, ` +
+            `${report.conflicts.length} conflict(s), ${report.errors.length} error(s)`;
+    }
+
+    /**
+     * Print a plan as a dry-run report
+     */
+    printReport(report) {
+        console.log(chalk.blue(`🧭 Migration ${report.from} → ${report.to}: ${this.summarize(report)}`));
+        for (const entry of report.mapped) {
+            console.log(chalk.green(`   ✔ ${entry.from} → ${entry.to}`));
+        }
+        for (const entry of report.conflicts) {
+            console.log(chalk.yellow(`   ⚠ ${entry.path}: ${entry.sources.join(', ')} (${entry.resolution.replace(/_/g, ' ')})`));
+        }
+        for (const entry of report.errors) {
+            console.log(chalk.red(`   ✖ ${entry.from} → ${entry.to}: ${entry.message}`));
+        }
+        for (const entry of report.dropped) {
+            console.log(chalk.gray(`   – ${entry.path} (${entry.reason})`));
+        }
+    }
+}
+
+module.exports = {
+    SocketMigrator,
+    transforms,
+    BUILT_IN_MIGRATIONS
+};
@@ -0,0 +1,122 @@
+const { SocketMigrator, transforms } = require('./socket-migration');
+
+const DENTAL_EXPORT = {
+    businessType: 'dental',
+    config: {
+        siteName: 'Dental Practice',
+        phone: '555-0100',
+        practiceInfo: {
+            practice_name: 'Bright Smiles',
+            office_hours: 'Mon-Fri 8am-5pm, Sat 9:00-13:00, Sun closed',
+            payment_methods: 'Cash, Card',
+            wheelchair_accessible: 'yes',
+            insurance_networks: ['Delta']
+        },
+        specialties: ['orthodontics']
+    },
+    appointments: [{ id: 'apt_1' }],
+    status: 'active',
+    exportedAt: '2030-01-01T00:00:00.000Z'
+};
+
+describe('transforms', () => {
+    test('reads weekly hours from text, ranges per day or open/close pairs', () => {
+        const weekdays = { open: '08:00', close: '17:00' };
+
+        expect(transforms.weeklyHours('Mon-Fri 8am-5pm, Sat 9:00-13:00, Sun closed')).toEqual({
+            monday: weekdays, tuesday: weekdays, wednesday: weekdays, thursday: weekdays, friday: weekdays,
+            saturday: { open: '09:00', close: '13:00' }
+        });
+        expect(transforms.weeklyHours('Fri-Sun 11am-12am')).toEqual({
+            friday: { open: '11:00', close: '00:00' },
+            saturday: { open: '11:00', close: '00:00' },
+            sunday: { open: '11:00', close: '00:00' }
+        });
+        expect(transforms.weeklyHours({ Mon: '9-5pm', tuesday: { open: '10am', close: '18:30' } })).toEqual({
+            monday: { open: '09:00', close: '17:00' },
+            tuesday: { open: '10:00', close: '18:30' }
+        });
+        expect(() => transforms.weeklyHours('Funday 9-5')).toThrow('Unrecognized day: Funday');
+        expect(() => transforms.weeklyHours({ monday: '9am' })).toThrow('Unrecognized hours for monday: 9am');
+    });
+});
+
+describe('SocketMigrator', () => {
+    test('maps practice details to restaurant fields and reports what is left behind', async () => {
+        const report = await new SocketMigrator().plan('dental', 'pizza', DENTAL_EXPORT);
+
+        expect(report.payload).toMatchObject({
+            businessType: 'pizza',
+            migratedFrom: 'dental',
+            config: {
+                siteName: 'Bright Smiles',
+                phone: '555-0100',
+                businessHours: expect.objectContaining({ saturday: { open: '09:00', close: '13:00' } }),
+                restaurantProfile: { payment_methods: ['Cash', 'Card'] },
+                locationInfo: { accessibility_features: ['wheelchair_accessible'] }
+            }
+        });
+        expect(report.payload.config.businessHours).not.toHaveProperty('sunday');
+        expect(report.conflicts).toEqual([expect.objectContaining({
+            path: 'config.siteName',
+            sources: ['config.practiceInfo.practice_name', 'config.siteName'],
+            resolution: 'kept_first_mapping'
+        })]);
+        expect(report.dropped.map(entry => entry.path)).toEqual([
+            'config.practiceInfo.insurance_networks',
+            'config.specialties',
+            'appointments'
+        ]);
+    });
+
+    test('keeps values the target was configured with unless asked to overwrite them', async () => {
+        const migrator = new SocketMigrator();
+        const targetConfig = { phone: '555-0199' };
+
+        const kept = await migrator.plan('dental', 'pizza', DENTAL_EXPORT, { targetConfig });
+        const overwritten = await migrator.plan('dental', 'pizza', DENTAL_EXPORT, { targetConfig, onConflict: 'overwrite' });
+
+        expect(kept.payload.config).not.toHaveProperty('phone');
+        expect(kept.conflicts).toContainEqual(expect.objectContaining({ path: 'config.phone', existing: '555-0199', incoming: '555-0100', resolution: 'kept_target' }));
+        expect(overwritten.payload.config.phone).toBe('555-0100');
+        expect(overwritten.conflicts).toContainEqual(expect.objectContaining({ path: 'config.phone', resolution: 'overwrote_target' }));
+    });
+
+    test('merges nested mappings into the settings the target already has', async () => {
+        const report = await new SocketMigrator().plan('dental', 'restaurant', DENTAL_EXPORT, {
+            currentConfig: { restaurantProfile: { cuisine_type: 'Italian' } }
+        });
+
+        expect(report.payload.config.restaurantProfile).toEqual({
+            cuisine_type: 'Italian',
+            payment_methods: ['Cash', 'Card'],
+            operating_hours: expect.objectContaining({ monday: { open: '08:00', close: '17:00' } })
+        });
+    });
+
+    test('runs registered mappings and hooks before the generic ones and reports failed transforms', async () => {
+        const migrator = new SocketMigrator();
+        const after = jest.fn(payload => ({ ...payload, hooked: true }));
+        migrator.register({
+            from: 'dental',
+            to: 'gym',
+            fields: [
+                { from: 'config.practiceInfo.practice_name', to: 'config.siteName', transform: name => `${name} Fitness` },
+                { from: 'appointments', to: 'classes', transform: () => { throw new Error('Appointments are not classes'); } }
+            ],
+            hooks: {
+                before: exported => ({ ...exported, config: { ...exported.config, siteName: undefined } }),
+                after
+            }
+        });
+
+        const report = await migrator.plan('dental', 'gym', DENTAL_EXPORT);
+
+        expect(report.payload).toMatchObject({ hooked: true, config: { siteName: 'Bright Smiles Fitness' } });
+        expect(report.conflicts).toEqual([]);
+        expect(report.errors).toEqual([{ from: 'appointments', to: 'classes', message: 'Appointments are not classes' }]);
+        expect(after).toHaveBeenCalledWith(expect.any(Object), report, expect.objectContaining({ fromType: 'dental', toType: 'gym' }));
+        expect(() => migrator.register({ from: 'dental', to: 'gym', fields: [{ from: 'a', to: 'b', transform: 'upper' }] }))
+            .toThrow('Unknown migration transform: upper');
+    });
+});
@@ -0,0 +1,360 @@
+/**
+ * Socket Registry - Single source of truth for the business sockets available to the system
+ * Discovers sockets and exposes their metadata and event schemas to the builder, server,
+ * protocol and CLI
+ *
+ * Discovery order (the first socket registered for a type wins):
+ *   1. Built-in sockets in sockets/<type>/
+ *   2. Configured paths (options.paths or WP_SOCKET_PATH, separated by path.delimiter);
+ *      each path is a socket directory or a directory of socket directories
+ *   3. Packages in node_modules named wp-socket-<type> or @scope/wp-socket-<type>;
+ *      package.json may set { "wpSocket": { "type": "vet", "directory": "./socket" } }
+ *
+ * Socket metadata comes from the class's static `metadata` (or the socket manifest):
+ *   { name, description, color, features, events: { eventType: { description, fields, sampleData } } }
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const fsSync = require('fs');
+const chalk = require('chalk');
+const { resolveSocketClass, isSocketDirectory } = require('./manifest-socket');
+const { GENERAL_EVENTS } = require('./general-events');
+
+const PACKAGE_PATTERN = /^(?:@[^/]+\/)?wp-socket-([a-z][a-z0-9_-]*)$/;
+const DEFAULT_COLOR = '#8c8f94';
+
+/**
+ * Normalize an event definition into { description, admin, fields, schema, sampleData }
+ * Accepts either CLI-style `fields` arrays or manifest-style `schema: { required, fields }`
+ * Events marked `admin: true` are only accepted from authenticated administrators
+ */
+function normalizeEvent(eventType, definition = {}) {
+    let fields = definition.fields;
+
+    if (!Array.isArray(fields)) {
+        const schema = definition.schema || {};
+        const required = schema.required || [];
+        fields = Object.entries(schema.fields || {}).map(([name, type]) => ({
+            name,
+            type,
+            required: required.includes(name),
+            description: name.replace(/_/g, ' ')
+        }));
+        for (const name of required) {
+            if (!fields.some(field => field.name === name)) {
+                fields.push({ name, type: 'string', required: true, description: name.replace(/_/g, ' ') });
+            }
+        }
+    }
+
+    return {
+        description: definition.description || eventType.replace(/_/g, ' '),
+        admin: definition.admin === true,
+        fields,
+        schema: {
+            required: fields.filter(field => field.required).map(field => field.name),
+            fields: Object.fromEntries(fields.map(field => [field.name, field.type]))
+        },
+        sampleData: definition.sampleData || {}
+    };
+}
+
+class SocketRegistry extends EventEmitter {
+    /**
+     * @param {Object} options - Registry options
+     * @param {string} options.directory - Built-in sockets directory
+     * @param {Array<string>} options.paths - Extra socket paths
+     * @param {string|null} options.nodeModules - node_modules directory to scan (null disables package discovery)
+     */
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || path.join(__dirname, '..', 'sockets');
+        this.paths = options.paths || (process.env.WP_SOCKET_PATH || '').split(path.delimiter).filter(Boolean);
+        this.nodeModules = options.nodeModules !== undefined
+            ? options.nodeModules
+            : path.join(__dirname, '..', 'node_modules');
+        this.entries = new Map();
+        this.discovered = false;
+    }
+
+    /**
+     * Scan every source and register the sockets found
+     */
+    discover() {
+        this.entries.clear();
+
+        this.scanDirectory(this.directory, 'builtin');
+
+        for (const socketPath of this.paths) {
+            const resolved = path.resolve(socketPath);
+            if (isSocketDirectory(resolved)) {
+                this.tryRegister(path.basename(resolved), resolved, { source: 'path' });
+            } else {
+                this.scanDirectory(resolved, 'path');
+            }
+        }
+
+        if (this.nodeModules) {
+            this.scanPackages(this.nodeModules);
+        }
+
+        this.discovered = true;
+        this.emit('discovered', this.getTypes());
+        return this;
+    }
+
+    /**
+     * Register every socket directory inside a directory
+     */
+    scanDirectory(directory, source) {
+        let names;
+        try {
+            names = fsSync.readdirSync(directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(chalk.yellow(`⚠️ Could not scan socket directory ${directory}: ${error.message}`));
+            }
+            return;
+        }
+
+        for (const name of names.sort()) {
+            const socketDir = path.join(directory, name);
+            if (isSocketDirectory(socketDir)) {
+                this.tryRegister(name, socketDir, { source });
+            }
+        }
+    }
+
+    /**
+     * Register socket packages installed in node_modules
+     */
+    scanPackages(nodeModules) {
+        let names;
+        try {
+            names = fsSync.readdirSync(nodeModules);
+        } catch (error) {
+            return;
+        }
+
+        const packageNames = [];
+        for (const name of names) {
+            if (name.startsWith('@')) {
+                try {
+                    for (const scoped of fsSync.readdirSync(path.join(nodeModules, name))) {
+                        packageNames.push(`${name}/${scoped}`);
+                    }
+                } catch (error) {
+                    // Not a readable scope directory
+                }
+            } else {
+                packageNames.push(name);
+            }
+        }
+
+        for (const packageName of packageNames.sort()) {
+            const match = packageName.match(PACKAGE_PATTERN);
+            if (!match) continue;
+
+            const packageDir = path.join(nodeModules, packageName);
+            let pkg = {};
+            try {
+                pkg = JSON.parse(fsSync.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️ Skipping socket package ${packageName}: ${error.message}`));
+                continue;
+            }
+
+            const options = pkg.wpSocket || {};
+            const socketDir = path.resolve(packageDir, options.directory || '.');
+            this.tryRegister(options.type || match[1], socketDir, { source: 'package', packageName });
+        }
+    }
+
+    tryRegister(socketType, directory, options) {
+        try {
+            this.register(socketType, directory, options);
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not register socket ${socketType}: ${error.message}`));
+        }
+    }
+
+    /**
+     * Register a socket directory under a socket type
+     * @param {string} socketType - Socket type
+     * @param {string} directory - Directory containing index.js or a socket manifest
+     * @param {Object} options - { source, packageName }
+     */
+    register(socketType, directory, options = {}) {
+        if (this.entries.has(socketType)) {
+            const existing = this.entries.get(socketType);
+            console.warn(chalk.yellow(`⚠️ Socket ${socketType} from ${directory} ignored; already registered from ${existing.directory}`));
+            return existing;
+        }
+
+        const entry = this.createEntry(socketType, directory, options);
+        this.entries.set(socketType, entry);
+        this.emit('registered', entry);
+        return entry;
+    }
+
+    /**
+     * Load a socket directory and build its registry entry
+     */
+    createEntry(socketType, directory, options = {}) {
+        const SocketClass = resolveSocketClass(directory);
+        const metadata = (SocketClass && SocketClass.metadata) || {};
+        const label = socketType.charAt(0).toUpperCase() + socketType.slice(1);
+        const events = {};
+        for (const [eventType, definition] of Object.entries(metadata.events || {})) {
+            events[eventType] = normalizeEvent(eventType, definition);
+        }
+
+        return {
+            type: socketType,
+            name: metadata.name || label,
+            description: metadata.description || `${label} business socket`,
+            color: metadata.color || DEFAULT_COLOR,
+            features: metadata.features || [],
+            events,
+            directory,
+            source: options.source || 'builtin',
+            packageName: options.packageName || null,
+            SocketClass
+        };
+    }
+
+    /**
+     * Drop a socket's modules from the require cache and load it again from disk
+     * If the new code fails to load, the previous modules and entry are kept
+     */
+    reload(socketType) {
+        const previous = this.get(socketType);
+        if (!previous) {
+            throw new Error(`Unknown socket type: ${socketType}`);
+        }
+
+        const prefix = previous.directory + path.sep;
+        const cached = {};
+        for (const modulePath of Object.keys(require.cache)) {
+            if (modulePath.startsWith(prefix)) {
+                cached[modulePath] = require.cache[modulePath];
+                delete require.cache[modulePath];
+            }
+        }
+
+        let entry;
+        try {
+            entry = this.createEntry(socketType, previous.directory, previous);
+        } catch (error) {
+            Object.assign(require.cache, cached);
+            throw error;
+        }
+
+        this.entries.set(socketType, entry);
+        this.emit('reloaded', entry);
+        return entry;
+    }
+
+    /**
+     * Remove a socket from the registry
+     */
+    unregister(socketType) {
+        const removed = this.entries.delete(socketType);
+        if (removed) this.emit('unregistered', socketType);
+        return removed;
+    }
+
+    ensureDiscovered() {
+        if (!this.discovered) {
+            this.discover();
+        }
+    }
+
+    has(socketType) {
+        this.ensureDiscovered();
+        return this.entries.has(socketType);
+    }
+
+    get(socketType) {
+        this.ensureDiscovered();
+        return this.entries.get(socketType) || null;
+    }
+
+    getTypes() {
+        this.ensureDiscovered();
+        return Array.from(this.entries.keys());
+    }
+
+    list() {
+        this.ensureDiscovered();
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * Socket class for a type; throws for unknown types
+     */
+    getSocketClass(socketType) {
+        const entry = this.get(socketType);
+        if (!entry) {
+            throw new Error(`Unknown socket type: ${socketType}. Available: ${this.getTypes().join(', ')}`);
+        }
+        return entry.SocketClass;
+    }
+
+    /**
+     * Event definitions a socket accepts (its own plus the general events)
+     */
+    getEvents(socketType) {
+        const entry = this.get(socketType);
+        if (!entry) return {};
+
+        const events = { ...entry.events };
+        for (const [eventType, definition] of Object.entries(GENERAL_EVENTS)) {
+            if (!events[eventType]) events[eventType] = normalizeEvent(eventType, definition);
+        }
+        return events;
+    }
+
+    getEventTypes(socketType) {
+        return Object.keys(this.getEvents(socketType));
+    }
+
+    getEventDefinition(socketType, eventType) {
+        return this.getEvents(socketType)[eventType] || null;
+    }
+
+    /**
+     * Every event type known to any socket
+     */
+    getAllEventTypes() {
+        const eventTypes = new Set(Object.keys(GENERAL_EVENTS));
+        for (const entry of this.list()) {
+            Object.keys(entry.events).forEach(eventType => eventTypes.add(eventType));
+        }
+        return Array.from(eventTypes);
+    }
+
+    getGeneralEventTypes() {
+        return Object.keys(GENERAL_EVENTS);
+    }
+
+    /**
+     * Serializable metadata for clients and the CLI
+     */
+    describe(socketType) {
+        const entry = this.get(socketType);
+        if (!entry) return null;
+
+        const { SocketClass, ...metadata } = entry;
+        return { ...metadata, events: this.getEvents(socketType) };
+    }
+}
+
+// Shared registry used by the builder, server, protocol and CLI
+const registry = new SocketRegistry();
+
+module.exports = registry;
+module.exports.SocketRegistry = SocketRegistry;
+module.exports.GENERAL_EVENTS = GENERAL_EVENTS;
+module.exports.normalizeEvent = normalizeEvent;
@@ -0,0 +1,100 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { SocketRegistry } = require('./socket-registry');
+
+const BASE_SOCKET = require.resolve('./base-socket');
+
+// Socket module whose metadata name tells copies of the same type apart
+function socketModule(type, name) {
+    return `const BaseSocket = require(${JSON.stringify(BASE_SOCKET)});
+class Socket extends BaseSocket {
+    constructor(config = {}) {
+        super('${type}', config);
+    }
+}
+Socket.metadata = {
+    name: '${name}',
+    events: { ${type}_order: { description: 'Order', admin: true, fields: [{ name: 'item', type: 'string', required: true }] } }
+};
+module.exports = Socket;
+`;
+}
+
+describe('SocketRegistry discovery', () => {
+    let root;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'socket-registry-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    async function writeSocket(directory, type, name) {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, 'index.js'), socketModule(type, name));
+    }
+
+    async function writePackage(packageName, pkg, socketDirectory = '.') {
+        const packageDir = path.join(root, 'node_modules', packageName);
+        await fs.mkdir(packageDir, { recursive: true });
+        await fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({ name: packageName, ...pkg }));
+        return path.join(packageDir, socketDirectory);
+    }
+
+    test('finds built-in sockets, configured paths and wp-socket packages, first registration winning', async () => {
+        await writeSocket(path.join(root, 'builtin', 'bakery'), 'bakery', 'Built-in Bakery');
+        await writeSocket(path.join(root, 'cafe'), 'cafe', 'Cafe');
+        await writeSocket(path.join(root, 'extra', 'deli'), 'deli', 'Deli');
+        await writeSocket(path.join(root, 'extra', 'bakery'), 'bakery', 'Path Bakery');
+        await writeSocket(await writePackage('wp-socket-vet', {}), 'vet', 'Vet');
+        await writeSocket(await writePackage('@acme/wp-socket-flowers', { wpSocket: { type: 'florist', directory: './socket' } }, 'socket'), 'florist', 'Florist');
+        await writeSocket(await writePackage('socket-tools', {}), 'tools', 'Tools');
+
+        const registry = new SocketRegistry({
+            directory: path.join(root, 'builtin'),
+            paths: [path.join(root, 'cafe'), path.join(root, 'extra')],
+            nodeModules: path.join(root, 'node_modules')
+        });
+
+        expect(registry.getTypes()).toEqual(['bakery', 'cafe', 'deli', 'florist', 'vet']);
+        expect(registry.list().map(entry => [entry.type, entry.source, entry.packageName])).toEqual([
+            ['bakery', 'builtin', null],
+            ['cafe', 'path', null],
+            ['deli', 'path', null],
+            ['florist', 'package', '@acme/wp-socket-flowers'],
+            ['vet', 'package', 'wp-socket-vet']
+        ]);
+        expect(registry.get('bakery').name).toBe('Built-in Bakery');
+        expect(registry.getEventDefinition('vet', 'vet_order')).toMatchObject({
+            admin: true,
+            schema: { required: ['item'], fields: { item: 'string' } }
+        });
+        expect(new (registry.getSocketClass('florist'))().businessType).toBe('florist');
+        expect(() => registry.getSocketClass('tools')).toThrow('Unknown socket type: tools. Available: bakery, cafe, deli, florist, vet');
+    });
+
+    test('reads extra socket paths from WP_SOCKET_PATH', () => {
+        const previous = process.env.WP_SOCKET_PATH;
+        process.env.WP_SOCKET_PATH = ['/opt/sockets', '', '/srv/vet'].join(path.delimiter);
+
+        try {
+            expect(new SocketRegistry().paths).toEqual(['/opt/sockets', '/srv/vet']);
+        } finally {
+            if (previous === undefined) delete process.env.WP_SOCKET_PATH;
+            else process.env.WP_SOCKET_PATH = previous;
+        }
+    });
+});
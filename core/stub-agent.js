@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Stub Agent - Local stand-in for a Claude Code sub-agent process
+ * Speaks the agent runtime frame protocol and returns deterministic results
+ */
+
+const readline = require('readline');
+
+let agentName = 'stub';
+const delayed = new Map(); // taskId -> timer of a task answered later
+
+function send(frame) {
+    process.stdout.write(JSON.stringify(frame) + '\n');
+}
+
+/**
+ * Build a deterministic result for a task frame
+ */
+function buildResult(frame) {
+    const businessType = frame.businessType;
+
+    switch (frame.taskType) {
+        case 'wordpress_setup':
+            return {
+                message: `WordPress configured for ${businessType}`,
+                plugins: ['directory-pro', 'seo-toolkit'],
+                theme: `${businessType}-directory-theme`
+            };
+
+        case 'seo_optimize':
+            return {
+                message: `SEO optimization complete for ${businessType}`,
+                keywords: [`${businessType} directory`, `local ${businessType}`],
+                score: 85
+            };
+
+        case 'content_generate':
+            return {
+                message: `Content generated for ${businessType}`,
+                pages: ['homepage', 'about', 'directory'],
+                listings: 25,
+                keywordsUsed: (frame.context && frame.context.seoKeywords) || []
+            };
+
+        default:
+            return {
+                message: `Task ${frame.taskType} completed`,
+                status: 'success'
+            };
+    }
+}
+
+/**
+ * Deterministic token usage (roughly four characters per token)
+ */
+function estimateUsage(frame, result) {
+    return {
+        inputTokens: Math.ceil(JSON.stringify(frame).length / 4),
+        outputTokens: result ? Math.ceil(JSON.stringify(result).length / 4) : 0
+    };
+}
+
+/**
+ * Send the result frame for a task (`fail` answers with an error frame instead)
+ */
+function answer(frame) {
+    if (frame.data && frame.data.fail) {
+        send({
+            type: 'error',
+            taskId: frame.taskId,
+            error: String(frame.data.fail),
+            usage: estimateUsage(frame, null)
+        });
+        return;
+    }
+
+    const result = buildResult(frame);
+    send({
+        type: 'result',
+        taskId: frame.taskId,
+        agent: agentName,
+        result,
+        usage: estimateUsage(frame, result)
+    });
+}
+
+function handleFrame(frame) {
+    switch (frame.type) {
+        case 'init':
+            agentName = frame.agent || agentName;
+            send({ type: 'ready', agent: agentName });
+            break;
+
+        case 'task':
+            // Test hooks: `hang` never answers, `delay` answers after that many ms
+            if (frame.data && frame.data.hang) {
+                break;
+            }
+            if (frame.data && frame.data.delay) {
+                const timer = setTimeout(() => {
+                    delayed.delete(frame.taskId);
+                    answer(frame);
+                }, frame.data.delay);
+                delayed.set(frame.taskId, timer);
+                break;
+            }
+            answer(frame);
+            break;
+
+        case 'cancel':
+            clearTimeout(delayed.get(frame.taskId));
+            delayed.delete(frame.taskId);
+            break;
+
+        case 'shutdown':
+            process.exit(0);
+            break;
+
+        default:
+            send({ type: 'log', message: `Unknown frame type: ${frame.type}` });
+    }
+}
+
+const lines = readline.createInterface({ input: process.stdin });
+
+lines.on('line', (line) => {
+    if (!line.trim()) return;
+
+    try {
+        handleFrame(JSON.parse(line));
+    } catch (error) {
+        send({ type: 'log', message: `Invalid frame: ${error.message}` });
+    }
+});
+
+lines.on('close', () => process.exit(0));
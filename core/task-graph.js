@@ -0,0 +1,119 @@
+/**
+ * Task Graph - Validation and ordering for workflow task dependencies
+ * A workflow is a list of nodes ({ id, type, data, dependsOn }) forming a directed acyclic graph
+ */
+
+const FAILURE_POLICIES = ['fail-fast', 'continue', 'skip-dependents'];
+
+class TaskGraph {
+    /**
+     * @param {Array<Object>} nodes - Workflow nodes; `id` defaults to the task type
+     */
+    constructor(nodes = []) {
+        if (!Array.isArray(nodes) || nodes.length === 0) {
+            throw new Error('Workflow must contain at least one task');
+        }
+
+        this.nodes = new Map();
+        for (const node of nodes) {
+            if (!node || !node.type) {
+                throw new Error('Every workflow task needs a type');
+            }
+
+            const id = node.id || node.type;
+            if (this.nodes.has(id)) {
+                throw new Error(`Duplicate workflow task id: ${id}`);
+            }
+
+            this.nodes.set(id, {
+                ...node,
+                id,
+                dependsOn: Array.isArray(node.dependsOn)
+                    ? node.dependsOn
+                    : (node.dependsOn ? [node.dependsOn] : [])
+            });
+        }
+
+        this.validateDependencies();
+        this.order = this.topologicalSort();
+    }
+
+    /**
+     * Ensure every dependency refers to a task in the workflow
+     */
+    validateDependencies() {
+        for (const node of this.nodes.values()) {
+            for (const dependency of node.dependsOn) {
+                if (!this.nodes.has(dependency)) {
+                    throw new Error(`Task '${node.id}' depends on unknown task '${dependency}'`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Order nodes so every task comes after its dependencies, rejecting cycles
+     */
+    topologicalSort() {
+        const order = [];
+        const state = new Map(); // id -> 'visiting' | 'done'
+
+        const visit = (id, trail) => {
+            if (state.get(id) === 'done') return;
+            if (state.get(id) === 'visiting') {
+                const cycle = [...trail.slice(trail.indexOf(id)), id];
+                throw new Error(`Workflow contains a dependency cycle: ${cycle.join(' -> ')}`);
+            }
+
+            state.set(id, 'visiting');
+            for (const dependency of this.nodes.get(id).dependsOn) {
+                visit(dependency, [...trail, id]);
+            }
+            state.set(id, 'done');
+            order.push(id);
+        };
+
+        for (const id of this.nodes.keys()) {
+            visit(id, []);
+        }
+
+        return order;
+    }
+
+    /**
+     * Get a node by id
+     */
+    get(id) {
+        return this.nodes.get(id);
+    }
+
+    /**
+     * Ids of nodes that directly depend on the given node
+     */
+    getDependents(id) {
+        return this.order.filter(nodeId => this.nodes.get(nodeId).dependsOn.includes(id));
+    }
+
+    /**
+     * Ids of every node that transitively depends on the given node
+     */
+    getDescendants(id) {
+        const descendants = new Set();
+        const pending = [id];
+
+        while (pending.length > 0) {
+            for (const dependent of this.getDependents(pending.pop())) {
+                if (!descendants.has(dependent)) {
+                    descendants.add(dependent);
+                    pending.push(dependent);
+                }
+            }
+        }
+
+        return Array.from(descendants);
+    }
+}
+
+TaskGraph.FAILURE_POLICIES = FAILURE_POLICIES;
+
+module.exports = TaskGraph;
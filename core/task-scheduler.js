@@ -0,0 +1,181 @@
+/**
+ * Task Scheduler - Priority queue with global and per-agent concurrency limits
+ * Decides when a queued task may start; the bridge supplies the function that runs it
+ */
+
+const PRIORITY_LEVELS = {
+    low: 0,
+    normal: 5,
+    high: 10,
+    urgent: 20
+};
+
+class TaskScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {number} options.maxConcurrentTasks - Tasks allowed to run at once across all agents
+     * @param {number} options.maxTasksPerAgent - Tasks allowed to run at once on a single agent instance
+     * @param {Function} options.runTask - async (taskId) => void, called when a task is dispatched
+     */
+    constructor(options = {}) {
+        this.maxConcurrentTasks = options.maxConcurrentTasks || 5;
+        this.maxTasksPerAgent = options.maxTasksPerAgent || 2;
+        this.runTask = options.runTask;
+
+        this.queue = []; // Entries sorted by priority, then arrival
+        this.running = new Map(); // agentKey -> running task count
+        this.activeCount = 0;
+        this.sequence = 0;
+
+        this.waitStats = {
+            dispatched: 0,
+            totalWaitTime: 0,
+            maxWaitTime: 0
+        };
+    }
+
+    /**
+     * Convert a priority name or number into a numeric priority
+     */
+    static normalizePriority(priority) {
+        if (typeof priority === 'number') return priority;
+        if (priority && PRIORITY_LEVELS[priority] !== undefined) return PRIORITY_LEVELS[priority];
+        return PRIORITY_LEVELS.normal;
+    }
+
+    /**
+     * Add a task to the queue and dispatch if capacity allows
+     */
+    enqueue(taskId, agentKey, priority) {
+        const entry = {
+            taskId,
+            agentKey,
+            priority: TaskScheduler.normalizePriority(priority),
+            sequence: this.sequence++,
+            queuedAt: Date.now()
+        };
+
+        // Insert after every entry with equal or higher priority
+        const index = this.queue.findIndex(queued => queued.priority < entry.priority);
+        if (index === -1) {
+            this.queue.push(entry);
+        } else {
+            this.queue.splice(index, 0, entry);
+        }
+
+        this.dispatch();
+        return entry;
+    }
+
+    /**
+     * Remove a task that has not started yet
+     */
+    remove(taskId) {
+        const index = this.queue.findIndex(entry => entry.taskId === taskId);
+        if (index === -1) return false;
+
+        this.queue.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Start as many queued tasks as the concurrency limits allow
+     */
+    dispatch() {
+        let index = 0;
+
+        while (index < this.queue.length && this.activeCount < this.maxConcurrentTasks) {
+            const entry = this.queue[index];
+
+            if (this.getRunningCount(entry.agentKey) >= this.maxTasksPerAgent) {
+                index++;
+                continue;
+            }
+
+            this.queue.splice(index, 1);
+            this.start(entry);
+        }
+    }
+
+    /**
+     * Run a dispatched task and free its slot when it settles
+     */
+    start(entry) {
+        const waitTime = Date.now() - entry.queuedAt;
+
+        this.activeCount++;
+        this.running.set(entry.agentKey, this.getRunningCount(entry.agentKey) + 1);
+
+        this.waitStats.dispatched++;
+        this.waitStats.totalWaitTime += waitTime;
+        this.waitStats.maxWaitTime = Math.max(this.waitStats.maxWaitTime, waitTime);
+
+        Promise.resolve()
+            .then(() => this.runTask(entry.taskId))
+            .catch(() => {})
+            .finally(() => {
+                this.activeCount--;
+                const count = this.getRunningCount(entry.agentKey) - 1;
+                if (count > 0) {
+                    this.running.set(entry.agentKey, count);
+                } else {
+                    this.running.delete(entry.agentKey);
+                }
+                this.dispatch();
+            });
+    }
+
+    /**
+     * Zero-based position of a queued task, or -1 if it is not queued
+     */
+    getPosition(taskId) {
+        return this.queue.findIndex(entry => entry.taskId === taskId);
+    }
+
+    /**
+     * Number of queued tasks, optionally for a single agent instance
+     */
+    getQueueDepth(agentKey = null) {
+        if (!agentKey) return this.queue.length;
+        return this.queue.filter(entry => entry.agentKey === agentKey).length;
+    }
+
+    /**
+     * Number of running tasks, optionally for a single agent instance
+     */
+    getRunningCount(agentKey = null) {
+        if (!agentKey) return this.activeCount;
+        return this.running.get(agentKey) || 0;
+    }
+
+    /**
+     * Longest current wait among queued tasks, optionally for a single agent instance
+     */
+    getOldestWaitTime(agentKey = null) {
+        const now = Date.now();
+        return this.queue
+            .filter(entry => !agentKey || entry.agentKey === agentKey)
+            .reduce((oldest, entry) => Math.max(oldest, now - entry.queuedAt), 0);
+    }
+
+    /**
+     * Scheduler statistics
+     */
+    getStats() {
+        const { dispatched, totalWaitTime, maxWaitTime } = this.waitStats;
+
+        return {
+            maxConcurrentTasks: this.maxConcurrentTasks,
+            maxTasksPerAgent: this.maxTasksPerAgent,
+            running: this.activeCount,
+            queued: this.queue.length,
+            oldestWaitTime: this.getOldestWaitTime(),
+            averageWaitTime: dispatched > 0 ? Math.round(totalWaitTime / dispatched) : 0,
+            maxWaitTime
+        };
+    }
+}
+
+TaskScheduler.PRIORITY_LEVELS = PRIORITY_LEVELS;
+
+module.exports = TaskScheduler;
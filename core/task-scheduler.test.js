@@ -0,0 +1,101 @@
+const TaskScheduler = require('./task-scheduler');
+
+// Lets dispatched tasks start and finished ones free their slots
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Scheduler whose tasks run until the test finishes them
+function createScheduler(options = {}) {
+    const started = [];
+    const finishers = new Map();
+    const scheduler = new TaskScheduler({
+        ...options,
+        runTask: taskId => new Promise(resolve => {
+            started.push(taskId);
+            finishers.set(taskId, resolve);
+        })
+    });
+
+    async function finish(taskId) {
+        finishers.get(taskId)();
+        await settle();
+    }
+
+    return { scheduler, started, finish };
+}
+
+describe('TaskScheduler', () => {
+    test('starts queued tasks by priority, then in arrival order', async () => {
+        const { scheduler, started, finish } = createScheduler({ maxConcurrentTasks: 1, maxTasksPerAgent: 5 });
+
+        scheduler.enqueue('first', 'seo', 'low');
+        scheduler.enqueue('low', 'seo', 'low');
+        scheduler.enqueue('normal', 'seo');
+        scheduler.enqueue('urgent', 'seo', 'urgent');
+        scheduler.enqueue('high', 'seo', 'high');
+        scheduler.enqueue('custom', 'seo', 15);
+        await settle();
+
+        expect(scheduler.getPosition('urgent')).toBe(0);
+        for (const taskId of ['first', 'urgent', 'custom', 'high', 'normal']) {
+            await finish(taskId);
+        }
+
+        expect(started).toEqual(['first', 'urgent', 'custom', 'high', 'normal', 'low']);
+    });
+
+    test('caps running tasks across all agents', async () => {
+        const { scheduler, started, finish } = createScheduler({ maxConcurrentTasks: 2, maxTasksPerAgent: 2 });
+
+        ['a', 'b', 'c'].forEach(taskId => scheduler.enqueue(taskId, `agent_${taskId}`));
+        await settle();
+
+        expect(started).toEqual(['a', 'b']);
+        expect(scheduler.getStats()).toMatchObject({ running: 2, queued: 1 });
+
+        await finish('b');
+
+        expect(started).toEqual(['a', 'b', 'c']);
+        expect(scheduler.getRunningCount('agent_b')).toBe(0);
+    });
+
+    test('caps running tasks per agent and lets other agents\' tasks pass a saturated one', async () => {
+        const { scheduler, started, finish } = createScheduler({ maxConcurrentTasks: 5, maxTasksPerAgent: 1 });
+
+        scheduler.enqueue('seo_1', 'seo', 'urgent');
+        scheduler.enqueue('seo_2', 'seo', 'urgent');
+        scheduler.enqueue('content_1', 'content', 'low');
+        await settle();
+
+        expect(started).toEqual(['seo_1', 'content_1']);
+        expect(scheduler.getQueueDepth('seo')).toBe(1);
+        expect(scheduler.getRunningCount('seo')).toBe(1);
+
+        await finish('seo_1');
+
+        expect(started).toEqual(['seo_1', 'content_1', 'seo_2']);
+    });
+
+    test('frees the slot of a task that fails and drops tasks removed before they start', async () => {
+        const started = [];
+        const scheduler = new TaskScheduler({
+            maxConcurrentTasks: 1,
+            runTask: async taskId => {
+                started.push(taskId);
+                throw new Error('Agent crashed');
+            }
+        });
+
+        scheduler.enqueue('failing', 'seo');
+        scheduler.enqueue('removed', 'seo');
+        scheduler.enqueue('next', 'seo');
+
+        expect(scheduler.remove('removed')).toBe(true);
+        expect(scheduler.remove('removed')).toBe(false);
+        await settle();
+
+        expect(started).toEqual(['failing', 'next']);
+        expect(scheduler.getStats()).toMatchObject({ running: 0, queued: 0 });
+    });
+});
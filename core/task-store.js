@@ -0,0 +1,112 @@
+/**
+ * Task Store - Append-only JSON log of delegated task state transitions
+ * Every transition is written as one line so the bridge can rebuild its task table after a restart
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const DATE_FIELDS = ['createdAt', 'queuedAt', 'startedAt', 'completedAt', 'failedAt', 'recoveredAt', 'cancelledAt', 'nextAttemptAt'];
+
+class TaskStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Path of the JSON lines log file
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '..', 'data', 'tasks.jsonl');
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Append a task snapshot for its current status
+     */
+    record(task) {
+        const entry = {
+            taskId: task.id,
+            status: task.status,
+            at: new Date().toISOString(),
+            task
+        };
+        const line = JSON.stringify(entry) + '\n';
+
+        // Serialize writes so transitions land in the order they happened
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.appendFile(this.filePath, line, 'utf8');
+            });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Replay the log and return the latest snapshot of every task
+     */
+    async load() {
+        await this.flush();
+
+        let contents;
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return new Map();
+            throw error;
+        }
+
+        const tasks = new Map();
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+
+            try {
+                const entry = JSON.parse(line);
+                tasks.set(entry.taskId, this.reviveTask(entry.task));
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line; skip it
+            }
+        }
+
+        return tasks;
+    }
+
+    /**
+     * Rewrite the log with a single line per task
+     */
+    async compact(tasks) {
+        await this.flush();
+
+        const lines = Array.from(tasks.values()).map(task => JSON.stringify({
+            taskId: task.id,
+            status: task.status,
+            at: new Date().toISOString(),
+            task
+        }) + '\n');
+
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, lines.join(''), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Wait for pending writes to reach disk
+     */
+    async flush() {
+        await this.writeQueue.catch(() => {});
+    }
+
+    /**
+     * Convert serialized timestamps back into Date objects
+     */
+    reviveTask(task) {
+        for (const field of DATE_FIELDS) {
+            if (task[field]) {
+                task[field] = new Date(task[field]);
+            }
+        }
+        return task;
+    }
+}
+
+module.exports = TaskStore;
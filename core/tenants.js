@@ -0,0 +1,97 @@
+/**
+ * Tenants - Several businesses of the same type running side by side
+ *
+ * A tenant is one client business: an ID, the socket type it runs on and its own config.
+ * Each tenant gets its own socket instance, a data directory under data/tenants/<id>
+ * and, when config.wordpress is set, its own WordPress target.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Validate a tenant definition
+ * @param {Object} definition - { id, socketType (or businessType), name, config, accessToken }
+ * @returns {Object} Normalized tenant
+ */
+function normalizeTenant(definition = {}) {
+    const id = definition.id || definition.tenantId;
+    const socketType = definition.socketType || definition.businessType;
+
+    if (!id || !TENANT_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid tenant ID '${id}': use letters, digits, '-' and '_' (max 64 characters)`);
+    }
+    if (!socketType) {
+        throw new Error(`Tenant '${id}' needs a socketType`);
+    }
+
+    return {
+        id,
+        socketType,
+        name: definition.name || (definition.config && definition.config.siteName) || id,
+        config: { ...(definition.config || {}) },
+        // Clients must present this token to join the tenant (admins may join any tenant)
+        accessToken: definition.accessToken || null
+    };
+}
+
+/**
+ * Default data directory for a tenant's stores
+ */
+function tenantDataDirectory(tenantId) {
+    return path.join(__dirname, '..', 'data', 'tenants', tenantId);
+}
+
+/**
+ * Socket config for a tenant: its own config plus the tenant ID and data directory
+ */
+function tenantSocketConfig(tenant) {
+    return {
+        ...tenant.config,
+        tenantId: tenant.id,
+        dataDirectory: tenant.config.dataDirectory !== undefined
+            ? tenant.config.dataDirectory
+            : tenantDataDirectory(tenant.id)
+    };
+}
+
+/**
+ * Services that replace the shared ones for this tenant's socket
+ */
+function createTenantServices(tenant) {
+    const services = {};
+    if (tenant.config.wordpress) {
+        // Loaded on demand so tenants without a WordPress target do not need the HTTP client
+        const WordPressService = require('./services/WordPressService');
+        services.wordpress = new WordPressService(tenant.config.wordpress);
+    }
+    return services;
+}
+
+/**
+ * Read tenant definitions from a JSON file holding an array or { tenants: [...] }
+ */
+async function loadTenantFile(filePath) {
+    const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const definitions = Array.isArray(content) ? content : content.tenants;
+    if (!Array.isArray(definitions)) {
+        throw new Error(`${filePath} does not contain a list of tenants`);
+    }
+
+    const tenants = definitions.map(normalizeTenant);
+    const duplicate = tenants.find((tenant, index) => tenants.findIndex(other => other.id === tenant.id) !== index);
+    if (duplicate) {
+        throw new Error(`Tenant '${duplicate.id}' is defined more than once in ${filePath}`);
+    }
+    return tenants;
+}
+
+module.exports = {
+    normalizeTenant,
+    tenantDataDirectory,
+    tenantSocketConfig,
+    createTenantServices,
+    loadTenantFile
+};
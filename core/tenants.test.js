@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WordPressService = require('./services/WordPressService');
+const { normalizeTenant, tenantDataDirectory, tenantSocketConfig, createTenantServices, loadTenantFile } = require('./tenants');
+
+describe('tenants', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test('normalizes tenant definitions and names them after their site', () => {
+        expect(normalizeTenant({ tenantId: 'north', businessType: 'pizza', config: { siteName: 'North Slice' } })).toEqual({
+            id: 'north',
+            socketType: 'pizza',
+            name: 'North Slice',
+            config: { siteName: 'North Slice' },
+            accessToken: null
+        });
+        expect(normalizeTenant({ id: 'south', socketType: 'pizza' }).name).toBe('south');
+        expect(() => normalizeTenant({ id: '../etc', socketType: 'pizza' })).toThrow("Invalid tenant ID '../etc'");
+        expect(() => normalizeTenant({ id: 'north' })).toThrow("Tenant 'north' needs a socketType");
+    });
+
+    test('gives each tenant its own data directory unless one is configured', () => {
+        const tenant = normalizeTenant({ id: 'north', socketType: 'pizza', config: { siteName: 'North Slice' } });
+
+        expect(tenantSocketConfig(tenant)).toEqual({
+            siteName: 'North Slice',
+            tenantId: 'north',
+            dataDirectory: path.join(__dirname, '..', 'data', 'tenants', 'north')
+        });
+        expect(tenantDataDirectory('north')).toBe(tenantSocketConfig(tenant).dataDirectory);
+        expect(tenantSocketConfig({ ...tenant, config: { dataDirectory: null } }).dataDirectory).toBeNull();
+    });
+
+    test('creates a WordPress service only for tenants with their own target', () => {
+        const services = createTenantServices(normalizeTenant({
+            id: 'north',
+            socketType: 'pizza',
+            config: { wordpress: { baseUrl: 'https://north.example.com/wp-json/wp/v2' } }
+        }));
+
+        expect(services.wordpress).toBeInstanceOf(WordPressService);
+        expect(services.wordpress.baseUrl).toBe('https://north.example.com/wp-json/wp/v2');
+        expect(createTenantServices(normalizeTenant({ id: 'south', socketType: 'pizza' }))).toEqual({});
+    });
+
+    describe('loadTenantFile', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tenants-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        async function writeTenants(content) {
+            const filePath = path.join(directory, 'tenants.json');
+            await fs.writeFile(filePath, JSON.stringify(content));
+            return filePath;
+        }
+
+        test('reads a list of tenants or a { tenants } object', async () => {
+            const definitions = [{ id: 'north', socketType: 'pizza' }, { id: 'smile', socketType: 'dental', accessToken: 'secret' }];
+
+            const fromList = await loadTenantFile(await writeTenants(definitions));
+            const fromObject = await loadTenantFile(await writeTenants({ tenants: definitions }));
+
+            expect(fromList.map(tenant => tenant.id)).toEqual(['north', 'smile']);
+            expect(fromObject).toEqual(fromList);
+            expect(fromList[1].accessToken).toBe('secret');
+        });
+
+        test('rejects files without a tenant list or with a tenant defined twice', async () => {
+            const duplicated = await writeTenants([{ id: 'north', socketType: 'pizza' }, { id: 'north', socketType: 'gym' }]);
+
+            await expect(loadTenantFile(duplicated)).rejects.toThrow(`Tenant 'north' is defined more than once in ${duplicated}`);
+            await expect(loadTenantFile(await writeTenants({ sites: [] }))).rejects.toThrow('does not contain a list of tenants');
+        });
+    });
+});
@@ -6,6 +6,7 @@
 
 const UniversalBusinessBuilder = require('./core/builder');
 const ClaudeBridge = require('./core/claude-bridge');
+const socketRegistry = require('./core/socket-registry');
 const chalk = require('chalk');
 const path = require('path');
 
@@ -47,7 +48,8 @@ class WPSocketSystem {
     setupEventListeners() {
         // Builder events
         this.builder.on('socket:plugged', (data) => {
-            console.log(chalk.green(`📡 Socket plugged: ${data.businessType}`));
+            const tenant = data.tenantId ? ` (tenant ${data.tenantId})` : '';
+            console.log(chalk.green(`📡 Socket plugged: ${data.businessType}${tenant}`));
         });
 
         this.builder.on('socket:error', (data) => {
@@ -76,10 +78,9 @@ class WPSocketSystem {
         console.log(chalk.white('  npm test            - Run tests'));
         
         console.log(chalk.cyan('\n🏢 Available Business Types:'));
-        console.log(chalk.white('  - dental           - Dental practice website'));
-        console.log(chalk.white('  - gym              - Fitness center website'));
-        console.log(chalk.white('  - pizza            - Pizza restaurant website'));
-        console.log(chalk.white('  - restaurant       - General restaurant website'));
+        socketRegistry.list().forEach(socket => {
+            console.log(chalk.white(`  - ${socket.type.padEnd(16)} - ${socket.description}`));
+        });
         
         console.log(chalk.cyan('\n🤖 Available Agents:'));
         const agents = Array.from(this.claudeBridge.agentConfigs.keys());
@@ -91,14 +92,14 @@ class WPSocketSystem {
     }
 
     /**
-     * Plug in a business socket
+     * Plug in a business socket (options.tenantId runs it for one of several businesses of the same type)
      */
-    async plugSocket(businessType, config = {}) {
+    async plugSocket(businessType, config = {}, options = {}) {
         if (!this.isInitialized) {
             throw new Error('System not initialized. Call initialize() first.');
         }
         
-        return await this.builder.plugSocket(businessType, config);
+        return await this.builder.plugSocket(businessType, config, options);
     }
 
     /**
@@ -5,11 +5,18 @@
 
 const EventEmitter = require('events');
 const chalk = require('chalk');
+const defaultRegistry = require('../core/socket-registry');
 
 class SocketProtocol extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options - Protocol options
+     * @param {SocketRegistry} options.registry - Registry that defines the valid socket and event types
+     */
+    constructor(options = {}) {
         super();
         
+        this.registry = options.registry || defaultRegistry;
+        
         // Protocol version
         this.version = '1.0.0';
         
@@ -44,6 +51,12 @@ class SocketProtocol extends EventEmitter {
             DIRECT_MESSAGE: 'direct_message',
             ROOM_MESSAGE: 'room_message',
             
+            // Administration
+            ADMIN_AUTH: 'admin_auth',
+            
+            // Tenants
+            TENANT_JOIN: 'tenant_join',
+            
             // System
             HEARTBEAT: 'heartbeat',
             ERROR: 'error',
@@ -66,42 +79,28 @@ class SocketProtocol extends EventEmitter {
             CONNECTION_TIMEOUT: 1010
         };
         
-        // Socket types registry
-        this.socketTypes = {
-            DENTAL: 'dental',
-            PIZZA: 'pizza',
-            GYM: 'gym',
-            RESTAURANT: 'restaurant'
-        };
-        
-        // Business event types
-        this.businessEventTypes = {
-            // Dental events
-            APPOINTMENT_BOOKING: 'appointment_booking',
-            DENTIST_REGISTRATION: 'dentist_registration',
-            PATIENT_REGISTRATION: 'patient_registration',
-            
-            // Pizza events
-            ONLINE_ORDER: 'online_order',
-            RESTAURANT_REGISTRATION: 'restaurant_registration',
-            MENU_UPDATE: 'menu_update',
-            DELIVERY_REQUEST: 'delivery_request',
-            
-            // Gym events
-            MEMBER_REGISTRATION: 'member_registration',
-            CLASS_BOOKING: 'class_booking',
-            TRAINER_REGISTRATION: 'trainer_registration',
-            
-            // General events
-            BUSINESS_REGISTRATION: 'business_registration',
-            REVIEW_SUBMITTED: 'review_submitted',
-            RATING_UPDATED: 'rating_updated'
-        };
-        
         // Message validation schemas
         this.messageSchemas = this.initializeMessageSchemas();
     }
     
+    /**
+     * Socket types keyed by upper-case name (DENTAL: 'dental'), from the socket registry
+     */
+    get socketTypes() {
+        return Object.fromEntries(
+            this.registry.getTypes().map(socketType => [socketType.toUpperCase().replace(/-/g, '_'), socketType])
+        );
+    }
+    
+    /**
+     * Business event types keyed by upper-case name, from the socket registry
+     */
+    get businessEventTypes() {
+        return Object.fromEntries(
+            this.registry.getAllEventTypes().map(eventType => [eventType.toUpperCase(), eventType])
+        );
+    }
+    
     /**
      * Create a protocol message
      */
@@ -345,6 +344,8 @@ class SocketProtocol extends EventEmitter {
      * Initialize message validation schemas
      */
     initializeMessageSchemas() {
+        const protocol = this;
+        
         return {
             [this.messageTypes.SOCKET_SWITCH]: {
                 requiredFields: ['socketType'],
@@ -353,7 +354,10 @@ class SocketProtocol extends EventEmitter {
                     force: 'boolean'
                 },
                 fieldValues: {
-                    socketType: Object.values(this.socketTypes)
+                    // Resolved on each validation so newly registered sockets are accepted
+                    get socketType() {
+                        return protocol.registry.getTypes();
+                    }
                 }
             },
             
@@ -397,6 +401,22 @@ class SocketProtocol extends EventEmitter {
                 }
             },
             
+            [this.messageTypes.ADMIN_AUTH]: {
+                requiredFields: ['token'],
+                fieldTypes: {
+                    token: 'string',
+                    name: 'string'
+                }
+            },
+            
+            [this.messageTypes.TENANT_JOIN]: {
+                requiredFields: [],
+                fieldTypes: {
+                    tenantId: 'string',
+                    token: 'string'
+                }
+            },
+            
             [this.messageTypes.ERROR]: {
                 requiredFields: ['errorCode', 'errorMessage'],
                 fieldTypes: {
@@ -438,47 +458,24 @@ class SocketProtocol extends EventEmitter {
      * Check if a socket type is valid
      */
     isValidSocketType(socketType) {
-        return Object.values(this.socketTypes).includes(socketType);
+        return this.registry.has(socketType);
     }
     
     /**
      * Check if a business event type is valid
      */
     isValidBusinessEventType(eventType) {
-        return Object.values(this.businessEventTypes).includes(eventType);
+        return this.registry.getAllEventTypes().includes(eventType);
     }
     
     /**
      * Get socket-specific business event types
      */
     getSocketBusinessEventTypes(socketType) {
-        const eventMap = {
-            [this.socketTypes.DENTAL]: [
-                this.businessEventTypes.APPOINTMENT_BOOKING,
-                this.businessEventTypes.DENTIST_REGISTRATION,
-                this.businessEventTypes.PATIENT_REGISTRATION
-            ],
-            [this.socketTypes.PIZZA]: [
-                this.businessEventTypes.ONLINE_ORDER,
-                this.businessEventTypes.RESTAURANT_REGISTRATION,
-                this.businessEventTypes.MENU_UPDATE,
-                this.businessEventTypes.DELIVERY_REQUEST
-            ],
-            [this.socketTypes.GYM]: [
-                this.businessEventTypes.MEMBER_REGISTRATION,
-                this.businessEventTypes.CLASS_BOOKING,
-                this.businessEventTypes.TRAINER_REGISTRATION
-            ]
-        };
-        
-        const socketEvents = eventMap[socketType] || [];
-        const generalEvents = [
-            this.businessEventTypes.BUSINESS_REGISTRATION,
-            this.businessEventTypes.REVIEW_SUBMITTED,
-            this.businessEventTypes.RATING_UPDATED
-        ];
-        
-        return [...socketEvents, ...generalEvents];
+        if (!this.registry.has(socketType)) {
+            return this.registry.getGeneralEventTypes();
+        }
+        return this.registry.getEventTypes(socketType);
     }
     
     /**
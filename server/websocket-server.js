@@ -8,6 +8,14 @@ const EventEmitter = require('events');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const { createValidatedSocket } = require('../core/socket-contract');
+const socketRegistry = require('../core/socket-registry');
+const { SocketWatcher, transferSocketState } = require('../core/socket-hot-reload');
+const { normalizeTenant, tenantSocketConfig, createTenantServices } = require('../core/tenants');
+
+// Rooms of tenant clients are namespaced so tenants never share a room
+const TENANT_ROOM_PREFIX = 'tenant:';
 
 class SocketDirectoryServer extends EventEmitter {
     constructor(options = {}) {
@@ -21,8 +29,22 @@ class SocketDirectoryServer extends EventEmitter {
         this.clients = new Map();
         this.rooms = new Map();
         this.sockets = new Map();
+        this.registry = options.registry || socketRegistry;
+        this.services = options.services || new Map(); // Shared services handed to sockets (wordpress, ...)
         this.currentSocket = 'dental';
         
+        // Tenants run their own socket instances; clients bind to one with a tenant_join message
+        this.tenants = new Map(); // tenantId -> { id, name, socketType, config, accessToken, socket }
+        this.initialTenants = options.tenants || [];
+        
+        // Clients presenting this token may send admin-only business events
+        this.adminToken = options.adminToken || process.env.SOCKET_ADMIN_TOKEN || null;
+        
+        // Hot reload of socket modules
+        this.watchSockets = Boolean(options.watch);
+        this.socketWatcher = null;
+        this.reloadQueues = new Map(); // socketType -> pending reload
+        
         // Message types
         this.messageTypes = {
             SOCKET_SWITCH: 'socket_switch',
@@ -33,6 +55,8 @@ class SocketDirectoryServer extends EventEmitter {
             ROOM_JOIN: 'room_join',
             ROOM_LEAVE: 'room_leave',
             BROADCAST: 'broadcast',
+            ADMIN_AUTH: 'admin_auth',
+            TENANT_JOIN: 'tenant_join',
             ERROR: 'error',
             HEARTBEAT: 'heartbeat'
         };
@@ -54,6 +78,10 @@ class SocketDirectoryServer extends EventEmitter {
             // Setup server event handlers
             this.setupServerHandlers();
             
+            if (this.watchSockets) {
+                this.enableHotReload();
+            }
+            
             console.log(chalk.green(`✅ WebSocket server started on ws://${this.host}:${this.port}`));
             console.log(chalk.yellow(`🔌 Current socket: ${this.currentSocket}`));
             
@@ -96,7 +124,10 @@ class SocketDirectoryServer extends EventEmitter {
             connectedAt: new Date(),
             lastHeartbeat: new Date(),
             rooms: new Set(),
-            socketType: this.currentSocket
+            socketType: this.currentSocket,
+            isAdmin: false,
+            adminName: null,
+            tenantId: null
         };
         
         // Store client
@@ -109,7 +140,7 @@ class SocketDirectoryServer extends EventEmitter {
             type: this.messageTypes.SOCKET_STATUS,
             data: {
                 currentSocket: this.currentSocket,
-                availableSockets: Array.from(this.sockets.keys()),
+                availableSockets: this.registry.getTypes(),
                 clientId: clientId,
                 serverTime: new Date().toISOString()
             }
@@ -183,6 +214,14 @@ class SocketDirectoryServer extends EventEmitter {
                     this.handleHeartbeat(clientId);
                     break;
                     
+                case this.messageTypes.ADMIN_AUTH:
+                    this.handleAdminAuth(clientId, message.data);
+                    break;
+                    
+                case this.messageTypes.TENANT_JOIN:
+                    this.handleTenantJoin(clientId, message.data);
+                    break;
+                    
                 default:
                     console.warn(chalk.yellow(`⚠️ Unknown message type: ${message.type}`));
                     this.sendError(clientId, `Unknown message type: ${message.type}`);
@@ -199,8 +238,15 @@ class SocketDirectoryServer extends EventEmitter {
         
         console.log(chalk.yellow(`🔄 Socket switch request from ${clientId}: ${this.currentSocket} → ${socketType}`));
         
-        // Validate socket type
-        if (!this.sockets.has(socketType)) {
+        // Tenants are bound to their socket type; switching applies to the shared sockets
+        const client = this.clients.get(clientId);
+        if (client && client.tenantId) {
+            this.sendError(clientId, `Tenant ${client.tenantId} runs the ${client.socketType} socket and cannot switch`);
+            return;
+        }
+        
+        // Validate socket type (registered sockets are loaded on demand)
+        if (!this.registry.has(socketType)) {
             this.sendError(clientId, `Invalid socket type: ${socketType}`);
             return;
         }
@@ -222,8 +268,8 @@ class SocketDirectoryServer extends EventEmitter {
             const oldSocket = this.currentSocket;
             await this.switchSocket(socketType, options);
             
-            // Notify all clients about the switch
-            this.broadcastToAll({
+            // Notify the clients of the shared sockets about the switch
+            this.broadcastToTenant(null, {
                 type: this.messageTypes.SOCKET_SWITCH,
                 data: {
                     from: oldSocket,
@@ -265,9 +311,11 @@ class SocketDirectoryServer extends EventEmitter {
             await newSocket.activate(options);
         }
         
-        // Update all client socket types
+        // Update the socket type of every client outside a tenant
         this.clients.forEach(client => {
-            client.socketType = socketType;
+            if (!client.tenantId) {
+                client.socketType = socketType;
+            }
         });
         
         // Emit socket switched event
@@ -280,14 +328,40 @@ class SocketDirectoryServer extends EventEmitter {
     
     handleBusinessEvent(clientId, data) {
         const { eventType, eventData, targetSocket } = data;
+        const client = this.clients.get(clientId);
         
         console.log(chalk.cyan(`🏢 Business event from ${clientId}: ${eventType}`));
         
+        // Tenant clients only reach their tenant's socket
+        const tenant = client.tenantId ? this.tenants.get(client.tenantId) : null;
+        if (client.tenantId && !tenant) {
+            this.sendError(clientId, `Tenant not found: ${client.tenantId}`);
+            return;
+        }
+        if (tenant && targetSocket && targetSocket !== tenant.socketType) {
+            this.sendError(clientId, `Tenant ${tenant.id} runs the ${tenant.socketType} socket, not ${targetSocket}`);
+            return;
+        }
+        
         // Validate target socket
-        const socket = targetSocket ? this.sockets.get(targetSocket) : this.sockets.get(this.currentSocket);
+        const socketType = tenant ? tenant.socketType : (targetSocket || this.currentSocket);
+        const socket = tenant ? tenant.socket : this.sockets.get(socketType);
         
         if (!socket) {
-            this.sendError(clientId, `Socket not found: ${targetSocket || this.currentSocket}`);
+            this.sendError(clientId, `Socket not found: ${socketType}`);
+            return;
+        }
+        
+        const broadcastRoom = data.broadcastToRoom ? this.resolveRoom(client, data.broadcastToRoom) : null;
+        if (data.broadcastToRoom && !broadcastRoom) {
+            this.sendError(clientId, `Reserved room name: ${data.broadcastToRoom}`);
+            return;
+        }
+        
+        // Admin-only events require an authenticated administrator
+        const definition = this.registry.getEventDefinition(socketType, eventType);
+        if (definition && definition.admin && !client.isAdmin) {
+            this.sendError(clientId, `Permission denied: ${eventType} requires admin access`);
             return;
         }
         
@@ -296,7 +370,12 @@ class SocketDirectoryServer extends EventEmitter {
             socket.handleEvent({
                 type: eventType,
                 data: eventData,
-                clientId: clientId
+                clientId: clientId,
+                actor: {
+                    clientId: clientId,
+                    name: client.adminName || clientId,
+                    isAdmin: client.isAdmin
+                }
             }).then(result => {
                 // Send result back to client
                 this.sendToClient(clientId, {
@@ -304,13 +383,14 @@ class SocketDirectoryServer extends EventEmitter {
                     data: {
                         eventType: eventType,
                         result: result,
+                        tenantId: client.tenantId,
                         timestamp: new Date().toISOString()
                     }
                 });
                 
                 // Broadcast event to relevant room if specified
-                if (data.broadcastToRoom) {
-                    this.broadcastToRoom(data.broadcastToRoom, {
+                if (broadcastRoom) {
+                    this.broadcastToRoom(broadcastRoom, {
                         type: this.messageTypes.BUSINESS_EVENT,
                         data: {
                             eventType: eventType,
@@ -330,17 +410,129 @@ class SocketDirectoryServer extends EventEmitter {
         }
     }
     
+    /**
+     * Grant admin access to a client presenting the admin token and add it to the admins room
+     */
+    handleAdminAuth(clientId, data = {}) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+        
+        if (!this.adminToken) {
+            this.sendError(clientId, 'Admin access is not configured on this server');
+            return;
+        }
+        
+        if (!this.tokensMatch(this.adminToken, data.token)) {
+            console.warn(chalk.yellow(`⚠️ Failed admin authentication from ${clientId}`));
+            this.sendError(clientId, 'Admin authentication failed');
+            return;
+        }
+        
+        client.isAdmin = true;
+        client.adminName = data.name || clientId;
+        console.log(chalk.green(`🔑 Client ${clientId} authenticated as admin ${client.adminName}`));
+        
+        this.sendToClient(clientId, {
+            type: this.messageTypes.ADMIN_AUTH,
+            data: {
+                authenticated: true,
+                name: client.adminName,
+                timestamp: new Date().toISOString()
+            }
+        });
+        this.handleRoomJoin(clientId, 'admins');
+    }
+    
+    /**
+     * Compare a presented token with the expected one in constant time
+     */
+    tokensMatch(expected, provided) {
+        const expectedBuffer = Buffer.from(String(expected));
+        const providedBuffer = Buffer.from(String(provided || ''));
+        return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+    }
+    
+    /**
+     * Bind a client to a tenant: its business events go to the tenant's socket and its rooms
+     * and broadcasts stay within the tenant. A null tenantId returns it to the shared sockets.
+     */
+    handleTenantJoin(clientId, data = {}) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+        
+        const tenantId = data.tenantId || null;
+        const tenant = tenantId ? this.tenants.get(tenantId) : null;
+        if (tenantId && !tenant) {
+            this.sendError(clientId, `Unknown tenant: ${tenantId}`);
+            return;
+        }
+        
+        // Admins may join any tenant; everyone else needs the tenant's access token if it has one
+        if (tenant && tenant.accessToken && !client.isAdmin && !this.tokensMatch(tenant.accessToken, data.token)) {
+            console.warn(chalk.yellow(`⚠️ Failed tenant authentication for ${tenantId} from ${clientId}`));
+            this.sendError(clientId, 'Tenant authentication failed');
+            return;
+        }
+        
+        // Rooms belong to the tenant they were joined under
+        Array.from(client.rooms).forEach(roomName => this.handleRoomLeave(clientId, roomName));
+        
+        client.tenantId = tenantId;
+        client.socketType = tenant ? tenant.socketType : this.currentSocket;
+        console.log(chalk.green(`🏢 Client ${clientId} ${tenant ? `joined tenant ${tenantId}` : 'left its tenant'}`));
+        
+        this.sendToClient(clientId, {
+            type: this.messageTypes.TENANT_JOIN,
+            data: {
+                tenantId: tenantId,
+                name: tenant ? tenant.name : null,
+                socketType: client.socketType,
+                timestamp: new Date().toISOString()
+            }
+        });
+        
+        if (client.isAdmin) {
+            this.handleRoomJoin(clientId, 'admins');
+        }
+        this.emit('client_tenant_changed', { clientId, tenantId });
+    }
+    
+    /**
+     * Server-side name of a room a client refers to; null for names reserved for tenant rooms
+     */
+    resolveRoom(client, roomName) {
+        if (client.tenantId) {
+            return this.scopeRoom(client.tenantId, roomName);
+        }
+        return String(roomName).startsWith(TENANT_ROOM_PREFIX) ? null : roomName;
+    }
+    
+    scopeRoom(tenantId, roomName) {
+        return tenantId ? `${TENANT_ROOM_PREFIX}${tenantId}:${roomName}` : roomName;
+    }
+    
     handleRoomJoin(clientId, roomName) {
         const client = this.clients.get(clientId);
         if (!client) return;
         
+        const room = this.resolveRoom(client, roomName);
+        if (!room) {
+            this.sendError(clientId, `Reserved room name: ${roomName}`);
+            return;
+        }
+        
+        if (roomName === 'admins' && !client.isAdmin) {
+            this.sendError(clientId, 'Permission denied: the admins room requires admin access');
+            return;
+        }
+        
         // Create room if it doesn't exist
-        if (!this.rooms.has(roomName)) {
-            this.rooms.set(roomName, new Set());
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Set());
         }
         
-        // Add client to room
-        this.rooms.get(roomName).add(clientId);
+        // Add client to room (clients keep the name they joined with)
+        this.rooms.get(room).add(clientId);
         client.rooms.add(roomName);
         
         console.log(chalk.green(`🏠 Client ${clientId} joined room: ${roomName}`));
@@ -350,12 +542,12 @@ class SocketDirectoryServer extends EventEmitter {
             type: this.messageTypes.ROOM_JOIN,
             data: {
                 room: roomName,
-                members: this.rooms.get(roomName).size
+                members: this.rooms.get(room).size
             }
         });
         
         // Notify other room members
-        this.broadcastToRoom(roomName, {
+        this.broadcastToRoom(room, {
             type: this.messageTypes.CLIENT_JOIN,
             data: {
                 clientId: clientId,
@@ -368,13 +560,15 @@ class SocketDirectoryServer extends EventEmitter {
         const client = this.clients.get(clientId);
         if (!client) return;
         
+        const room = this.resolveRoom(client, roomName);
+        
         // Remove client from room
-        if (this.rooms.has(roomName)) {
-            this.rooms.get(roomName).delete(clientId);
+        if (room && this.rooms.has(room)) {
+            this.rooms.get(room).delete(clientId);
             
             // Remove empty rooms
-            if (this.rooms.get(roomName).size === 0) {
-                this.rooms.delete(roomName);
+            if (this.rooms.get(room).size === 0) {
+                this.rooms.delete(room);
             }
         }
         
@@ -391,8 +585,8 @@ class SocketDirectoryServer extends EventEmitter {
         });
         
         // Notify other room members
-        if (this.rooms.has(roomName)) {
-            this.broadcastToRoom(roomName, {
+        if (room && this.rooms.has(room)) {
+            this.broadcastToRoom(room, {
                 type: this.messageTypes.CLIENT_LEAVE,
                 data: {
                     clientId: clientId,
@@ -404,9 +598,18 @@ class SocketDirectoryServer extends EventEmitter {
     
     handleBroadcast(clientId, data) {
         const { message, targetRoom, targetSocket } = data;
+        const client = this.clients.get(clientId);
+        if (!client) return;
         
-        if (targetRoom) {
-            this.broadcastToRoom(targetRoom, {
+        // Broadcasts never leave the sender's tenant
+        const room = targetRoom ? this.resolveRoom(client, targetRoom) : null;
+        if (targetRoom && !room) {
+            this.sendError(clientId, `Reserved room name: ${targetRoom}`);
+            return;
+        }
+        
+        if (room) {
+            this.broadcastToRoom(room, {
                 type: this.messageTypes.BROADCAST,
                 data: {
                     message: message,
@@ -422,9 +625,9 @@ class SocketDirectoryServer extends EventEmitter {
                     from: clientId,
                     timestamp: new Date().toISOString()
                 }
-            }, [clientId]);
+            }, [clientId], client.tenantId);
         } else {
-            this.broadcastToAll({
+            this.broadcastToTenant(client.tenantId, {
                 type: this.messageTypes.BROADCAST,
                 data: {
                     message: message,
@@ -527,9 +730,20 @@ class SocketDirectoryServer extends EventEmitter {
         }
     }
     
-    broadcastToSocket(socketType, message, excludeClients = []) {
+    broadcastToSocket(socketType, message, excludeClients = [], tenantId = null) {
         this.clients.forEach((client, clientId) => {
-            if (client.socketType === socketType && !excludeClients.includes(clientId)) {
+            if (client.socketType === socketType && client.tenantId === tenantId && !excludeClients.includes(clientId)) {
+                this.sendToClient(clientId, message);
+            }
+        });
+    }
+    
+    /**
+     * Send to every client of a tenant (null: clients of the shared sockets)
+     */
+    broadcastToTenant(tenantId, message, excludeClients = []) {
+        this.clients.forEach((client, clientId) => {
+            if (client.tenantId === tenantId && !excludeClients.includes(clientId)) {
                 this.sendToClient(clientId, message);
             }
         });
@@ -582,22 +796,24 @@ class SocketDirectoryServer extends EventEmitter {
     
     async loadSocketConfigurations() {
         try {
-            const socketsDir = path.join(__dirname, '..', 'sockets');
-            const socketDirs = await fs.readdir(socketsDir);
-            
-            for (const socketDir of socketDirs) {
-                const socketPath = path.join(socketsDir, socketDir, 'index.js');
-                
+            for (const { type } of this.registry.list()) {
                 try {
-                    await fs.access(socketPath);
-                    await this.loadSocket(socketDir);
+                    await this.loadSocket(type);
                 } catch (error) {
-                    console.warn(chalk.yellow(`⚠️ Could not load socket: ${socketDir}`));
+                    console.warn(chalk.yellow(`⚠️ Could not load socket: ${type}`));
                 }
             }
             
             console.log(chalk.green(`✅ Loaded ${this.sockets.size} socket configurations`));
             
+            for (const definition of this.initialTenants) {
+                try {
+                    await this.addTenant(definition);
+                } catch (error) {
+                    console.warn(chalk.yellow(`⚠️ Could not load tenant ${definition.id}: ${error.message}`));
+                }
+            }
+            
         } catch (error) {
             console.error(chalk.red('❌ Failed to load socket configurations:', error.message));
         }
@@ -605,24 +821,211 @@ class SocketDirectoryServer extends EventEmitter {
     
     async loadSocket(socketType) {
         try {
-            const socketPath = path.join(__dirname, '..', 'sockets', socketType, 'index.js');
-            const SocketClass = require(socketPath);
+            const SocketClass = this.registry.getSocketClass(socketType);
+            const socket = await this.createSocket(SocketClass, socketType);
+            
+            this.attachSocket(socketType, socket);
+            console.log(chalk.green(`✅ Loaded socket: ${socketType}`));
             
-            const socket = new SocketClass({
-                server: this,
-                socketType: socketType
+        } catch (error) {
+            console.error(chalk.red(`❌ Failed to load socket ${socketType}:`, error.message));
+            throw error;
+        }
+    }
+    
+    /**
+     * Build a socket instance; a tenant's socket gets the tenant's own config and data directory
+     */
+    async createSocket(SocketClass, socketType, tenant = null) {
+        return createValidatedSocket(SocketClass, socketType, {
+            ...(tenant ? tenantSocketConfig(tenant) : {}),
+            server: this,
+            socketType: socketType
+        });
+    }
+    
+    /**
+     * Register a loaded socket, share services with it and deliver its room and client notifications
+     * @param {Object} tenant - Tenant the socket belongs to (null for the shared socket of its type)
+     */
+    attachSocket(socketType, socket, tenant = null) {
+        const tenantId = tenant ? tenant.id : null;
+        
+        if (typeof socket.attachServices === 'function') {
+            socket.attachServices(this.services, tenant ? createTenantServices(tenant) : {});
+        }
+        
+        socket.on('notification', ({ room, clientId, eventType, data }) => {
+            const message = {
+                type: this.messageTypes.BUSINESS_EVENT,
+                data: {
+                    eventType: eventType,
+                    eventData: data,
+                    from: socketType,
+                    tenantId: tenantId,
+                    room: room,
+                    timestamp: new Date().toISOString()
+                }
+            };
+            
+            if (clientId) {
+                // Only deliver to the client while it is still within the socket's tenant
+                const client = this.clients.get(clientId);
+                if (client && client.tenantId === tenantId) {
+                    this.sendToClient(clientId, message);
+                }
+            } else {
+                this.broadcastToRoom(this.scopeRoom(tenantId, room), message);
+            }
+        });
+        
+        if (tenant) {
+            tenant.socket = socket;
+        } else {
+            this.sockets.set(socketType, socket);
+        }
+    }
+    
+    /**
+     * Load and activate a socket for a tenant
+     * @param {Object} definition - { id, socketType, name, config, accessToken }
+     */
+    async addTenant(definition) {
+        const tenant = normalizeTenant(definition);
+        if (this.tenants.has(tenant.id)) {
+            throw new Error(`Tenant '${tenant.id}' already exists`);
+        }
+        if (!this.registry.has(tenant.socketType)) {
+            throw new Error(`Invalid socket type for tenant ${tenant.id}: ${tenant.socketType}`);
+        }
+        
+        const socket = await this.createSocket(this.registry.getSocketClass(tenant.socketType), tenant.socketType, tenant);
+        this.attachSocket(tenant.socketType, socket, tenant);
+        this.tenants.set(tenant.id, tenant);
+        await socket.activate();
+        
+        console.log(chalk.green(`🏢 Loaded tenant ${tenant.id} (${tenant.socketType})`));
+        this.emit('tenant_added', { tenantId: tenant.id, socketType: tenant.socketType });
+        
+        return socket;
+    }
+    
+    /**
+     * Shut down a tenant's socket; its clients return to the shared sockets
+     */
+    async removeTenant(tenantId) {
+        const tenant = this.tenants.get(tenantId);
+        if (!tenant) {
+            throw new Error(`Tenant '${tenantId}' not found`);
+        }
+        
+        this.clients.forEach((client, clientId) => {
+            if (client.tenantId === tenantId) {
+                this.handleTenantJoin(clientId, { tenantId: null });
+            }
+        });
+        
+        await tenant.socket.shutdown();
+        this.tenants.delete(tenantId);
+        
+        console.log(chalk.gray(`📴 Removed tenant ${tenantId}`));
+        this.emit('tenant_removed', { tenantId, socketType: tenant.socketType });
+    }
+    
+    listTenants() {
+        return Array.from(this.tenants.values()).map(tenant => ({
+            id: tenant.id,
+            name: tenant.name,
+            socketType: tenant.socketType,
+            status: tenant.socket.status,
+            clients: Array.from(this.clients.values()).filter(client => client.tenantId === tenant.id).length
+        }));
+    }
+    
+    /**
+     * Watch socket directories and reload sockets when their files change
+     */
+    enableHotReload(options = {}) {
+        if (this.socketWatcher) return;
+        
+        this.socketWatcher = new SocketWatcher(this.registry, options);
+        this.socketWatcher.on('change', ({ socketType, files }) => {
+            console.log(chalk.blue(`👀 Change detected in ${socketType} socket: ${files.join(', ') || 'unknown file'}`));
+            this.reloadSocket(socketType).catch(() => {
+                // Failure already reported; the previous instance keeps running
             });
+        });
+        this.socketWatcher.start();
+        
+        console.log(chalk.cyan('♻️ Socket hot reload enabled'));
+    }
+    
+    disableHotReload() {
+        if (!this.socketWatcher) return;
+        
+        this.socketWatcher.stop();
+        this.socketWatcher = null;
+    }
+    
+    /**
+     * Replace a socket with a freshly loaded version of its module, keeping its state
+     */
+    async reloadSocket(socketType) {
+        // Serialize reloads of the same socket so bursts of edits apply in order
+        const previous = this.reloadQueues.get(socketType) || Promise.resolve();
+        const reload = previous.catch(() => {}).then(() => this.performReload(socketType));
+        this.reloadQueues.set(socketType, reload);
+        
+        try {
+            return await reload;
+        } finally {
+            if (this.reloadQueues.get(socketType) === reload) {
+                this.reloadQueues.delete(socketType);
+            }
+        }
+    }
+    
+    async performReload(socketType) {
+        console.log(chalk.yellow(`♻️ Reloading ${socketType} socket...`));
+        
+        try {
+            const { SocketClass } = this.registry.reload(socketType);
+            const newSocket = await this.createSocket(SocketClass, socketType);
             
-            // Initialize socket if method exists
-            if (typeof socket.initialize === 'function') {
-                await socket.initialize();
+            const oldSocket = this.sockets.get(socketType);
+            if (oldSocket) {
+                await transferSocketState(oldSocket, newSocket);
             }
+            this.attachSocket(socketType, newSocket);
             
-            this.sockets.set(socketType, socket);
-            console.log(chalk.green(`✅ Loaded socket: ${socketType}`));
+            // Tenants running this socket type pick up the same module
+            for (const tenant of this.tenants.values()) {
+                if (tenant.socketType !== socketType) continue;
+                
+                const tenantSocket = await this.createSocket(SocketClass, socketType, tenant);
+                await transferSocketState(tenant.socket, tenantSocket);
+                this.attachSocket(socketType, tenantSocket, tenant);
+            }
+            
+            this.broadcastToAll({
+                type: this.messageTypes.SOCKET_STATUS,
+                data: {
+                    socketType: socketType,
+                    reloaded: true,
+                    currentSocket: this.currentSocket,
+                    status: newSocket.getStatus(),
+                    timestamp: new Date().toISOString()
+                }
+            });
+            
+            console.log(chalk.green(`✅ Reloaded ${socketType} socket`));
+            this.emit('socket_reloaded', { socketType });
+            
+            return newSocket;
             
         } catch (error) {
-            console.error(chalk.red(`❌ Failed to load socket ${socketType}:`, error.message));
+            console.error(chalk.red(`❌ Failed to reload ${socketType} socket:`, error.message));
+            this.emit('socket_reload_failed', { socketType, error: error.message });
             throw error;
         }
     }
@@ -637,6 +1040,7 @@ class SocketDirectoryServer extends EventEmitter {
             clients: this.clients.size,
             rooms: this.rooms.size,
             sockets: this.sockets.size,
+            tenants: this.tenants.size,
             currentSocket: this.currentSocket,
             memory: process.memoryUsage(),
             timestamp: new Date().toISOString()
@@ -651,6 +1055,8 @@ class SocketDirectoryServer extends EventEmitter {
             clearInterval(this.heartbeatInterval);
         }
         
+        this.disableHotReload();
+        
         // Close all client connections
         this.clients.forEach((client, clientId) => {
             try {
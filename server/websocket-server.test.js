@@ -0,0 +1,165 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const socketRegistry = require('../core/socket-registry');
+const SocketDirectoryServer = require('./websocket-server');
+
+// Registry that knows every socket's events but loads no sockets on start-up
+const registry = {
+    list: () => [],
+    getEventDefinition: (socketType, eventType) => socketRegistry.getEventDefinition(socketType, eventType)
+};
+
+function createServer() {
+    const server = new SocketDirectoryServer({ registry });
+    const socket = { handleEvent: jest.fn().mockResolvedValue({ success: true }) };
+    server.sockets.set('pizza', socket);
+    return { server, socket };
+}
+
+function connect(server, clientId, { isAdmin = false } = {}) {
+    const ws = { readyState: WebSocket.OPEN, send: jest.fn() };
+    server.clients.set(clientId, {
+        id: clientId,
+        ws,
+        rooms: new Set(),
+        socketType: 'pizza',
+        isAdmin,
+        adminName: isAdmin ? 'Manager' : null,
+        tenantId: null
+    });
+    return ws;
+}
+
+function sentMessages(ws) {
+    return ws.send.mock.calls.map(([message]) => JSON.parse(message));
+}
+
+describe('admin-only business events', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test.each(['menu_update', 'restaurant_registration'])('pizza %s is marked admin-only', eventType => {
+        expect(socketRegistry.getEventDefinition('pizza', eventType).admin).toBe(true);
+    });
+
+    test('rejects a menu update from a client that is not an administrator', () => {
+        const { server, socket } = createServer();
+        const ws = connect(server, 'client_1');
+
+        server.handleBusinessEvent('client_1', {
+            eventType: 'menu_update',
+            eventData: { restaurantId: 'pizza_rest_001', menuChanges: [] },
+            targetSocket: 'pizza'
+        });
+
+        expect(socket.handleEvent).not.toHaveBeenCalled();
+        const [message] = sentMessages(ws);
+        expect(message.type).toBe('error');
+        expect(message.data.error).toBe('Permission denied: menu_update requires admin access');
+    });
+
+    test('passes a menu update from an administrator to the socket with the actor', () => {
+        const { server, socket } = createServer();
+        connect(server, 'admin_1', { isAdmin: true });
+
+        server.handleBusinessEvent('admin_1', {
+            eventType: 'menu_update',
+            eventData: { restaurantId: 'pizza_rest_001', menuChanges: [] },
+            targetSocket: 'pizza'
+        });
+
+        expect(socket.handleEvent).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'menu_update',
+            actor: { clientId: 'admin_1', name: 'Manager', isAdmin: true }
+        }));
+    });
+
+    test('keeps clients that are not administrators out of the admins room', () => {
+        const { server } = createServer();
+        const ws = connect(server, 'client_1');
+        connect(server, 'admin_1', { isAdmin: true });
+
+        server.handleRoomJoin('client_1', 'admins');
+        server.handleRoomJoin('admin_1', 'admins');
+
+        const [message] = sentMessages(ws);
+        expect(message.type).toBe('error');
+        expect(message.data.error).toBe('Permission denied: the admins room requires admin access');
+        expect(Array.from(server.rooms.get('admins'))).toEqual(['admin_1']);
+    });
+});
+
+describe('tenants', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    function createTenantServer() {
+        const { server, socket: sharedSocket } = createServer();
+        const tenantSocket = new EventEmitter();
+        tenantSocket.handleEvent = jest.fn().mockResolvedValue({ success: true });
+        const tenant = { id: 'north', name: 'North Slice', socketType: 'pizza', config: {}, accessToken: 'secret' };
+        server.attachSocket('pizza', tenantSocket, tenant);
+        server.tenants.set('north', tenant);
+        return { server, sharedSocket, tenantSocket };
+    }
+
+    test('only lets clients with the access token join a tenant', () => {
+        const { server } = createTenantServer();
+        const ws = connect(server, 'client_1');
+
+        server.handleTenantJoin('client_1', { tenantId: 'north', token: 'guess' });
+        server.handleTenantJoin('client_1', { tenantId: 'north', token: 'secret' });
+
+        const [rejected, joined] = sentMessages(ws);
+        expect(rejected.data.error).toBe('Tenant authentication failed');
+        expect(joined).toMatchObject({ type: 'tenant_join', data: { tenantId: 'north', name: 'North Slice', socketType: 'pizza' } });
+        expect(server.clients.get('client_1').tenantId).toBe('north');
+    });
+
+    test('sends business events from tenant clients to the tenant socket only', async () => {
+        const { server, sharedSocket, tenantSocket } = createTenantServer();
+        const ws = connect(server, 'client_1');
+        server.handleTenantJoin('client_1', { tenantId: 'north', token: 'secret' });
+
+        server.handleBusinessEvent('client_1', { eventType: 'menu_request', eventData: {} });
+        server.handleBusinessEvent('client_1', { eventType: 'class_schedule', eventData: {}, targetSocket: 'gym' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(tenantSocket.handleEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'menu_request' }));
+        expect(sharedSocket.handleEvent).not.toHaveBeenCalled();
+        expect(sentMessages(ws).slice(1).map(message => message.data.error || message.data.tenantId)).toEqual([
+            'Tenant north runs the pizza socket, not gym',
+            'north'
+        ]);
+    });
+
+    test('keeps rooms and socket notifications within the tenant', () => {
+        const { server, tenantSocket } = createTenantServer();
+        const tenantWs = connect(server, 'client_1');
+        const sharedWs = connect(server, 'client_2');
+        server.handleTenantJoin('client_1', { tenantId: 'north', token: 'secret' });
+        server.handleRoomJoin('client_1', 'pizza_kitchen');
+        server.handleRoomJoin('client_2', 'pizza_kitchen');
+        server.handleRoomJoin('client_2', 'tenant:north:pizza_kitchen');
+        tenantWs.send.mockClear();
+        sharedWs.send.mockClear();
+
+        tenantSocket.emit('notification', { room: 'pizza_kitchen', eventType: 'order_status', data: { orderId: 'order_1' } });
+
+        expect(server.rooms.get('tenant:north:pizza_kitchen')).toEqual(new Set(['client_1']));
+        expect(sentMessages(tenantWs)).toEqual([expect.objectContaining({ data: expect.objectContaining({ eventType: 'order_status', tenantId: 'north' }) })]);
+        expect(sentMessages(sharedWs)).toEqual([]);
+    });
+});
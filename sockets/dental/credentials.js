@@ -0,0 +1,281 @@
+/**
+ * Dentist Credential Verification - Registration workflow from submission to approval
+ * Every transition is recorded in the registration's audit trail with the acting user
+ *
+ *   submitted ──► documents_requested ──► under_review ──► approved
+ *       │                 ▲                   │
+ *       └──► under_review └───────────────────┤
+ *   (any open state) ──────────────────────────┴──► rejected
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const STATES = ['submitted', 'documents_requested', 'under_review', 'approved', 'rejected'];
+const OPEN_STATES = ['submitted', 'documents_requested', 'under_review'];
+
+// Workflow actions: allowed source states, target state and whether an admin must perform them
+const ACTIONS = {
+    request_documents: { from: ['submitted', 'under_review'], to: 'documents_requested', admin: true },
+    submit_documents: { from: ['documents_requested'], to: 'under_review', admin: false },
+    start_review: { from: ['submitted'], to: 'under_review', admin: true },
+    approve: { from: ['under_review'], to: 'approved', admin: true },
+    reject: { from: OPEN_STATES, to: 'rejected', admin: true }
+};
+
+// Dental license number formats by licensing state; other states use DEFAULT_LICENSE_FORMAT
+const LICENSE_FORMATS = {
+    CA: /^(DDS)?\d{5,6}$/,
+    FL: /^DN\d{4,6}$/,
+    IL: /^019\d{6}$/,
+    MA: /^(DN)?\d{5}$/,
+    NY: /^\d{6}$/,
+    PA: /^DS\d{6}L?$/,
+    TX: /^\d{5}$/,
+    WA: /^DE\d{8}$/
+};
+const DEFAULT_LICENSE_FORMAT = /^[A-Z]{0,4}\d{4,10}[A-Z]?$/;
+
+const SYSTEM_ACTOR = { clientId: null, name: 'system', isAdmin: true };
+
+function normalizeLicense(licenseNumber) {
+    return String(licenseNumber || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+class CredentialWorkflow extends JsonStore {
+    /**
+     * @param {Object} options - Workflow options
+     * @param {string|null} options.directory - Directory for credentials.json (null keeps data in memory only)
+     * @param {Object} options.licenseFormats - Extra or replacement license formats by state (RegExp or string)
+     */
+    constructor(options = {}) {
+        super({ fileName: 'credentials.json', directory: options.directory, namespace: 'dental' });
+
+        this.licenseFormats = { ...LICENSE_FORMATS };
+        for (const [state, format] of Object.entries(options.licenseFormats || {})) {
+            this.licenseFormats[state.toUpperCase()] = format instanceof RegExp ? format : new RegExp(format);
+        }
+
+        this.registrations = new Map(); // registrationId -> registration
+    }
+
+    restore(snapshot = {}) {
+        this.registrations = new Map((snapshot.registrations || []).map(registration => [registration.id, registration]));
+    }
+
+    toJSON() {
+        return { registrations: Array.from(this.registrations.values()) };
+    }
+
+    /**
+     * Check a license number against its state's format
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateLicense(licenseNumber, licenseState) {
+        const normalized = normalizeLicense(licenseNumber);
+        if (!normalized) return 'credentials.licenseNumber is required';
+
+        const state = String(licenseState || '').toUpperCase();
+        if (licenseState && !/^[A-Z]{2}$/.test(state)) {
+            return `credentials.licenseState must be a two-letter state code, got ${licenseState}`;
+        }
+
+        const format = this.licenseFormats[state] || DEFAULT_LICENSE_FORMAT;
+        if (!format.test(normalized)) {
+            return `License number ${licenseNumber} does not match the ${state || 'default'} license format`;
+        }
+        return null;
+    }
+
+    validateRegistration(data) {
+        const errors = [];
+        const personalInfo = data.personalInfo || {};
+        const credentials = data.credentials || {};
+        const practiceInfo = data.practiceInfo || {};
+
+        if (!personalInfo.name) errors.push('personalInfo.name is required');
+        if (!personalInfo.email && !personalInfo.phone) errors.push('personalInfo requires an email or phone');
+        if (!practiceInfo.name) errors.push('practiceInfo.name is required');
+
+        const licenseError = this.validateLicense(credentials.licenseNumber, credentials.licenseState);
+        if (licenseError) errors.push(licenseError);
+
+        return errors;
+    }
+
+    /**
+     * Open registration (not rejected) holding the same license
+     */
+    findByLicense(licenseNumber, licenseState) {
+        const normalized = normalizeLicense(licenseNumber);
+        const state = String(licenseState || '').toUpperCase();
+
+        return Array.from(this.registrations.values()).find(registration =>
+            registration.status !== 'rejected' &&
+            registration.credentials.licenseNumber === normalized &&
+            (registration.credentials.licenseState || '') === state
+        ) || null;
+    }
+
+    /**
+     * Submit a dentist registration; throws with code INVALID_REGISTRATION or DUPLICATE_LICENSE
+     * @param {Object} data - { personalInfo, credentials, practiceInfo, specialties, availability, documents }
+     */
+    async submit(data, actor = SYSTEM_ACTOR) {
+        const errors = this.validateRegistration(data);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid dentist registration: ${errors.join('; ')}`);
+            error.code = 'INVALID_REGISTRATION';
+            error.errors = errors;
+            throw error;
+        }
+
+        const existing = this.findByLicense(data.credentials.licenseNumber, data.credentials.licenseState);
+        if (existing) {
+            const error = new Error(`License ${data.credentials.licenseNumber} is already registered as ${existing.id}`);
+            error.code = 'DUPLICATE_LICENSE';
+            error.registrationId = existing.id;
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const registration = {
+            id: `dentist_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            dentistId: data.dentistId || null,
+            status: 'submitted',
+            personalInfo: { ...data.personalInfo },
+            credentials: {
+                ...data.credentials,
+                licenseNumber: normalizeLicense(data.credentials.licenseNumber),
+                licenseState: data.credentials.licenseState ? String(data.credentials.licenseState).toUpperCase() : null
+            },
+            practiceInfo: { ...data.practiceInfo },
+            specialties: data.specialties || [],
+            availability: data.availability || null,
+            documents: data.documents || [],
+            requestedDocuments: [],
+            listing: null,
+            submittedBy: actor.clientId || null,
+            submittedAt: now,
+            updatedAt: now,
+            audit: []
+        };
+        this.recordAudit(registration, { action: 'submitted', from: null, to: 'submitted', actor });
+
+        this.registrations.set(registration.id, registration);
+        await this.save();
+        this.emit('credential:submitted', registration);
+        return registration;
+    }
+
+    /**
+     * Apply a workflow action; throws with code INVALID_TRANSITION or PERMISSION_DENIED
+     * @param {string} registrationId - Registration identifier
+     * @param {string} action - One of ACTIONS
+     * @param {Object} options - { actor, notes, documents, requestedDocuments }
+     */
+    async transition(registrationId, action, options = {}) {
+        const registration = this.get(registrationId);
+        const definition = ACTIONS[action];
+        const actor = options.actor || SYSTEM_ACTOR;
+
+        if (!definition) {
+            throw new Error(`Unknown credential action: ${action}. Available: ${Object.keys(ACTIONS).join(', ')}`);
+        }
+        if (definition.admin && !actor.isAdmin) {
+            const error = new Error(`${action} requires an administrator`);
+            error.code = 'PERMISSION_DENIED';
+            throw error;
+        }
+        if (!definition.from.includes(registration.status)) {
+            const error = new Error(`Cannot ${action} registration ${registrationId} in state ${registration.status}`);
+            error.code = 'INVALID_TRANSITION';
+            throw error;
+        }
+
+        const from = registration.status;
+        registration.status = definition.to;
+
+        if (action === 'request_documents') {
+            registration.requestedDocuments = options.requestedDocuments || [];
+        }
+        if (action === 'submit_documents') {
+            registration.documents.push(...(options.documents || []));
+            registration.requestedDocuments = [];
+        }
+        if (action === 'approve') {
+            registration.approvedAt = new Date().toISOString();
+            registration.approvedBy = actor.name;
+        }
+
+        this.recordAudit(registration, { action, from, to: definition.to, actor, notes: options.notes });
+        await this.save();
+
+        const change = { registration, action, from, to: definition.to, actor };
+        this.emit('credential:status_changed', change);
+        return change;
+    }
+
+    /**
+     * Store the WordPress listing created for an approved dentist (or the failure)
+     */
+    async recordPublication(registrationId, result, actor = SYSTEM_ACTOR) {
+        const registration = this.get(registrationId);
+
+        if (result.error) {
+            this.recordAudit(registration, { action: 'publication_failed', actor, notes: result.error });
+        } else {
+            registration.listing = { id: result.id, link: result.link || null, publishedAt: new Date().toISOString() };
+            this.recordAudit(registration, { action: 'published', actor, notes: `WordPress listing ${result.id}` });
+        }
+
+        await this.save();
+        return registration;
+    }
+
+    recordAudit(registration, entry) {
+        const at = new Date().toISOString();
+        registration.audit.push({
+            action: entry.action,
+            from: entry.from !== undefined ? entry.from : registration.status,
+            to: entry.to !== undefined ? entry.to : registration.status,
+            actor: { clientId: entry.actor.clientId || null, name: entry.actor.name },
+            notes: entry.notes || null,
+            at
+        });
+        registration.updatedAt = at;
+    }
+
+    get(registrationId) {
+        const registration = this.registrations.get(registrationId);
+        if (!registration) {
+            throw new Error(`Unknown dentist registration: ${registrationId}`);
+        }
+        return registration;
+    }
+
+    /**
+     * List registrations, optionally by status
+     */
+    list(filter = {}) {
+        return Array.from(this.registrations.values())
+            .filter(registration => !filter.status || registration.status === filter.status)
+            .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    }
+
+    getStats() {
+        const stats = {};
+        for (const state of STATES) {
+            stats[state] = 0;
+        }
+        for (const registration of this.registrations.values()) {
+            stats[registration.status]++;
+        }
+        return stats;
+    }
+}
+
+CredentialWorkflow.STATES = STATES;
+CredentialWorkflow.ACTIONS = ACTIONS;
+CredentialWorkflow.LICENSE_FORMATS = LICENSE_FORMATS;
+
+module.exports = CredentialWorkflow;
@@ -0,0 +1,100 @@
+const CredentialWorkflow = require('./credentials');
+
+const ADMIN = { clientId: 'client_admin', name: 'Office manager', isAdmin: true };
+const DENTIST = { clientId: 'client_dentist', name: 'Dr. Lee', isAdmin: false };
+
+function registration(overrides = {}) {
+    return {
+        personalInfo: { name: 'Dr. Lee', email: 'lee@example.com' },
+        credentials: { licenseNumber: '123-456', licenseState: 'ny' },
+        practiceInfo: { name: 'Bright Smiles' },
+        ...overrides
+    };
+}
+
+describe('CredentialWorkflow', () => {
+    test('submits a registration with a normalized license and an audit entry', async () => {
+        const workflow = new CredentialWorkflow({ directory: null });
+
+        const submitted = await workflow.submit(registration(), DENTIST);
+
+        expect(submitted).toMatchObject({ status: 'submitted', credentials: { licenseNumber: '123456', licenseState: 'NY' } });
+        expect(submitted.audit).toEqual([
+            expect.objectContaining({ action: 'submitted', from: null, to: 'submitted', actor: { clientId: 'client_dentist', name: 'Dr. Lee' } })
+        ]);
+    });
+
+    test('validates license numbers against the licensing state', async () => {
+        const workflow = new CredentialWorkflow({ directory: null, licenseFormats: { OR: '^D\\d{4}$' } });
+
+        expect(workflow.validateLicense('DN12345', 'FL')).toBeNull();
+        expect(workflow.validateLicense('D1234', 'or')).toBeNull();
+        expect(workflow.validateLicense('12345', 'FL')).toBe('License number 12345 does not match the FL license format');
+        expect(workflow.validateLicense('12345', 'Florida')).toMatch('two-letter state code');
+        await expect(workflow.submit({ credentials: {} })).rejects.toMatchObject({
+            code: 'INVALID_REGISTRATION',
+            errors: [
+                'personalInfo.name is required',
+                'personalInfo requires an email or phone',
+                'practiceInfo.name is required',
+                'credentials.licenseNumber is required'
+            ]
+        });
+    });
+
+    test('rejects a second open registration for the same license', async () => {
+        const workflow = new CredentialWorkflow({ directory: null });
+        const first = await workflow.submit(registration());
+
+        await expect(workflow.submit(registration({ credentials: { licenseNumber: '123456', licenseState: 'NY' } })))
+            .rejects.toMatchObject({ code: 'DUPLICATE_LICENSE', registrationId: first.id });
+
+        await workflow.transition(first.id, 'reject', { actor: ADMIN, notes: 'Expired license' });
+        await expect(workflow.submit(registration())).resolves.toMatchObject({ status: 'submitted' });
+    });
+
+    test('walks a registration through document requests to approval', async () => {
+        const workflow = new CredentialWorkflow({ directory: null });
+        const changes = [];
+        workflow.on('credential:status_changed', change => changes.push(`${change.from} -> ${change.to}`));
+        const { id } = await workflow.submit(registration());
+
+        await workflow.transition(id, 'request_documents', { actor: ADMIN, requestedDocuments: ['malpractice_insurance'] });
+        expect(workflow.get(id).requestedDocuments).toEqual(['malpractice_insurance']);
+
+        await workflow.transition(id, 'submit_documents', { actor: DENTIST, documents: [{ type: 'malpractice_insurance', url: 'https://files.example.com/policy.pdf' }] });
+        const { registration: approved } = await workflow.transition(id, 'approve', { actor: ADMIN });
+
+        expect(approved).toMatchObject({ status: 'approved', approvedBy: 'Office manager', requestedDocuments: [] });
+        expect(approved.documents).toHaveLength(1);
+        expect(changes).toEqual(['submitted -> documents_requested', 'documents_requested -> under_review', 'under_review -> approved']);
+        expect(approved.audit.map(entry => entry.actor.name)).toEqual(['system', 'Office manager', 'Dr. Lee', 'Office manager']);
+    });
+
+    test('keeps administrator actions and closed states out of reach', async () => {
+        const workflow = new CredentialWorkflow({ directory: null });
+        const { id } = await workflow.submit(registration());
+
+        await expect(workflow.transition(id, 'approve', { actor: DENTIST })).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+        await expect(workflow.transition(id, 'approve', { actor: ADMIN })).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        await expect(workflow.transition(id, 'publish', { actor: ADMIN })).rejects.toThrow('Unknown credential action: publish');
+
+        await workflow.transition(id, 'reject', { actor: ADMIN });
+        await expect(workflow.transition(id, 'start_review', { actor: ADMIN })).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        expect(workflow.getStats()).toMatchObject({ submitted: 0, rejected: 1 });
+    });
+
+    test('records WordPress publication results in the audit trail', async () => {
+        const workflow = new CredentialWorkflow({ directory: null });
+        const { id } = await workflow.submit(registration());
+
+        await workflow.recordPublication(id, { error: 'WordPress unreachable' });
+        const published = await workflow.recordPublication(id, { id: 42, link: 'https://example.com/dentists/dr-lee' }, ADMIN);
+
+        expect(published.listing).toMatchObject({ id: 42, link: 'https://example.com/dentists/dr-lee' });
+        expect(published.audit.slice(1).map(entry => [entry.action, entry.notes])).toEqual([
+            ['publication_failed', 'WordPress unreachable'],
+            ['published', 'WordPress listing 42']
+        ]);
+    });
+});
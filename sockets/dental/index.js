@@ -3,27 +3,51 @@
  * Handles dental practices, procedures, appointments, and patient management
  */
 
-const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
 const chalk = require('chalk');
+const BaseSocket = require('../../core/base-socket');
+const { pick } = require('../../core/event-data');
+const AppointmentScheduler = require('./scheduler');
+const PatientRecords = require('./patients');
+const InsuranceVerifier = require('./insurance');
+const CredentialWorkflow = require('./credentials');
 
-class DentalSocket extends EventEmitter {
+// Scheduler events re-emitted by the socket
+const SCHEDULER_EVENTS = [
+    'appointment:booked',
+    'appointment:cancelled',
+    'appointment:rescheduled',
+    'waitlist:joined',
+    'waitlist:promoted'
+];
+
+// Patient record events re-emitted by the socket
+const PATIENT_EVENTS = ['patient:registered', 'patient:updated'];
+
+// WebSocket room that receives dentist verification notifications
+const ADMIN_ROOM = 'admins';
+
+/**
+ * Next open slot for the sample dentist under the default working hours
+ */
+function nextSampleSlot(appointmentType) {
+    const slot = new AppointmentScheduler({ directory: null }).findNextAvailable(appointmentType, { dentistId: 'dr_smith_001' });
+    return new Date(slot.start).toISOString();
+}
+
+class DentalSocket extends BaseSocket {
     constructor(config = {}) {
-        super();
-        this.businessType = 'dental';
-        this.config = {
-            siteName: config.siteName || 'Dental Practice',
-            location: config.location || 'Your City',
-            services: config.services || [
+        super('dental', config, {
+            siteName: 'Dental Practice',
+            services: [
                 'General Dentistry',
                 'Cosmetic Dentistry', 
                 'Orthodontics',
                 'Oral Surgery',
                 'Preventive Care'
-            ],
-            ...config
-        };
+            ]
+        });
         
         // Enhanced dental-specific configuration
         this.dentalConfig = {
@@ -33,10 +57,46 @@ class DentalSocket extends EventEmitter {
             integrations: ['appointment_booking', 'insurance_verification', 'patient_portal']
         };
         
-        this.status = 'inactive';
-        this.services = new Map();
-        this.activeIntegrations = [];
-        this.isInitialized = false;
+        // Appointment scheduling (config.scheduling: { directory, slotInterval, appointmentTypes, dentists })
+        this.scheduler = new AppointmentScheduler(this.getStoreConfig('scheduling'));
+        for (const eventName of SCHEDULER_EVENTS) {
+            this.scheduler.on(eventName, payload => this.emit(eventName, payload));
+        }
+        
+        // Patient records (config.patients: { directory, encryptionKey })
+        this.patients = new PatientRecords(this.getStoreConfig('patients'));
+        for (const eventName of PATIENT_EVENTS) {
+            this.patients.on(eventName, payload => this.emit(eventName, payload));
+        }
+        
+        // Insurance verification (config.insurance: { provider, providerOptions, cacheTtl, procedures, requireVerification })
+        const insuranceConfig = this.config.insurance || {};
+        this.insurance = new InsuranceVerifier(insuranceConfig);
+        this.requireInsuranceVerification = insuranceConfig.requireVerification === true;
+        
+        // Dentist credential verification (config.credentials: { directory, licenseFormats })
+        this.credentials = new CredentialWorkflow(this.getStoreConfig('credentials'));
+        this.credentials.on('credential:submitted', registration => {
+            this.emit('credential:submitted', registration);
+            this.notify(ADMIN_ROOM, 'dentist_registration_submitted', {
+                registrationId: registration.id,
+                name: registration.personalInfo.name,
+                licenseNumber: registration.credentials.licenseNumber,
+                licenseState: registration.credentials.licenseState
+            });
+        });
+        this.credentials.on('credential:status_changed', change => {
+            this.emit('credential:status_changed', change);
+            const update = {
+                registrationId: change.registration.id,
+                action: change.action,
+                from: change.from,
+                to: change.to,
+                by: change.actor.name
+            };
+            this.notify(ADMIN_ROOM, 'dentist_verification_updated', update);
+            this.notifyClient(change.registration.submittedBy, 'dentist_verification_updated', update);
+        });
     }
 
     /**
@@ -71,6 +131,9 @@ class DentalSocket extends EventEmitter {
             await this.loadTemplates();
             await this.setupSEOConfig();
             await this.validateServices();
+            await this.scheduler.load();
+            await this.patients.load();
+            await this.credentials.load();
             
             this.isInitialized = true;
             console.log(chalk.green('✅ Dental socket initialized successfully'));
@@ -250,116 +313,612 @@ class DentalSocket extends EventEmitter {
     }
 
     /**
-     * Handle business-specific events
+     * Dental event handlers
      */
-    async handleEvent(event) {
-        console.log(chalk.cyan(`📡 Dental Socket handling event: ${event.type}`));
-        
-        try {
-            switch (event.type) {
-                case 'appointment_booking':
-                    return await this.handleAppointmentBooking(event.data);
-                case 'dentist_registration':
-                    return await this.handleDentistRegistration(event.data);
-                default:
-                    return { success: true, message: `Handled ${event.type} event` };
+    getEventHandlers() {
+        return {
+            appointment_booking: this.handleAppointmentBooking,
+            appointment_cancellation: this.handleAppointmentCancellation,
+            appointment_reschedule: this.handleAppointmentReschedule,
+            appointment_query: this.handleAppointmentQuery,
+            availability_query: this.handleAvailabilityQuery,
+            waitlist_join: this.handleWaitlistJoin,
+            dentist_schedule_update: this.handleDentistScheduleUpdate,
+            dentist_registration: this.handleDentistRegistration,
+            patient_registration: this.handlePatientRegistration,
+            patient_lookup: this.handlePatientLookup,
+            patient_update: this.handlePatientUpdate,
+            insurance_verification: this.handleInsuranceVerification,
+            dentist_verification: this.handleDentistVerification,
+            dentist_documents_submission: this.handleDentistDocumentsSubmission,
+            dentist_verification_status: this.handleDentistVerificationStatus,
+            dentist_listing_publish: this.handleDentistListingPublish
+        };
+    }
+
+    /**
+     * Handle appointment booking - confirms the requested slot or returns alternatives
+     */
+    async handleAppointmentBooking(data, event = {}) {
+        const dentistId = pick(data, 'dentist_id', 'dentistId');
+        const appointmentType = pick(data, 'appointment_type', 'appointmentType', 'serviceType');
+        const patient = pick(data, 'patient_info', 'patientInfo') ||
+            (data.patientName ? { name: data.patientName } : null);
+        let start = pick(data, 'preferred_date', 'appointmentDate', 'start');
+
+        if (!dentistId || !appointmentType) {
+            throw new Error('dentistId and appointmentType are required');
+        }
+
+        // Without a preferred time, take the next free slot
+        if (!start) {
+            const slot = this.scheduler.findNextAvailable(appointmentType, { dentistId, duration: data.duration });
+            if (!slot) {
+                return {
+                    success: false,
+                    message: `No ${appointmentType} availability for ${dentistId} in the next ${this.scheduler.searchDays} days`,
+                    alternatives: []
+                };
             }
+            start = slot.start;
+        }
+
+        // Verify insurance before the slot is taken; clients can ask for it but not skip a required check
+        let insurance = null;
+        const requireVerification = this.requireInsuranceVerification || data.requireVerification === true;
+        if (requireVerification) {
+            const verification = await this.verifyInsurance({
+                dentistId,
+                patientId: patient && patient.id,
+                insuranceInfo: pick(data, 'insurance_info', 'insuranceInfo'),
+                appointmentType
+            }, event);
+            if (!verification.verified) {
+                return {
+                    success: false,
+                    message: `Insurance verification required: ${verification.message}`,
+                    insurance: verification
+                };
+            }
+            insurance = {
+                status: verification.status,
+                insurer: verification.insurer,
+                checkedAt: verification.checkedAt,
+                estimates: verification.estimates
+            };
+        }
+
+        try {
+            const booking = await this.scheduler.book({
+                dentistId,
+                patient,
+                appointmentType,
+                start,
+                duration: data.duration,
+                notes: data.notes,
+                insurance,
+                clientId: this.getClientId(event)
+            });
+
+            return {
+                success: true,
+                bookingId: booking.id,
+                appointment: {
+                    dentistId: booking.dentistId,
+                    appointmentType: booking.appointmentType,
+                    start: booking.start,
+                    end: booking.end
+                },
+                insurance: booking.insurance,
+                message: 'Appointment confirmed'
+            };
         } catch (error) {
-            console.error(chalk.red(`❌ Error handling dental event:`, error.message));
-            throw error;
+            if (error.code !== 'SLOT_UNAVAILABLE') throw error;
+
+            return {
+                success: false,
+                message: error.message,
+                alternatives: error.alternatives
+            };
         }
     }
 
     /**
-     * Handle appointment booking
+     * Handle appointment cancellation
      */
-    async handleAppointmentBooking(data) {
-        const booking = {
-            id: `dental_appt_${Date.now()}`,
-            dentist: data.dentist_id,
-            patient: data.patient_info,
-            appointmentType: data.appointment_type,
-            requestedDate: data.preferred_date,
-            status: 'pending_confirmation',
-            createdAt: new Date()
-        };
-        
+    async handleAppointmentCancellation(data, event = {}) {
+        if (!this.canAccess(this.scheduler.getBooking(data.bookingId), event)) {
+            return this.bookingPermissionDenied();
+        }
+
+        const { booking, promoted } = await this.scheduler.cancel(data.bookingId, data.reason);
+
         return {
             success: true,
             bookingId: booking.id,
-            message: 'Appointment request submitted successfully'
+            message: 'Appointment cancelled',
+            waitlistBookings: promoted.map(entry => entry.id)
         };
     }
 
     /**
-     * Handle dentist registration
+     * Handle appointment rescheduling
      */
-    async handleDentistRegistration(data) {
-        const registration = {
-            id: `dentist_${Date.now()}`,
-            personalInfo: data.personal_info,
-            credentials: data.credentials,
-            practice: data.practice_info,
-            status: 'pending_verification',
-            submittedAt: new Date()
+    async handleAppointmentReschedule(data, event = {}) {
+        if (!this.canAccess(this.scheduler.getBooking(data.bookingId), event)) {
+            return this.bookingPermissionDenied();
+        }
+
+        try {
+            const { booking, previous } = await this.scheduler.reschedule(data.bookingId, data.newDate, data.dentistId);
+
+            return {
+                success: true,
+                bookingId: booking.id,
+                appointment: { dentistId: booking.dentistId, start: booking.start, end: booking.end },
+                previous,
+                message: 'Appointment rescheduled'
+            };
+        } catch (error) {
+            if (error.code !== 'SLOT_UNAVAILABLE') throw error;
+
+            return {
+                success: false,
+                message: error.message,
+                alternatives: error.alternatives
+            };
+        }
+    }
+
+    /**
+     * Handle booking queries; clients only see the appointments they booked
+     */
+    async handleAppointmentQuery(data, event = {}) {
+        if (data.bookingId) {
+            const booking = this.scheduler.getBooking(data.bookingId);
+            if (!this.canAccess(booking, event)) {
+                return this.bookingPermissionDenied();
+            }
+            return { success: true, appointments: [booking] };
+        }
+
+        return {
+            success: true,
+            appointments: this.scheduler.getBookings({
+                dentistId: data.dentistId,
+                patientId: data.patientId,
+                status: data.status,
+                from: data.from,
+                to: data.to
+            }).filter(booking => this.canAccess(booking, event))
         };
-        
+    }
+
+    /**
+     * Handle availability queries ("next available cleaning with dr_smith_001")
+     */
+    async handleAvailabilityQuery(data) {
+        const appointmentType = data.appointmentType;
+        const nextAvailable = this.scheduler.findNextAvailable(appointmentType, {
+            dentistId: data.dentistId,
+            after: data.from
+        });
+        const slots = data.dentistId
+            ? this.scheduler.generateSlots(data.dentistId, appointmentType, { from: data.from, to: data.to, limit: data.limit || 10 })
+            : [];
+
         return {
             success: true,
+            nextAvailable,
+            slots
+        };
+    }
+
+    /**
+     * Handle waitlist requests
+     */
+    async handleWaitlistJoin(data, event = {}) {
+        const { entry, position } = await this.scheduler.joinWaitlist({
+            patient: data.patientInfo,
+            appointmentType: data.appointmentType,
+            dentistId: data.dentistId,
+            earliest: data.earliest,
+            latest: data.latest,
+            clientId: this.getClientId(event)
+        });
+
+        return {
+            success: true,
+            waitlistId: entry.id,
+            position,
+            message: 'Added to the waitlist'
+        };
+    }
+
+    /**
+     * Handle dentist working hours and time off updates
+     */
+    async handleDentistScheduleUpdate(data) {
+        await this.scheduler.setDentistSchedule(data.dentistId, {
+            name: data.name,
+            workingHours: data.workingHours,
+            profile: data.profile
+        });
+        for (const period of data.timeOff || []) {
+            await this.scheduler.addTimeOff(data.dentistId, period.start, period.end, period.reason);
+        }
+
+        return {
+            success: true,
+            dentistId: data.dentistId,
+            message: 'Dentist schedule updated'
+        };
+    }
+
+    /**
+     * Handle dentist registration - opens a credential verification
+     */
+    async handleDentistRegistration(data, event = {}) {
+        try {
+            const registration = await this.credentials.submit({
+                dentistId: pick(data, 'dentist_id', 'dentistId'),
+                personalInfo: pick(data, 'personal_info', 'personalInfo'),
+                credentials: data.credentials,
+                practiceInfo: pick(data, 'practice_info', 'practiceInfo'),
+                specialties: data.specialties,
+                availability: data.availability,
+                documents: data.documents
+            }, this.getActor(event));
+
+            return {
+                success: true,
+                registrationId: registration.id,
+                status: registration.status,
+                message: 'Dentist registration submitted for verification'
+            };
+        } catch (error) {
+            return this.credentialErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle administrator decisions (request_documents, start_review, approve, reject)
+     * Approved dentists become bookable and are published as WordPress listings
+     */
+    async handleDentistVerification(data, event = {}) {
+        const actor = this.getActor(event);
+
+        try {
+            const { registration } = await this.credentials.transition(data.registrationId, data.action, {
+                actor,
+                notes: data.notes,
+                requestedDocuments: data.requestedDocuments
+            });
+
+            let listing = null;
+            if (registration.status === 'approved') {
+                await this.scheduleApprovedDentist(registration);
+                listing = await this.publishDentist(registration, actor);
+            }
+
+            return {
+                success: true,
+                registrationId: registration.id,
+                status: registration.status,
+                listing,
+                message: `Registration ${registration.status.replace(/_/g, ' ')}`
+            };
+        } catch (error) {
+            return this.credentialErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle documents sent by a dentist after they were requested
+     */
+    async handleDentistDocumentsSubmission(data, event = {}) {
+        try {
+            const { registration } = await this.credentials.transition(data.registrationId, 'submit_documents', {
+                actor: this.getActor(event),
+                documents: data.documents,
+                notes: data.notes
+            });
+
+            return {
+                success: true,
+                registrationId: registration.id,
+                status: registration.status,
+                message: 'Documents received; registration is under review'
+            };
+        } catch (error) {
+            return this.credentialErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle registration lookups, including the audit trail
+     */
+    async handleDentistVerificationStatus(data) {
+        const registrations = data.registrationId
+            ? [this.credentials.get(data.registrationId)]
+            : this.credentials.list({ status: data.status });
+
+        return {
+            success: true,
+            registrations
+        };
+    }
+
+    /**
+     * Handle retries of the WordPress listing for an approved dentist
+     */
+    async handleDentistListingPublish(data, event = {}) {
+        const registration = this.credentials.get(data.registrationId);
+        if (registration.status !== 'approved') {
+            return {
+                success: false,
+                message: `Registration ${registration.id} is ${registration.status}; only approved dentists are published`
+            };
+        }
+
+        const listing = await this.publishDentist(registration, this.getActor(event));
+        return {
+            success: Boolean(listing),
             registrationId: registration.id,
-            message: 'Dentist registration submitted successfully'
+            listing,
+            message: listing ? 'Dentist listing published' : 'Dentist listing could not be published'
         };
     }
 
     /**
-     * Activate the dental socket
+     * Make an approved dentist bookable, using the availability from the registration
      */
-    async activate() {
-        console.log(chalk.yellow('🔄 Activating Dental Socket...'));
-        this.status = 'active';
-        this.emit('socket:activated', { businessType: this.businessType });
-        console.log(chalk.green('✅ Dental Socket activated'));
+    async scheduleApprovedDentist(registration) {
+        const dentistId = registration.dentistId || registration.id;
+        await this.scheduler.setDentistSchedule(dentistId, {
+            name: registration.personalInfo.name,
+            workingHours: registration.availability || undefined,
+            profile: {
+                license_number: registration.credentials.licenseNumber,
+                specialties: registration.specialties,
+                insurance_accepted: registration.practiceInfo.insuranceAccepted || []
+            }
+        });
     }
 
     /**
-     * Pause the dental socket
+     * Publish an approved dentist through WordPressService.createDirectoryListing
+     * @returns {Object|null} The listing, or null when publishing failed
      */
-    async pause() {
-        console.log(chalk.yellow('⏸️ Pausing Dental Socket...'));
-        this.status = 'paused';
-        this.emit('socket:paused', { businessType: this.businessType });
-        console.log(chalk.gray('⏸️ Dental Socket paused'));
+    async publishDentist(registration, actor) {
+        const wordpress = this.getWordPressService();
+        if (!wordpress) {
+            await this.credentials.recordPublication(registration.id, { error: 'No WordPress service configured' }, actor);
+            console.warn(chalk.yellow(`⚠️ ${registration.personalInfo.name} approved but not published: no WordPress service configured`));
+            return null;
+        }
+
+        const practice = registration.practiceInfo;
+        try {
+            const post = await wordpress.createDirectoryListing(this.businessType, {
+                name: registration.personalInfo.name,
+                description: `${registration.personalInfo.name} practices at ${practice.name}` +
+                    (registration.specialties.length ? `, specializing in ${registration.specialties.join(', ')}.` : '.'),
+                address: practice.address,
+                phone: practice.phone || registration.personalInfo.phone,
+                website: practice.website
+            });
+            await this.credentials.recordPublication(registration.id, post, actor);
+            console.log(chalk.green(`✅ Published dentist listing for ${registration.personalInfo.name}`));
+            return registration.listing;
+        } catch (error) {
+            await this.credentials.recordPublication(registration.id, { error: error.message }, actor);
+            console.error(chalk.red(`❌ Failed to publish dentist listing for ${registration.personalInfo.name}:`, error.message));
+            return null;
+        }
+    }
+
+    /**
+     * WordPress service shared by the builder/server, or one built from config.wordpress
+     */
+    getWordPressService() {
+        const shared = this.getSharedService('wordpress');
+        if (shared) return shared;
+
+        if (!this.wordpress && this.config.wordpress) {
+            // Loaded on demand so sockets without a WordPress target do not need the HTTP client
+            const WordPressService = require('../../core/services/WordPressService');
+            this.wordpress = new WordPressService(this.config.wordpress);
+        }
+        return this.wordpress || null;
+    }
+
+    /**
+     * User behind an event; events without a WebSocket client come from trusted code
+     */
+    getActor(event) {
+        return event.actor || { clientId: null, name: 'system', isAdmin: true };
+    }
+
+    /**
+     * Client that owns what an event creates; staff bookings belong to the practice
+     */
+    getClientId(event) {
+        const actor = this.getActor(event);
+        return actor.isAdmin ? null : actor.clientId;
+    }
+
+    /**
+     * Administrators reach every appointment and patient record, clients only the ones they created
+     */
+    canAccess(record, event) {
+        const actor = this.getActor(event);
+        return actor.isAdmin || (Boolean(record.clientId) && record.clientId === actor.clientId);
+    }
+
+    bookingPermissionDenied() {
+        return { success: false, code: 'PERMISSION_DENIED', message: 'Only the client who booked this appointment or an administrator can access it' };
+    }
+
+    /**
+     * Workflow errors are reported to the caller, anything else is rethrown
+     */
+    credentialErrorResponse(error) {
+        if (error.code === 'INVALID_REGISTRATION') {
+            return { success: false, message: error.message, errors: error.errors };
+        }
+        if (['DUPLICATE_LICENSE', 'INVALID_TRANSITION', 'PERMISSION_DENIED'].includes(error.code)) {
+            return { success: false, code: error.code, message: error.message };
+        }
+        throw error;
+    }
+
+    /**
+     * Handle patient registration - validates, rejects duplicates and stores the record
+     */
+    async handlePatientRegistration(data, event = {}) {
+        try {
+            const patient = await this.patients.register(data, {
+                allowDuplicate: data.allowDuplicate === true,
+                clientId: this.getClientId(event)
+            });
+
+            return {
+                success: true,
+                patientId: patient.id,
+                message: 'Patient registered successfully'
+            };
+        } catch (error) {
+            return this.patientErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle patient lookups by id or by name, date of birth, email or phone
+     * Admin-only, so results include medical history and insurance
+     */
+    async handlePatientLookup(data) {
+        const options = { includeSensitive: true };
+
+        if (data.patientId) {
+            return { success: true, patients: [this.patients.get(data.patientId, options)] };
+        }
+
+        if (!data.name && !data.dateOfBirth && !data.email && !data.phone) {
+            throw new Error('patientId or a search field (name, dateOfBirth, email, phone) is required');
+        }
+
+        return {
+            success: true,
+            patients: this.patients.find({
+                name: data.name,
+                dateOfBirth: data.dateOfBirth,
+                email: data.email,
+                phone: data.phone
+            }, options)
+        };
+    }
+
+    /**
+     * Handle patient record updates
+     */
+    async handlePatientUpdate(data) {
+        try {
+            const patient = await this.patients.update(data.patientId, data);
+
+            return {
+                success: true,
+                patientId: patient.id,
+                updatedAt: patient.updatedAt,
+                message: 'Patient record updated'
+            };
+        } catch (error) {
+            return this.patientErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle insurance verification requests
+     */
+    async handleInsuranceVerification(data, event = {}) {
+        const verification = await this.verifyInsurance({
+            dentistId: data.dentistId,
+            patientId: data.patientId,
+            insuranceInfo: data.insuranceInfo,
+            appointmentType: data.appointmentType,
+            procedures: data.procedures,
+            refresh: data.refresh === true
+        }, event);
+
+        return {
+            success: verification.verified,
+            ...verification
+        };
+    }
+
+    /**
+     * Verify insurance against a dentist's insurance_accepted list
+     * Uses the given insuranceInfo, or the insurance stored on the patient record when the
+     * caller is an administrator or the client who registered the patient
+     */
+    async verifyInsurance(request, event = {}) {
+        if (!request.dentistId) {
+            throw new Error('dentistId is required for insurance verification');
+        }
+        const dentist = this.scheduler.getDentist(request.dentistId);
+
+        let insuranceInfo = request.insuranceInfo;
+        if (!insuranceInfo && request.patientId && this.canAccess(this.patients.get(request.patientId), event)) {
+            insuranceInfo = this.patients.get(request.patientId, { includeSensitive: true }).insuranceInfo;
+        }
+
+        return this.insurance.verify({
+            insuranceInfo,
+            dentist: { id: dentist.id, profile: dentist.profile },
+            appointmentType: request.appointmentType,
+            procedures: request.procedures,
+            refresh: request.refresh
+        });
     }
 
     /**
-     * Export data for migration
+     * Validation and duplicate errors are reported to the caller, anything else is rethrown
      */
-    async exportData() {
+    patientErrorResponse(error) {
+        if (error.code === 'INVALID_PATIENT') {
+            return { success: false, message: error.message, errors: error.errors };
+        }
+        if (error.code === 'DUPLICATE_PATIENT') {
+            return { success: false, message: error.message, duplicates: error.duplicates };
+        }
+        throw error;
+    }
+
+    /**
+     * Dental configuration included in migration exports
+     */
+    exportState() {
         return {
-            businessType: this.businessType,
-            config: this.config,
             dentalConfig: this.dentalConfig,
-            services: Object.fromEntries(this.services),
-            status: this.status,
-            exportedAt: new Date()
+            appointments: this.scheduler.toJSON(),
+            patients: this.patients.toJSON(),
+            credentials: this.credentials.toJSON()
         };
     }
 
     /**
-     * Import data from migration
+     * Restore dental configuration from a migration export
      */
-    async importData(data) {
-        if (data.businessType === this.businessType) {
-            this.config = { ...this.config, ...data.config };
-            this.dentalConfig = { ...this.dentalConfig, ...data.dentalConfig };
-            
-            for (const [key, value] of Object.entries(data.services || {})) {
-                this.services.set(key, value);
-            }
-            
-            console.log(chalk.green('✅ Dental data imported successfully'));
-        } else {
-            console.log(chalk.yellow('⚠️ Data not compatible with dental socket'));
+    importState(data) {
+        this.dentalConfig = { ...this.dentalConfig, ...data.dentalConfig };
+        if (data.appointments) {
+            this.scheduler.restore(data.appointments);
+        }
+        if (data.patients) {
+            this.patients.restore(data.patients);
+        }
+        if (data.credentials) {
+            this.credentials.restore(data.credentials);
         }
     }
 
@@ -368,29 +927,272 @@ class DentalSocket extends EventEmitter {
      */
     getStatus() {
         return {
-            businessType: this.businessType,
-            status: this.status,
-            isInitialized: this.isInitialized,
-            siteName: this.config.siteName,
-            location: this.config.location,
-            services: this.config.services.length,
+            ...super.getStatus(),
             templates: this.templates ? Object.keys(this.templates).length : 0,
-            activeServices: Array.from(this.services.keys()),
-            integrations: this.activeIntegrations
+            appointments: this.scheduler.getStats(),
+            patients: this.patients.getStats(),
+            insurance: this.insurance.getStats(),
+            dentistRegistrations: this.credentials.getStats()
         };
     }
 
     /**
-     * Shutdown the socket
+     * Shutdown the socket once pending bookings and records are written
      */
     async shutdown() {
-        console.log(chalk.yellow('🔄 Shutting down Dental Socket...'));
-        this.status = 'inactive';
-        this.services.clear();
-        this.activeIntegrations = [];
-        this.emit('socket:shutdown', { businessType: this.businessType });
-        console.log(chalk.gray('📴 Dental Socket shutdown complete'));
+        await this.scheduler.flush();
+        await this.patients.flush();
+        await this.credentials.flush();
+        await super.shutdown();
     }
 }
 
+/**
+ * Socket metadata read by the socket registry
+ */
+DentalSocket.metadata = {
+    name: 'Dental Practices',
+    description: 'Dental offices, appointments, and patient management',
+    color: '#00a0d2',
+    features: ['appointment_booking', 'patient_portal', 'insurance_verification'],
+    events: {
+        appointment_booking: {
+            description: 'Book a dental appointment',
+            fields: [
+                { name: 'patientName', type: 'string', required: true, description: 'Patient full name' },
+                { name: 'dentistId', type: 'string', required: true, description: 'Dentist identifier' },
+                { name: 'appointmentDate', type: 'datetime', required: true, description: 'Appointment date and time' },
+                { name: 'serviceType', type: 'select', required: true, options: ['cleaning', 'checkup', 'filling', 'extraction', 'crown'], description: 'Type of service' },
+                { name: 'duration', type: 'number', required: false, default: 60, description: 'Duration in minutes' },
+                { name: 'notes', type: 'text', required: false, description: 'Additional notes' },
+                { name: 'insuranceInfo', type: 'object', required: false, description: 'Insurance information' },
+                { name: 'requireVerification', type: 'boolean', required: false, description: 'Verify insurance before booking' }
+            ],
+            sampleData: {
+                patientName: 'John Doe',
+                dentistId: 'dr_smith_001',
+                get appointmentDate() { return nextSampleSlot('cleaning'); },
+                serviceType: 'cleaning',
+                duration: 60,
+                notes: 'Regular checkup and cleaning',
+                insuranceInfo: { provider: 'BlueCross', policyNumber: 'BC123456' }
+            }
+        },
+        dentist_registration: {
+            description: 'Register a new dentist',
+            fields: [
+                { name: 'personalInfo', type: 'object', required: true, description: 'Personal information' },
+                { name: 'credentials', type: 'object', required: true, description: 'Professional credentials' },
+                { name: 'practiceInfo', type: 'object', required: true, description: 'Practice information' },
+                { name: 'specialties', type: 'array', required: false, description: 'Areas of specialization' },
+                { name: 'availability', type: 'object', required: false, description: 'Available hours' }
+            ],
+            sampleData: {
+                personalInfo: { name: 'Dr. Jane Smith', email: 'jane@dentalpractice.com', phone: '555-0123' },
+                credentials: { licenseNumber: 'DDS12345', licenseState: 'CA', school: 'Harvard Dental', graduationYear: 2015 },
+                practiceInfo: { name: 'Smith Dental Care', address: '123 Main St, City, State', insuranceAccepted: ['Aetna', 'BlueCross'] },
+                specialties: ['General Dentistry', 'Cosmetic Dentistry'],
+                availability: { monday: '9:00-17:00', tuesday: '9:00-17:00' }
+            }
+        },
+        patient_registration: {
+            description: 'Register a new patient',
+            fields: [
+                { name: 'patientInfo', type: 'object', required: true, description: 'Patient information' },
+                { name: 'contactInfo', type: 'object', required: true, description: 'Contact details' },
+                { name: 'medicalHistory', type: 'object', required: false, description: 'Medical history' },
+                { name: 'insuranceInfo', type: 'object', required: false, description: 'Insurance information' },
+                { name: 'emergencyContact', type: 'object', required: true, description: 'Emergency contact' }
+            ],
+            sampleData: {
+                patientInfo: { name: 'Alice Johnson', dateOfBirth: '1985-06-15', gender: 'female' },
+                contactInfo: { email: 'alice@email.com', phone: '555-0456', address: '456 Oak St' },
+                medicalHistory: { allergies: ['penicillin'], conditions: [], medications: [] },
+                insuranceInfo: { provider: 'Aetna', policyNumber: 'AET789012' },
+                emergencyContact: { name: 'Bob Johnson', phone: '555-0789', relationship: 'spouse' }
+            }
+        },
+        patient_lookup: {
+            description: 'Find patients by id, name, date of birth or contact details (administrators only)',
+            admin: true,
+            fields: [
+                { name: 'patientId', type: 'string', required: false, description: 'Patient identifier' },
+                { name: 'name', type: 'string', required: false, description: 'Patient name (partial match)' },
+                { name: 'dateOfBirth', type: 'string', required: false, description: 'Date of birth' },
+                { name: 'email', type: 'string', required: false, description: 'Email address' },
+                { name: 'phone', type: 'string', required: false, description: 'Phone number' }
+            ],
+            sampleData: {
+                name: 'Alice Johnson',
+                dateOfBirth: '1985-06-15'
+            }
+        },
+        patient_update: {
+            description: 'Update a patient record (administrators only)',
+            admin: true,
+            fields: [
+                { name: 'patientId', type: 'string', required: true, description: 'Patient identifier' },
+                { name: 'patientInfo', type: 'object', required: false, description: 'Patient information' },
+                { name: 'contactInfo', type: 'object', required: false, description: 'Contact details' },
+                { name: 'medicalHistory', type: 'object', required: false, description: 'Medical history (replaces the stored one)' },
+                { name: 'insuranceInfo', type: 'object', required: false, description: 'Insurance information (replaces the stored one)' },
+                { name: 'emergencyContact', type: 'object', required: false, description: 'Emergency contact' }
+            ],
+            sampleData: {
+                patientId: 'dental_patient_001',
+                contactInfo: { phone: '555-0457' }
+            }
+        },
+        appointment_cancellation: {
+            description: 'Cancel an appointment (the client who booked it or an administrator)',
+            fields: [
+                { name: 'bookingId', type: 'string', required: true, description: 'Booking identifier' },
+                { name: 'reason', type: 'text', required: false, description: 'Cancellation reason' }
+            ],
+            sampleData: {
+                bookingId: 'dental_appt_001',
+                reason: 'Patient is travelling'
+            }
+        },
+        appointment_reschedule: {
+            description: 'Move an appointment to a new time (the client who booked it or an administrator)',
+            fields: [
+                { name: 'bookingId', type: 'string', required: true, description: 'Booking identifier' },
+                { name: 'newDate', type: 'datetime', required: true, description: 'New appointment date and time' },
+                { name: 'dentistId', type: 'string', required: false, description: 'Move to another dentist' }
+            ],
+            sampleData: {
+                bookingId: 'dental_appt_001',
+                newDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString()
+            }
+        },
+        appointment_query: {
+            description: 'Look up appointments (clients only see the ones they booked)',
+            fields: [
+                { name: 'bookingId', type: 'string', required: false, description: 'Booking identifier' },
+                { name: 'dentistId', type: 'string', required: false, description: 'Dentist identifier' },
+                { name: 'patientId', type: 'string', required: false, description: 'Patient identifier' },
+                { name: 'status', type: 'select', required: false, options: ['confirmed', 'cancelled'], description: 'Booking status' },
+                { name: 'from', type: 'datetime', required: false, description: 'Start of the period' },
+                { name: 'to', type: 'datetime', required: false, description: 'End of the period' }
+            ],
+            sampleData: {
+                dentistId: 'dr_smith_001',
+                status: 'confirmed'
+            }
+        },
+        availability_query: {
+            description: 'Find the next available slot for an appointment type',
+            fields: [
+                { name: 'appointmentType', type: 'select', required: true, options: Object.keys(AppointmentScheduler.APPOINTMENT_TYPES), description: 'Type of appointment' },
+                { name: 'dentistId', type: 'string', required: false, description: 'Dentist identifier (any dentist if omitted)' },
+                { name: 'from', type: 'datetime', required: false, description: 'Search from' },
+                { name: 'to', type: 'datetime', required: false, description: 'Search until' },
+                { name: 'limit', type: 'number', required: false, default: 10, description: 'Maximum slots to list' }
+            ],
+            sampleData: {
+                appointmentType: 'cleaning',
+                dentistId: 'dr_smith_001'
+            }
+        },
+        waitlist_join: {
+            description: 'Join the waitlist for an appointment',
+            fields: [
+                { name: 'patientInfo', type: 'object', required: true, description: 'Patient information' },
+                { name: 'appointmentType', type: 'select', required: true, options: Object.keys(AppointmentScheduler.APPOINTMENT_TYPES), description: 'Type of appointment' },
+                { name: 'dentistId', type: 'string', required: false, description: 'Preferred dentist' },
+                { name: 'earliest', type: 'datetime', required: false, description: 'Earliest acceptable time' },
+                { name: 'latest', type: 'datetime', required: false, description: 'Latest acceptable time' }
+            ],
+            sampleData: {
+                patientInfo: { id: 'patient_001', name: 'Alice Johnson', phone: '555-0456' },
+                appointmentType: 'cleaning',
+                dentistId: 'dr_smith_001'
+            }
+        },
+        dentist_schedule_update: {
+            description: 'Set a dentist\'s working hours and time off (administrators only)',
+            admin: true,
+            fields: [
+                { name: 'dentistId', type: 'string', required: true, description: 'Dentist identifier' },
+                { name: 'name', type: 'string', required: false, description: 'Dentist name' },
+                { name: 'workingHours', type: 'object', required: false, description: 'Hours per weekday, e.g. { monday: "09:00-17:00" }' },
+                { name: 'timeOff', type: 'array', required: false, description: 'Blocked periods [{ start, end, reason }]' },
+                { name: 'profile', type: 'object', required: false, description: 'Dentist profile fields, e.g. insurance_accepted' }
+            ],
+            sampleData: {
+                dentistId: 'dr_smith_001',
+                name: 'Dr. Jane Smith',
+                workingHours: { ...AppointmentScheduler.DEFAULT_WORKING_HOURS },
+                profile: { insurance_accepted: ['Aetna', 'BlueCross', 'Delta Dental'] }
+            }
+        },
+        dentist_verification: {
+            description: 'Review a dentist registration (administrators only)',
+            admin: true,
+            fields: [
+                { name: 'registrationId', type: 'string', required: true, description: 'Registration identifier' },
+                { name: 'action', type: 'select', required: true, options: ['request_documents', 'start_review', 'approve', 'reject'], description: 'Workflow action' },
+                { name: 'notes', type: 'text', required: false, description: 'Reviewer notes' },
+                { name: 'requestedDocuments', type: 'array', required: false, description: 'Documents the dentist must provide' }
+            ],
+            sampleData: {
+                registrationId: 'dentist_001',
+                action: 'request_documents',
+                notes: 'License copy is unreadable',
+                requestedDocuments: ['license_copy', 'malpractice_insurance']
+            }
+        },
+        dentist_documents_submission: {
+            description: 'Send documents requested during verification',
+            fields: [
+                { name: 'registrationId', type: 'string', required: true, description: 'Registration identifier' },
+                { name: 'documents', type: 'array', required: true, description: 'Documents [{ type, url }]' },
+                { name: 'notes', type: 'text', required: false, description: 'Notes for the reviewer' }
+            ],
+            sampleData: {
+                registrationId: 'dentist_001',
+                documents: [{ type: 'license_copy', url: 'https://example.com/license.pdf' }]
+            }
+        },
+        dentist_verification_status: {
+            description: 'Look up dentist registrations and their audit trail (administrators only)',
+            admin: true,
+            fields: [
+                { name: 'registrationId', type: 'string', required: false, description: 'Registration identifier' },
+                { name: 'status', type: 'select', required: false, options: CredentialWorkflow.STATES, description: 'Registration status' }
+            ],
+            sampleData: {
+                status: 'submitted'
+            }
+        },
+        dentist_listing_publish: {
+            description: 'Retry publishing an approved dentist to WordPress (administrators only)',
+            admin: true,
+            fields: [
+                { name: 'registrationId', type: 'string', required: true, description: 'Registration identifier' }
+            ],
+            sampleData: {
+                registrationId: 'dentist_001'
+            }
+        },
+        insurance_verification: {
+            description: 'Verify insurance and estimate procedure costs',
+            fields: [
+                { name: 'dentistId', type: 'string', required: true, description: 'Dentist identifier' },
+                { name: 'patientId', type: 'string', required: false, description: 'Patient whose stored insurance is checked (administrators or the client who registered them)' },
+                { name: 'insuranceInfo', type: 'object', required: false, description: 'Insurance information { provider, policyNumber }' },
+                { name: 'appointmentType', type: 'select', required: false, options: Object.keys(AppointmentScheduler.APPOINTMENT_TYPES), description: 'Appointment type to estimate' },
+                { name: 'procedures', type: 'array', required: false, description: 'Procedures [{ name, procedure_category, cost_range }]' },
+                { name: 'refresh', type: 'boolean', required: false, default: false, description: 'Bypass cached results' }
+            ],
+            sampleData: {
+                dentistId: 'dr_smith_001',
+                insuranceInfo: { provider: 'BlueCross', policyNumber: 'BC123456' },
+                appointmentType: 'cleaning'
+            }
+        }
+    }
+};
+
 module.exports = DentalSocket;
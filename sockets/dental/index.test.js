@@ -0,0 +1,210 @@
+const DentalSocket = require('./index');
+
+const ADMIN = { clientId: 'client_admin', name: 'Office manager', isAdmin: true };
+
+const PATIENT = {
+    patientInfo: { name: 'Ada Lovelace', dateOfBirth: '1985-12-10' },
+    contactInfo: { email: 'ada@example.com' },
+    emergencyContact: { name: 'Charles Babbage', phone: '555-0101' },
+    medicalHistory: { allergies: ['penicillin'] },
+    insuranceInfo: { provider: 'Aetna', memberId: 'AET123' }
+};
+
+async function createSocket(config = {}) {
+    const socket = new DentalSocket({ dataDirectory: null, ...config });
+    await socket.initialize();
+    return socket;
+}
+
+describe('DentalSocket', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    describe('patients', () => {
+        test.each(['patient_lookup', 'patient_update'])('%s is marked admin-only', eventType => {
+            expect(DentalSocket.metadata.events[eventType].admin).toBe(true);
+        });
+
+        test('returns medical history and insurance with patient lookups', async () => {
+            const socket = await createSocket();
+            const { patientId } = await socket.handleEvent({ type: 'patient_registration', data: PATIENT });
+
+            const result = await socket.handleEvent({ type: 'patient_lookup', data: { patientId }, actor: ADMIN });
+
+            expect(result.patients[0]).toMatchObject({
+                medicalHistory: { allergies: ['penicillin'] },
+                insuranceInfo: { memberId: 'AET123' }
+            });
+        });
+
+        test('reports validation errors and duplicates to the caller', async () => {
+            const socket = await createSocket();
+            await socket.handleEvent({ type: 'patient_registration', data: PATIENT });
+
+            const duplicate = await socket.handleEvent({ type: 'patient_registration', data: PATIENT });
+            const invalid = await socket.handleEvent({ type: 'patient_registration', data: { patientInfo: { name: 'Ada' } } });
+
+            expect(duplicate).toMatchObject({ success: false, duplicates: [expect.objectContaining({ matchedOn: ['name', 'dateOfBirth', 'email'] })] });
+            expect(invalid).toMatchObject({ success: false, errors: expect.arrayContaining(['patientInfo.dateOfBirth is required']) });
+        });
+    });
+
+    describe('appointments', () => {
+        const PATIENT_CLIENT = { clientId: 'client_1', name: 'client_1', isAdmin: false };
+        const OTHER_CLIENT = { clientId: 'client_2', name: 'client_2', isAdmin: false };
+
+        async function book(socket) {
+            const { bookingId } = await socket.handleEvent({
+                type: 'appointment_booking',
+                data: { dentistId: 'dr_smith_001', appointmentType: 'cleaning' },
+                actor: PATIENT_CLIENT
+            });
+            return bookingId;
+        }
+
+        test('lets only the client who booked an appointment or an administrator see and change it', async () => {
+            const socket = await createSocket();
+            const bookingId = await book(socket);
+            const { start } = socket.scheduler.getBooking(bookingId);
+            const newDate = new Date(new Date(start).getTime() + 24 * 60 * 60 * 1000).toISOString();
+
+            const queried = await socket.handleEvent({ type: 'appointment_query', data: { bookingId }, actor: OTHER_CLIENT });
+            const listed = await socket.handleEvent({ type: 'appointment_query', data: { dentistId: 'dr_smith_001' }, actor: OTHER_CLIENT });
+            const moved = await socket.handleEvent({ type: 'appointment_reschedule', data: { bookingId, newDate }, actor: OTHER_CLIENT });
+            const cancelled = await socket.handleEvent({ type: 'appointment_cancellation', data: { bookingId }, actor: OTHER_CLIENT });
+
+            for (const result of [queried, moved, cancelled]) {
+                expect(result).toMatchObject({ success: false, code: 'PERMISSION_DENIED' });
+            }
+            expect(listed.appointments).toEqual([]);
+            expect(socket.scheduler.getBooking(bookingId)).toMatchObject({ status: 'confirmed', start });
+
+            const own = await socket.handleEvent({ type: 'appointment_query', data: { dentistId: 'dr_smith_001' }, actor: PATIENT_CLIENT });
+            const byAdmin = await socket.handleEvent({ type: 'appointment_cancellation', data: { bookingId }, actor: ADMIN });
+
+            expect(own.appointments.map(appointment => appointment.id)).toEqual([bookingId]);
+            expect(byAdmin).toMatchObject({ success: true, bookingId });
+        });
+
+        test('lets the client who booked an appointment cancel it', async () => {
+            const socket = await createSocket();
+            const bookingId = await book(socket);
+
+            const result = await socket.handleEvent({ type: 'appointment_cancellation', data: { bookingId }, actor: PATIENT_CLIENT });
+
+            expect(result).toMatchObject({ success: true, bookingId });
+            expect(socket.scheduler.getBooking(bookingId).status).toBe('cancelled');
+        });
+    });
+
+    describe('insurance', () => {
+        const BOOKING = { dentistId: 'dr_smith_001', appointmentType: 'cleaning' };
+
+        test('refuses bookings without verified insurance when the practice requires it', async () => {
+            const socket = await createSocket({ insurance: { requireVerification: true } });
+
+            const skipped = await socket.handleEvent({ type: 'appointment_booking', data: { ...BOOKING, requireVerification: false } });
+            const rejected = await socket.handleEvent({
+                type: 'appointment_booking',
+                data: { ...BOOKING, insuranceInfo: { provider: 'Cigna', policyNumber: 'C1' } }
+            });
+
+            expect(skipped).toMatchObject({ success: false, insurance: { status: 'missing_info' } });
+            expect(rejected).toMatchObject({ success: false, insurance: { status: 'not_accepted' } });
+            expect(socket.scheduler.getBookings()).toEqual([]);
+        });
+
+        test('books with the insurance stored on the patient record', async () => {
+            const socket = await createSocket({ insurance: { requireVerification: true } });
+            const { patientId } = await socket.handleEvent({
+                type: 'patient_registration',
+                data: { ...PATIENT, insuranceInfo: { provider: 'Aetna', policyNumber: 'AET123' } }
+            });
+
+            const booked = await socket.handleEvent({ type: 'appointment_booking', data: { ...BOOKING, patientInfo: { id: patientId } } });
+
+            expect(booked).toMatchObject({ success: true, insurance: { status: 'verified', insurer: 'Aetna' } });
+            expect(booked.insurance.estimates[0]).toMatchObject({ procedure: 'cleaning', coveragePercent: 100 });
+        });
+
+        test('uses stored insurance only for administrators and the client who registered the patient', async () => {
+            const socket = await createSocket();
+            const { patientId } = await socket.handleEvent({
+                type: 'patient_registration',
+                data: { ...PATIENT, insuranceInfo: { provider: 'Aetna', policyNumber: 'AET123' } },
+                actor: { clientId: 'client_1', name: 'client_1', isAdmin: false }
+            });
+            const verification = { type: 'insurance_verification', data: { dentistId: 'dr_smith_001', patientId } };
+
+            const asOwner = await socket.handleEvent({ ...verification, actor: { clientId: 'client_1', name: 'client_1', isAdmin: false } });
+            const asOther = await socket.handleEvent({ ...verification, actor: { clientId: 'client_2', name: 'client_2', isAdmin: false } });
+            const asAdmin = await socket.handleEvent({ ...verification, actor: ADMIN });
+
+            expect(asOwner).toMatchObject({ success: true, status: 'verified', insurer: 'Aetna' });
+            expect(asOther).toMatchObject({ success: false, status: 'missing_info' });
+            expect(asAdmin).toMatchObject({ success: true, status: 'verified' });
+        });
+    });
+
+    describe('dentist credentials', () => {
+        const REGISTRATION = {
+            dentistId: 'dr_lee_002',
+            personalInfo: { name: 'Dr. Lee', email: 'lee@example.com' },
+            credentials: { licenseNumber: '123456', licenseState: 'NY' },
+            practiceInfo: { name: 'Bright Smiles', insuranceAccepted: ['Aetna'] },
+            specialties: ['Orthodontics'],
+            availability: { tuesday: '08:00-12:00' }
+        };
+
+        test('schedules and publishes a dentist once an administrator approves them', async () => {
+            const createDirectoryListing = jest.fn(async () => ({ id: 42, link: 'https://example.com/dentists/dr-lee' }));
+            const socket = await createSocket();
+            socket.attachServices({ wordpress: { createDirectoryListing } });
+            const notifications = [];
+            socket.on('notification', notification => notifications.push(notification));
+
+            const { registrationId } = await socket.handleEvent({
+                type: 'dentist_registration',
+                data: REGISTRATION,
+                actor: { clientId: 'client_dentist', name: 'client_dentist', isAdmin: false }
+            });
+            await socket.handleEvent({ type: 'dentist_verification', data: { registrationId, action: 'start_review' }, actor: ADMIN });
+            const approved = await socket.handleEvent({ type: 'dentist_verification', data: { registrationId, action: 'approve' }, actor: ADMIN });
+
+            expect(approved).toMatchObject({ success: true, status: 'approved', listing: { id: 42 } });
+            expect(createDirectoryListing).toHaveBeenCalledWith('dental', expect.objectContaining({
+                name: 'Dr. Lee',
+                description: 'Dr. Lee practices at Bright Smiles, specializing in Orthodontics.'
+            }));
+            expect(socket.scheduler.getDentist('dr_lee_002')).toMatchObject({
+                workingHours: { tuesday: [{ start: '08:00', end: '12:00' }] },
+                profile: { license_number: '123456', insurance_accepted: ['Aetna'] }
+            });
+            expect(notifications.map(notification => [notification.room || notification.clientId, notification.eventType])).toEqual([
+                ['admins', 'dentist_registration_submitted'],
+                ['admins', 'dentist_verification_updated'],
+                ['client_dentist', 'dentist_verification_updated'],
+                ['admins', 'dentist_verification_updated'],
+                ['client_dentist', 'dentist_verification_updated']
+            ]);
+        });
+
+        test('reports decisions made by non-administrators as permission errors', async () => {
+            const socket = await createSocket();
+            const { registrationId } = await socket.handleEvent({ type: 'dentist_registration', data: REGISTRATION });
+
+            const result = await socket.handleEvent({
+                type: 'dentist_verification',
+                data: { registrationId, action: 'approve' },
+                actor: { clientId: 'client_1', name: 'client_1', isAdmin: false }
+            });
+
+            expect(result).toMatchObject({ success: false, code: 'PERMISSION_DENIED' });
+        });
+    });
+});
@@ -0,0 +1,324 @@
+/**
+ * Dental Insurance Verification - Checks a patient's insurance against the insurers a dentist
+ * accepts, asks an eligibility provider for coverage and estimates procedure costs
+ *
+ * Providers implement `async checkEligibility(insuranceInfo)` and resolve to:
+ *   { active, planName, coverage: { preventive, basic, major, orthodontic }, deductibleRemaining, annualMaximumRemaining }
+ * Coverage values are percentages the insurer pays per procedure category
+ */
+
+const EventEmitter = require('events');
+
+const HOUR = 60 * 60 * 1000;
+
+// Cost ranges and categories per appointment type (procedure_details fields)
+const DEFAULT_PROCEDURES = {
+    checkup: { procedure_category: 'preventive', cost_range: '$50-$150' },
+    cleaning: { procedure_category: 'preventive', cost_range: '$75-$200' },
+    consultation: { procedure_category: 'preventive', cost_range: '$50-$150' },
+    emergency: { procedure_category: 'basic', cost_range: '$100-$350' },
+    filling: { procedure_category: 'basic', cost_range: '$150-$400' },
+    extraction: { procedure_category: 'basic', cost_range: '$150-$650' },
+    root_canal: { procedure_category: 'major', cost_range: '$700-$1500' },
+    crown: { procedure_category: 'major', cost_range: '$800-$2000' }
+};
+
+// procedure_category values mapped onto insurer coverage classes
+const CATEGORY_ALIASES = {
+    preventive: 'preventive',
+    diagnostic: 'preventive',
+    basic: 'basic',
+    restorative: 'basic',
+    surgical: 'basic',
+    major: 'major',
+    prosthodontic: 'major',
+    endodontic: 'major',
+    orthodontic: 'orthodontic',
+    cosmetic: 'cosmetic'
+};
+
+function normalizeInsurer(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse a cost_range ('$150-$400', '150', { min, max } or a number) into { min, max }
+ */
+function parseCostRange(costRange) {
+    if (typeof costRange === 'number') {
+        return { min: costRange, max: costRange };
+    }
+    if (costRange && typeof costRange === 'object') {
+        const min = Number(costRange.min);
+        const max = Number(costRange.max !== undefined ? costRange.max : costRange.min);
+        if (Number.isFinite(min) && Number.isFinite(max)) return { min, max };
+    }
+
+    const amounts = String(costRange || '').replace(/,/g, '').match(/\d+(?:\.\d+)?/g);
+    if (!amounts) {
+        throw new Error(`Invalid cost_range: ${JSON.stringify(costRange)}`);
+    }
+    const values = amounts.map(Number);
+    return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * Base class for eligibility providers
+ */
+class InsuranceProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async checkEligibility(insuranceInfo) {
+        throw new Error(`Insurance provider ${this.name} does not implement checkEligibility()`);
+    }
+}
+
+/**
+ * Local provider with configurable responses, for development and demos
+ * Responses are looked up by policy number, then insurer name, then the default response
+ * A response of { error: 'message' } makes the check fail
+ */
+class MockInsuranceProvider extends InsuranceProvider {
+    /**
+     * @param {Object} options - { responses, defaultResponse, latency }
+     */
+    constructor(options = {}) {
+        super('mock');
+        this.responses = options.responses || {};
+        this.defaultResponse = {
+            active: true,
+            planName: 'PPO',
+            coverage: { preventive: 100, basic: 80, major: 50, orthodontic: 0, cosmetic: 0 },
+            deductibleRemaining: 50,
+            annualMaximumRemaining: 1500,
+            ...(options.defaultResponse || {})
+        };
+        this.latency = options.latency || 0;
+        this.calls = 0;
+    }
+
+    setResponse(key, response) {
+        this.responses[key] = response;
+    }
+
+    async checkEligibility(insuranceInfo) {
+        this.calls++;
+        if (this.latency) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        const response = this.responses[insuranceInfo.policyNumber] ||
+            this.responses[insuranceInfo.provider] ||
+            {};
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        return {
+            ...this.defaultResponse,
+            ...response,
+            coverage: { ...this.defaultResponse.coverage, ...(response.coverage || {}) }
+        };
+    }
+}
+
+// Providers that can be selected by name in the socket configuration
+const PROVIDERS = {
+    mock: MockInsuranceProvider
+};
+
+class InsuranceVerifier extends EventEmitter {
+    /**
+     * @param {Object} options - Verifier options
+     * @param {InsuranceProvider|string} options.provider - Provider instance or registered name (default 'mock')
+     * @param {Object} options.providerOptions - Options for a provider selected by name
+     * @param {number} options.cacheTtl - How long eligibility results are reused (ms)
+     * @param {Object} options.procedures - Procedure details per appointment type
+     */
+    constructor(options = {}) {
+        super();
+        this.setProvider(options.provider || 'mock', options.providerOptions);
+        this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 24 * HOUR;
+        this.procedures = { ...DEFAULT_PROCEDURES, ...(options.procedures || {}) };
+        this.cache = new Map(); // insurer|policy -> { eligibility, checkedAt, expiresAt }
+    }
+
+    /**
+     * Swap the eligibility provider; cached results from the previous provider are dropped
+     */
+    setProvider(provider, providerOptions = {}) {
+        if (typeof provider === 'string') {
+            const Provider = PROVIDERS[provider];
+            if (!Provider) {
+                throw new Error(`Unknown insurance provider: ${provider}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+            }
+            provider = new Provider(providerOptions);
+        }
+
+        if (!provider || typeof provider.checkEligibility !== 'function') {
+            throw new Error('Insurance provider must implement checkEligibility()');
+        }
+
+        this.provider = provider;
+        if (this.cache) this.cache.clear();
+    }
+
+    /**
+     * Whether an insurer is in a dentist profile's insurance_accepted list
+     */
+    isAccepted(insuranceInfo, profile = {}) {
+        let accepted = profile.insurance_accepted || [];
+        if (typeof accepted === 'string') {
+            accepted = accepted.split(',');
+        }
+
+        const insurer = normalizeInsurer(insuranceInfo.provider);
+        return accepted.some(name => normalizeInsurer(name) === insurer);
+    }
+
+    /**
+     * Verify a patient's insurance for a dentist and estimate procedure costs
+     * @param {Object} request - { insuranceInfo, dentist: { id, profile }, appointmentType, procedures, refresh }
+     * @returns {Object} { verified, status, message, insurer, dentistId, eligibility, estimates, checkedAt, cached }
+     */
+    async verify(request) {
+        const insuranceInfo = request.insuranceInfo || {};
+        const dentist = request.dentist || {};
+        const result = {
+            verified: false,
+            insurer: insuranceInfo.provider || null,
+            dentistId: dentist.id || null,
+            eligibility: null,
+            estimates: [],
+            cached: false
+        };
+
+        if (!insuranceInfo.provider || !insuranceInfo.policyNumber) {
+            return { ...result, status: 'missing_info', message: 'insuranceInfo requires provider and policyNumber' };
+        }
+
+        if (!this.isAccepted(insuranceInfo, dentist.profile)) {
+            return { ...result, status: 'not_accepted', message: `${insuranceInfo.provider} is not accepted by ${dentist.id}` };
+        }
+
+        let check;
+        try {
+            check = await this.checkEligibility(insuranceInfo, request.refresh);
+        } catch (error) {
+            this.emit('insurance:error', { insurer: insuranceInfo.provider, error: error.message });
+            return { ...result, status: 'error', message: `Eligibility check failed: ${error.message}` };
+        }
+
+        const verified = {
+            ...result,
+            eligibility: check.eligibility,
+            checkedAt: check.checkedAt,
+            cached: check.cached
+        };
+        if (!check.eligibility.active) {
+            return { ...verified, status: 'inactive', message: `${insuranceInfo.provider} policy is not active` };
+        }
+
+        const procedures = request.procedures ||
+            (request.appointmentType ? [{ name: request.appointmentType, ...this.getProcedure(request.appointmentType) }] : []);
+
+        return {
+            ...verified,
+            verified: true,
+            status: 'verified',
+            message: `${insuranceInfo.provider} coverage verified`,
+            estimates: procedures.map(procedure => this.estimate(check.eligibility, procedure))
+        };
+    }
+
+    /**
+     * Eligibility from the cache or the provider
+     */
+    async checkEligibility(insuranceInfo, refresh = false) {
+        const key = `${normalizeInsurer(insuranceInfo.provider)}|${String(insuranceInfo.policyNumber).trim().toUpperCase()}`;
+        const cached = this.cache.get(key);
+        if (cached && !refresh && cached.expiresAt > Date.now()) {
+            return { ...cached, cached: true };
+        }
+
+        const eligibility = await this.provider.checkEligibility(insuranceInfo);
+        const entry = {
+            eligibility,
+            checkedAt: new Date().toISOString(),
+            expiresAt: Date.now() + this.cacheTtl
+        };
+        this.cache.set(key, entry);
+        this.emit('insurance:checked', { insurer: insuranceInfo.provider, active: eligibility.active });
+        return { ...entry, cached: false };
+    }
+
+    getProcedure(appointmentType) {
+        const procedure = this.procedures[appointmentType];
+        if (!procedure) {
+            throw new Error(`No procedure details for ${appointmentType}`);
+        }
+        return procedure;
+    }
+
+    /**
+     * Estimate what the insurer and patient pay for a procedure
+     * The remaining deductible is paid by the patient first; the insurer's share is capped
+     * by the remaining annual maximum
+     * @param {Object} eligibility - Provider eligibility response
+     * @param {Object} procedure - { name, procedure_category, cost_range }
+     */
+    estimate(eligibility, procedure) {
+        const costRange = parseCostRange(procedure.cost_range);
+        const category = CATEGORY_ALIASES[String(procedure.procedure_category || '').toLowerCase()] || 'basic';
+        const coveragePercent = Number((eligibility.coverage || {})[category]) || 0;
+        const deductible = Number(eligibility.deductibleRemaining) || 0;
+        const annualMaximum = eligibility.annualMaximumRemaining !== undefined
+            ? Number(eligibility.annualMaximumRemaining)
+            : Infinity;
+
+        const insurerShare = cost => {
+            const covered = Math.max(0, cost - deductible) * coveragePercent / 100;
+            return Math.round(Math.min(covered, annualMaximum) * 100) / 100;
+        };
+        const insurancePays = { min: insurerShare(costRange.min), max: insurerShare(costRange.max) };
+
+        return {
+            procedure: procedure.name || null,
+            category,
+            costRange,
+            coveragePercent,
+            insurancePays,
+            patientPays: {
+                min: Math.round((costRange.min - insurancePays.min) * 100) / 100,
+                max: Math.round((costRange.max - insurancePays.max) * 100) / 100
+            }
+        };
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    getStats() {
+        return {
+            provider: this.provider.name || 'custom',
+            cachedResults: this.cache.size
+        };
+    }
+}
+
+/**
+ * Make a provider class selectable by name
+ */
+InsuranceVerifier.registerProvider = (name, Provider) => {
+    PROVIDERS[name] = Provider;
+};
+
+InsuranceVerifier.InsuranceProvider = InsuranceProvider;
+InsuranceVerifier.MockInsuranceProvider = MockInsuranceProvider;
+InsuranceVerifier.DEFAULT_PROCEDURES = DEFAULT_PROCEDURES;
+InsuranceVerifier.parseCostRange = parseCostRange;
+
+module.exports = InsuranceVerifier;
@@ -0,0 +1,100 @@
+const InsuranceVerifier = require('./insurance');
+
+const { MockInsuranceProvider, parseCostRange } = InsuranceVerifier;
+
+const DENTIST = { id: 'dr_lee', profile: { insurance_accepted: 'Aetna, Blue Cross' } };
+const AETNA = { provider: 'Aetna', policyNumber: 'AET123' };
+
+function createVerifier(options = {}) {
+    const provider = new MockInsuranceProvider(options.providerOptions);
+    return { provider, verifier: new InsuranceVerifier({ ...options, provider }) };
+}
+
+describe('InsuranceVerifier', () => {
+    test('verifies accepted insurance and estimates the patient share after the deductible', async () => {
+        const { verifier } = createVerifier();
+
+        const result = await verifier.verify({ insuranceInfo: AETNA, dentist: DENTIST, appointmentType: 'filling' });
+
+        expect(result).toMatchObject({ verified: true, status: 'verified', insurer: 'Aetna', dentistId: 'dr_lee', cached: false });
+        expect(result.estimates).toEqual([{
+            procedure: 'filling',
+            category: 'basic',
+            costRange: { min: 150, max: 400 },
+            coveragePercent: 80,
+            insurancePays: { min: 80, max: 280 },
+            patientPays: { min: 70, max: 120 }
+        }]);
+    });
+
+    test('caps the insurer share at the remaining annual maximum', () => {
+        const { verifier } = createVerifier();
+
+        const estimate = verifier.estimate(
+            { coverage: { major: 50 }, deductibleRemaining: 50, annualMaximumRemaining: 500 },
+            { name: 'crown', procedure_category: 'prosthodontic', cost_range: '$800-$2,000' }
+        );
+
+        expect(estimate).toMatchObject({ category: 'major', insurancePays: { min: 375, max: 500 }, patientPays: { min: 425, max: 1500 } });
+    });
+
+    test('does not call the provider for missing details or insurers the dentist does not accept', async () => {
+        const { provider, verifier } = createVerifier();
+
+        const missing = await verifier.verify({ insuranceInfo: { provider: 'Aetna' }, dentist: DENTIST });
+        const rejected = await verifier.verify({ insuranceInfo: { provider: 'Cigna', policyNumber: 'C1' }, dentist: DENTIST });
+        const aliased = await verifier.verify({ insuranceInfo: { provider: 'BLUECROSS', policyNumber: 'B1' }, dentist: DENTIST });
+
+        expect(missing).toMatchObject({ verified: false, status: 'missing_info' });
+        expect(rejected).toMatchObject({ verified: false, status: 'not_accepted', message: 'Cigna is not accepted by dr_lee' });
+        expect(aliased.verified).toBe(true);
+        expect(provider.calls).toBe(1);
+    });
+
+    test('reports inactive policies and provider failures', async () => {
+        const { verifier } = createVerifier({
+            providerOptions: { responses: { AET123: { active: false }, Aetna: { error: 'Clearinghouse timeout' } } }
+        });
+
+        const inactive = await verifier.verify({ insuranceInfo: AETNA, dentist: DENTIST });
+        const failed = await verifier.verify({ insuranceInfo: { provider: 'Aetna', policyNumber: 'AET999' }, dentist: DENTIST });
+
+        expect(inactive).toMatchObject({ verified: false, status: 'inactive' });
+        expect(failed).toMatchObject({ verified: false, status: 'error', message: 'Eligibility check failed: Clearinghouse timeout' });
+    });
+
+    test('reuses cached eligibility until it expires or a refresh is asked for', async () => {
+        const { provider, verifier } = createVerifier({ cacheTtl: 60000 });
+
+        await verifier.verify({ insuranceInfo: AETNA, dentist: DENTIST });
+        const cached = await verifier.verify({ insuranceInfo: { provider: ' aetna ', policyNumber: 'aet123' }, dentist: DENTIST });
+        const refreshed = await verifier.verify({ insuranceInfo: AETNA, dentist: DENTIST, refresh: true });
+
+        expect(cached.cached).toBe(true);
+        expect(refreshed.cached).toBe(false);
+        expect(provider.calls).toBe(2);
+    });
+
+    test('selects providers by registered name', () => {
+        class ClearinghouseProvider extends InsuranceVerifier.InsuranceProvider {
+            constructor() {
+                super('clearinghouse');
+            }
+
+            async checkEligibility() {
+                return { active: true, coverage: {} };
+            }
+        }
+        InsuranceVerifier.registerProvider('clearinghouse', ClearinghouseProvider);
+
+        expect(new InsuranceVerifier({ provider: 'clearinghouse' }).getStats().provider).toBe('clearinghouse');
+        expect(() => new InsuranceVerifier({ provider: 'fax' })).toThrow('Unknown insurance provider: fax');
+    });
+
+    test('parses cost ranges from strings, numbers and objects', () => {
+        expect(parseCostRange('$1,200 - $1,500')).toEqual({ min: 1200, max: 1500 });
+        expect(parseCostRange(90)).toEqual({ min: 90, max: 90 });
+        expect(parseCostRange({ min: 40 })).toEqual({ min: 40, max: 40 });
+        expect(() => parseCostRange('call us')).toThrow('Invalid cost_range');
+    });
+});
@@ -0,0 +1,347 @@
+/**
+ * Dental Patient Records - Patient registration, duplicate detection and lookups
+ * Medical history and insurance details are encrypted at rest (AES-256-GCM); records are
+ * persisted as one JSON file next to the appointments
+ *
+ * The encryption key comes from options.encryptionKey or DENTAL_ENCRYPTION_KEY. Persisted stores
+ * refuse to load without one, so the key never sits next to the records it protects
+ * (memory-only stores use a throwaway key)
+ */
+
+const crypto = require('crypto');
+const JsonStore = require('../../core/json-store');
+
+// Fields stored encrypted and only returned when explicitly requested
+const SENSITIVE_FIELDS = ['medicalHistory', 'insuranceInfo'];
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'dental-patient-records';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '');
+}
+
+function toDateKey(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date of birth: ${value}`);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a patient registration (or the merged result of an update)
+ * @returns {Array<string>} Validation errors
+ */
+function validatePatient(patient) {
+    const errors = [];
+    const info = patient.patientInfo;
+    const contact = patient.contactInfo;
+    const emergency = patient.emergencyContact;
+
+    if (!isObject(info)) {
+        errors.push('patientInfo is required');
+    } else {
+        if (!normalizeName(info.name)) errors.push('patientInfo.name is required');
+
+        if (!info.dateOfBirth) {
+            errors.push('patientInfo.dateOfBirth is required');
+        } else {
+            const dateOfBirth = new Date(info.dateOfBirth);
+            if (Number.isNaN(dateOfBirth.getTime())) {
+                errors.push(`patientInfo.dateOfBirth is not a valid date: ${info.dateOfBirth}`);
+            } else if (dateOfBirth > new Date()) {
+                errors.push('patientInfo.dateOfBirth cannot be in the future');
+            }
+        }
+    }
+
+    if (!isObject(contact)) {
+        errors.push('contactInfo is required');
+    } else {
+        if (!contact.email && !contact.phone) errors.push('contactInfo requires an email or phone');
+        if (contact.email && !EMAIL_PATTERN.test(contact.email)) errors.push(`contactInfo.email is not valid: ${contact.email}`);
+        if (contact.phone && normalizePhone(contact.phone).length < 7) errors.push(`contactInfo.phone is not valid: ${contact.phone}`);
+    }
+
+    if (!isObject(emergency)) {
+        errors.push('emergencyContact is required');
+    } else {
+        if (!normalizeName(emergency.name)) errors.push('emergencyContact.name is required');
+        if (!emergency.phone) errors.push('emergencyContact.phone is required');
+    }
+
+    for (const field of SENSITIVE_FIELDS) {
+        if (patient[field] !== undefined && patient[field] !== null && !isObject(patient[field])) {
+            errors.push(`${field} must be an object`);
+        }
+    }
+
+    return errors;
+}
+
+class PatientRecords extends JsonStore {
+    /**
+     * @param {Object} options - Record store options
+     * @param {string|null} options.directory - Directory for patients.json (null keeps data in memory only)
+     * @param {string} options.encryptionKey - Secret used to encrypt sensitive fields
+     */
+    constructor(options = {}) {
+        super({ fileName: 'patients.json', directory: options.directory, namespace: 'dental', fileMode: 0o600 });
+
+        const secret = options.encryptionKey || process.env.DENTAL_ENCRYPTION_KEY;
+        this.key = secret
+            ? crypto.scryptSync(String(secret), KEY_SALT, 32)
+            : (this.directory ? null : crypto.randomBytes(32));
+
+        this.patients = new Map(); // patientId -> stored record (sensitive fields encrypted)
+    }
+
+    /**
+     * Load persisted records; throws with code MISSING_ENCRYPTION_KEY when no key is configured
+     */
+    async load() {
+        if (this.loaded) return;
+
+        if (!this.key) {
+            const error = new Error('DENTAL_ENCRYPTION_KEY (or patients.encryptionKey) must be set to store patient records');
+            error.code = 'MISSING_ENCRYPTION_KEY';
+            throw error;
+        }
+        await super.load();
+    }
+
+    /**
+     * Replace in-memory records with a snapshot (sensitive fields stay encrypted)
+     */
+    restore(snapshot = {}) {
+        this.patients = new Map((snapshot.patients || []).map(record => [record.id, record]));
+    }
+
+    toJSON() {
+        return { patients: Array.from(this.patients.values()) };
+    }
+
+    getKey() {
+        if (!this.key) {
+            throw new Error('Patient records are not loaded; call load() first');
+        }
+        return this.key;
+    }
+
+    encrypt(value) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return {
+            encrypted: true,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(payload) {
+        if (!payload || !payload.encrypted) return payload || null;
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), Buffer.from(payload.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+            const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            throw new Error('Could not decrypt patient record; check DENTAL_ENCRYPTION_KEY');
+        }
+    }
+
+    /**
+     * Existing patients that look like the same person
+     * Matches on name + date of birth, or name + email/phone
+     * @returns {Array} [{ patientId, matchedOn }]
+     */
+    findDuplicates(patient, excludeId = null) {
+        const name = normalizeName(patient.patientInfo && patient.patientInfo.name);
+        const dateOfBirth = patient.patientInfo && patient.patientInfo.dateOfBirth
+            ? toDateKey(patient.patientInfo.dateOfBirth)
+            : null;
+        const email = normalizeEmail(patient.contactInfo && patient.contactInfo.email);
+        const phone = normalizePhone(patient.contactInfo && patient.contactInfo.phone);
+
+        const duplicates = [];
+        for (const record of this.patients.values()) {
+            if (record.id === excludeId || normalizeName(record.patientInfo.name) !== name) continue;
+
+            const matchedOn = [];
+            if (dateOfBirth && record.patientInfo.dateOfBirth === dateOfBirth) matchedOn.push('dateOfBirth');
+            if (email && normalizeEmail(record.contactInfo.email) === email) matchedOn.push('email');
+            if (phone && normalizePhone(record.contactInfo.phone) === phone) matchedOn.push('phone');
+
+            if (matchedOn.length > 0) {
+                duplicates.push({ patientId: record.id, matchedOn: ['name', ...matchedOn] });
+            }
+        }
+        return duplicates;
+    }
+
+    /**
+     * Register a patient; throws with code INVALID_PATIENT or DUPLICATE_PATIENT
+     * @param {Object} data - { patientInfo, contactInfo, medicalHistory, insuranceInfo, emergencyContact }
+     * @param {Object} options - { allowDuplicate, clientId }
+     */
+    async register(data, options = {}) {
+        this.assertValid(data);
+
+        const duplicates = this.findDuplicates(data);
+        if (duplicates.length > 0 && !options.allowDuplicate) {
+            const error = new Error(`Patient ${String(data.patientInfo.name).trim()} is already registered as ${duplicates[0].patientId}`);
+            error.code = 'DUPLICATE_PATIENT';
+            error.duplicates = duplicates;
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const record = this.buildRecord({
+            id: `dental_patient_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            clientId: options.clientId || null,
+            createdAt: now,
+            updatedAt: now
+        }, data);
+
+        this.patients.set(record.id, record);
+        await this.save();
+        this.emit('patient:registered', this.toPublic(record));
+        return this.toPublic(record);
+    }
+
+    /**
+     * Update a patient; object fields are merged, sensitive fields replaced
+     */
+    async update(patientId, changes) {
+        const existing = this.getRecord(patientId);
+        const current = this.toPublic(existing, { includeSensitive: true });
+
+        const merged = { ...current };
+        for (const field of ['patientInfo', 'contactInfo', 'emergencyContact']) {
+            if (changes[field]) merged[field] = { ...current[field], ...changes[field] };
+        }
+        for (const field of SENSITIVE_FIELDS) {
+            if (changes[field] !== undefined) merged[field] = changes[field];
+        }
+        this.assertValid(merged);
+
+        const duplicates = this.findDuplicates(merged, patientId);
+        if (duplicates.length > 0) {
+            const error = new Error(`Update would make ${patientId} a duplicate of ${duplicates[0].patientId}`);
+            error.code = 'DUPLICATE_PATIENT';
+            error.duplicates = duplicates;
+            throw error;
+        }
+
+        const record = this.buildRecord({
+            id: existing.id,
+            clientId: existing.clientId || null,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        }, merged);
+
+        this.patients.set(patientId, record);
+        await this.save();
+        this.emit('patient:updated', this.toPublic(record));
+        return this.toPublic(record);
+    }
+
+    assertValid(data) {
+        const errors = validatePatient(data);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid patient registration: ${errors.join('; ')}`);
+            error.code = 'INVALID_PATIENT';
+            error.errors = errors;
+            throw error;
+        }
+    }
+
+    buildRecord(base, data) {
+        const record = {
+            ...base,
+            patientInfo: {
+                ...data.patientInfo,
+                name: String(data.patientInfo.name).trim(),
+                dateOfBirth: toDateKey(data.patientInfo.dateOfBirth)
+            },
+            contactInfo: { ...data.contactInfo },
+            emergencyContact: { ...data.emergencyContact }
+        };
+
+        for (const field of SENSITIVE_FIELDS) {
+            record[field] = data[field] ? this.encrypt(data[field]) : null;
+        }
+        return record;
+    }
+
+    getRecord(patientId) {
+        const record = this.patients.get(patientId);
+        if (!record) {
+            throw new Error(`Unknown patient: ${patientId}`);
+        }
+        return record;
+    }
+
+    /**
+     * Patient as returned to callers; sensitive fields are decrypted only on request
+     */
+    toPublic(record, options = {}) {
+        const patient = { ...record };
+        for (const field of SENSITIVE_FIELDS) {
+            if (options.includeSensitive) {
+                patient[field] = this.decrypt(record[field]);
+            } else {
+                delete patient[field];
+            }
+        }
+        return patient;
+    }
+
+    get(patientId, options = {}) {
+        return this.toPublic(this.getRecord(patientId), options);
+    }
+
+    /**
+     * Search patients by name, date of birth, email or phone
+     * @param {Object} query - { name, dateOfBirth, email, phone }
+     */
+    find(query = {}, options = {}) {
+        const name = normalizeName(query.name);
+        const email = normalizeEmail(query.email);
+        const phone = normalizePhone(query.phone);
+        const dateOfBirth = query.dateOfBirth ? toDateKey(query.dateOfBirth) : null;
+
+        return Array.from(this.patients.values())
+            .filter(record => !name || normalizeName(record.patientInfo.name).includes(name))
+            .filter(record => !dateOfBirth || record.patientInfo.dateOfBirth === dateOfBirth)
+            .filter(record => !email || normalizeEmail(record.contactInfo.email) === email)
+            .filter(record => !phone || normalizePhone(record.contactInfo.phone) === phone)
+            .map(record => this.toPublic(record, options));
+    }
+
+    getStats() {
+        return { patients: this.patients.size };
+    }
+}
+
+PatientRecords.SENSITIVE_FIELDS = SENSITIVE_FIELDS;
+PatientRecords.validatePatient = validatePatient;
+
+module.exports = PatientRecords;
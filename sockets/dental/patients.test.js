@@ -0,0 +1,134 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const PatientRecords = require('./patients');
+
+function registration(overrides = {}) {
+    return {
+        patientInfo: { name: 'Ada Lovelace', dateOfBirth: '1985-12-10' },
+        contactInfo: { email: 'ada@example.com', phone: '555-0100' },
+        emergencyContact: { name: 'Charles Babbage', phone: '555-0101' },
+        medicalHistory: { allergies: ['penicillin'] },
+        insuranceInfo: { provider: 'Aetna', memberId: 'AET123' },
+        ...overrides
+    };
+}
+
+async function createRecords(options = {}) {
+    const records = new PatientRecords({ directory: null, ...options });
+    await records.load();
+    return records;
+}
+
+describe('PatientRecords', () => {
+    test('registers a patient and hides sensitive fields unless asked for them', async () => {
+        const records = await createRecords();
+
+        const patient = await records.register(registration());
+
+        expect(patient).not.toHaveProperty('medicalHistory');
+        expect(patient).not.toHaveProperty('insuranceInfo');
+        expect(records.get(patient.id, { includeSensitive: true })).toMatchObject({
+            medicalHistory: { allergies: ['penicillin'] },
+            insuranceInfo: { provider: 'Aetna' }
+        });
+    });
+
+    test('reports every validation error at once', async () => {
+        const records = await createRecords();
+
+        await expect(records.register({
+            patientInfo: { name: 'Ada', dateOfBirth: '2999-01-01' },
+            contactInfo: { email: 'not-an-email' },
+            medicalHistory: 'none'
+        })).rejects.toMatchObject({
+            code: 'INVALID_PATIENT',
+            errors: [
+                'patientInfo.dateOfBirth cannot be in the future',
+                'contactInfo.email is not valid: not-an-email',
+                'emergencyContact is required',
+                'medicalHistory must be an object'
+            ]
+        });
+    });
+
+    test('detects duplicates by name with date of birth, email or phone', async () => {
+        const records = await createRecords();
+        const existing = await records.register(registration());
+
+        await expect(records.register(registration({
+            patientInfo: { name: '  ada   LOVELACE ', dateOfBirth: '1990-01-01' },
+            contactInfo: { phone: '(555) 0100' }
+        }))).rejects.toMatchObject({
+            code: 'DUPLICATE_PATIENT',
+            duplicates: [{ patientId: existing.id, matchedOn: ['name', 'phone'] }]
+        });
+
+        const twin = await records.register(registration({ contactInfo: { email: 'twin@example.com' } }), { allowDuplicate: true });
+        expect(twin.id).not.toBe(existing.id);
+    });
+
+    test('merges updates and refuses ones that create a duplicate', async () => {
+        const records = await createRecords();
+        const ada = await records.register(registration());
+        const grace = await records.register(registration({
+            patientInfo: { name: 'Grace Hopper', dateOfBirth: '1906-12-09' },
+            contactInfo: { email: 'grace@example.com' }
+        }));
+
+        const updated = await records.update(grace.id, { contactInfo: { phone: '555-0199' } });
+
+        expect(updated.contactInfo).toEqual({ email: 'grace@example.com', phone: '555-0199' });
+        await expect(records.update(grace.id, { patientInfo: { name: 'Ada Lovelace', dateOfBirth: '1985-12-10' } }))
+            .rejects.toMatchObject({ code: 'DUPLICATE_PATIENT', duplicates: [expect.objectContaining({ patientId: ada.id })] });
+    });
+
+    test('searches by partial name and exact contact details', async () => {
+        const records = await createRecords();
+        await records.register(registration());
+
+        expect(records.find({ name: 'love' })).toHaveLength(1);
+        expect(records.find({ email: 'ADA@example.com' })).toHaveLength(1);
+        expect(records.find({ phone: '5550199' })).toHaveLength(0);
+    });
+
+    describe('on disk', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dental-patients-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        test('encrypts sensitive fields at rest and reads them back with the same key', async () => {
+            const records = await createRecords({ directory, encryptionKey: 'practice-secret' });
+            const patient = await records.register(registration());
+
+            const contents = await fs.readFile(path.join(directory, 'patients.json'), 'utf8');
+            expect(contents).toContain('Ada Lovelace');
+            expect(contents).not.toContain('penicillin');
+            expect(contents).not.toContain('AET123');
+
+            const reloaded = await createRecords({ directory, encryptionKey: 'practice-secret' });
+            expect(reloaded.get(patient.id, { includeSensitive: true }).medicalHistory).toEqual({ allergies: ['penicillin'] });
+
+            const wrongKey = await createRecords({ directory, encryptionKey: 'another-secret' });
+            expect(() => wrongKey.get(patient.id, { includeSensitive: true })).toThrow('Could not decrypt patient record');
+        });
+
+        test('refuses to store records on disk when no key is configured', async () => {
+            const previousKey = process.env.DENTAL_ENCRYPTION_KEY;
+            delete process.env.DENTAL_ENCRYPTION_KEY;
+
+            try {
+                await expect(createRecords({ directory })).rejects.toMatchObject({ code: 'MISSING_ENCRYPTION_KEY' });
+                expect(await fs.readdir(directory)).toEqual([]);
+            } finally {
+                if (previousKey !== undefined) process.env.DENTAL_ENCRYPTION_KEY = previousKey;
+            }
+        });
+    });
+});
@@ -0,0 +1,537 @@
+/**
+ * Dental Appointment Scheduler - Dentist availability, slot generation and bookings
+ * Bookings, dentist schedules and the waitlist are persisted as one JSON file
+ *
+ * Working hours are local wall-clock windows per weekday:
+ *   { monday: [{ start: '09:00', end: '17:00' }], tuesday: '9:00-12:00,13:00-17:00', ... }
+ */
+
+const JsonStore = require('../../core/json-store');
+
+// Default duration per appointment type (minutes)
+const APPOINTMENT_TYPES = {
+    checkup: 30,
+    consultation: 30,
+    emergency: 30,
+    cleaning: 60,
+    filling: 60,
+    extraction: 45,
+    root_canal: 90,
+    crown: 90
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_WORKING_HOURS = {
+    monday: '09:00-17:00',
+    tuesday: '09:00-17:00',
+    wednesday: '09:00-17:00',
+    thursday: '09:00-17:00',
+    friday: '09:00-15:00'
+};
+
+// Dentists on the schedule until the practice sets its own (the shipped sample events use dr_smith_001)
+const DEFAULT_DENTISTS = [
+    { id: 'dr_smith_001', name: 'Dr. Jane Smith', profile: { insurance_accepted: ['Aetna', 'BlueCross'] } }
+];
+
+const ACTIVE_STATUSES = ['confirmed'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ */
+function parseTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Normalize one weekday's hours into [{ start, end }] minute windows
+ */
+function parseWindows(hours) {
+    if (!hours) return [];
+
+    const windows = typeof hours === 'string'
+        ? hours.split(',').map(range => {
+            const [start, end] = range.split('-');
+            return { start, end };
+        })
+        : (Array.isArray(hours) ? hours : [hours]);
+
+    return windows.map(window => {
+        const start = parseTime(window.start);
+        const end = parseTime(window.end);
+        if (end <= start) {
+            throw new Error(`Working window ${window.start}-${window.end} ends before it starts`);
+        }
+        return { start, end };
+    });
+}
+
+function toDate(value, field = 'date') {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function overlaps(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+}
+
+class AppointmentScheduler extends JsonStore {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {string|null} options.directory - Directory for appointments.json (null keeps data in memory only)
+     * @param {Object} options.appointmentTypes - Duration overrides per appointment type (minutes)
+     * @param {number} options.slotInterval - Minutes between candidate slot start times
+     * @param {number} options.searchDays - How far ahead slot searches look by default
+     * @param {Object[]} options.dentists - Dentists replacing the default roster [{ id, name, workingHours, profile }]
+     */
+    constructor(options = {}) {
+        super({ fileName: 'appointments.json', directory: options.directory, namespace: 'dental' });
+        this.appointmentTypes = { ...APPOINTMENT_TYPES, ...(options.appointmentTypes || {}) };
+        this.slotInterval = options.slotInterval || 15;
+        this.searchDays = options.searchDays || 14;
+
+        this.dentists = new Map(); // dentistId -> { id, name, workingHours, timeOff, profile }
+        for (const definition of options.dentists || DEFAULT_DENTISTS) {
+            this.dentists.set(definition.id, this.normalizeDentist(definition.id, definition));
+        }
+        this.bookings = new Map(); // bookingId -> booking
+        this.waitlist = [];
+    }
+
+    /**
+     * Replace in-memory state with a snapshot
+     */
+    restore(snapshot = {}) {
+        this.dentists = new Map((snapshot.dentists || []).map(dentist => [dentist.id, dentist]));
+        this.bookings = new Map((snapshot.bookings || []).map(booking => [booking.id, booking]));
+        this.waitlist = snapshot.waitlist || [];
+    }
+
+    toJSON() {
+        return {
+            dentists: Array.from(this.dentists.values()),
+            bookings: Array.from(this.bookings.values()),
+            waitlist: this.waitlist
+        };
+    }
+
+    /**
+     * Set a dentist's working hours (merging with any existing schedule)
+     * @param {string} dentistId - Dentist identifier
+     * @param {Object} schedule - { name, workingHours, profile } (profile holds dentist_profile fields)
+     */
+    async setDentistSchedule(dentistId, schedule = {}) {
+        const dentist = this.normalizeDentist(dentistId, schedule);
+
+        this.dentists.set(dentistId, dentist);
+        await this.save();
+        this.emit('dentist:scheduled', { dentistId });
+        return dentist;
+    }
+
+    /**
+     * Merge a schedule into the dentist's current one; throws on invalid weekdays or hours
+     */
+    normalizeDentist(dentistId, schedule = {}) {
+        const existing = this.dentists.get(dentistId) || { id: dentistId, timeOff: [] };
+        const workingHours = schedule.workingHours || existing.workingHours || DEFAULT_WORKING_HOURS;
+        const normalized = {};
+        for (const [day, hours] of Object.entries(workingHours)) {
+            const weekday = day.toLowerCase();
+            if (!WEEKDAYS.includes(weekday)) {
+                throw new Error(`Invalid weekday: ${day}`);
+            }
+            normalized[weekday] = parseWindows(hours).map(window => ({
+                start: this.formatMinutes(window.start),
+                end: this.formatMinutes(window.end)
+            }));
+        }
+
+        return {
+            ...existing,
+            name: schedule.name || existing.name || dentistId,
+            workingHours: normalized,
+            profile: { ...(existing.profile || {}), ...(schedule.profile || {}) }
+        };
+    }
+
+    /**
+     * Block a period (vacation, training) in a dentist's calendar
+     */
+    async addTimeOff(dentistId, start, end, reason = null) {
+        const dentist = this.getDentist(dentistId);
+        const from = toDate(start, 'start');
+        const to = toDate(end, 'end');
+        if (to <= from) {
+            throw new Error('Time off must end after it starts');
+        }
+
+        dentist.timeOff.push({ start: from.toISOString(), end: to.toISOString(), reason });
+        await this.save();
+        return dentist;
+    }
+
+    getDentist(dentistId) {
+        const dentist = this.dentists.get(dentistId);
+        if (!dentist) {
+            throw new Error(`Unknown dentist: ${dentistId}`);
+        }
+        return dentist;
+    }
+
+    /**
+     * Duration of an appointment type in minutes
+     */
+    getDuration(appointmentType, override) {
+        if (override) {
+            const minutes = Number(override);
+            if (!Number.isFinite(minutes) || minutes <= 0) {
+                throw new Error(`Invalid duration: ${override}`);
+            }
+            return minutes;
+        }
+        if (!this.appointmentTypes[appointmentType]) {
+            throw new Error(`Unknown appointment type: ${appointmentType}. Valid types: ${Object.keys(this.appointmentTypes).join(', ')}`);
+        }
+        return this.appointmentTypes[appointmentType];
+    }
+
+    formatMinutes(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Working windows for a dentist on a given day as absolute { start, end } dates
+     */
+    getWorkingWindows(dentist, day) {
+        const weekday = WEEKDAYS[day.getDay()];
+        return parseWindows(dentist.workingHours[weekday]).map(window => {
+            const start = new Date(day);
+            start.setHours(0, window.start, 0, 0);
+            const end = new Date(day);
+            end.setHours(0, window.end, 0, 0);
+            return { start, end };
+        });
+    }
+
+    /**
+     * Check whether a dentist is free for a period
+     * @param {string} ignoreBookingId - Booking to ignore (when rescheduling it)
+     */
+    isAvailable(dentistId, start, end, ignoreBookingId = null) {
+        const dentist = this.getDentist(dentistId);
+        const from = toDate(start, 'start');
+        const to = toDate(end, 'end');
+
+        const day = new Date(from);
+        day.setHours(0, 0, 0, 0);
+        const withinHours = this.getWorkingWindows(dentist, day)
+            .some(window => from >= window.start && to <= window.end);
+        if (!withinHours) return false;
+
+        const onTimeOff = dentist.timeOff.some(period =>
+            overlaps(from, to, new Date(period.start), new Date(period.end))
+        );
+        if (onTimeOff) return false;
+
+        return !this.findConflict(dentistId, from, to, ignoreBookingId);
+    }
+
+    /**
+     * Active booking overlapping a period, if any
+     */
+    findConflict(dentistId, start, end, ignoreBookingId = null) {
+        for (const booking of this.bookings.values()) {
+            if (booking.id === ignoreBookingId) continue;
+            if (booking.dentistId !== dentistId || !ACTIVE_STATUSES.includes(booking.status)) continue;
+            if (overlaps(start, end, new Date(booking.start), new Date(booking.end))) {
+                return booking;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Generate free slots for an appointment type
+     * @param {string} dentistId - Dentist identifier
+     * @param {string} appointmentType - Appointment type
+     * @param {Object} options - { from, to, limit, duration }
+     */
+    generateSlots(dentistId, appointmentType, options = {}) {
+        const dentist = this.getDentist(dentistId);
+        const duration = this.getDuration(appointmentType, options.duration);
+        const from = options.from ? toDate(options.from, 'from') : new Date();
+        const to = options.to ? toDate(options.to, 'to') : new Date(from.getTime() + this.searchDays * DAY);
+        const limit = options.limit || Infinity;
+        const slots = [];
+
+        const day = new Date(from);
+        day.setHours(0, 0, 0, 0);
+
+        for (; day < to && slots.length < limit; day.setDate(day.getDate() + 1)) {
+            for (const window of this.getWorkingWindows(dentist, day)) {
+                for (let start = window.start.getTime(); start + duration * MINUTE <= window.end.getTime(); start += this.slotInterval * MINUTE) {
+                    const slotStart = new Date(start);
+                    const slotEnd = new Date(start + duration * MINUTE);
+                    if (slotStart < from || slotEnd > to) continue;
+                    if (!this.isAvailable(dentistId, slotStart, slotEnd)) continue;
+
+                    slots.push({
+                        dentistId,
+                        appointmentType,
+                        start: slotStart.toISOString(),
+                        end: slotEnd.toISOString()
+                    });
+                    if (slots.length >= limit) return slots;
+                }
+            }
+        }
+
+        return slots;
+    }
+
+    /**
+     * Earliest free slot for an appointment type, optionally for one dentist
+     * @param {string} appointmentType - Appointment type
+     * @param {Object} options - { dentistId, after, searchDays, duration }
+     */
+    findNextAvailable(appointmentType, options = {}) {
+        const dentistIds = options.dentistId ? [options.dentistId] : Array.from(this.dentists.keys());
+        const from = options.after ? toDate(options.after, 'after') : new Date();
+        const to = new Date(from.getTime() + (options.searchDays || this.searchDays) * DAY);
+
+        let best = null;
+        for (const dentistId of dentistIds) {
+            const [slot] = this.generateSlots(dentistId, appointmentType, { from, to, limit: 1, duration: options.duration });
+            if (slot && (!best || slot.start < best.start)) {
+                best = slot;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Book an appointment; throws with `alternatives` attached when the slot is taken
+     * @param {Object} request - { dentistId, patient, appointmentType, start, duration, notes, insurance, clientId }
+     */
+    async book(request) {
+        const dentist = this.getDentist(request.dentistId);
+        const duration = this.getDuration(request.appointmentType, request.duration);
+        const start = toDate(request.start, 'start');
+        const end = new Date(start.getTime() + duration * MINUTE);
+
+        // Check and insert without yielding so two requests cannot take the same slot
+        if (!this.isAvailable(dentist.id, start, end)) {
+            const error = new Error(`Dentist ${dentist.id} is not available at ${start.toISOString()}`);
+            error.code = 'SLOT_UNAVAILABLE';
+            error.alternatives = this.generateSlots(dentist.id, request.appointmentType, {
+                from: start,
+                limit: 3,
+                duration: request.duration
+            });
+            throw error;
+        }
+
+        const booking = {
+            id: `dental_appt_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            dentistId: dentist.id,
+            patient: request.patient || null,
+            appointmentType: request.appointmentType,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            duration,
+            notes: request.notes || null,
+            insurance: request.insurance || null,
+            clientId: request.clientId || null,
+            status: 'confirmed',
+            createdAt: new Date().toISOString(),
+            history: []
+        };
+
+        this.bookings.set(booking.id, booking);
+        await this.save();
+        this.emit('appointment:booked', booking);
+        return booking;
+    }
+
+    getBooking(bookingId) {
+        const booking = this.bookings.get(bookingId);
+        if (!booking) {
+            throw new Error(`Unknown booking: ${bookingId}`);
+        }
+        return booking;
+    }
+
+    /**
+     * Cancel a booking and offer the freed time to the waitlist
+     */
+    async cancel(bookingId, reason = null) {
+        const booking = this.getBooking(bookingId);
+        if (booking.status !== 'confirmed') {
+            throw new Error(`Booking ${bookingId} is ${booking.status} and cannot be cancelled`);
+        }
+
+        booking.status = 'cancelled';
+        booking.cancelledAt = new Date().toISOString();
+        booking.cancellationReason = reason;
+        booking.history.push({ action: 'cancelled', at: booking.cancelledAt, reason });
+
+        await this.save();
+        this.emit('appointment:cancelled', booking);
+
+        const promoted = await this.processWaitlist(booking.dentistId, new Date(booking.start), new Date(booking.end));
+        return { booking, promoted };
+    }
+
+    /**
+     * Move a booking to a new start time (same dentist unless another is given)
+     */
+    async reschedule(bookingId, newStart, dentistId = null) {
+        const booking = this.getBooking(bookingId);
+        if (booking.status !== 'confirmed') {
+            throw new Error(`Booking ${bookingId} is ${booking.status} and cannot be rescheduled`);
+        }
+
+        const targetDentist = dentistId || booking.dentistId;
+        this.getDentist(targetDentist);
+        const start = toDate(newStart, 'start');
+        const end = new Date(start.getTime() + booking.duration * MINUTE);
+
+        if (!this.isAvailable(targetDentist, start, end, booking.id)) {
+            const error = new Error(`Dentist ${targetDentist} is not available at ${start.toISOString()}`);
+            error.code = 'SLOT_UNAVAILABLE';
+            error.alternatives = this.generateSlots(targetDentist, booking.appointmentType, {
+                from: start,
+                limit: 3,
+                duration: booking.duration
+            });
+            throw error;
+        }
+
+        const previous = { dentistId: booking.dentistId, start: booking.start, end: booking.end };
+        booking.dentistId = targetDentist;
+        booking.start = start.toISOString();
+        booking.end = end.toISOString();
+        booking.history.push({ action: 'rescheduled', at: new Date().toISOString(), from: previous });
+
+        await this.save();
+        this.emit('appointment:rescheduled', { booking, previous });
+
+        const promoted = await this.processWaitlist(previous.dentistId, new Date(previous.start), new Date(previous.end));
+        return { booking, previous, promoted };
+    }
+
+    /**
+     * Add a patient to the waitlist for an appointment type
+     * @param {Object} request - { patient, appointmentType, dentistId, earliest, latest, clientId }
+     */
+    async joinWaitlist(request) {
+        this.getDuration(request.appointmentType);
+        if (request.dentistId) this.getDentist(request.dentistId);
+
+        const entry = {
+            id: `dental_wait_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            patient: request.patient || null,
+            appointmentType: request.appointmentType,
+            dentistId: request.dentistId || null,
+            earliest: request.earliest ? toDate(request.earliest, 'earliest').toISOString() : null,
+            latest: request.latest ? toDate(request.latest, 'latest').toISOString() : null,
+            clientId: request.clientId || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.waitlist.push(entry);
+        await this.save();
+        this.emit('waitlist:joined', entry);
+        return { entry, position: this.waitlist.length };
+    }
+
+    async leaveWaitlist(entryId) {
+        const index = this.waitlist.findIndex(entry => entry.id === entryId);
+        if (index === -1) {
+            throw new Error(`Unknown waitlist entry: ${entryId}`);
+        }
+
+        const [entry] = this.waitlist.splice(index, 1);
+        await this.save();
+        return entry;
+    }
+
+    /**
+     * Book the first waitlisted patients whose request fits into a freed period
+     * @returns {Array} Bookings created from the waitlist
+     */
+    async processWaitlist(dentistId, freedStart, freedEnd) {
+        const promoted = [];
+
+        for (const entry of [...this.waitlist]) {
+            if (entry.dentistId && entry.dentistId !== dentistId) continue;
+
+            const from = new Date(Math.max(freedStart.getTime(), entry.earliest ? new Date(entry.earliest).getTime() : 0));
+            const to = entry.latest ? new Date(Math.min(freedEnd.getTime(), new Date(entry.latest).getTime())) : freedEnd;
+            if (to <= from) continue;
+
+            const [slot] = this.generateSlots(dentistId, entry.appointmentType, { from, to, limit: 1 });
+            if (!slot) continue;
+
+            const booking = await this.book({
+                dentistId,
+                patient: entry.patient,
+                appointmentType: entry.appointmentType,
+                start: slot.start,
+                notes: 'Booked from waitlist',
+                clientId: entry.clientId
+            });
+            this.waitlist.splice(this.waitlist.indexOf(entry), 1);
+            await this.save();
+
+            promoted.push(booking);
+            this.emit('waitlist:promoted', { entry, booking });
+        }
+
+        return promoted;
+    }
+
+    /**
+     * Query bookings
+     * @param {Object} filter - { dentistId, patientId, status, from, to }
+     */
+    getBookings(filter = {}) {
+        const from = filter.from ? toDate(filter.from, 'from') : null;
+        const to = filter.to ? toDate(filter.to, 'to') : null;
+
+        return Array.from(this.bookings.values())
+            .filter(booking => !filter.dentistId || booking.dentistId === filter.dentistId)
+            .filter(booking => !filter.status || booking.status === filter.status)
+            .filter(booking => !filter.patientId || (booking.patient && booking.patient.id === filter.patientId))
+            .filter(booking => !from || new Date(booking.end) > from)
+            .filter(booking => !to || new Date(booking.start) < to)
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    getStats() {
+        const bookings = Array.from(this.bookings.values());
+        return {
+            dentists: this.dentists.size,
+            confirmed: bookings.filter(booking => booking.status === 'confirmed').length,
+            cancelled: bookings.filter(booking => booking.status === 'cancelled').length,
+            waitlist: this.waitlist.length
+        };
+    }
+}
+
+AppointmentScheduler.APPOINTMENT_TYPES = APPOINTMENT_TYPES;
+AppointmentScheduler.DEFAULT_WORKING_HOURS = DEFAULT_WORKING_HOURS;
+AppointmentScheduler.DEFAULT_DENTISTS = DEFAULT_DENTISTS;
+
+module.exports = AppointmentScheduler;
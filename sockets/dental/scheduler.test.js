@@ -0,0 +1,101 @@
+const AppointmentScheduler = require('./scheduler');
+
+// Monday 7 January 2030, local time
+const MONDAY = new Date(2030, 0, 7);
+
+function at(hours, minutes = 0, day = MONDAY) {
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+function createScheduler() {
+    return new AppointmentScheduler({
+        directory: null,
+        dentists: [{ id: 'dr_lee', name: 'Dr. Lee', workingHours: { monday: '09:00-12:00,13:00-17:00' } }]
+    });
+}
+
+describe('AppointmentScheduler', () => {
+    test('seeds the sample dentist when no roster is given', () => {
+        const scheduler = new AppointmentScheduler({ directory: null });
+
+        expect(scheduler.getDentist('dr_smith_001').workingHours.monday).toEqual([{ start: '09:00', end: '17:00' }]);
+        expect(scheduler.findNextAvailable('cleaning', { after: MONDAY })).toMatchObject({
+            dentistId: 'dr_smith_001',
+            start: at(9).toISOString()
+        });
+    });
+
+    test('generates slots inside working windows and around the lunch break', () => {
+        const slots = createScheduler().generateSlots('dr_lee', 'cleaning', { from: MONDAY, to: at(23) });
+
+        expect(slots[0].start).toBe(at(9).toISOString());
+        expect(slots.map(slot => slot.start)).not.toContain(at(11, 15).toISOString());
+        expect(slots.find(slot => slot.start >= at(12).toISOString()).start).toBe(at(13).toISOString());
+        expect(slots[slots.length - 1].end).toBe(at(17).toISOString());
+    });
+
+    test('books a slot and refuses an overlapping booking with alternatives', async () => {
+        const scheduler = createScheduler();
+        const booking = await scheduler.book({ dentistId: 'dr_lee', appointmentType: 'checkup', start: at(9), patient: { id: 'pat_1' } });
+
+        expect(booking).toMatchObject({ status: 'confirmed', duration: 30, end: at(9, 30).toISOString() });
+        await expect(scheduler.book({ dentistId: 'dr_lee', appointmentType: 'cleaning', start: at(9, 15) }))
+            .rejects.toMatchObject({
+                code: 'SLOT_UNAVAILABLE',
+                alternatives: [
+                    expect.objectContaining({ start: at(9, 30).toISOString() }),
+                    expect.objectContaining({ start: at(9, 45).toISOString() }),
+                    expect.objectContaining({ start: at(10).toISOString() })
+                ]
+            });
+    });
+
+    test('refuses bookings outside working hours or during time off', async () => {
+        const scheduler = createScheduler();
+        await scheduler.addTimeOff('dr_lee', at(14), at(16), 'Training');
+
+        expect(scheduler.isAvailable('dr_lee', at(8, 30), at(9))).toBe(false);
+        expect(scheduler.isAvailable('dr_lee', at(11, 45), at(12, 15))).toBe(false);
+        expect(scheduler.isAvailable('dr_lee', at(14, 30), at(15))).toBe(false);
+        expect(scheduler.isAvailable('dr_lee', at(16), at(16, 30))).toBe(true);
+    });
+
+    test('reschedules a booking and frees its old slot', async () => {
+        const scheduler = createScheduler();
+        const booking = await scheduler.book({ dentistId: 'dr_lee', appointmentType: 'checkup', start: at(9) });
+
+        const { previous } = await scheduler.reschedule(booking.id, at(10));
+
+        expect(previous.start).toBe(at(9).toISOString());
+        expect(scheduler.isAvailable('dr_lee', at(9), at(9, 30))).toBe(true);
+        expect(scheduler.isAvailable('dr_lee', at(10), at(10, 30))).toBe(false);
+        expect(booking.history).toEqual([expect.objectContaining({ action: 'rescheduled' })]);
+    });
+
+    test('books the first fitting waitlist entry when a booking is cancelled', async () => {
+        const scheduler = createScheduler();
+        const booking = await scheduler.book({ dentistId: 'dr_lee', appointmentType: 'cleaning', start: at(9) });
+        await scheduler.joinWaitlist({ appointmentType: 'root_canal', patient: { id: 'pat_long' } });
+        await scheduler.joinWaitlist({ appointmentType: 'checkup', patient: { id: 'pat_short' }, dentistId: 'dr_lee' });
+
+        const { promoted } = await scheduler.cancel(booking.id, 'Sick');
+
+        expect(promoted).toEqual([expect.objectContaining({ patient: { id: 'pat_short' }, start: at(9).toISOString() })]);
+        expect(scheduler.waitlist).toEqual([expect.objectContaining({ appointmentType: 'root_canal' })]);
+        await expect(scheduler.cancel(booking.id)).rejects.toThrow('is cancelled and cannot be cancelled');
+    });
+
+    test('rejects unknown dentists, appointment types and malformed hours', async () => {
+        const scheduler = createScheduler();
+
+        await expect(scheduler.book({ dentistId: 'dr_who', appointmentType: 'checkup', start: at(9) }))
+            .rejects.toThrow('Unknown dentist: dr_who');
+        expect(() => scheduler.getDuration('whitening')).toThrow('Unknown appointment type: whitening');
+        await expect(scheduler.setDentistSchedule('dr_lee', { workingHours: { funday: '09:00-17:00' } }))
+            .rejects.toThrow('Invalid weekday: funday');
+        await expect(scheduler.setDentistSchedule('dr_lee', { workingHours: { monday: '17:00-09:00' } }))
+            .rejects.toThrow('ends before it starts');
+    });
+});
@@ -0,0 +1,382 @@
+/**
+ * Gym Class Timetable - Weekly group classes, bookings with capacity and waitlists
+ *
+ * Classes repeat weekly on their days at a local start time. Each occurrence is booked
+ * separately; once it is full members join its waitlist and move up in order when a
+ * booked member cancels
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DEFAULT_TIMETABLE = [
+    { id: 'yoga_basic_001', name: 'Basic Yoga', days: ['monday', 'wednesday'], time: '18:00', duration: 60, capacity: 20, trainerId: 'instructor_jane', location: 'Studio A', level: 'beginner' },
+    { id: 'hiit_advanced_001', name: 'Advanced HIIT', days: ['tuesday', 'thursday'], time: '19:00', duration: 45, capacity: 15, trainerId: 'instructor_mike', location: 'Main Floor', level: 'advanced' },
+    { id: 'spin_001', name: 'Spin Class', days: ['monday', 'wednesday', 'friday'], time: '07:00', duration: 45, capacity: 25, trainerId: 'instructor_mike', location: 'Cycle Studio', level: 'all' },
+    { id: 'pilates_001', name: 'Pilates', days: ['saturday'], time: '10:00', duration: 60, capacity: 12, trainerId: 'instructor_jane', location: 'Studio A', level: 'all' }
+];
+
+// Cancellations closer to the start than this are recorded as late
+const LATE_CANCEL_MINUTES = 120;
+
+function parseTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function toDate(value, field = 'date') {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Local calendar day as 'YYYY-MM-DD'
+ */
+function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function classError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+class ClassTimetable extends JsonStore {
+    /**
+     * @param {Object} options - Timetable options
+     * @param {string|null} options.directory - Directory for classes.json (null keeps data in memory only)
+     * @param {Object[]} options.classes - Weekly classes replacing the default timetable
+     * @param {number} options.bookingWindowDays - How far ahead members can book
+     */
+    constructor(options = {}) {
+        super({ fileName: 'classes.json', directory: options.directory, namespace: 'gym' });
+        this.bookingWindowDays = options.bookingWindowDays || 14;
+
+        this.classes = new Map(); // classId -> weekly class
+        for (const definition of options.classes || DEFAULT_TIMETABLE) {
+            const normalized = this.normalizeClass(definition);
+            this.classes.set(normalized.id, normalized);
+        }
+
+        this.sessions = new Map(); // 'classId@start' -> { classId, start, booked, waitlist }
+    }
+
+    restore(snapshot = {}) {
+        if (snapshot.classes) {
+            this.classes = new Map(snapshot.classes.map(definition => [definition.id, definition]));
+        }
+        if (snapshot.sessions) {
+            this.sessions = new Map(snapshot.sessions.map(session => [`${session.classId}@${session.start}`, session]));
+        }
+    }
+
+    toJSON() {
+        return {
+            classes: Array.from(this.classes.values()),
+            sessions: Array.from(this.sessions.values())
+        };
+    }
+
+    /**
+     * Validate a weekly class; throws with code INVALID_CLASS
+     */
+    normalizeClass(definition) {
+        const errors = [];
+        const days = (definition.days || (definition.day ? [definition.day] : [])).map(day => String(day).toLowerCase());
+
+        if (!definition.id) errors.push('classId is required');
+        if (!definition.name) errors.push('name is required');
+        if (days.length === 0) errors.push('days are required');
+        for (const day of days) {
+            if (!WEEKDAYS.includes(day)) errors.push(`Unknown day: ${day}`);
+        }
+        try {
+            parseTime(definition.time);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        if (!(Number(definition.duration) > 0)) errors.push('duration must be a positive number of minutes');
+        if (!Number.isInteger(Number(definition.capacity)) || Number(definition.capacity) < 1) errors.push('capacity must be a whole number of at least 1');
+
+        if (errors.length > 0) {
+            throw classError('INVALID_CLASS', `Invalid class: ${errors.join('; ')}`, { errors });
+        }
+
+        return {
+            id: definition.id,
+            name: definition.name,
+            days,
+            time: definition.time,
+            duration: Number(definition.duration),
+            capacity: Number(definition.capacity),
+            trainerId: definition.trainerId || null,
+            location: definition.location || null,
+            level: definition.level || 'all',
+            description: definition.description || null,
+            cancelledDates: definition.cancelledDates || []
+        };
+    }
+
+    /**
+     * Add or replace a weekly class; existing bookings beyond a reduced capacity stay booked
+     */
+    async upsertClass(definition) {
+        const changes = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+        const normalized = this.normalizeClass({ ...(this.classes.get(definition.id) || {}), ...changes });
+        this.classes.set(normalized.id, normalized);
+
+        await this.save();
+        this.emit('class:updated', normalized);
+        return normalized;
+    }
+
+    /**
+     * Remove a class from the timetable; booked members of future occurrences are returned
+     */
+    async removeClass(classId, now = new Date()) {
+        const definition = this.getClass(classId);
+        this.classes.delete(classId);
+
+        const affected = [];
+        for (const [key, session] of this.sessions) {
+            if (session.classId !== classId) continue;
+            if (new Date(session.start) > now) {
+                affected.push(...session.booked.map(entry => ({ memberId: entry.memberId, start: session.start })));
+                this.sessions.delete(key);
+            }
+        }
+
+        await this.save();
+        this.emit('class:removed', { definition, affected });
+        return { definition, affected };
+    }
+
+    getClass(classId) {
+        const definition = this.classes.get(classId);
+        if (!definition) {
+            throw new Error(`Unknown class: ${classId}`);
+        }
+        return definition;
+    }
+
+    /**
+     * Start of a class occurrence on the day of `date` (local time), or null when the
+     * class does not run that day
+     */
+    occurrenceOn(definition, date) {
+        if (!definition.days.includes(WEEKDAYS[date.getDay()])) return null;
+
+        const minutes = parseTime(definition.time);
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(minutes / 60), minutes % 60);
+        if (definition.cancelledDates.includes(toDateKey(start))) return null;
+        return start;
+    }
+
+    /**
+     * Occurrences between two dates, with booking counts
+     * @param {Object} filter - { classId, trainerId }
+     */
+    getOccurrences(from, to, filter = {}) {
+        const occurrences = [];
+        const firstDay = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+        for (let day = firstDay; day < to; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            for (const definition of this.classes.values()) {
+                if (filter.classId && definition.id !== filter.classId) continue;
+                if (filter.trainerId && definition.trainerId !== filter.trainerId) continue;
+
+                const start = this.occurrenceOn(definition, day);
+                if (!start || start < from || start >= to) continue;
+                occurrences.push(this.describeOccurrence(definition, start));
+            }
+        }
+        return occurrences.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    describeOccurrence(definition, start) {
+        const session = this.sessions.get(`${definition.id}@${start.toISOString()}`);
+        const booked = session ? session.booked.length : 0;
+        return {
+            classId: definition.id,
+            name: definition.name,
+            trainerId: definition.trainerId,
+            location: definition.location,
+            level: definition.level,
+            start: start.toISOString(),
+            end: new Date(start.getTime() + definition.duration * MINUTE).toISOString(),
+            capacity: definition.capacity,
+            booked,
+            spotsLeft: Math.max(0, definition.capacity - booked),
+            waitlist: session ? session.waitlist.length : 0
+        };
+    }
+
+    /**
+     * Time a trainer spends teaching classes between two dates, as [{ start, end }]
+     */
+    getTrainerCommitments(trainerId, from, to) {
+        return this.getOccurrences(from, to, { trainerId })
+            .map(occurrence => ({ start: occurrence.start, end: occurrence.end }));
+    }
+
+    /**
+     * Resolve a requested class date to the occurrence start; a date without a matching
+     * start time picks that day's occurrence
+     */
+    resolveOccurrence(definition, classDate) {
+        const dateOnly = String(classDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const requested = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : toDate(classDate, 'classDate');
+        const start = this.occurrenceOn(definition, requested);
+
+        if (!start || (!dateOnly && Math.abs(start - requested) >= MINUTE)) {
+            const upcoming = this.getOccurrences(requested, new Date(requested.getTime() + 7 * DAY), { classId: definition.id });
+            throw classError('NO_SUCH_OCCURRENCE',
+                `${definition.name} does not run at ${requested.toISOString()}`,
+                { upcoming: upcoming.map(occurrence => occurrence.start) });
+        }
+        return start;
+    }
+
+    /**
+     * Book a member into a class occurrence, or onto its waitlist when full
+     * Throws with code NO_SUCH_OCCURRENCE, BOOKING_CLOSED or ALREADY_BOOKED
+     * @returns {Object} { status: 'booked'|'waitlisted', position, occurrence }
+     */
+    async book(memberId, classId, classDate, options = {}) {
+        const now = options.now || new Date();
+        const definition = this.getClass(classId);
+        const start = this.resolveOccurrence(definition, classDate);
+
+        if (start <= now) {
+            throw classError('BOOKING_CLOSED', `${definition.name} at ${start.toISOString()} has already started`);
+        }
+        if (start - now > this.bookingWindowDays * DAY) {
+            throw classError('BOOKING_CLOSED', `Classes can be booked up to ${this.bookingWindowDays} days ahead`);
+        }
+
+        const key = `${classId}@${start.toISOString()}`;
+        const session = this.sessions.get(key) || { classId, start: start.toISOString(), booked: [], waitlist: [] };
+        if (session.booked.some(entry => entry.memberId === memberId)) {
+            throw classError('ALREADY_BOOKED', `${memberId} is already booked into ${definition.name}`);
+        }
+        if (session.waitlist.some(entry => entry.memberId === memberId)) {
+            throw classError('ALREADY_BOOKED', `${memberId} is already on the ${definition.name} waitlist`);
+        }
+
+        const entry = { memberId, bookedAt: now.toISOString(), notes: options.notes || null };
+        let result;
+        if (session.booked.length < definition.capacity) {
+            session.booked.push(entry);
+            result = { status: 'booked', position: null };
+        } else {
+            session.waitlist.push(entry);
+            result = { status: 'waitlisted', position: session.waitlist.length };
+        }
+        this.sessions.set(key, session);
+
+        await this.save();
+        const booking = { ...result, memberId, occurrence: this.describeOccurrence(definition, start) };
+        this.emit(result.status === 'booked' ? 'class:booked' : 'class:waitlisted', booking);
+        return booking;
+    }
+
+    /**
+     * Cancel a booking or waitlist place; the first waitlisted member takes a freed spot
+     * @returns {Object} { lateCancellation, promoted }
+     */
+    async cancel(memberId, classId, classDate, options = {}) {
+        const now = options.now || new Date();
+        const definition = this.getClass(classId);
+        const start = this.resolveOccurrence(definition, classDate);
+        const session = this.sessions.get(`${classId}@${start.toISOString()}`);
+
+        const bookedIndex = session ? session.booked.findIndex(entry => entry.memberId === memberId) : -1;
+        const waitlistIndex = session ? session.waitlist.findIndex(entry => entry.memberId === memberId) : -1;
+        if (bookedIndex === -1 && waitlistIndex === -1) {
+            throw classError('NOT_BOOKED', `${memberId} has no booking for ${definition.name} at ${start.toISOString()}`);
+        }
+        if (start <= now) {
+            throw classError('BOOKING_CLOSED', `${definition.name} at ${start.toISOString()} has already started`);
+        }
+
+        let promoted = null;
+        if (waitlistIndex !== -1) {
+            session.waitlist.splice(waitlistIndex, 1);
+        } else {
+            session.booked.splice(bookedIndex, 1);
+            if (session.waitlist.length > 0 && session.booked.length < definition.capacity) {
+                promoted = session.waitlist.shift();
+                session.booked.push({ ...promoted, promotedAt: now.toISOString() });
+            }
+        }
+
+        await this.save();
+        const occurrence = this.describeOccurrence(definition, start);
+        const lateCancellation = bookedIndex !== -1 && start - now < LATE_CANCEL_MINUTES * MINUTE;
+        this.emit('class:cancelled', { memberId, occurrence, lateCancellation });
+        if (promoted) {
+            this.emit('class:promoted', { memberId: promoted.memberId, occurrence });
+        }
+        return { lateCancellation, promoted: promoted ? promoted.memberId : null, occurrence };
+    }
+
+    /**
+     * Classes a member is booked into between two dates (waitlist places excluded)
+     */
+    countBookings(memberId, from, to) {
+        let count = 0;
+        for (const session of this.sessions.values()) {
+            const start = new Date(session.start);
+            if (start >= from && start < to && session.booked.some(entry => entry.memberId === memberId)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Upcoming bookings and waitlist places of a member
+     */
+    getMemberSchedule(memberId, now = new Date()) {
+        const schedule = [];
+        for (const session of this.sessions.values()) {
+            if (new Date(session.start) <= now || !this.classes.has(session.classId)) continue;
+
+            const definition = this.classes.get(session.classId);
+            const waitlistIndex = session.waitlist.findIndex(entry => entry.memberId === memberId);
+            if (session.booked.some(entry => entry.memberId === memberId)) {
+                schedule.push({ ...this.describeOccurrence(definition, new Date(session.start)), status: 'booked' });
+            } else if (waitlistIndex !== -1) {
+                schedule.push({ ...this.describeOccurrence(definition, new Date(session.start)), status: 'waitlisted', position: waitlistIndex + 1 });
+            }
+        }
+        return schedule.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    getStats() {
+        let booked = 0;
+        let waitlisted = 0;
+        for (const session of this.sessions.values()) {
+            booked += session.booked.length;
+            waitlisted += session.waitlist.length;
+        }
+        return { classes: this.classes.size, booked, waitlisted };
+    }
+}
+
+ClassTimetable.DEFAULT_TIMETABLE = DEFAULT_TIMETABLE;
+ClassTimetable.WEEKDAYS = WEEKDAYS;
+
+module.exports = ClassTimetable;
@@ -0,0 +1,86 @@
+const ClassTimetable = require('./classes');
+
+// Saturday 5 January 2030, local time; the class runs on Mondays and Wednesdays at 18:00
+const NOW = new Date(2030, 0, 5, 9, 0);
+const MONDAY_CLASS = new Date(2030, 0, 7, 18, 0);
+const YOGA = { id: 'yoga', name: 'Yoga', days: ['Monday', 'wednesday'], time: '18:00', duration: 60, capacity: 2, trainerId: 'trainer_jane' };
+
+function createTimetable() {
+    return new ClassTimetable({ directory: null, classes: [YOGA] });
+}
+
+describe('ClassTimetable', () => {
+    test('lists weekly occurrences with their remaining spots', async () => {
+        const timetable = createTimetable();
+        await timetable.book('member_1', 'yoga', '2030-01-07', { now: NOW });
+
+        const occurrences = timetable.getOccurrences(NOW, new Date(2030, 0, 12));
+
+        expect(occurrences.map(occurrence => occurrence.start)).toEqual([MONDAY_CLASS.toISOString(), new Date(2030, 0, 9, 18, 0).toISOString()]);
+        expect(occurrences[0]).toMatchObject({ name: 'Yoga', end: new Date(2030, 0, 7, 19, 0).toISOString(), booked: 1, spotsLeft: 1 });
+    });
+
+    test('waitlists members once a class is full and promotes them in order when a spot frees up', async () => {
+        const timetable = createTimetable();
+        for (const memberId of ['member_1', 'member_2']) {
+            await timetable.book(memberId, 'yoga', MONDAY_CLASS, { now: NOW });
+        }
+
+        const third = await timetable.book('member_3', 'yoga', MONDAY_CLASS, { now: NOW });
+        const fourth = await timetable.book('member_4', 'yoga', MONDAY_CLASS, { now: NOW });
+        const cancelled = await timetable.cancel('member_1', 'yoga', MONDAY_CLASS, { now: NOW });
+
+        expect([third.status, third.position, fourth.position]).toEqual(['waitlisted', 1, 2]);
+        expect(cancelled).toMatchObject({ lateCancellation: false, promoted: 'member_3', occurrence: { booked: 2, waitlist: 1 } });
+        expect(timetable.getMemberSchedule('member_4', NOW)).toEqual([expect.objectContaining({ status: 'waitlisted', position: 1 })]);
+    });
+
+    test('refuses double bookings, started classes and dates outside the booking window', async () => {
+        const timetable = createTimetable();
+        await timetable.book('member_1', 'yoga', MONDAY_CLASS, { now: NOW });
+
+        await expect(timetable.book('member_1', 'yoga', MONDAY_CLASS, { now: NOW })).rejects.toMatchObject({ code: 'ALREADY_BOOKED' });
+        await expect(timetable.book('member_2', 'yoga', MONDAY_CLASS, { now: new Date(2030, 0, 7, 18, 30) }))
+            .rejects.toMatchObject({ code: 'BOOKING_CLOSED' });
+        await expect(timetable.book('member_2', 'yoga', '2030-02-04', { now: NOW }))
+            .rejects.toThrow('Classes can be booked up to 14 days ahead');
+    });
+
+    test('points to upcoming occurrences when a class does not run at the requested time', async () => {
+        const timetable = createTimetable();
+
+        await expect(timetable.book('member_1', 'yoga', '2030-01-08', { now: NOW })).rejects.toMatchObject({
+            code: 'NO_SUCH_OCCURRENCE',
+            upcoming: [new Date(2030, 0, 9, 18, 0).toISOString(), new Date(2030, 0, 14, 18, 0).toISOString()]
+        });
+        await expect(timetable.book('member_1', 'yoga', new Date(2030, 0, 7, 17, 0), { now: NOW }))
+            .rejects.toMatchObject({ code: 'NO_SUCH_OCCURRENCE' });
+    });
+
+    test('records cancellations close to the start as late', async () => {
+        const timetable = createTimetable();
+        await timetable.book('member_1', 'yoga', MONDAY_CLASS, { now: NOW });
+
+        const result = await timetable.cancel('member_1', 'yoga', MONDAY_CLASS, { now: new Date(2030, 0, 7, 17, 0) });
+
+        expect(result.lateCancellation).toBe(true);
+        await expect(timetable.cancel('member_1', 'yoga', MONDAY_CLASS, { now: NOW })).rejects.toMatchObject({ code: 'NOT_BOOKED' });
+    });
+
+    test('skips cancelled dates and returns the members affected by a removed class', async () => {
+        const timetable = createTimetable();
+        await timetable.book('member_1', 'yoga', MONDAY_CLASS, { now: NOW });
+        await timetable.upsertClass({ id: 'yoga', cancelledDates: ['2030-01-09'] });
+
+        expect(timetable.getOccurrences(NOW, new Date(2030, 0, 12))).toHaveLength(1);
+
+        const { affected } = await timetable.removeClass('yoga', NOW);
+
+        expect(affected).toEqual([{ memberId: 'member_1', start: MONDAY_CLASS.toISOString() }]);
+        await expect(timetable.upsertClass({ id: 'boxing', name: 'Boxing', days: ['funday'], time: '25:00', duration: 0, capacity: 0 }))
+            .rejects.toMatchObject({
+                code: 'INVALID_CLASS',
+                errors: ['Unknown day: funday', 'Invalid time: 25:00', 'duration must be a positive number of minutes', 'capacity must be a whole number of at least 1']
+            });
+    });
+});
@@ -1,28 +1,69 @@
 /**
  * Gym/Fitness Socket
  * Specialized WordPress & SEO automation for fitness centers
+ * Handles memberships, the class timetable and personal trainers
  */
 
-const EventEmitter = require('events');
 const chalk = require('chalk');
+const BaseSocket = require('../../core/base-socket');
+const { pick } = require('../../core/event-data');
+const MembershipManager = require('./memberships');
+const ClassTimetable = require('./classes');
+const TrainerRoster = require('./trainers');
 
-class GymSocket extends EventEmitter {
+const DAY = 24 * 60 * 60 * 1000;
+
+// Membership, class and trainer events re-emitted by the socket
+const MEMBERSHIP_EVENTS = ['member:registered', 'member:plan_changed', 'member:frozen', 'member:unfrozen', 'member:cancelled'];
+const CLASS_EVENTS = ['class:booked', 'class:waitlisted', 'class:cancelled', 'class:promoted', 'class:updated', 'class:removed'];
+const TRAINER_EVENTS = ['trainer:registered', 'trainer:availability_updated', 'session:booked', 'session:cancelled'];
+
+/**
+ * Start of the next occurrence of a class in the default timetable (keeps sample bookings valid)
+ */
+function nextSampleOccurrence(classId) {
+    const from = new Date();
+    const [occurrence] = new ClassTimetable({ directory: null }).getOccurrences(from, new Date(from.getTime() + 8 * DAY), { classId });
+    return occurrence.start;
+}
+
+class GymSocket extends BaseSocket {
     constructor(config = {}) {
-        super();
-        this.businessType = 'gym';
-        this.config = {
-            siteName: config.siteName || 'Fitness Center',
-            location: config.location || 'Your City',
-            services: config.services || [
+        super('gym', config, {
+            siteName: 'Fitness Center',
+            services: [
                 'Personal Training',
                 'Group Classes',
                 'Weight Training',
                 'Cardio Equipment',
                 'Nutrition Counseling'
-            ],
-            ...config
-        };
-        this.isInitialized = false;
+            ]
+        });
+        
+        // Memberships (config.memberships: { directory, plans })
+        this.memberships = new MembershipManager(this.getStoreConfig('memberships'));
+        for (const eventName of MEMBERSHIP_EVENTS) {
+            this.memberships.on(eventName, payload => this.emit(eventName, payload));
+        }
+        
+        // Class timetable (config.classes: { directory, classes, bookingWindowDays })
+        this.classes = new ClassTimetable(this.getStoreConfig('classes'));
+        for (const eventName of CLASS_EVENTS) {
+            this.classes.on(eventName, payload => this.emit(eventName, payload));
+        }
+        this.classes.on('class:promoted', ({ memberId, occurrence }) => {
+            this.notify(`gym_member:${memberId}`, 'class_waitlist_promoted', {
+                classId: occurrence.classId,
+                name: occurrence.name,
+                start: occurrence.start
+            });
+        });
+        
+        // Trainers and personal training (config.trainers: { directory })
+        this.trainers = new TrainerRoster(this.getStoreConfig('trainers'));
+        for (const eventName of TRAINER_EVENTS) {
+            this.trainers.on(eventName, payload => this.emit(eventName, payload));
+        }
     }
 
     async initialize() {
@@ -31,6 +72,9 @@ class GymSocket extends EventEmitter {
         try {
             await this.loadTemplates();
             await this.setupSEOConfig();
+            await this.memberships.load();
+            await this.classes.load();
+            await this.trainers.load();
             
             this.isInitialized = true;
             console.log(chalk.green('✅ Gym socket initialized successfully'));
@@ -91,15 +135,808 @@ class GymSocket extends EventEmitter {
         };
     }
 
+    /**
+     * Gym event handlers
+     */
+    getEventHandlers() {
+        return {
+            member_registration: this.handleMemberRegistration,
+            member_lookup: this.handleMemberLookup,
+            membership_change: this.handleMembershipChange,
+            membership_freeze: this.handleMembershipFreeze,
+            membership_unfreeze: this.handleMembershipUnfreeze,
+            membership_cancellation: this.handleMembershipCancellation,
+            membership_billing: this.handleMembershipBilling,
+            class_timetable: this.handleClassTimetable,
+            class_booking: this.handleClassBooking,
+            class_cancellation: this.handleClassCancellation,
+            class_schedule_update: this.handleClassScheduleUpdate,
+            trainer_registration: this.handleTrainerRegistration,
+            trainer_availability: this.handleTrainerAvailability,
+            trainer_availability_update: this.handleTrainerAvailabilityUpdate,
+            personal_training_session: this.handlePersonalTrainingSession,
+            session_cancellation: this.handleSessionCancellation
+        };
+    }
+
+    /**
+     * Handle member registration - the first invoice covers the signup fee and first cycle
+     */
+    async handleMemberRegistration(data) {
+        console.log(chalk.blue('🏋️ Processing member registration...'));
+        
+        const memberInfo = pick(data, 'member_info', 'memberInfo') || {};
+        const contactInfo = pick(data, 'contact_info', 'contactInfo') || {};
+        const duration = pick(data, 'membership_duration', 'membershipDuration');
+        
+        try {
+            const member = await this.memberships.register({
+                memberId: pick(data, 'member_id', 'memberId') || memberInfo.membershipNumber,
+                memberInfo,
+                contactInfo,
+                emergencyContact: pick(data, 'emergency_contact', 'emergencyContact') ||
+                    memberInfo.emergencyContact || contactInfo.emergencyContact,
+                membershipType: pick(data, 'membership_type', 'membershipType'),
+                billingCycle: pick(data, 'billing_cycle', 'billingCycle'),
+                startDate: pick(data, 'start_date', 'startDate', 'membershipStartDate'),
+                commitmentMonths: duration ? parseInt(duration, 10) || null : null,
+                fitnessGoals: pick(data, 'fitness_goals', 'fitnessGoals'),
+                medicalConditions: pick(data, 'medical_conditions', 'medicalConditions')
+            });
+            const [invoice] = this.memberships.getInvoices(member.id);
+            
+            return {
+                success: true,
+                memberId: member.id,
+                status: this.memberships.getMembershipStatus(member),
+                message: 'Member registered successfully',
+                membership: member.membership,
+                invoice
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle member lookups with membership status, invoices and upcoming classes
+     */
+    async handleMemberLookup(data) {
+        const memberId = pick(data, 'member_id', 'memberId');
+        const member = this.memberships.get(memberId);
+        
+        return {
+            success: true,
+            member: this.memberships.describe(member),
+            invoices: this.memberships.getInvoices(memberId),
+            classes: this.classes.getMemberSchedule(memberId),
+            sessions: Array.from(this.trainers.sessions.values())
+                .filter(session => session.memberId === memberId && session.status === 'booked')
+        };
+    }
+
+    /**
+     * Handle plan and billing cycle changes (applied from the next billing date)
+     */
+    async handleMembershipChange(data) {
+        try {
+            const member = await this.memberships.changePlan(pick(data, 'member_id', 'memberId'), {
+                membershipType: pick(data, 'membership_type', 'membershipType'),
+                billingCycle: pick(data, 'billing_cycle', 'billingCycle')
+            });
+            
+            return {
+                success: true,
+                memberId: member.id,
+                membership: member.membership,
+                message: `Membership changes apply from ${member.membership.nextBillingDate.slice(0, 10)}`
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle membership freezes
+     */
+    async handleMembershipFreeze(data) {
+        try {
+            const freeze = await this.memberships.freeze(pick(data, 'member_id', 'memberId'), {
+                startDate: pick(data, 'start_date', 'startDate'),
+                endDate: pick(data, 'end_date', 'endDate'),
+                days: data.days,
+                reason: data.reason
+            });
+            
+            return {
+                success: true,
+                freeze,
+                message: `Membership frozen for ${freeze.days} days; billing resumes ${freeze.endDate.slice(0, 10)}`
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle ending a freeze early
+     */
+    async handleMembershipUnfreeze(data) {
+        try {
+            const freeze = await this.memberships.unfreeze(pick(data, 'member_id', 'memberId'));
+            
+            return {
+                success: true,
+                freeze,
+                message: freeze.cancelled ? 'Upcoming freeze cancelled' : 'Membership reactivated'
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle membership cancellation; only staff can cancel immediately
+     */
+    async handleMembershipCancellation(data, event = {}) {
+        const immediate = data.immediate === true;
+        if (immediate && event.actor && !event.actor.isAdmin) {
+            return { success: false, code: 'PERMISSION_DENIED', message: 'Only staff can cancel a membership immediately' };
+        }
+        
+        try {
+            const member = await this.memberships.cancel(pick(data, 'member_id', 'memberId'), {
+                immediate,
+                reason: data.reason
+            });
+            const endsAt = member.membership.cancelledAt || member.membership.cancelAt;
+            
+            return {
+                success: true,
+                memberId: member.id,
+                endsAt,
+                message: immediate ? 'Membership cancelled' : `Membership ends on ${endsAt.slice(0, 10)}`
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle billing runs - raises every invoice that has come due
+     */
+    async handleMembershipBilling() {
+        const invoices = await this.memberships.runBilling();
+        
+        return {
+            success: true,
+            invoices,
+            total: Math.round(invoices.reduce((sum, invoice) => sum + invoice.amount, 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Handle timetable queries (default: the next 7 days)
+     */
+    async handleClassTimetable(data) {
+        const from = data.from ? new Date(data.from) : new Date();
+        const to = new Date(from.getTime() + (Number(data.days) || 7) * DAY);
+        
+        return {
+            success: true,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            classes: this.classes.getOccurrences(from, to, {
+                classId: pick(data, 'class_id', 'classId'),
+                trainerId: pick(data, 'trainer_id', 'trainerId')
+            })
+        };
+    }
+
+    /**
+     * Handle class booking - members join the waitlist when the class is full
+     */
+    async handleClassBooking(data) {
+        console.log(chalk.blue('🧘 Processing class booking...'));
+        
+        const memberId = pick(data, 'member_id', 'memberId');
+        const classId = pick(data, 'class_id', 'classId');
+        try {
+            const definition = this.classes.getClass(classId);
+            const start = this.classes.resolveOccurrence(definition, pick(data, 'class_date', 'classDate'));
+            this.checkMemberAccess(memberId, start);
+            
+            // Plans with a monthly class allowance
+            const member = this.memberships.get(memberId);
+            const plan = this.memberships.getPlan(member.membership.plan);
+            if (plan.classesPerMonth !== null && plan.classesPerMonth !== undefined) {
+                const monthStart = new Date(start.getFullYear(), start.getMonth(), 1);
+                const monthEnd = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+                if (this.classes.countBookings(memberId, monthStart, monthEnd) >= plan.classesPerMonth) {
+                    return {
+                        success: false,
+                        code: 'CLASS_LIMIT_REACHED',
+                        message: `${plan.name} memberships include ${plan.classesPerMonth} classes a month`
+                    };
+                }
+            }
+            
+            const booking = await this.classes.book(memberId, classId, start, { notes: data.notes });
+            this.notifyClassSpots(booking.occurrence);
+            
+            return {
+                success: true,
+                status: booking.status,
+                waitlistPosition: booking.position,
+                message: booking.status === 'booked'
+                    ? `Booked into ${definition.name}`
+                    : `${definition.name} is full; you are number ${booking.position} on the waitlist`,
+                class: booking.occurrence
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle class cancellation - the first waitlisted member takes the freed spot
+     */
+    async handleClassCancellation(data) {
+        try {
+            const result = await this.classes.cancel(
+                pick(data, 'member_id', 'memberId'),
+                pick(data, 'class_id', 'classId'),
+                pick(data, 'class_date', 'classDate')
+            );
+            this.notifyClassSpots(result.occurrence);
+            
+            return {
+                success: true,
+                message: 'Class booking cancelled',
+                lateCancellation: result.lateCancellation,
+                promotedFromWaitlist: result.promoted,
+                class: result.occurrence
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle timetable changes; a registered trainer must be available for the class
+     */
+    async handleClassScheduleUpdate(data) {
+        const classId = pick(data, 'class_id', 'classId');
+        try {
+            if (data.remove === true) {
+                const { definition, affected } = await this.classes.removeClass(classId);
+                for (const booking of affected) {
+                    this.notify(`gym_member:${booking.memberId}`, 'class_cancelled', {
+                        classId,
+                        name: definition.name,
+                        start: booking.start
+                    });
+                }
+                return { success: true, classId, removed: true, affectedBookings: affected.length };
+            }
+            
+            const definition = this.classes.normalizeClass({
+                ...(this.classes.classes.get(classId) || {}),
+                ...Object.fromEntries(Object.entries({
+                    id: classId,
+                    name: data.name,
+                    days: data.days,
+                    time: data.time,
+                    duration: data.duration,
+                    capacity: data.capacity,
+                    trainerId: pick(data, 'trainer_id', 'trainerId'),
+                    location: data.location,
+                    level: data.level,
+                    description: data.description,
+                    cancelledDates: pick(data, 'cancelled_dates', 'cancelledDates')
+                }).filter(([, value]) => value !== undefined))
+            });
+            
+            if (definition.trainerId && this.trainers.has(definition.trainerId)) {
+                const conflict = this.checkTrainerForClass(definition);
+                if (conflict) {
+                    return { success: false, code: 'TRAINER_UNAVAILABLE', message: conflict };
+                }
+            }
+            
+            const saved = await this.classes.upsertClass(definition);
+            return { success: true, classId: saved.id, class: saved };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle trainer registration
+     */
+    async handleTrainerRegistration(data) {
+        console.log(chalk.blue('🏅 Processing trainer registration...'));
+        
+        try {
+            const trainer = await this.trainers.register({
+                trainerId: pick(data, 'trainer_id', 'trainerId'),
+                trainerInfo: pick(data, 'trainer_info', 'trainerInfo'),
+                certifications: data.certifications,
+                specialties: data.specialties,
+                availability: data.availability,
+                rates: data.rates,
+                bio: data.bio,
+                experience: data.experience
+            });
+            
+            return {
+                success: true,
+                trainerId: trainer.id,
+                message: 'Trainer registered successfully',
+                profile: this.trainers.toPublic(trainer),
+                expiredCertifications: trainer.certifications
+                    .filter(certification => certification.expired)
+                    .map(certification => certification.name)
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle trainer availability queries - open personal training slots on a date
+     */
+    async handleTrainerAvailability(data) {
+        const trainerId = pick(data, 'trainer_id', 'trainerId');
+        const trainer = this.trainers.get(trainerId);
+        const date = data.date ? new Date(data.date) : new Date();
+        const duration = Number(data.duration) || 60;
+        
+        return {
+            success: true,
+            trainer: this.trainers.toPublic(trainer),
+            date: date.toISOString().slice(0, 10),
+            openSlots: this.trainers.getOpenSlots(trainerId, date, duration, this.getTrainerCommitments(trainerId, date))
+        };
+    }
+
+    /**
+     * Handle trainer availability and time-off changes
+     */
+    async handleTrainerAvailabilityUpdate(data) {
+        try {
+            const trainer = await this.trainers.updateAvailability(pick(data, 'trainer_id', 'trainerId'), {
+                availability: data.availability,
+                timeOff: pick(data, 'time_off', 'timeOff')
+            });
+            
+            return {
+                success: true,
+                trainerId: trainer.id,
+                availability: trainer.availability,
+                timeOff: trainer.timeOff
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle personal training bookings around the trainer's availability and classes
+     */
+    async handlePersonalTrainingSession(data) {
+        const memberId = pick(data, 'member_id', 'memberId');
+        const trainerId = pick(data, 'trainer_id', 'trainerId');
+        try {
+            const sessionDate = new Date(pick(data, 'session_date', 'sessionDate'));
+            this.checkMemberAccess(memberId, sessionDate);
+            
+            const session = await this.trainers.bookSession({
+                memberId,
+                trainerId,
+                sessionDate,
+                duration: data.duration,
+                sessionType: pick(data, 'session_type', 'sessionType'),
+                focusArea: pick(data, 'focus_area', 'focusArea'),
+                notes: data.notes
+            }, this.getTrainerCommitments(trainerId, sessionDate));
+            
+            return {
+                success: true,
+                sessionId: session.id,
+                message: 'Training session booked',
+                session
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle personal training cancellations
+     */
+    async handleSessionCancellation(data) {
+        try {
+            const session = await this.trainers.cancelSession(pick(data, 'session_id', 'sessionId'), data.reason);
+            
+            return {
+                success: true,
+                sessionId: session.id,
+                message: 'Training session cancelled'
+            };
+        } catch (error) {
+            return this.gymErrorResponse(error);
+        }
+    }
+
+    /**
+     * Throw with code MEMBERSHIP_INACTIVE unless the member can use the gym at a date
+     */
+    checkMemberAccess(memberId, at) {
+        const reason = this.memberships.checkAccess(memberId, at);
+        if (reason) {
+            const error = new Error(reason);
+            error.code = 'MEMBERSHIP_INACTIVE';
+            throw error;
+        }
+    }
+
+    /**
+     * Classes a trainer teaches on the day of `date`
+     */
+    getTrainerCommitments(trainerId, date) {
+        const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return this.classes.getTrainerCommitments(trainerId, dayStart, new Date(dayStart.getTime() + DAY));
+    }
+
+    /**
+     * Why a registered trainer cannot teach a weekly class, or null when they can
+     * Each class day is checked on its next occurrence against the trainer's other classes
+     */
+    checkTrainerForClass(definition) {
+        const now = new Date();
+        for (let offset = 1; offset <= 7; offset++) {
+            const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+            const start = this.classes.occurrenceOn(definition, day);
+            if (!start) continue;
+
+            const dayStart = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+            const busy = this.classes.getOccurrences(dayStart, new Date(dayStart.getTime() + DAY), { trainerId: definition.trainerId })
+                .filter(occurrence => occurrence.classId !== definition.id);
+            const reason = this.trainers.checkAvailability(definition.trainerId, start, definition.duration, busy);
+            if (reason) return `${reason} (${definition.name}, ${start.toISOString()})`;
+        }
+        return null;
+    }
+
+    /**
+     * Push live capacity for a class occurrence to its room
+     */
+    notifyClassSpots(occurrence) {
+        this.notify(`gym_class:${occurrence.classId}`, 'class_spots', {
+            classId: occurrence.classId,
+            start: occurrence.start,
+            booked: occurrence.booked,
+            spotsLeft: occurrence.spotsLeft,
+            waitlist: occurrence.waitlist
+        });
+    }
+
+    /**
+     * Membership, class and trainer errors are reported to the caller, anything else is rethrown
+     */
+    gymErrorResponse(error) {
+        switch (error.code) {
+            case 'INVALID_MEMBERSHIP':
+            case 'INVALID_CLASS':
+            case 'INVALID_TRAINER':
+                return { success: false, code: error.code, message: error.message, errors: error.errors };
+            case 'DUPLICATE_MEMBER':
+                return { success: false, code: error.code, message: error.message, memberId: error.memberId };
+            case 'NO_SUCH_OCCURRENCE':
+                return { success: false, code: error.code, message: error.message, upcoming: error.upcoming };
+            case 'TRAINER_UNAVAILABLE':
+                return { success: false, code: error.code, message: error.message, openSlots: error.openSlots };
+            case 'INVALID_FREEZE':
+            case 'MEMBERSHIP_INACTIVE':
+            case 'BOOKING_CLOSED':
+            case 'ALREADY_BOOKED':
+            case 'NOT_BOOKED':
+            case 'INVALID_SESSION':
+                return { success: false, code: error.code, message: error.message };
+            default:
+                throw error;
+        }
+    }
+
+    /**
+     * Gym data included in migration exports
+     */
+    exportState() {
+        return {
+            memberships: this.memberships.toJSON(),
+            classes: this.classes.toJSON(),
+            trainers: this.trainers.toJSON()
+        };
+    }
+
+    /**
+     * Restore gym data from a migration export
+     */
+    importState(data) {
+        if (data.memberships) {
+            this.memberships.restore(data.memberships);
+        }
+        if (data.classes) {
+            this.classes.restore(data.classes);
+        }
+        if (data.trainers) {
+            this.trainers.restore(data.trainers);
+        }
+    }
+
+    /**
+     * Get socket status
+     */
     getStatus() {
         return {
-            businessType: this.businessType,
-            isInitialized: this.isInitialized,
-            siteName: this.config.siteName,
-            location: this.config.location,
-            services: this.config.services.length
+            ...super.getStatus(),
+            members: this.memberships.getStats(),
+            classes: this.classes.getStats(),
+            trainers: this.trainers.getStats()
         };
     }
+
+    /**
+     * Shutdown the socket once pending memberships, bookings and trainer data are written
+     */
+    async shutdown() {
+        await this.memberships.flush();
+        await this.classes.flush();
+        await this.trainers.flush();
+        await super.shutdown();
+    }
 }
 
+/**
+ * Socket metadata read by the socket registry
+ */
+GymSocket.metadata = {
+    name: 'Fitness Centers',
+    description: 'Gyms, fitness classes, and membership management',
+    color: '#00ba37',
+    features: ['class_booking', 'membership_management', 'trainer_scheduling', 'membership_billing', 'class_waitlists'],
+    events: {
+        member_registration: {
+            description: 'Register a new gym member',
+            fields: [
+                { name: 'memberInfo', type: 'object', required: true, description: 'Member information' },
+                { name: 'membershipType', type: 'select', required: true, options: ['basic', 'premium', 'vip'], description: 'Membership level' },
+                { name: 'contactInfo', type: 'object', required: true, description: 'Contact information' },
+                { name: 'emergencyContact', type: 'object', required: true, description: 'Emergency contact' },
+                { name: 'billingCycle', type: 'select', required: false, options: Object.keys(MembershipManager.BILLING_CYCLES), description: 'Billing cycle (default monthly)' },
+                { name: 'startDate', type: 'date', required: false, description: 'Membership start date (default today)' },
+                { name: 'fitnessGoals', type: 'array', required: false, description: 'Fitness goals' },
+                { name: 'medicalConditions', type: 'array', required: false, description: 'Medical conditions' }
+            ],
+            sampleData: {
+                memberInfo: { name: 'Sarah Davis', dateOfBirth: '1990-03-22', gender: 'female' },
+                membershipType: 'premium',
+                contactInfo: { email: 'sarah@email.com', phone: '555-0246', address: '789 Fitness Ave' },
+                emergencyContact: { name: 'Tom Davis', phone: '555-0135', relationship: 'husband' },
+                fitnessGoals: ['weight_loss', 'muscle_building', 'endurance'],
+                medicalConditions: []
+            }
+        },
+        member_lookup: {
+            description: 'Look up a member with invoices, classes and training sessions',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' }
+            ],
+            sampleData: {
+                memberId: 'member_001'
+            }
+        },
+        membership_change: {
+            description: 'Change plan or billing cycle from the next billing date',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
+                { name: 'membershipType', type: 'select', required: false, options: ['basic', 'premium', 'vip'], description: 'New membership level' },
+                { name: 'billingCycle', type: 'select', required: false, options: Object.keys(MembershipManager.BILLING_CYCLES), description: 'New billing cycle' }
+            ],
+            sampleData: {
+                memberId: 'member_001',
+                membershipType: 'vip',
+                billingCycle: 'quarterly'
+            }
+        },
+        membership_freeze: {
+            description: 'Freeze a membership; billing is pushed back by the frozen days',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
+                { name: 'startDate', type: 'date', required: false, description: 'First frozen day (default today)' },
+                { name: 'endDate', type: 'date', required: false, description: 'Last frozen day' },
+                { name: 'days', type: 'number', required: false, description: 'Freeze length when no end date is given' },
+                { name: 'reason', type: 'text', required: false, description: 'Reason for the freeze' }
+            ],
+            sampleData: {
+                memberId: 'member_001',
+                days: 14,
+                reason: 'Travelling'
+            }
+        },
+        membership_unfreeze: {
+            description: 'End a freeze early or cancel an upcoming one',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' }
+            ],
+            sampleData: {
+                memberId: 'member_001'
+            }
+        },
+        membership_cancellation: {
+            description: 'Cancel a membership at the end of the paid period or commitment',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
+                { name: 'immediate', type: 'boolean', required: false, description: 'Cancel now (staff only)' },
+                { name: 'reason', type: 'text', required: false, description: 'Cancellation reason' }
+            ],
+            sampleData: {
+                memberId: 'member_001',
+                reason: 'Moving away'
+            }
+        },
+        membership_billing: {
+            description: 'Raise every membership invoice that has come due (staff only)',
+            admin: true,
+            fields: [],
+            sampleData: {}
+        },
+        class_timetable: {
+            description: 'List upcoming classes with spots left',
+            fields: [
+                { name: 'from', type: 'datetime', required: false, description: 'Start of the range (default now)' },
+                { name: 'days', type: 'number', required: false, description: 'Days to include (default 7)' },
+                { name: 'classId', type: 'string', required: false, description: 'Only this class' },
+                { name: 'trainerId', type: 'string', required: false, description: 'Only classes taught by this trainer' }
+            ],
+            sampleData: {
+                days: 7
+            }
+        },
+        class_booking: {
+            description: 'Book a fitness class',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
+                { name: 'classId', type: 'string', required: true, description: 'Class identifier' },
+                { name: 'classDate', type: 'datetime', required: true, description: 'Class date and time, or the date of the class' },
+                { name: 'instructorId', type: 'string', required: false, description: 'Preferred instructor' },
+                { name: 'notes', type: 'text', required: false, description: 'Additional notes' }
+            ],
+            sampleData: {
+                memberId: 'member_001',
+                classId: 'yoga_basic_001',
+                get classDate() {
+                    return nextSampleOccurrence('yoga_basic_001');
+                },
+                instructorId: 'instructor_jane',
+                notes: 'First time taking yoga class'
+            }
+        },
+        class_cancellation: {
+            description: 'Cancel a class booking or leave the waitlist',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
+                { name: 'classId', type: 'string', required: true, description: 'Class identifier' },
+                { name: 'classDate', type: 'datetime', required: true, description: 'Class date and time, or the date of the class' }
+            ],
+            sampleData: {
+                memberId: 'member_001',
+                classId: 'yoga_basic_001',
+                get classDate() {
+                    return nextSampleOccurrence('yoga_basic_001');
+                }
+            }
+        },
+        class_schedule_update: {
+            description: 'Add, change or remove a weekly class (staff only)',
+            admin: true,
+            fields: [
+                { name: 'classId', type: 'string', required: true, description: 'Class identifier' },
+                { name: 'name', type: 'string', required: false, description: 'Class name' },
+                { name: 'days', type: 'array', required: false, description: 'Weekdays the class runs' },
+                { name: 'time', type: 'string', required: false, description: 'Start time (HH:MM)' },
+                { name: 'duration', type: 'number', required: false, description: 'Length in minutes' },
+                { name: 'capacity', type: 'number', required: false, description: 'Spots per class' },
+                { name: 'trainerId', type: 'string', required: false, description: 'Trainer teaching the class' },
+                { name: 'cancelledDates', type: 'array', required: false, description: 'Dates the class does not run' },
+                { name: 'remove', type: 'boolean', required: false, description: 'Remove the class from the timetable' }
+            ],
+            sampleData: {
+                classId: 'boxing_001',
+                name: 'Boxing Fundamentals',
+                days: ['tuesday', 'friday'],
+                time: '17:30',
+                duration: 45,
+                capacity: 12
+            }
+        },
+        trainer_registration: {
+            description: 'Register a new trainer',
+            fields: [
+                { name: 'trainerInfo', type: 'object', required: true, description: 'Trainer information' },
+                { name: 'trainerId', type: 'string', required: false, description: 'Trainer identifier (generated when omitted)' },
+                { name: 'certifications', type: 'array', required: true, description: 'Certifications (name, or { name, expiryDate })' },
+                { name: 'specialties', type: 'array', required: true, description: 'Training specialties' },
+                { name: 'availability', type: 'object', required: true, description: 'Available schedule' },
+                { name: 'rates', type: 'object', required: true, description: 'Hourly rates by session type' }
+            ],
+            sampleData: {
+                trainerId: 'trainer_mark',
+                trainerInfo: { name: 'Mark Johnson', email: 'mark@fitness.com', phone: '555-0777' },
+                certifications: ['NASM-CPT', 'ACSM-CPT', 'Yoga Alliance RYT-200'],
+                specialties: ['strength_training', 'weight_loss', 'yoga', 'nutrition'],
+                availability: { monday: '6:00-20:00', tuesday: '6:00-20:00', wednesday: '6:00-20:00' },
+                rates: { individual: 75, group: 25, online: 50 }
+            }
+        },
+        trainer_availability: {
+            description: 'Open personal training slots for a trainer on a date',
+            fields: [
+                { name: 'trainerId', type: 'string', required: true, description: 'Trainer identifier' },
+                { name: 'date', type: 'date', required: false, description: 'Day to check (default today)' },
+                { name: 'duration', type: 'number', required: false, description: 'Session length in minutes (default 60)' }
+            ],
+            sampleData: {
+                trainerId: 'trainer_mark',
+                date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+                duration: 60
+            }
+        },
+        trainer_availability_update: {
+            description: 'Change a trainer\'s weekly hours or time off (staff only)',
+            admin: true,
+            fields: [
+                { name: 'trainerId', type: 'string', required: true, description: 'Trainer identifier' },
+                { name: 'availability', type: 'object', required: false, description: 'Weekly hours by day' },
+                { name: 'timeOff', type: 'array', required: false, description: 'Time off [{ start, end, reason }]' }
+            ],
+            sampleData: {
+                trainerId: 'trainer_mark',
+                timeOff: [{ start: '2025-12-24T00:00:00Z', end: '2025-12-27T00:00:00Z', reason: 'Holidays' }]
+            }
+        },
+        personal_training_session: {
+            description: 'Book a personal training session',
+            fields: [
+                { name: 'memberId', type: 'string', required: true, description: 'Member identifier' },
+                { name: 'trainerId', type: 'string', required: true, description: 'Trainer identifier' },
+                { name: 'sessionDate', type: 'datetime', required: true, description: 'Session date and time' },
+                { name: 'duration', type: 'number', required: false, description: 'Length in minutes (default 60)' },
+                { name: 'sessionType', type: 'select', required: false, options: TrainerRoster.SESSION_TYPES, description: 'Session type' },
+                { name: 'focusArea', type: 'string', required: false, description: 'What to work on' }
+            ],
+            sampleData: {
+                memberId: 'member_001',
+                trainerId: 'trainer_mark',
+                sessionDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                duration: 60,
+                sessionType: 'individual',
+                focusArea: 'strength_training'
+            }
+        },
+        session_cancellation: {
+            description: 'Cancel a personal training session',
+            fields: [
+                { name: 'sessionId', type: 'string', required: true, description: 'Session identifier' },
+                { name: 'reason', type: 'text', required: false, description: 'Cancellation reason' }
+            ],
+            sampleData: {
+                sessionId: 'session_001',
+                reason: 'Schedule conflict'
+            }
+        }
+    }
+};
+
 module.exports = GymSocket;
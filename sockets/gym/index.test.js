@@ -0,0 +1,82 @@
+const GymSocket = require('./index');
+
+const ALL_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CLASSES = [
+    { id: 'spin', name: 'Spin', days: ALL_DAYS, time: '10:00', duration: 45, capacity: 10, trainerId: 'coach_kim' },
+    { id: 'yoga', name: 'Yoga', days: ALL_DAYS, time: '10:00', duration: 60, capacity: 10, trainerId: 'coach_lee' }
+];
+const MEMBER = {
+    memberId: 'member_1',
+    memberInfo: { name: 'Alex Rivera' },
+    contactInfo: { email: 'alex@example.com' },
+    emergencyContact: { name: 'Jo Rivera', phone: '555-0101' },
+    membershipType: 'trial'
+};
+
+async function createSocket() {
+    const socket = new GymSocket({
+        dataDirectory: null,
+        memberships: { plans: { trial: { name: 'Trial', monthlyFee: 10, signupFee: 0, classesPerMonth: 1, maxFreezeDays: 30 } } },
+        classes: { classes: CLASSES }
+    });
+    await socket.initialize();
+    await socket.handleEvent({ type: 'member_registration', data: MEMBER });
+    return socket;
+}
+
+function nextClassStart(socket) {
+    const now = new Date();
+    const [occurrence] = socket.classes.getOccurrences(now, new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000), { classId: 'spin' });
+    return occurrence.start;
+}
+
+describe('GymSocket', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test('holds members to the monthly class allowance of their plan', async () => {
+        const socket = await createSocket();
+        const classDate = nextClassStart(socket);
+
+        const first = await socket.handleEvent({ type: 'class_booking', data: { memberId: 'member_1', classId: 'spin', classDate } });
+        const second = await socket.handleEvent({ type: 'class_booking', data: { memberId: 'member_1', classId: 'yoga', classDate } });
+
+        expect(first).toMatchObject({ success: true, status: 'booked' });
+        expect(second).toMatchObject({ success: false, code: 'CLASS_LIMIT_REACHED', message: 'Trial memberships include 1 classes a month' });
+    });
+
+    test('refuses class bookings while a membership is frozen', async () => {
+        const socket = await createSocket();
+        await socket.handleEvent({ type: 'membership_freeze', data: { memberId: 'member_1', days: 14 } });
+
+        const result = await socket.handleEvent({ type: 'class_booking', data: { memberId: 'member_1', classId: 'spin', classDate: nextClassStart(socket) } });
+
+        expect(result).toMatchObject({ success: false, code: 'MEMBERSHIP_INACTIVE' });
+    });
+
+    test('keeps personal training sessions clear of the classes a trainer teaches', async () => {
+        const socket = await createSocket();
+        await socket.handleEvent({
+            type: 'trainer_registration',
+            data: {
+                trainerId: 'coach_kim',
+                trainerInfo: { name: 'Kim Park', email: 'kim@example.com' },
+                certifications: ['ACE-CPT'],
+                availability: Object.fromEntries(ALL_DAYS.map(day => [day, '00:00-24:00']))
+            }
+        });
+
+        const result = await socket.handleEvent({
+            type: 'personal_training_session',
+            data: { memberId: 'member_1', trainerId: 'coach_kim', sessionDate: nextClassStart(socket) }
+        });
+
+        expect(result).toMatchObject({ success: false, code: 'TRAINER_UNAVAILABLE', message: 'Kim Park is teaching a class at that time' });
+        expect(result.openSlots.length).toBeGreaterThan(0);
+    });
+});
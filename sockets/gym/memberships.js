@@ -0,0 +1,480 @@
+/**
+ * Gym Memberships - Members, membership plans, billing cycles and freezes
+ *
+ * Members are billed per cycle from their start date. Billing is paused while a membership
+ * is frozen: a charge that falls inside a freeze moves to the day the freeze ends.
+ * Cancellations take effect at the end of the paid cycle unless made immediate
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Membership plans; classesPerMonth null means unlimited group classes
+const DEFAULT_PLANS = {
+    basic: { name: 'Basic', monthlyFee: 39.99, signupFee: 25, classesPerMonth: 4, maxFreezeDays: 30 },
+    premium: { name: 'Premium', monthlyFee: 79.99, signupFee: 50, classesPerMonth: null, maxFreezeDays: 60 },
+    vip: { name: 'VIP', monthlyFee: 129.99, signupFee: 0, classesPerMonth: null, maxFreezeDays: 90 }
+};
+
+// Billing cycles: months per charge and the discount on the monthly fee
+const BILLING_CYCLES = {
+    monthly: { months: 1, discount: 0 },
+    quarterly: { months: 3, discount: 0.05 },
+    annual: { months: 12, discount: 0.15 }
+};
+
+const MIN_FREEZE_DAYS = 7;
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function toDate(value, field = 'date') {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Same day of month `months` later, clamped to the month's last day (Jan 31 + 1 month = Feb 28)
+ */
+function addMonths(date, months) {
+    const result = new Date(date.getTime());
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+}
+
+function membershipError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+class MembershipManager extends JsonStore {
+    /**
+     * @param {Object} options - Membership options
+     * @param {string|null} options.directory - Directory for memberships.json (null keeps data in memory only)
+     * @param {Object} options.plans - Extra or replacement plans by id
+     */
+    constructor(options = {}) {
+        super({ fileName: 'memberships.json', directory: options.directory, namespace: 'gym' });
+        this.plans = { ...DEFAULT_PLANS, ...(options.plans || {}) };
+
+        this.members = new Map(); // memberId -> member
+        this.invoices = []; // billing history, oldest first
+    }
+
+    restore(snapshot = {}) {
+        this.members = new Map((snapshot.members || []).map(member => [member.id, member]));
+        this.invoices = snapshot.invoices || [];
+    }
+
+    toJSON() {
+        return {
+            members: Array.from(this.members.values()),
+            invoices: this.invoices
+        };
+    }
+
+    getPlan(planId) {
+        const plan = this.plans[String(planId || '').toLowerCase()];
+        if (!plan) {
+            throw membershipError('INVALID_MEMBERSHIP',
+                `Unknown membership type: ${planId}. Available: ${Object.keys(this.plans).join(', ')}`,
+                { errors: [`Unknown membership type: ${planId}`] });
+        }
+        return { id: String(planId).toLowerCase(), ...plan };
+    }
+
+    /**
+     * Price of one billing cycle of a plan
+     */
+    cycleAmount(plan, cycle) {
+        const billing = BILLING_CYCLES[cycle];
+        return roundMoney(plan.monthlyFee * billing.months * (1 - billing.discount));
+    }
+
+    /**
+     * Register a member and raise the first invoice (signup fee plus the first cycle)
+     * Throws with code INVALID_MEMBERSHIP or DUPLICATE_MEMBER
+     * @param {Object} data - { memberId, memberInfo, contactInfo, emergencyContact, membershipType, billingCycle,
+     *   startDate, commitmentMonths, fitnessGoals, medicalConditions }
+     */
+    async register(data, options = {}) {
+        const now = options.now || new Date();
+        const memberInfo = data.memberInfo || {};
+        const contactInfo = data.contactInfo || {};
+        const errors = [];
+
+        if (!memberInfo.name || !String(memberInfo.name).trim()) errors.push('memberInfo.name is required');
+        if (!contactInfo.email && !contactInfo.phone) errors.push('contactInfo requires an email or phone');
+        if (!data.emergencyContact || !data.emergencyContact.phone) errors.push('emergencyContact requires a phone');
+
+        const cycle = data.billingCycle || 'monthly';
+        if (!BILLING_CYCLES[cycle]) {
+            errors.push(`billingCycle must be one of ${Object.keys(BILLING_CYCLES).join(', ')}`);
+        }
+
+        let plan = null;
+        try {
+            plan = this.getPlan(data.membershipType);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        let startDate = now;
+        if (data.startDate) {
+            try {
+                startDate = toDate(data.startDate, 'startDate');
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw membershipError('INVALID_MEMBERSHIP', `Invalid member registration: ${errors.join('; ')}`, { errors });
+        }
+
+        const duplicate = this.findDuplicate(memberInfo.name, contactInfo);
+        if (duplicate || (data.memberId && this.members.has(data.memberId))) {
+            const existing = duplicate || this.members.get(data.memberId);
+            throw membershipError('DUPLICATE_MEMBER', `${existing.memberInfo.name} is already a member (${existing.id})`, {
+                memberId: existing.id
+            });
+        }
+
+        const member = {
+            id: data.memberId || `member_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            memberInfo: { ...memberInfo, name: String(memberInfo.name).trim() },
+            contactInfo,
+            emergencyContact: data.emergencyContact,
+            fitnessGoals: data.fitnessGoals || [],
+            medicalConditions: data.medicalConditions || [],
+            membership: {
+                plan: plan.id,
+                billingCycle: cycle,
+                cycleAmount: this.cycleAmount(plan, cycle),
+                startDate: startDate.toISOString(),
+                commitmentEnd: data.commitmentMonths ? addMonths(startDate, Number(data.commitmentMonths)).toISOString() : null,
+                nextBillingDate: startDate.toISOString(),
+                cancelAt: null,
+                cancelledAt: null,
+                freezes: []
+            },
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.members.set(member.id, member);
+
+        this.billMember(member, startDate, { signupFee: plan.signupFee });
+        await this.save();
+        this.emit('member:registered', member);
+        return member;
+    }
+
+    /**
+     * Member with the same name and email or phone
+     */
+    findDuplicate(name, contactInfo = {}) {
+        const normalizedName = String(name || '').trim().toLowerCase();
+        const email = String(contactInfo.email || '').trim().toLowerCase();
+        const phone = String(contactInfo.phone || '').replace(/\D/g, '');
+
+        return Array.from(this.members.values()).find(member => {
+            if (member.memberInfo.name.toLowerCase() !== normalizedName) return false;
+            const contact = member.contactInfo || {};
+            return (email && String(contact.email || '').trim().toLowerCase() === email) ||
+                (phone && String(contact.phone || '').replace(/\D/g, '') === phone);
+        }) || null;
+    }
+
+    get(memberId) {
+        const member = this.members.get(memberId);
+        if (!member) {
+            throw new Error(`Unknown member: ${memberId}`);
+        }
+        return member;
+    }
+
+    /**
+     * Membership status at a date: pending, active, frozen or cancelled
+     */
+    getMembershipStatus(member, at = new Date()) {
+        const membership = member.membership;
+        const time = at.getTime();
+
+        if (membership.cancelledAt && new Date(membership.cancelledAt).getTime() <= time) return 'cancelled';
+        if (membership.cancelAt && new Date(membership.cancelAt).getTime() <= time) return 'cancelled';
+        if (new Date(membership.startDate).getTime() > time) return 'pending';
+        if (this.getFreeze(member, at)) return 'frozen';
+        return 'active';
+    }
+
+    getFreeze(member, at = new Date()) {
+        const time = at.getTime();
+        return member.membership.freezes.find(freeze =>
+            !freeze.cancelled &&
+            new Date(freeze.startDate).getTime() <= time &&
+            new Date(freeze.endDate).getTime() > time
+        ) || null;
+    }
+
+    /**
+     * Why a member cannot use the gym at a date, or null when they can
+     */
+    checkAccess(memberId, at = new Date()) {
+        const member = this.members.get(memberId);
+        if (!member) return `Unknown member: ${memberId}`;
+
+        const status = this.getMembershipStatus(member, at);
+        if (status === 'active') return null;
+        return `Membership ${memberId} is ${status} on ${at.toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Raise an invoice for the cycle starting at `date` and move the next billing date on
+     */
+    billMember(member, date, extras = {}) {
+        const membership = member.membership;
+        const periodEnd = addMonths(date, BILLING_CYCLES[membership.billingCycle].months);
+        const signupFee = extras.signupFee || 0;
+
+        const invoice = {
+            id: `invoice_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            memberId: member.id,
+            plan: membership.plan,
+            billingCycle: membership.billingCycle,
+            periodStart: date.toISOString(),
+            periodEnd: periodEnd.toISOString(),
+            amount: roundMoney(membership.cycleAmount + signupFee),
+            signupFee,
+            status: 'due',
+            createdAt: new Date().toISOString()
+        };
+        this.invoices.push(invoice);
+        membership.nextBillingDate = periodEnd.toISOString();
+        this.emit('member:billed', { member, invoice });
+        return invoice;
+    }
+
+    /**
+     * Raise every invoice that is due; charges inside a freeze move to the freeze's end
+     * @returns {Object[]} New invoices
+     */
+    async runBilling(now = new Date()) {
+        const created = [];
+
+        for (const member of this.members.values()) {
+            const membership = member.membership;
+            while (membership.nextBillingDate && new Date(membership.nextBillingDate) <= now) {
+                const billingDate = new Date(membership.nextBillingDate);
+                const stopAt = membership.cancelledAt || membership.cancelAt;
+                if (stopAt && new Date(stopAt) <= billingDate) {
+                    membership.nextBillingDate = null;
+                    break;
+                }
+
+                const freeze = this.getFreeze(member, billingDate);
+                if (freeze) {
+                    membership.nextBillingDate = freeze.endDate;
+                    continue;
+                }
+                created.push(this.billMember(member, billingDate));
+            }
+        }
+
+        if (created.length > 0) {
+            await this.save();
+        }
+        return created;
+    }
+
+    /**
+     * Change a member's plan or billing cycle from their next billing date
+     */
+    async changePlan(memberId, changes = {}) {
+        const member = this.get(memberId);
+        const membership = member.membership;
+        if (this.getMembershipStatus(member) === 'cancelled') {
+            throw membershipError('INVALID_MEMBERSHIP', `Membership ${memberId} is cancelled`, { errors: ['Membership is cancelled'] });
+        }
+
+        const plan = this.getPlan(changes.membershipType || membership.plan);
+        const cycle = changes.billingCycle || membership.billingCycle;
+        if (!BILLING_CYCLES[cycle]) {
+            throw membershipError('INVALID_MEMBERSHIP', `billingCycle must be one of ${Object.keys(BILLING_CYCLES).join(', ')}`, {
+                errors: [`Unknown billing cycle: ${cycle}`]
+            });
+        }
+
+        const previous = { plan: membership.plan, billingCycle: membership.billingCycle };
+        membership.plan = plan.id;
+        membership.billingCycle = cycle;
+        membership.cycleAmount = this.cycleAmount(plan, cycle);
+        member.updatedAt = new Date().toISOString();
+
+        await this.save();
+        this.emit('member:plan_changed', { member, previous });
+        return member;
+    }
+
+    /**
+     * Freeze a membership; throws with code INVALID_FREEZE
+     * Freezes last at least MIN_FREEZE_DAYS and may not exceed the plan's maxFreezeDays per membership year
+     * @param {Object} request - { startDate, endDate | days, reason }
+     */
+    async freeze(memberId, request = {}, options = {}) {
+        const now = options.now || new Date();
+        const member = this.get(memberId);
+        const membership = member.membership;
+        const plan = this.getPlan(membership.plan);
+
+        const startDate = request.startDate ? toDate(request.startDate, 'startDate') : now;
+        const endDate = request.endDate
+            ? toDate(request.endDate, 'endDate')
+            : new Date(startDate.getTime() + Number(request.days || 0) * DAY);
+        const days = Math.round((endDate - startDate) / DAY);
+
+        const reject = message => membershipError('INVALID_FREEZE', message);
+        if (['cancelled', 'pending'].includes(this.getMembershipStatus(member, startDate))) {
+            throw reject(`Membership ${memberId} is ${this.getMembershipStatus(member, startDate)} on the freeze start date`);
+        }
+        if (startDate < new Date(now.getTime() - DAY)) {
+            throw reject('Freezes cannot start in the past');
+        }
+        if (days < MIN_FREEZE_DAYS) {
+            throw reject(`Freezes must last at least ${MIN_FREEZE_DAYS} days`);
+        }
+
+        const overlapping = membership.freezes.find(freeze => !freeze.cancelled &&
+            new Date(freeze.startDate) < endDate && new Date(freeze.endDate) > startDate);
+        if (overlapping) {
+            throw reject(`Membership is already frozen from ${overlapping.startDate.slice(0, 10)} to ${overlapping.endDate.slice(0, 10)}`);
+        }
+
+        // Freeze allowance per membership year, counted from the start date
+        const memberStart = new Date(membership.startDate);
+        let yearStart = memberStart;
+        while (addMonths(yearStart, 12) <= startDate) yearStart = addMonths(yearStart, 12);
+        const yearEnd = addMonths(yearStart, 12);
+        const used = membership.freezes
+            .filter(freeze => !freeze.cancelled && new Date(freeze.startDate) >= yearStart && new Date(freeze.startDate) < yearEnd)
+            .reduce((sum, freeze) => sum + freeze.days, 0);
+        if (used + days > plan.maxFreezeDays) {
+            throw reject(`${plan.name} memberships can freeze for ${plan.maxFreezeDays} days a year (${plan.maxFreezeDays - used} left)`);
+        }
+
+        const freeze = {
+            id: `freeze_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            startDate: startDate.toISOString(),
+            endDate: endDate.toISOString(),
+            days,
+            reason: request.reason || null,
+            cancelled: false,
+            createdAt: now.toISOString()
+        };
+        membership.freezes.push(freeze);
+        member.updatedAt = now.toISOString();
+
+        await this.save();
+        this.emit('member:frozen', { member, freeze });
+        return freeze;
+    }
+
+    /**
+     * End the current (or next) freeze early; billing resumes from today
+     */
+    async unfreeze(memberId, options = {}) {
+        const now = options.now || new Date();
+        const member = this.get(memberId);
+        const membership = member.membership;
+        const freeze = this.getFreeze(member, now) ||
+            membership.freezes.find(entry => !entry.cancelled && new Date(entry.startDate) > now);
+        if (!freeze) {
+            throw membershipError('INVALID_FREEZE', `Membership ${memberId} has no active or upcoming freeze`);
+        }
+
+        if (new Date(freeze.startDate) > now) {
+            freeze.cancelled = true;
+        } else {
+            // A charge postponed to the planned end of the freeze is due now instead
+            const plannedEnd = freeze.endDate;
+            freeze.endDate = now.toISOString();
+            freeze.days = Math.max(0, Math.ceil((now - new Date(freeze.startDate)) / DAY));
+            if (membership.nextBillingDate === plannedEnd) {
+                membership.nextBillingDate = freeze.endDate;
+            }
+        }
+        member.updatedAt = now.toISOString();
+
+        await this.save();
+        this.emit('member:unfrozen', { member, freeze });
+        return freeze;
+    }
+
+    /**
+     * Cancel a membership at the end of the paid cycle, or immediately
+     */
+    async cancel(memberId, options = {}) {
+        const now = options.now || new Date();
+        const member = this.get(memberId);
+        const membership = member.membership;
+        if (this.getMembershipStatus(member, now) === 'cancelled' || membership.cancelAt) {
+            throw membershipError('INVALID_MEMBERSHIP', `Membership ${memberId} is already cancelled`, {
+                errors: ['Membership is already cancelled']
+            });
+        }
+
+        if (options.immediate) {
+            membership.cancelledAt = now.toISOString();
+        } else {
+            const paidUntil = membership.nextBillingDate ? new Date(membership.nextBillingDate) : now;
+            const commitmentEnd = membership.commitmentEnd ? new Date(membership.commitmentEnd) : null;
+            membership.cancelAt = (commitmentEnd && commitmentEnd > paidUntil ? commitmentEnd : paidUntil).toISOString();
+        }
+        membership.cancellationReason = options.reason || null;
+        member.updatedAt = now.toISOString();
+
+        await this.save();
+        this.emit('member:cancelled', { member });
+        return member;
+    }
+
+    getInvoices(memberId) {
+        return this.invoices.filter(invoice => invoice.memberId === memberId);
+    }
+
+    /**
+     * Member details with their current membership status
+     */
+    describe(member, at = new Date()) {
+        return {
+            ...member,
+            status: this.getMembershipStatus(member, at),
+            plan: this.getPlan(member.membership.plan)
+        };
+    }
+
+    getStats() {
+        const stats = { total: this.members.size, pending: 0, active: 0, frozen: 0, cancelled: 0 };
+        for (const member of this.members.values()) {
+            stats[this.getMembershipStatus(member)]++;
+        }
+        stats.invoicesDue = this.invoices.filter(invoice => invoice.status === 'due').length;
+        return stats;
+    }
+}
+
+MembershipManager.DEFAULT_PLANS = DEFAULT_PLANS;
+MembershipManager.BILLING_CYCLES = BILLING_CYCLES;
+MembershipManager.addMonths = addMonths;
+
+module.exports = MembershipManager;
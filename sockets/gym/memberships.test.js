@@ -0,0 +1,117 @@
+const MembershipManager = require('./memberships');
+
+const { addMonths } = MembershipManager;
+
+const NEW_YEAR = new Date(2030, 0, 1);
+
+function registration(overrides = {}) {
+    return {
+        memberInfo: { name: 'Alex Rivera' },
+        contactInfo: { email: 'alex@example.com', phone: '555-0100' },
+        emergencyContact: { name: 'Jo Rivera', phone: '555-0101' },
+        membershipType: 'basic',
+        startDate: NEW_YEAR,
+        ...overrides
+    };
+}
+
+async function registerMember(overrides = {}) {
+    const memberships = new MembershipManager({ directory: null });
+    const member = await memberships.register(registration(overrides), { now: NEW_YEAR });
+    return { memberships, member };
+}
+
+describe('MembershipManager', () => {
+    test('clamps monthly billing dates to the end of shorter months', () => {
+        expect(addMonths(new Date(2030, 0, 31), 1)).toEqual(new Date(2030, 1, 28));
+        expect(addMonths(new Date(2032, 0, 31), 1)).toEqual(new Date(2032, 1, 29));
+        expect(addMonths(new Date(2030, 10, 15), 3)).toEqual(new Date(2031, 1, 15));
+    });
+
+    test('raises the first invoice with the signup fee and discounts longer billing cycles', async () => {
+        const { memberships, member } = await registerMember();
+        const { member: quarterly } = await registerMember({ membershipType: 'Premium', billingCycle: 'quarterly' });
+
+        expect(memberships.getInvoices(member.id)).toEqual([
+            expect.objectContaining({ amount: 64.99, signupFee: 25, periodStart: NEW_YEAR.toISOString(), periodEnd: new Date(2030, 1, 1).toISOString() })
+        ]);
+        expect(member.membership.nextBillingDate).toBe(new Date(2030, 1, 1).toISOString());
+        expect(quarterly.membership).toMatchObject({ plan: 'premium', cycleAmount: 227.97 });
+    });
+
+    test('rejects incomplete registrations and members who already joined', async () => {
+        const { memberships } = await registerMember();
+
+        await expect(memberships.register({ memberInfo: {}, membershipType: 'platinum', billingCycle: 'weekly' }))
+            .rejects.toMatchObject({
+                code: 'INVALID_MEMBERSHIP',
+                errors: [
+                    'memberInfo.name is required',
+                    'contactInfo requires an email or phone',
+                    'emergencyContact requires a phone',
+                    'billingCycle must be one of monthly, quarterly, annual',
+                    'Unknown membership type: platinum. Available: basic, premium, vip'
+                ]
+            });
+        await expect(memberships.register(registration({ memberInfo: { name: 'alex rivera' }, contactInfo: { phone: '(555) 0100' } })))
+            .rejects.toMatchObject({ code: 'DUPLICATE_MEMBER' });
+    });
+
+    test('moves a charge that falls inside a freeze to the day the freeze ends', async () => {
+        const { memberships, member } = await registerMember();
+        const freeze = await memberships.freeze(member.id, { startDate: new Date(2030, 0, 25), days: 14 }, { now: new Date(2030, 0, 20) });
+
+        expect(memberships.getMembershipStatus(member, new Date(2030, 1, 1))).toBe('frozen');
+        expect(memberships.checkAccess(member.id, new Date(2030, 1, 1))).toBe(`Membership ${member.id} is frozen on 2030-02-01`);
+
+        const invoices = await memberships.runBilling(new Date(2030, 2, 2));
+
+        expect(invoices).toEqual([expect.objectContaining({ periodStart: freeze.endDate, amount: 39.99, signupFee: 0 })]);
+        expect(member.membership.nextBillingDate).toBe(new Date(2030, 2, 8).toISOString());
+    });
+
+    test('limits freezes to the minimum length and the yearly allowance of the plan', async () => {
+        const { memberships, member } = await registerMember();
+        const now = { now: new Date(2030, 0, 10) };
+
+        await expect(memberships.freeze(member.id, { startDate: new Date(2030, 1, 1), days: 3 }, now))
+            .rejects.toThrow('Freezes must last at least 7 days');
+        await memberships.freeze(member.id, { startDate: new Date(2030, 1, 1), days: 20 }, now);
+        await expect(memberships.freeze(member.id, { startDate: new Date(2030, 1, 10), days: 7 }, now))
+            .rejects.toThrow('Membership is already frozen from');
+        await expect(memberships.freeze(member.id, { startDate: new Date(2030, 4, 1), days: 14 }, now))
+            .rejects.toMatchObject({ code: 'INVALID_FREEZE', message: 'Basic memberships can freeze for 30 days a year (10 left)' });
+        await expect(memberships.freeze(member.id, { startDate: new Date(2031, 0, 5), days: 14 }, now)).resolves.toMatchObject({ days: 14 });
+    });
+
+    test('bills from the day a freeze is ended early', async () => {
+        const { memberships, member } = await registerMember();
+        await memberships.freeze(member.id, { startDate: new Date(2030, 0, 25), days: 14 }, { now: new Date(2030, 0, 20) });
+        await memberships.runBilling(new Date(2030, 1, 2));
+
+        const freeze = await memberships.unfreeze(member.id, { now: new Date(2030, 1, 3) });
+
+        expect(freeze).toMatchObject({ days: 9, endDate: new Date(2030, 1, 3).toISOString() });
+        expect(member.membership.nextBillingDate).toBe(freeze.endDate);
+    });
+
+    test('cancels at the end of the paid cycle or of the commitment, whichever is later', async () => {
+        const { memberships, member } = await registerMember();
+        const committed = await memberships.register(registration({
+            memberInfo: { name: 'Sam Lee' },
+            contactInfo: { email: 'sam@example.com' },
+            commitmentMonths: 6
+        }), { now: NEW_YEAR });
+
+        await memberships.cancel(member.id, { now: new Date(2030, 0, 15) });
+        await memberships.cancel(committed.id, { now: new Date(2030, 0, 15) });
+
+        expect(member.membership.cancelAt).toBe(new Date(2030, 1, 1).toISOString());
+        expect(committed.membership.cancelAt).toBe(new Date(2030, 6, 1).toISOString());
+        expect(memberships.getMembershipStatus(member, new Date(2030, 0, 31))).toBe('active');
+        const invoices = await memberships.runBilling(new Date(2030, 2, 1));
+        expect(invoices.map(invoice => invoice.memberId)).toEqual([committed.id, committed.id]);
+        expect(member.membership.nextBillingDate).toBeNull();
+        await expect(memberships.cancel(member.id)).rejects.toThrow('is already cancelled');
+    });
+});
@@ -0,0 +1,366 @@
+/**
+ * Gym Trainers - Trainer profiles, weekly availability and personal training sessions
+ *
+ * Availability is local wall-clock windows per weekday:
+ *   { monday: { start: '06:00', end: '20:00' }, tuesday: '6:00-12:00,14:00-20:00', ... }
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SESSION_TYPES = ['individual', 'group', 'online', 'assessment'];
+const MINUTE = 60 * 1000;
+
+function parseTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Normalize one weekday's availability into [{ start, end }] minute windows
+ */
+function parseWindows(hours) {
+    if (!hours) return [];
+
+    const windows = typeof hours === 'string'
+        ? hours.split(',').map(range => {
+            const [start, end] = range.split('-');
+            return { start, end };
+        })
+        : (Array.isArray(hours) ? hours : [hours]);
+
+    return windows.map(window => {
+        const start = parseTime(window.start);
+        const end = parseTime(window.end);
+        if (end <= start) {
+            throw new Error(`Availability ${window.start}-${window.end} ends before it starts`);
+        }
+        return { start, end };
+    });
+}
+
+function toDate(value, field = 'date') {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+function trainerError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+class TrainerRoster extends JsonStore {
+    /**
+     * @param {Object} options - Roster options
+     * @param {string|null} options.directory - Directory for trainers.json (null keeps data in memory only)
+     */
+    constructor(options = {}) {
+        super({ fileName: 'trainers.json', directory: options.directory, namespace: 'gym' });
+
+        this.trainers = new Map(); // trainerId -> trainer
+        this.sessions = new Map(); // sessionId -> personal training session
+    }
+
+    restore(snapshot = {}) {
+        this.trainers = new Map((snapshot.trainers || []).map(trainer => [trainer.id, trainer]));
+        this.sessions = new Map((snapshot.sessions || []).map(session => [session.id, session]));
+    }
+
+    toJSON() {
+        return {
+            trainers: Array.from(this.trainers.values()),
+            sessions: Array.from(this.sessions.values())
+        };
+    }
+
+    /**
+     * Certifications as { name, certificationNumber, issueDate, expiryDate, expired }
+     */
+    normalizeCertifications(certifications = [], now = new Date()) {
+        return certifications.map(certification => {
+            const entry = typeof certification === 'string' ? { name: certification } : { ...certification };
+            entry.expired = entry.expiryDate ? toDate(entry.expiryDate, 'expiryDate') < now : false;
+            return entry;
+        });
+    }
+
+    /**
+     * Register a trainer; throws with code INVALID_TRAINER
+     * @param {Object} data - { trainerId, trainerInfo, certifications, specialties, availability, rates, bio, experience }
+     */
+    async register(data, options = {}) {
+        const now = options.now || new Date();
+        const trainerInfo = data.trainerInfo || {};
+        const errors = [];
+
+        if (!trainerInfo.name) errors.push('trainerInfo.name is required');
+        if (!trainerInfo.email && !trainerInfo.phone) errors.push('trainerInfo requires an email or phone');
+
+        let certifications = [];
+        try {
+            certifications = this.normalizeCertifications(data.certifications || [], now);
+            if (!certifications.some(certification => !certification.expired)) {
+                errors.push('At least one current certification is required');
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        const availability = {};
+        for (const [day, hours] of Object.entries(data.availability || {})) {
+            if (!WEEKDAYS.includes(day)) {
+                errors.push(`Unknown availability day: ${day}`);
+                continue;
+            }
+            try {
+                parseWindows(hours);
+                availability[day] = hours;
+            } catch (error) {
+                errors.push(`availability.${day}: ${error.message}`);
+            }
+        }
+        if (Object.keys(availability).length === 0) errors.push('availability needs at least one day');
+
+        for (const [type, rate] of Object.entries(data.rates || {})) {
+            if (typeof rate !== 'number' || rate < 0) errors.push(`rates.${type} must be a number of at least 0`);
+        }
+
+        const trainerId = data.trainerId || trainerInfo.employeeId || null;
+        if (trainerId && this.trainers.has(trainerId)) {
+            errors.push(`Trainer ${trainerId} is already registered`);
+        }
+
+        if (errors.length > 0) {
+            throw trainerError('INVALID_TRAINER', `Invalid trainer registration: ${errors.join('; ')}`, { errors });
+        }
+
+        const trainer = {
+            id: trainerId || `trainer_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            trainerInfo,
+            certifications,
+            specialties: data.specialties || [],
+            availability,
+            timeOff: [],
+            rates: data.rates || {},
+            bio: data.bio || null,
+            experience: data.experience || null,
+            active: true,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.trainers.set(trainer.id, trainer);
+
+        await this.save();
+        this.emit('trainer:registered', trainer);
+        return trainer;
+    }
+
+    /**
+     * Replace a trainer's weekly availability and/or time off ([{ start, end, reason }])
+     */
+    async updateAvailability(trainerId, changes = {}) {
+        const trainer = this.get(trainerId);
+
+        if (changes.availability) {
+            for (const [day, hours] of Object.entries(changes.availability)) {
+                if (!WEEKDAYS.includes(day)) {
+                    throw trainerError('INVALID_TRAINER', `Unknown availability day: ${day}`, { errors: [`Unknown availability day: ${day}`] });
+                }
+                parseWindows(hours);
+            }
+            trainer.availability = changes.availability;
+        }
+        if (changes.timeOff) {
+            trainer.timeOff = changes.timeOff.map(period => ({
+                start: toDate(period.start, 'timeOff.start').toISOString(),
+                end: toDate(period.end, 'timeOff.end').toISOString(),
+                reason: period.reason || null
+            }));
+        }
+        trainer.updatedAt = new Date().toISOString();
+
+        await this.save();
+        this.emit('trainer:availability_updated', trainer);
+        return trainer;
+    }
+
+    get(trainerId) {
+        const trainer = this.trainers.get(trainerId);
+        if (!trainer) {
+            throw new Error(`Unknown trainer: ${trainerId}`);
+        }
+        return trainer;
+    }
+
+    has(trainerId) {
+        return this.trainers.has(trainerId);
+    }
+
+    /**
+     * Why a trainer cannot work from `start` for `duration` minutes, or null when they can
+     * @param {Object[]} busy - Other commitments [{ start, end }] such as classes they teach
+     */
+    checkAvailability(trainerId, start, duration, busy = [], options = {}) {
+        const trainer = this.get(trainerId);
+        const end = new Date(start.getTime() + duration * MINUTE);
+        const startMinute = start.getHours() * 60 + start.getMinutes();
+        const endMinute = startMinute + duration;
+
+        if (!trainer.active) return `${trainer.trainerInfo.name} is not taking sessions`;
+
+        const windows = parseWindows(trainer.availability[WEEKDAYS[start.getDay()]]);
+        if (!windows.some(window => startMinute >= window.start && endMinute <= window.end)) {
+            return `${trainer.trainerInfo.name} is not available at that time`;
+        }
+
+        const overlaps = (from, to) => new Date(from) < end && new Date(to) > start;
+        if (trainer.timeOff.some(period => overlaps(period.start, period.end))) {
+            return `${trainer.trainerInfo.name} is off at that time`;
+        }
+
+        const session = Array.from(this.sessions.values()).find(entry =>
+            entry.trainerId === trainerId &&
+            entry.status === 'booked' &&
+            entry.id !== options.ignoreSessionId &&
+            overlaps(entry.start, entry.end)
+        );
+        if (session) return `${trainer.trainerInfo.name} already has a session at that time`;
+
+        if (busy.some(period => overlaps(period.start, period.end))) {
+            return `${trainer.trainerInfo.name} is teaching a class at that time`;
+        }
+        return null;
+    }
+
+    /**
+     * Free session start times on a date
+     * @param {Object[]} busy - Other commitments [{ start, end }]
+     */
+    getOpenSlots(trainerId, date, duration = 60, busy = [], now = new Date()) {
+        const trainer = this.get(trainerId);
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const slots = [];
+
+        for (const window of parseWindows(trainer.availability[WEEKDAYS[day.getDay()]])) {
+            for (let minute = window.start; minute + duration <= window.end; minute += 30) {
+                const start = new Date(day.getTime() + minute * MINUTE);
+                if (start > now && !this.checkAvailability(trainerId, start, duration, busy)) {
+                    slots.push(start.toISOString());
+                }
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * Book a personal training session; throws with code TRAINER_UNAVAILABLE
+     * @param {Object} request - { memberId, trainerId, sessionDate, duration, sessionType, focusArea, notes }
+     * @param {Object[]} busy - Other commitments of the trainer [{ start, end }]
+     */
+    async bookSession(request, busy = [], options = {}) {
+        const now = options.now || new Date();
+        const trainer = this.get(request.trainerId);
+        const start = toDate(request.sessionDate, 'sessionDate');
+        const duration = Number(request.duration) || 60;
+        const sessionType = request.sessionType || 'individual';
+
+        if (!SESSION_TYPES.includes(sessionType)) {
+            throw trainerError('INVALID_SESSION', `sessionType must be one of ${SESSION_TYPES.join(', ')}`);
+        }
+        if (start <= now) {
+            throw trainerError('INVALID_SESSION', 'Sessions must be booked in the future');
+        }
+
+        const reason = this.checkAvailability(trainer.id, start, duration, busy);
+        if (reason) {
+            throw trainerError('TRAINER_UNAVAILABLE', reason, {
+                openSlots: this.getOpenSlots(trainer.id, start, duration, busy, now)
+            });
+        }
+
+        const rate = trainer.rates[sessionType] !== undefined ? trainer.rates[sessionType] : trainer.rates.individual;
+        const session = {
+            id: `session_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            memberId: request.memberId,
+            trainerId: trainer.id,
+            start: start.toISOString(),
+            end: new Date(start.getTime() + duration * MINUTE).toISOString(),
+            duration,
+            sessionType,
+            focusArea: request.focusArea || null,
+            notes: request.notes || null,
+            price: rate !== undefined ? Math.round(rate * duration / 60 * 100) / 100 : null,
+            status: 'booked',
+            createdAt: now.toISOString()
+        };
+        this.sessions.set(session.id, session);
+
+        await this.save();
+        this.emit('session:booked', session);
+        return session;
+    }
+
+    async cancelSession(sessionId, reason) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Unknown training session: ${sessionId}`);
+        }
+        if (session.status !== 'booked') {
+            throw trainerError('INVALID_SESSION', `Session ${sessionId} is already ${session.status}`);
+        }
+
+        session.status = 'cancelled';
+        session.cancellationReason = reason || null;
+        session.cancelledAt = new Date().toISOString();
+
+        await this.save();
+        this.emit('session:cancelled', session);
+        return session;
+    }
+
+    /**
+     * Public trainer profile (contact details are left out)
+     */
+    toPublic(trainer) {
+        return {
+            id: trainer.id,
+            name: trainer.trainerInfo.name,
+            specialties: trainer.specialties,
+            certifications: trainer.certifications.filter(certification => !certification.expired).map(certification => certification.name),
+            availability: trainer.availability,
+            rates: trainer.rates,
+            bio: trainer.bio,
+            experience: trainer.experience
+        };
+    }
+
+    list(filter = {}) {
+        return Array.from(this.trainers.values())
+            .filter(trainer => trainer.active)
+            .filter(trainer => !filter.specialty || trainer.specialties.includes(filter.specialty));
+    }
+
+    getStats() {
+        const sessions = Array.from(this.sessions.values());
+        return {
+            trainers: this.trainers.size,
+            sessionsBooked: sessions.filter(session => session.status === 'booked').length,
+            sessionsCancelled: sessions.filter(session => session.status === 'cancelled').length
+        };
+    }
+}
+
+TrainerRoster.SESSION_TYPES = SESSION_TYPES;
+TrainerRoster.WEEKDAYS = WEEKDAYS;
+TrainerRoster.parseWindows = parseWindows;
+TrainerRoster.parseTime = parseTime;
+
+module.exports = TrainerRoster;
@@ -0,0 +1,100 @@
+const TrainerRoster = require('./trainers');
+
+// Monday 7 January 2030, local time
+const NOW = new Date(2030, 0, 5, 9, 0);
+
+function at(hours, minutes = 0) {
+    return new Date(2030, 0, 7, hours, minutes);
+}
+
+async function createRoster() {
+    const roster = new TrainerRoster({ directory: null });
+    await roster.register({
+        trainerId: 'trainer_sam',
+        trainerInfo: { name: 'Sam Carter', email: 'sam@example.com' },
+        certifications: [{ name: 'NASM-CPT', expiryDate: '2031-06-30' }, { name: 'CPR', expiryDate: '2029-01-01' }],
+        specialties: ['strength'],
+        availability: { monday: '08:00-12:00,14:00-18:00' },
+        rates: { individual: 80, group: 40 }
+    }, { now: NOW });
+    return roster;
+}
+
+describe('TrainerRoster', () => {
+    test('registers trainers and lists only current certifications publicly', async () => {
+        const roster = await createRoster();
+
+        expect(roster.toPublic(roster.get('trainer_sam'))).toMatchObject({ name: 'Sam Carter', certifications: ['NASM-CPT'] });
+        expect(roster.toPublic(roster.get('trainer_sam'))).not.toHaveProperty('trainerInfo');
+        expect(roster.list({ specialty: 'strength' })).toHaveLength(1);
+    });
+
+    test('lists every problem with a trainer registration', async () => {
+        const roster = await createRoster();
+
+        await expect(roster.register({
+            trainerId: 'trainer_sam',
+            trainerInfo: { name: 'Sam Carter' },
+            certifications: [{ name: 'CPR', expiryDate: '2020-01-01' }],
+            availability: { funday: '08:00-12:00', monday: '12:00-08:00' },
+            rates: { individual: -5 }
+        }, { now: NOW })).rejects.toMatchObject({
+            code: 'INVALID_TRAINER',
+            errors: [
+                'trainerInfo requires an email or phone',
+                'At least one current certification is required',
+                'Unknown availability day: funday',
+                'availability.monday: Availability 12:00-08:00 ends before it starts',
+                'availability needs at least one day',
+                'rates.individual must be a number of at least 0',
+                'Trainer trainer_sam is already registered'
+            ]
+        });
+    });
+
+    test('books sessions inside availability and prices them by length and type', async () => {
+        const roster = await createRoster();
+
+        const individual = await roster.bookSession({ memberId: 'member_1', trainerId: 'trainer_sam', sessionDate: at(10), duration: 45 }, [], { now: NOW });
+        const group = await roster.bookSession({ memberId: 'member_2', trainerId: 'trainer_sam', sessionDate: at(14), sessionType: 'group' }, [], { now: NOW });
+
+        expect(individual).toMatchObject({ status: 'booked', end: at(10, 45).toISOString(), price: 60 });
+        expect(group.price).toBe(40);
+        await expect(roster.bookSession({ memberId: 'member_1', trainerId: 'trainer_sam', sessionDate: at(15), sessionType: 'yoga' }, [], { now: NOW }))
+            .rejects.toMatchObject({ code: 'INVALID_SESSION' });
+    });
+
+    test('refuses overlapping sessions and offers the open slots of that day', async () => {
+        const roster = await createRoster();
+        await roster.bookSession({ memberId: 'member_1', trainerId: 'trainer_sam', sessionDate: at(10) }, [], { now: NOW });
+
+        let error;
+        try {
+            await roster.bookSession({ memberId: 'member_2', trainerId: 'trainer_sam', sessionDate: at(10, 30) }, [], { now: NOW });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toMatchObject({ code: 'TRAINER_UNAVAILABLE', message: 'Sam Carter already has a session at that time' });
+        expect(error.openSlots).toContain(at(9).toISOString());
+        expect(error.openSlots).toContain(at(11).toISOString());
+        expect(error.openSlots).not.toContain(at(9, 30).toISOString());
+        expect(error.openSlots).not.toContain(at(12).toISOString());
+    });
+
+    test('respects classes the trainer teaches, time off and cancelled sessions', async () => {
+        const roster = await createRoster();
+        const classes = [{ start: at(16).toISOString(), end: at(17).toISOString() }];
+        await roster.updateAvailability('trainer_sam', { timeOff: [{ start: at(8), end: at(10), reason: 'Dentist' }] });
+
+        expect(roster.checkAvailability('trainer_sam', at(16, 30), 60, classes)).toBe('Sam Carter is teaching a class at that time');
+        expect(roster.checkAvailability('trainer_sam', at(9), 30)).toBe('Sam Carter is off at that time');
+        expect(roster.checkAvailability('trainer_sam', at(12), 60)).toBe('Sam Carter is not available at that time');
+
+        const session = await roster.bookSession({ memberId: 'member_1', trainerId: 'trainer_sam', sessionDate: at(14) }, classes, { now: NOW });
+        await roster.cancelSession(session.id, 'Injury');
+
+        expect(roster.checkAvailability('trainer_sam', at(14), 60, classes)).toBeNull();
+        await expect(roster.cancelSession(session.id)).rejects.toThrow('is already cancelled');
+    });
+});
@@ -0,0 +1,594 @@
+/**
+ * Pizza Delivery Dispatch - Delivery zones, driver roster and delivery tracking
+ *
+ * Zones are a radius around the store (or another center) or a polygon of [lat, lng] points;
+ * any zone may also list zipCodes for addresses without coordinates. Without any zone no
+ * address is deliverable (checks report configured: false). New deliveries join a
+ * waiting driver's batch when they drop off nearby, otherwise go to the free driver nearest
+ * the store, otherwise wait until a driver frees up
+ *
+ *   pending ──► assigned ──► picked_up ──► delivered
+ *      └───────────┴─────────────┴──────► failed / cancelled
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const MINUTE = 60 * 1000;
+const EARTH_RADIUS_MILES = 3958.8;
+
+const STATUSES = ['pending', 'assigned', 'picked_up', 'delivered', 'failed', 'cancelled'];
+const CLOSED_STATUSES = ['delivered', 'failed', 'cancelled'];
+const DRIVER_STATUSES = ['available', 'assigned', 'delivering', 'offline'];
+const UNCONFIGURED_MESSAGE = 'Delivery is not configured: set a store location or delivery zones';
+
+function dispatchError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * { lat, lng } from { lat, lng }, { latitude, longitude } or [lat, lng]; null when missing
+ */
+function toPoint(value) {
+    if (!value) return null;
+    const lat = Array.isArray(value) ? value[0] : (value.lat !== undefined ? value.lat : value.latitude);
+    const lng = Array.isArray(value) ? value[1] : (value.lng !== undefined ? value.lng : value.longitude);
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng)) || lat === null || lng === null) return null;
+    return { lat: Number(lat), lng: Number(lng) };
+}
+
+/**
+ * Great-circle distance in miles
+ */
+function distanceMiles(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Ray casting point-in-polygon test
+ */
+function insidePolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.lng > point.lng) !== (b.lng > point.lng) &&
+            point.lat < (b.lat - a.lat) * (point.lng - a.lng) / (b.lng - a.lng) + a.lat) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+class DeliveryDispatcher extends JsonStore {
+    /**
+     * @param {Object} options - Dispatcher options
+     * @param {string|null} options.directory - Directory for deliveries.json (null keeps data in memory only)
+     */
+    constructor(options = {}) {
+        super({ fileName: 'deliveries.json', directory: options.directory, namespace: 'pizza' });
+
+        this.settings = {
+            store: null,
+            zones: [],
+            averageSpeedMph: 20,
+            roadFactor: 1.3,
+            prepMinutes: 15,
+            handoffMinutes: 3,
+            defaultDriveMinutes: 20,
+            maxBatchSize: 2,
+            batchRadiusMiles: 1.5,
+            batchWindowMinutes: 10
+        };
+        this.geocoder = null;
+
+        this.drivers = new Map(); // driverId -> driver
+        this.deliveries = new Map(); // deliveryId -> delivery
+    }
+
+    /**
+     * Apply delivery settings from the socket
+     * @param {Object} settings - { store, zones, drivers, averageSpeedMph, roadFactor, prepMinutes, handoffMinutes,
+     *   defaultDriveMinutes, maxBatchSize, batchRadiusMiles, batchWindowMinutes, geocoder }
+     */
+    configure(settings = {}) {
+        const { drivers, geocoder, ...rest } = settings;
+        this.settings = { ...this.settings, ...rest };
+        this.settings.store = toPoint(this.settings.store);
+        this.settings.zones = (this.settings.zones || []).map((zone, index) => this.normalizeZone(zone, index));
+
+        if (geocoder !== undefined) {
+            if (geocoder && typeof geocoder.geocode !== 'function') {
+                throw new Error('Delivery geocoder must implement geocode(address)');
+            }
+            this.geocoder = geocoder;
+        }
+
+        for (const driver of drivers || []) {
+            if (!this.drivers.has(driver.id)) this.upsertDriver(driver);
+        }
+    }
+
+    normalizeZone(zone, index) {
+        const normalized = {
+            ...zone,
+            id: zone.id || `zone_${index + 1}`,
+            name: zone.name || zone.id || `Zone ${index + 1}`,
+            type: zone.type || (zone.polygon ? 'polygon' : 'radius'),
+            zipCodes: (zone.zipCodes || []).map(String)
+        };
+
+        if (normalized.type === 'polygon') {
+            normalized.polygon = (zone.polygon || []).map(toPoint);
+            if (normalized.polygon.length < 3 || normalized.polygon.includes(null)) {
+                throw new Error(`Delivery zone ${normalized.id} needs a polygon of at least 3 [lat, lng] points`);
+            }
+        } else if (normalized.type === 'radius') {
+            normalized.center = toPoint(zone.center) || this.settings.store;
+            if (!normalized.center || !(zone.radiusMiles > 0)) {
+                throw new Error(`Delivery zone ${normalized.id} needs radiusMiles and a center (or a store location)`);
+            }
+        } else {
+            throw new Error(`Unknown delivery zone type: ${normalized.type}. Available: radius, polygon`);
+        }
+        return normalized;
+    }
+
+    restore(snapshot = {}) {
+        if (snapshot.drivers) {
+            this.drivers = new Map(snapshot.drivers.map(driver => [driver.id, driver]));
+        }
+        if (snapshot.deliveries) {
+            this.deliveries = new Map(snapshot.deliveries.map(delivery => [delivery.id, delivery]));
+        }
+    }
+
+    toJSON() {
+        return {
+            drivers: Array.from(this.drivers.values()),
+            deliveries: Array.from(this.deliveries.values())
+        };
+    }
+
+    /**
+     * Whether any delivery zone is set up; without one nothing is deliverable
+     */
+    isConfigured() {
+        return this.settings.zones.length > 0;
+    }
+
+    /**
+     * Find the first delivery zone containing an address; addresses without coordinates are geocoded
+     * when a geocoder is configured, otherwise matched by zipCode
+     * @returns {Object} { deliverable, configured, zone, location, distanceMiles, reason }
+     */
+    async checkAddress(address = {}) {
+        let location = toPoint(address) || toPoint(address.coordinates);
+        if (!this.isConfigured()) {
+            return {
+                deliverable: false,
+                configured: false,
+                zone: null,
+                location,
+                distanceMiles: null,
+                reason: UNCONFIGURED_MESSAGE
+            };
+        }
+
+
+        if (!location && this.geocoder) {
+            location = toPoint(await this.geocoder.geocode(address));
+        }
+
+        const zipCode = String(address.zipCode || address.zip_code || address.zip || '');
+        const zone = this.settings.zones.find(candidate => {
+            if (location && candidate.type === 'polygon') return insidePolygon(location, candidate.polygon);
+            if (location) return distanceMiles(candidate.center, location) <= candidate.radiusMiles;
+            return zipCode && candidate.zipCodes.includes(zipCode);
+        });
+
+        const distance = location && this.settings.store ? this.roadMiles(this.settings.store, location) : null;
+        if (zone) {
+            return { deliverable: true, configured: true, zone: this.describeZone(zone), location, distanceMiles: distance, reason: null };
+        }
+        return {
+            deliverable: false,
+            configured: true,
+            zone: null,
+            location,
+            distanceMiles: distance,
+            reason: location
+                ? 'Address is outside every delivery zone'
+                : 'Address has no coordinates and its zip code is not in a delivery zone'
+        };
+    }
+
+    describeZone(zone) {
+        return {
+            id: zone.id,
+            name: zone.name,
+            fee: zone.fee !== undefined ? zone.fee : null,
+            minimum: zone.minimum !== undefined ? zone.minimum : null
+        };
+    }
+
+    roadMiles(from, to) {
+        return Math.round(distanceMiles(from, to) * this.settings.roadFactor * 100) / 100;
+    }
+
+    driveMinutes(from, to) {
+        if (!from || !to) return this.settings.defaultDriveMinutes;
+        return this.roadMiles(from, to) / this.settings.averageSpeedMph * 60;
+    }
+
+    /**
+     * Add a driver to the roster or update their details
+     * @param {Object} driver - { id, name, phone, vehicle, status: 'available'|'offline', location }
+     */
+    upsertDriver(driver) {
+        if (!driver.id) {
+            throw new Error('Driver id is required');
+        }
+        if (driver.status !== undefined && !['available', 'offline'].includes(driver.status)) {
+            throw new Error(`Driver status must be available or offline, got ${driver.status}`);
+        }
+
+        const existing = this.drivers.get(driver.id);
+        if (existing && driver.status === 'offline' && this.getDriverDeliveries(driver.id).length > 0) {
+            throw dispatchError('DRIVER_BUSY', `Driver ${driver.id} still has deliveries`);
+        }
+
+        const updated = {
+            id: driver.id,
+            name: driver.name || (existing && existing.name) || driver.id,
+            phone: driver.phone || (existing && existing.phone) || null,
+            vehicle: driver.vehicle || (existing && existing.vehicle) || null,
+            status: existing && ['assigned', 'delivering'].includes(existing.status)
+                ? existing.status
+                : (driver.status || (existing && existing.status) || 'available'),
+            location: toPoint(driver.location) || (existing && existing.location) || null,
+            locationUpdatedAt: driver.location ? new Date().toISOString() : (existing && existing.locationUpdatedAt) || null
+        };
+        this.drivers.set(updated.id, updated);
+        return updated;
+    }
+
+    /**
+     * Update the roster from a staff request; a driver coming online takes waiting deliveries
+     * @returns {Object} { driver, assigned }
+     */
+    async saveDriver(details, now = new Date()) {
+        const driver = this.upsertDriver(details);
+        const assigned = driver.status === 'available' ? this.dispatchPending(now) : [];
+        await this.save();
+        return { driver, assigned };
+    }
+
+    getDriver(driverId) {
+        const driver = this.drivers.get(driverId);
+        if (!driver) {
+            throw new Error(`Unknown driver: ${driverId}`);
+        }
+        return driver;
+    }
+
+    /**
+     * Open deliveries carried by a driver, in drop-off order
+     */
+    getDriverDeliveries(driverId) {
+        return Array.from(this.deliveries.values())
+            .filter(delivery => delivery.driverId === driverId && !CLOSED_STATUSES.includes(delivery.status))
+            .sort((a, b) => a.stop - b.stop);
+    }
+
+    /**
+     * Create a delivery and dispatch it; throws with code OUTSIDE_DELIVERY_ZONE, or DELIVERY_UNCONFIGURED without zones
+     * @param {Object} request - { orderId, deliveryAddress, customerPhone, instructions, driverId, readyAt }
+     */
+    async createDelivery(request, options = {}) {
+        const now = options.now || new Date();
+        const existing = this.findByOrder(request.orderId);
+        if (existing) return existing;
+
+        const check = await this.checkAddress(request.deliveryAddress || {});
+        if (!check.deliverable) {
+            throw dispatchError(check.configured ? 'OUTSIDE_DELIVERY_ZONE' : 'DELIVERY_UNCONFIGURED', check.reason, { zones: this.settings.zones.map(zone => zone.name) });
+        }
+
+        const delivery = {
+            id: `delivery_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            orderId: request.orderId || null,
+            status: 'pending',
+            address: request.deliveryAddress,
+            location: check.location,
+            zone: check.zone,
+            distanceMiles: check.distanceMiles,
+            customerPhone: request.customerPhone || null,
+            instructions: request.instructions || null,
+            driverId: null,
+            stop: null,
+            readyAt: request.readyAt || new Date(now.getTime() + this.settings.prepMinutes * MINUTE).toISOString(),
+            eta: null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            history: [{ status: 'pending', at: now.toISOString(), note: null }]
+        };
+        this.deliveries.set(delivery.id, delivery);
+
+        if (request.driverId) {
+            this.assign(delivery, this.getDriver(request.driverId), now);
+        } else {
+            this.dispatch(delivery, now);
+        }
+
+        await this.save();
+        this.emit('delivery:created', delivery);
+        return delivery;
+    }
+
+    /**
+     * Join a nearby batch, else take the nearest free driver; stays pending when nobody is free
+     */
+    dispatch(delivery, now = new Date()) {
+        const batchDriver = this.findBatch(delivery, now);
+        if (batchDriver) {
+            this.assign(delivery, batchDriver, now);
+            return true;
+        }
+
+        const store = this.settings.store;
+        const free = Array.from(this.drivers.values())
+            .filter(driver => driver.status === 'available')
+            .sort((a, b) => {
+                if (!store) return 0;
+                const distanceA = a.location ? distanceMiles(a.location, store) : 0;
+                const distanceB = b.location ? distanceMiles(b.location, store) : 0;
+                return distanceA - distanceB;
+            });
+        if (free.length === 0) return false;
+
+        this.assign(delivery, free[0], now);
+        return true;
+    }
+
+    /**
+     * Driver waiting at the store whose batch has room, started recently and drops off near this address
+     */
+    findBatch(delivery, now) {
+        if (!delivery.location) return null;
+
+        for (const driver of this.drivers.values()) {
+            if (driver.status !== 'assigned') continue;
+
+            const batch = this.getDriverDeliveries(driver.id);
+            if (batch.length === 0 || batch.length >= this.settings.maxBatchSize) continue;
+
+            const started = Math.min(...batch.map(entry => new Date(entry.assignedAt).getTime()));
+            if (now.getTime() - started > this.settings.batchWindowMinutes * MINUTE) continue;
+
+            const nearby = batch.some(entry => entry.location &&
+                distanceMiles(entry.location, delivery.location) <= this.settings.batchRadiusMiles);
+            if (nearby) return driver;
+        }
+        return null;
+    }
+
+    assign(delivery, driver, now = new Date()) {
+        if (driver.status === 'offline' || driver.status === 'delivering') {
+            throw dispatchError('DRIVER_BUSY', `Driver ${driver.id} is ${driver.status}`);
+        }
+
+        delivery.driverId = driver.id;
+        delivery.assignedAt = now.toISOString();
+        driver.status = 'assigned';
+        delivery.status = 'assigned';
+        this.planRoute(driver, now);
+        this.setStatus(delivery, 'assigned', now, `Assigned to ${driver.name}`);
+    }
+
+    /**
+     * Order a driver's drop-offs nearest-first from the store and refresh every ETA on the route
+     */
+    planRoute(driver, now = new Date()) {
+        const store = this.settings.store;
+        const pending = this.getDriverDeliveries(driver.id);
+
+        if (driver.status === 'assigned') {
+            pending.sort((a, b) => {
+                if (!store || !a.location || !b.location) return 0;
+                return distanceMiles(store, a.location) - distanceMiles(store, b.location);
+            });
+        }
+
+        // Waiting drivers leave once they reach the store and the whole batch is ready
+        let position = driver.location || store;
+        let time = now.getTime();
+        if (driver.status === 'assigned') {
+            const toStore = store && driver.location ? this.driveMinutes(driver.location, store) : 0;
+            const readyAt = Math.max(...pending.map(delivery => new Date(delivery.readyAt).getTime()));
+            time = Math.max(time + toStore * MINUTE, readyAt);
+            position = store;
+        }
+
+        pending.forEach((delivery, index) => {
+            time += this.driveMinutes(position, delivery.location) * MINUTE;
+            delivery.stop = index + 1;
+            delivery.eta = new Date(time).toISOString();
+            delivery.etaMinutes = Math.max(0, Math.round((time - now.getTime()) / MINUTE));
+            time += this.settings.handoffMinutes * MINUTE;
+            position = delivery.location || position;
+        });
+
+        for (const delivery of pending) {
+            this.emit('delivery:updated', { delivery, driver });
+        }
+    }
+
+    /**
+     * Mark an order's food ready so ETAs use the real pickup time
+     */
+    async markReady(orderId, now = new Date()) {
+        const delivery = this.findByOrder(orderId);
+        if (!delivery || CLOSED_STATUSES.includes(delivery.status)) return null;
+
+        delivery.readyAt = now.toISOString();
+        if (delivery.driverId) {
+            this.planRoute(this.getDriver(delivery.driverId), now);
+        }
+        await this.save();
+        return delivery;
+    }
+
+    /**
+     * Move a delivery forward; picking up one delivery picks up the driver's whole batch
+     * Throws with code INVALID_TRANSITION
+     * @returns {Object[]} Deliveries that changed
+     */
+    async updateStatus(deliveryId, status, options = {}) {
+        const now = options.now || new Date();
+        const delivery = this.get(deliveryId);
+        if (delivery.status === status) return [];
+
+        const allowed = {
+            pending: ['cancelled'],
+            assigned: ['picked_up', 'cancelled'],
+            picked_up: ['delivered', 'failed', 'cancelled'],
+            delivered: [],
+            failed: [],
+            cancelled: []
+        }[delivery.status];
+        if (!allowed.includes(status)) {
+            throw dispatchError('INVALID_TRANSITION',
+                `Delivery ${deliveryId} cannot go from ${delivery.status} to ${status}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''));
+        }
+
+        const driver = delivery.driverId ? this.getDriver(delivery.driverId) : null;
+        const changed = [];
+
+        if (status === 'picked_up') {
+            for (const entry of this.getDriverDeliveries(driver.id)) {
+                this.setStatus(entry, 'picked_up', now, options.note);
+                changed.push(entry);
+            }
+            driver.status = 'delivering';
+            this.planRoute(driver, now);
+        } else {
+            this.setStatus(delivery, status, now, options.note);
+            if (status === 'delivered') delivery.deliveredAt = now.toISOString();
+            changed.push(delivery);
+        }
+
+        // A driver with nothing left is free again and takes waiting deliveries
+        if (driver && CLOSED_STATUSES.includes(status)) {
+            if (this.getDriverDeliveries(driver.id).length === 0) {
+                driver.status = 'available';
+                changed.push(...this.dispatchPending(now));
+            } else {
+                this.planRoute(driver, now);
+            }
+        }
+
+        await this.save();
+        return changed;
+    }
+
+    /**
+     * Assign waiting deliveries, oldest first
+     */
+    dispatchPending(now = new Date()) {
+        const assigned = [];
+        const pending = Array.from(this.deliveries.values())
+            .filter(delivery => delivery.status === 'pending')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const delivery of pending) {
+            if (!this.dispatch(delivery, now)) break;
+            assigned.push(delivery);
+        }
+        return assigned;
+    }
+
+    /**
+     * Record a driver's position and refresh the ETAs of their deliveries
+     */
+    async updateDriverLocation(driverId, location, now = new Date()) {
+        const driver = this.getDriver(driverId);
+        const point = toPoint(location);
+        if (!point) {
+            throw new Error('location requires lat and lng');
+        }
+
+        driver.location = point;
+        driver.locationUpdatedAt = now.toISOString();
+        if (this.getDriverDeliveries(driverId).length > 0) {
+            this.planRoute(driver, now);
+        }
+
+        await this.save();
+        return driver;
+    }
+
+    setStatus(delivery, status, now, note) {
+        delivery.status = status;
+        delivery.updatedAt = now.toISOString();
+        delivery.history.push({ status, at: now.toISOString(), note: note || null });
+        this.emit('delivery:status_changed', { delivery, status });
+    }
+
+    get(deliveryId) {
+        const delivery = this.deliveries.get(deliveryId);
+        if (!delivery) {
+            throw new Error(`Unknown delivery: ${deliveryId}`);
+        }
+        return delivery;
+    }
+
+    findByOrder(orderId) {
+        if (!orderId) return null;
+        return Array.from(this.deliveries.values()).find(delivery => delivery.orderId === orderId) || null;
+    }
+
+    /**
+     * Public view of a delivery's driver
+     */
+    describeDriver(driverId) {
+        const driver = driverId ? this.drivers.get(driverId) : null;
+        if (!driver) return null;
+        return { id: driver.id, name: driver.name, vehicle: driver.vehicle, location: driver.location };
+    }
+
+    getStats() {
+        const deliveries = {};
+        for (const status of STATUSES) {
+            deliveries[status] = 0;
+        }
+        for (const delivery of this.deliveries.values()) {
+            deliveries[delivery.status]++;
+        }
+
+        const drivers = {};
+        for (const status of DRIVER_STATUSES) {
+            drivers[status] = 0;
+        }
+        for (const driver of this.drivers.values()) {
+            drivers[driver.status]++;
+        }
+        return { zones: this.settings.zones.length, drivers, deliveries };
+    }
+}
+
+DeliveryDispatcher.STATUSES = STATUSES;
+DeliveryDispatcher.DRIVER_STATUSES = DRIVER_STATUSES;
+DeliveryDispatcher.UNCONFIGURED_MESSAGE = UNCONFIGURED_MESSAGE;
+DeliveryDispatcher.distanceMiles = distanceMiles;
+DeliveryDispatcher.insidePolygon = insidePolygon;
+
+module.exports = DeliveryDispatcher;
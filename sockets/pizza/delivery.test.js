@@ -0,0 +1,121 @@
+const DeliveryDispatcher = require('./delivery');
+
+const STORE = { lat: 40.7128, lng: -74.0060 };
+const NEARBY = { lat: 40.7158, lng: -74.0021 };
+const NEXT_DOOR = { lat: 40.7160, lng: -74.0025 };
+const FAR_AWAY = { lat: 40.9000, lng: -74.3000 };
+
+function createDispatcher(settings = {}) {
+    const dispatcher = new DeliveryDispatcher({ directory: null });
+    dispatcher.configure({
+        store: STORE,
+        zones: [{ id: 'downtown', name: 'Downtown', type: 'radius', radiusMiles: 3, fee: 2.99, zipCodes: ['10007'] }],
+        ...settings
+    });
+    return dispatcher;
+}
+
+describe('DeliveryDispatcher zones', () => {
+    test('refuses every address when no zone is configured', async () => {
+        const dispatcher = new DeliveryDispatcher({ directory: null });
+
+        const check = await dispatcher.checkAddress(NEARBY);
+
+        expect(check).toMatchObject({ deliverable: false, configured: false, zone: null, distanceMiles: null });
+        expect(check.reason).toMatch(/not configured/);
+        await expect(dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: NEARBY }))
+            .rejects.toMatchObject({ code: 'DELIVERY_UNCONFIGURED' });
+    });
+
+    test('places an address inside a radius zone with its road distance from the store', async () => {
+        const check = await createDispatcher().checkAddress(NEARBY);
+
+        expect(check).toMatchObject({ deliverable: true, configured: true, zone: { id: 'downtown', fee: 2.99 } });
+        expect(check.distanceMiles).toBeGreaterThan(0);
+        expect(check.distanceMiles).toBeLessThan(1);
+    });
+
+    test('rejects an address outside every zone', async () => {
+        const dispatcher = createDispatcher();
+
+        expect(await dispatcher.checkAddress(FAR_AWAY)).toMatchObject({ deliverable: false, configured: true, zone: null });
+        await expect(dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: FAR_AWAY }))
+            .rejects.toMatchObject({ code: 'OUTSIDE_DELIVERY_ZONE', zones: ['Downtown'] });
+    });
+
+    test('matches addresses without coordinates by zip code', async () => {
+        const dispatcher = createDispatcher();
+
+        expect(await dispatcher.checkAddress({ street: '1 Centre St', zipCode: '10007' })).toMatchObject({ deliverable: true });
+        expect(await dispatcher.checkAddress({ street: '1 Main St', zipCode: '99999' })).toMatchObject({ deliverable: false });
+    });
+
+    test('geocodes addresses without coordinates when a geocoder is configured', async () => {
+        const geocoder = { geocode: jest.fn().mockResolvedValue(NEARBY) };
+        const dispatcher = createDispatcher({ geocoder });
+
+        const check = await dispatcher.checkAddress({ street: '456 Elm St' });
+
+        expect(geocoder.geocode).toHaveBeenCalledWith({ street: '456 Elm St' });
+        expect(check).toMatchObject({ deliverable: true, location: NEARBY });
+    });
+
+    test('places addresses inside polygon zones', async () => {
+        const dispatcher = createDispatcher({
+            zones: [{ id: 'square', type: 'polygon', polygon: [[40.70, -74.01], [40.72, -74.01], [40.72, -73.99], [40.70, -73.99]] }]
+        });
+
+        expect(await dispatcher.checkAddress(NEARBY)).toMatchObject({ deliverable: true, zone: { id: 'square' } });
+        expect(await dispatcher.checkAddress(FAR_AWAY)).toMatchObject({ deliverable: false });
+    });
+});
+
+describe('DeliveryDispatcher dispatch', () => {
+    const now = new Date('2026-10-19T18:00:00Z');
+
+    test('gives a new delivery to the free driver nearest the store', async () => {
+        const dispatcher = createDispatcher({
+            drivers: [
+                { id: 'far', name: 'Far', location: FAR_AWAY },
+                { id: 'near', name: 'Near', location: STORE }
+            ]
+        });
+
+        const delivery = await dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: NEARBY }, { now });
+
+        expect(delivery).toMatchObject({ status: 'assigned', driverId: 'near', stop: 1 });
+        expect(new Date(delivery.eta).getTime()).toBeGreaterThan(now.getTime());
+    });
+
+    test('batches a nearby drop-off with a driver still waiting at the store', async () => {
+        const dispatcher = createDispatcher({
+            drivers: [{ id: 'driver_1', location: STORE }, { id: 'driver_2', location: STORE }]
+        });
+
+        const first = await dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: NEARBY }, { now });
+        const second = await dispatcher.createDelivery({ orderId: 'order_2', deliveryAddress: NEXT_DOOR }, { now });
+
+        expect(second.driverId).toBe(first.driverId);
+        expect(dispatcher.getDriverDeliveries(first.driverId).map(delivery => delivery.stop)).toEqual([1, 2]);
+    });
+
+    test('keeps a delivery pending until a driver comes online', async () => {
+        const dispatcher = createDispatcher();
+
+        const delivery = await dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: NEARBY }, { now });
+        expect(delivery).toMatchObject({ status: 'pending', driverId: null });
+
+        const { assigned } = await dispatcher.saveDriver({ id: 'driver_1', location: STORE }, now);
+        expect(assigned.map(entry => entry.id)).toEqual([delivery.id]);
+        expect(delivery.status).toBe('assigned');
+    });
+
+    test('returns the existing delivery when an order is dispatched twice', async () => {
+        const dispatcher = createDispatcher();
+
+        const first = await dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: NEARBY }, { now });
+        const second = await dispatcher.createDelivery({ orderId: 'order_1', deliveryAddress: NEARBY }, { now });
+
+        expect(second).toBe(first);
+    });
+});
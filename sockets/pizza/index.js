@@ -3,34 +3,54 @@
  * Handles pizza restaurants, menus, online ordering, and delivery management
  */
 
-const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
 const chalk = require('chalk');
+const BaseSocket = require('../../core/base-socket');
+const { pick } = require('../../core/event-data');
+const PizzaMenu = require('./menu');
+const MenuCatalog = require('./menu-catalog');
+const OrderEngine = require('./orders');
+const DeliveryDispatcher = require('./delivery');
+const CateringDesk = require('../../core/catering');
 
-class PizzaSocket extends EventEmitter {
+// WebSocket room that receives every new order and status change
+const KITCHEN_ROOM = 'pizza_kitchen';
+// WebSocket room for catering quotes, acceptances and payments
+const CATERING_ROOM = 'pizza_catering';
+
+const PARTY_PACKAGES = [
+    { id: 'pizza_party_10', name: 'Pizza Party for 10', pricing: 'package', price: 119.99, serves: 10, includes: ['4 large pizzas (choice of toppings)', 'Garden salad', 'Garlic knots', '2 liter sodas'] },
+    { id: 'office_lunch', name: 'Office Lunch', pricing: 'per_head', pricePerHead: 14.5, minGuests: 15, includes: ['Assorted large pizzas', 'Caesar salad', 'Cookies', 'Bottled water'] },
+    { id: 'pizza_bar', name: 'Build-Your-Own Pizza Bar', pricing: 'per_head', pricePerHead: 24, minGuests: 25, maxGuests: 200, leadTimeHours: 7 * 24, includes: ['Chef-staffed wood-fired oven', 'Choice of 12 toppings', 'Antipasto platter', 'Tiramisu'] }
+];
+
+const PARTY_ADD_ONS = [
+    { id: 'wings_platter', name: 'Wings platter (50 pieces)', price: 54.99, per: 'order' },
+    { id: 'gluten_free_crust', name: 'Gluten-free crust upgrade', price: 3, per: 'order' },
+    { id: 'dessert', name: 'Cannoli', price: 3.5, per: 'guest' },
+    { id: 'paper_goods', name: 'Plates, napkins and cutlery', price: 0.75, per: 'guest' }
+];
+
+class PizzaSocket extends BaseSocket {
     constructor(config = {}) {
-        super();
-        this.businessType = 'pizza';
-        this.config = {
-            siteName: config.siteName || 'Pizza Restaurant',
-            location: config.location || 'Your City',
-            services: config.services || [
+        super('pizza', config, {
+            siteName: 'Pizza Restaurant',
+            services: [
                 'Dine-In',
                 'Takeout',
                 'Delivery',
                 'Catering',
                 'Party Orders'
             ],
-            specialties: config.specialties || [
+            specialties: [
                 'Wood-Fired Pizza',
                 'Traditional Italian',
                 'New York Style',
                 'Sicilian',
                 'Gluten-Free Options'
-            ],
-            ...config
-        };
+            ]
+        });
         
         // Enhanced pizza-specific configuration
         this.pizzaConfig = {
@@ -41,10 +61,88 @@ class PizzaSocket extends EventEmitter {
             menuCategories: ['Pizzas', 'Appetizers', 'Salads', 'Beverages', 'Desserts']
         };
         
-        this.status = 'inactive';
-        this.services = new Map();
-        this.activeIntegrations = [];
-        this.isInitialized = false;
+        // Menu and order engine (config.menu: { items, modifiers }, config.orders: { directory })
+        // Restaurants with their own menus are versioned in the catalog (config.menus: { directory })
+        this.menu = new PizzaMenu(this.config.menu || {});
+        this.menus = new MenuCatalog({ ...this.getStoreConfig('menus'), baseMenu: this.menu.toJSON() });
+        this.menus.on('menu:updated', ({ restaurantId, version }) => {
+            this.emit('menu:updated', { restaurantId, version: version.version });
+            this.notify(`pizza_menu:${restaurantId}`, 'menu_updated', {
+                restaurantId,
+                version: version.version,
+                changeType: version.changeType,
+                effectiveAt: version.effectiveAt
+            });
+        });
+        this.menus.on('menu:change_failed', ({ restaurantId, change, error }) => {
+            console.warn(chalk.yellow(`⚠️  Scheduled menu change ${change.id} for ${restaurantId} failed: ${error}`));
+        });
+        this.orders = new OrderEngine({ ...this.getStoreConfig('orders'), menu: this.menu });
+        this.orders.on('order:created', order => {
+            this.emit('order:created', order);
+            this.notify(KITCHEN_ROOM, 'order_created', {
+                orderId: order.id,
+                orderType: order.orderType,
+                items: order.items.map(item => `${item.quantity}x ${item.size ? item.size + ' ' : ''}${item.name}`),
+                total: order.pricing.total
+            });
+        });
+        this.orders.on('order:status_changed', ({ order, from, to }) => {
+            this.emit('order:status_changed', { order, from, to });
+            const update = { orderId: order.id, from, to, updatedAt: order.updatedAt };
+            this.notify(`pizza_order:${order.id}`, 'order_status', update);
+            this.notify(KITCHEN_ROOM, 'order_status', update);
+            this.syncDelivery(order, to).catch(error => {
+                console.warn(chalk.yellow(`⚠️  Could not update delivery for ${order.id}: ${error.message}`));
+            });
+        });
+
+        // Delivery zones, drivers and dispatch (config.deliveries: { directory })
+        this.dispatcher = new DeliveryDispatcher(this.getStoreConfig('deliveries'));
+        this.dispatcher.on('delivery:status_changed', ({ delivery, status }) => {
+            this.emit('delivery:status_changed', { delivery, status });
+            const update = this.describeDelivery(delivery);
+            if (delivery.orderId) this.notify(`pizza_order:${delivery.orderId}`, 'delivery_status', update);
+            this.notify(KITCHEN_ROOM, 'delivery_status', update);
+        });
+        this.dispatcher.on('delivery:updated', ({ delivery }) => {
+            if (!delivery.orderId) return;
+            this.notify(`pizza_order:${delivery.orderId}`, 'delivery_eta', {
+                deliveryId: delivery.id,
+                eta: delivery.eta,
+                etaMinutes: delivery.etaMinutes,
+                stop: delivery.stop,
+                driver: this.dispatcher.describeDriver(delivery.driverId)
+            });
+        });
+
+        // Party orders and catering (config.catering: { directory, packages, addOns, depositRate, ... })
+        this.catering = new CateringDesk({
+            businessType: 'pizza',
+            packages: PARTY_PACKAGES,
+            addOns: PARTY_ADD_ONS,
+            ...this.getStoreConfig('catering')
+        });
+        this.catering.on('catering:quoted', quote => {
+            this.emit('catering:quoted', quote);
+            this.notify(CATERING_ROOM, 'catering_quote', {
+                quoteId: quote.id,
+                number: quote.number,
+                customer: quote.customer.name,
+                eventDate: quote.event.date,
+                guests: quote.event.guests,
+                total: quote.total
+            });
+        });
+        this.catering.on('catering:status_changed', ({ quote, from, to }) => {
+            this.emit('catering:status_changed', { quote, from, to });
+            const update = { quoteId: quote.id, number: quote.number, from, to, amountPaid: quote.amountPaid, total: quote.total };
+            this.notify(CATERING_ROOM, 'catering_status', update);
+            this.notifyClient(quote.clientId, 'catering_status', update);
+        });
+        this.catering.on('catering:payment', ({ quote, payment }) => {
+            this.notify(CATERING_ROOM, 'catering_payment', { quoteId: quote.id, number: quote.number, ...payment });
+        });
     }
 
     /**
@@ -82,6 +180,12 @@ class PizzaSocket extends EventEmitter {
             await this.setupOnlineOrdering();
             await this.setupDeliverySystem();
             await this.loadContentTemplates();
+            this.configureOrders();
+            await this.orders.load();
+            await this.menus.load();
+            await this.dispatcher.load();
+            await this.catering.load();
+            this.configureDelivery();
             
             this.status = 'ready';
             this.isInitialized = true;
@@ -165,12 +269,13 @@ class PizzaSocket extends EventEmitter {
                 'order_tracking'
             ],
             paymentMethods: ['credit_card', 'paypal', 'apple_pay', 'google_pay'],
-            orderTypes: [
+            orderTypes: this.config.orderTypes || [
                 { name: 'Delivery', fee: 2.99, minimum: 15.00 },
                 { name: 'Pickup', fee: 0, minimum: 0 },
                 { name: 'Dine-in', fee: 0, minimum: 0 }
             ],
-            businessHours: {
+            taxRate: this.config.taxRate !== undefined ? this.config.taxRate : 0.08,
+            businessHours: this.config.businessHours || {
                 monday: { open: '11:00', close: '22:00' },
                 tuesday: { open: '11:00', close: '22:00' },
                 wednesday: { open: '11:00', close: '22:00' },
@@ -192,9 +297,11 @@ class PizzaSocket extends EventEmitter {
     async setupDeliverySystem() {
         console.log(chalk.yellow('🚚 Setting up delivery system...'));
         
+        const store = this.config.store || null; // { lat, lng }
+        const deliveryRadius = this.config.deliveryRadius || 5; // miles
         const deliveryConfig = {
             enabled: true,
-            deliveryRadius: 5, // miles
+            deliveryRadius,
             estimatedTime: '30-45 minutes',
             deliveryFee: 2.99,
             minimumOrder: 15.00,
@@ -206,6 +313,13 @@ class PizzaSocket extends EventEmitter {
                 'Suburbs South',
                 'Industrial Area'
             ],
+            // Polygon or radius zones; without a store location or zones delivery is refused
+            store,
+            zones: this.config.deliveryZones ||
+                (store ? [{ id: 'delivery_radius', name: 'Delivery radius', type: 'radius', radiusMiles: deliveryRadius }] : []),
+            drivers: this.config.drivers || [],
+            averageSpeedMph: 20,
+            maxBatchSize: 2,
             trackingEnabled: true,
             contactlessDelivery: true
         };
@@ -215,6 +329,40 @@ class PizzaSocket extends EventEmitter {
         console.log(chalk.green('✅ Delivery system configured'));
     }
 
+    /**
+     * Hand the ordering and delivery settings to the order engine
+     */
+    configureOrders() {
+        const ordering = this.services.get('ordering');
+        const delivery = this.services.get('delivery');
+
+        this.orders.configure({
+            orderTypes: ordering.orderTypes,
+            businessHours: ordering.businessHours,
+            taxRate: ordering.taxRate,
+            freeDeliveryThreshold: delivery.freeDeliveryThreshold,
+            estimatedTimes: { delivery: delivery.estimatedTime, default: '15-20 minutes' }
+        });
+    }
+
+    /**
+     * Hand the delivery settings to the dispatcher; a shared 'geocoder' service
+     * ({ geocode(address) }) locates addresses sent without coordinates
+     */
+    configureDelivery() {
+        const delivery = this.services.get('delivery');
+
+        this.dispatcher.configure({
+            store: delivery.store,
+            zones: delivery.zones,
+            drivers: delivery.drivers,
+            averageSpeedMph: delivery.averageSpeedMph,
+            maxBatchSize: delivery.maxBatchSize,
+            ...(this.config.dispatch || {}),
+            geocoder: this.getSharedService('geocoder') || this.config.geocoder || null
+        });
+    }
+
     /**
      * Load content templates
      */
@@ -243,59 +391,206 @@ class PizzaSocket extends EventEmitter {
     }
 
     /**
-     * Handle business-specific events
+     * Pizza event handlers
+     */
+    getEventHandlers() {
+        return {
+            online_order: this.handleOnlineOrder,
+            order_quote: this.handleOrderQuote,
+            order_status: this.handleOrderStatus,
+            order_status_update: this.handleOrderStatusUpdate,
+            order_cancellation: this.handleOrderCancellation,
+            restaurant_registration: this.handleRestaurantRegistration,
+            menu_update: this.handleMenuUpdate,
+            menu_query: this.handleMenuQuery,
+            menu_history: this.handleMenuHistory,
+            menu_diff: this.handleMenuDiff,
+            menu_rollback: this.handleMenuRollback,
+            delivery_request: this.handleDeliveryRequest,
+            delivery_zone_check: this.handleDeliveryZoneCheck,
+            delivery_status: this.handleDeliveryStatus,
+            delivery_status_update: this.handleDeliveryStatusUpdate,
+            driver_update: this.handleDriverUpdate,
+            driver_location: this.handleDriverLocation,
+            ...CateringDesk.eventHandlers
+        };
+    }
+
+    /**
+     * Handle online order - priced server-side from the menu
      */
-    async handleEvent(event) {
-        console.log(chalk.cyan(`📡 Pizza Socket handling event: ${event.type}`));
+    async handleOnlineOrder(data) {
+        console.log(chalk.blue('🛒 Processing online order...'));
         
         try {
-            switch (event.type) {
-                case 'online_order':
-                    return await this.handleOnlineOrder(event.data);
-                case 'restaurant_registration':
-                    return await this.handleRestaurantRegistration(event.data);
-                case 'menu_update':
-                    return await this.handleMenuUpdate(event.data);
-                case 'delivery_request':
-                    return await this.handleDeliveryRequest(event.data);
-                default:
-                    return { success: true, message: `Handled ${event.type} event` };
+            const restaurantId = pick(data, 'restaurant_id', 'restaurantId');
+            const orderType = pick(data, 'order_type', 'orderType');
+            const deliveryAddress = pick(data, 'delivery_address', 'deliveryAddress');
+            
+            // Delivery addresses must fall inside a delivery zone
+            let zoneCheck = null;
+            if (String(orderType || '').toLowerCase() === 'delivery' && deliveryAddress) {
+                zoneCheck = await this.dispatcher.checkAddress(deliveryAddress);
+                if (!zoneCheck.deliverable) {
+                    const code = zoneCheck.configured ? 'OUTSIDE_DELIVERY_ZONE' : 'DELIVERY_UNCONFIGURED';
+                    return { success: false, code, message: zoneCheck.reason };
+                }
             }
+            
+            const order = await this.orders.placeOrder({
+                restaurantId,
+                menu: await this.menuFor(restaurantId),
+                deliveryZone: zoneCheck ? zoneCheck.zone : null,
+                customer: pick(data, 'customer_info', 'customerInfo'),
+                items: pick(data, 'order_items', 'orderItems'),
+                orderType,
+                deliveryAddress,
+                paymentMethod: pick(data, 'payment_method', 'paymentMethod'),
+                specialInstructions: pick(data, 'special_instructions', 'specialInstructions'),
+                clientTotal: pick(data, 'total_amount', 'totalAmount')
+            });
+            
+            const delivery = order.orderType === 'delivery'
+                ? await this.dispatcher.createDelivery({
+                    orderId: order.id,
+                    deliveryAddress: order.deliveryAddress,
+                    customerPhone: order.customer.phone,
+                    instructions: order.specialInstructions
+                })
+                : null;
+            
+            return {
+                success: true,
+                orderId: order.id,
+                status: order.status,
+                message: 'Order confirmed successfully',
+                items: order.items,
+                pricing: order.pricing,
+                priceAdjusted: order.clientTotal !== undefined,
+                estimatedTime: order.estimatedTime,
+                delivery: delivery ? this.describeDelivery(delivery) : null,
+                trackingAvailable: order.orderType === 'delivery',
+                trackingRoom: `pizza_order:${order.id}`
+            };
         } catch (error) {
-            console.error(chalk.red(`❌ Error handling pizza event:`, error.message));
-            throw error;
+            return this.orderErrorResponse(error);
         }
     }
 
     /**
-     * Handle online order
+     * Handle price quotes for a cart without placing the order
      */
-    async handleOnlineOrder(data) {
-        console.log(chalk.blue('🛒 Processing online order...'));
-        
-        const order = {
-            id: `pizza_order_${Date.now()}`,
-            restaurant: data.restaurant_id,
-            customer: data.customer_info,
-            items: data.order_items,
-            orderType: data.order_type, // delivery, pickup, dine-in
-            totalAmount: data.total_amount,
-            paymentMethod: data.payment_method,
-            specialInstructions: data.special_instructions,
-            estimatedTime: data.order_type === 'delivery' ? '30-45 minutes' : '15-20 minutes',
-            status: 'confirmed',
-            createdAt: new Date()
-        };
+    async handleOrderQuote(data) {
+        try {
+            const deliveryAddress = pick(data, 'delivery_address', 'deliveryAddress');
+            const orderType = pick(data, 'order_type', 'orderType');
+            
+            // No delivery quotes until the store location or delivery zones are set
+            if (String(orderType || '').toLowerCase() === 'delivery' && !this.dispatcher.isConfigured()) {
+                return { success: false, code: 'DELIVERY_UNCONFIGURED', message: DeliveryDispatcher.UNCONFIGURED_MESSAGE };
+            }
+            
+            const zoneCheck = deliveryAddress ? await this.dispatcher.checkAddress(deliveryAddress) : null;
+            const pricing = this.orders.priceOrder({
+                menu: await this.menuFor(pick(data, 'restaurant_id', 'restaurantId')),
+                deliveryZone: zoneCheck ? zoneCheck.zone : null,
+                items: pick(data, 'order_items', 'orderItems'),
+                orderType
+            });
+            
+            return {
+                success: true,
+                ...pricing,
+                deliverable: zoneCheck ? zoneCheck.deliverable : null,
+                meetsMinimum: pricing.subtotal >= pricing.minimum,
+                open: this.orders.isOpen()
+            };
+        } catch (error) {
+            return this.orderErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle order lookups
+     */
+    async handleOrderStatus(data) {
+        const order = this.orders.get(data.orderId);
         
         return {
             success: true,
             orderId: order.id,
-            message: 'Order confirmed successfully',
+            status: order.status,
+            history: order.history,
             estimatedTime: order.estimatedTime,
-            trackingAvailable: data.order_type === 'delivery'
+            pricing: order.pricing
         };
     }
 
+    /**
+     * Handle kitchen and driver status updates
+     */
+    async handleOrderStatusUpdate(data, event = {}) {
+        try {
+            const order = await this.orders.updateStatus(data.orderId, data.status, {
+                note: data.note,
+                by: event.actor ? event.actor.name : null
+            });
+            
+            return {
+                success: true,
+                orderId: order.id,
+                status: order.status,
+                message: `Order ${order.status.replace(/_/g, ' ')}`
+            };
+        } catch (error) {
+            return this.orderErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle order cancellation; customers can only cancel before preparation starts
+     */
+    async handleOrderCancellation(data, event = {}) {
+        const order = this.orders.get(data.orderId);
+        if (event.actor && !event.actor.isAdmin && order.status !== 'confirmed') {
+            return {
+                success: false,
+                code: 'INVALID_TRANSITION',
+                message: `Order ${order.id} is ${order.status.replace(/_/g, ' ')} and can no longer be cancelled online`
+            };
+        }
+        
+        return this.handleOrderStatusUpdate({ orderId: order.id, status: 'cancelled', note: data.reason }, event);
+    }
+
+    /**
+     * Current menu of a restaurant with its own menu, otherwise the socket menu
+     */
+    async menuFor(restaurantId) {
+        await this.menus.activateDueChanges();
+        return restaurantId && this.menus.has(restaurantId)
+            ? this.menus.getMenu(restaurantId)
+            : this.menu;
+    }
+
+    /**
+     * Ordering errors are reported to the caller, anything else is rethrown
+     */
+    orderErrorResponse(error) {
+        switch (error.code) {
+            case 'INVALID_ORDER':
+                return { success: false, code: error.code, message: error.message, errors: error.errors };
+            case 'BELOW_MINIMUM':
+                return { success: false, code: error.code, message: error.message, minimum: error.minimum, subtotal: error.subtotal };
+            case 'CLOSED':
+                return { success: false, code: error.code, message: error.message, nextOpening: error.nextOpening };
+            case 'INVALID_TRANSITION':
+                return { success: false, code: error.code, message: error.message };
+            default:
+                throw error;
+        }
+    }
+
     /**
      * Handle restaurant registration
      */
@@ -322,105 +617,387 @@ class PizzaSocket extends EventEmitter {
     }
 
     /**
-     * Handle menu update
+     * Handle menu update - applied as a new menu version, or scheduled for effectiveDate
      */
-    async handleMenuUpdate(data) {
+    async handleMenuUpdate(data, event = {}) {
         console.log(chalk.blue('📋 Processing menu update...'));
         
-        const update = {
-            id: `menu_update_${Date.now()}`,
-            restaurant: data.restaurant_id,
-            changes: data.menu_changes,
-            updatedBy: data.updated_by,
-            status: 'applied',
-            updatedAt: new Date()
-        };
+        const restaurantId = pick(data, 'restaurant_id', 'restaurantId');
+        const changes = pick(data, 'menu_changes', 'menuChanges');
+        try {
+            const result = await this.menus.applyChanges(restaurantId, changes, {
+                changeType: pick(data, 'change_type', 'changeType'),
+                effectiveDate: pick(data, 'effective_date', 'effectiveDate'),
+                updatedBy: pick(data, 'updated_by', 'updatedBy') || (event.actor ? event.actor.name : null)
+            });
+            
+            if (result.scheduled) {
+                return {
+                    success: true,
+                    status: 'scheduled',
+                    updateId: result.change.id,
+                    message: `Menu update scheduled for ${result.change.effectiveAt}`,
+                    effectiveAt: result.change.effectiveAt,
+                    changesScheduled: result.change.changes.length
+                };
+            }
+            
+            return {
+                success: true,
+                status: 'applied',
+                version: result.version.version,
+                message: 'Menu updated successfully',
+                changesApplied: result.version.changes.length,
+                diff: this.menus.diff(restaurantId, result.version.version - 1, result.version.version)
+            };
+        } catch (error) {
+            return this.menuErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle menu queries for the current menu, a version or the menu in effect at a date
+     */
+    async handleMenuQuery(data) {
+        const restaurantId = pick(data, 'restaurant_id', 'restaurantId');
+        try {
+            await this.menus.activateDueChanges();
+            const version = this.menus.getVersion(restaurantId, { version: data.version, at: data.at });
+            const menu = this.menus.getMenu(restaurantId, { version: version.version });
+            
+            return {
+                success: true,
+                restaurantId,
+                version: version.version,
+                effectiveAt: version.effectiveAt,
+                items: menu.getItems({ category: data.category }),
+                modifiers: Array.from(menu.modifiers.values()),
+                scheduledChanges: this.menus.getHistory(restaurantId).scheduled.length
+            };
+        } catch (error) {
+            return this.menuErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle menu version history lookups
+     */
+    async handleMenuHistory(data) {
+        const restaurantId = pick(data, 'restaurant_id', 'restaurantId');
+        await this.menus.activateDueChanges();
         
         return {
             success: true,
-            updateId: update.id,
-            message: 'Menu updated successfully',
-            changesApplied: data.menu_changes.length
+            restaurantId,
+            ...this.menus.getHistory(restaurantId)
         };
     }
 
     /**
-     * Handle delivery request
+     * Handle menu comparisons between two versions (toVersion defaults to the current menu)
+     */
+    async handleMenuDiff(data) {
+        const restaurantId = pick(data, 'restaurant_id', 'restaurantId');
+        try {
+            await this.menus.activateDueChanges();
+            
+            return {
+                success: true,
+                restaurantId,
+                ...this.menus.diff(restaurantId, pick(data, 'from_version', 'fromVersion'), pick(data, 'to_version', 'toVersion'))
+            };
+        } catch (error) {
+            return this.menuErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle menu rollback - restores an earlier version as a new version
+     */
+    async handleMenuRollback(data, event = {}) {
+        const restaurantId = pick(data, 'restaurant_id', 'restaurantId');
+        try {
+            await this.menus.activateDueChanges();
+            const version = await this.menus.rollback(restaurantId, data.version, {
+                updatedBy: pick(data, 'updated_by', 'updatedBy') || (event.actor ? event.actor.name : null)
+            });
+            
+            return {
+                success: true,
+                restaurantId,
+                version: version.version,
+                rolledBackTo: version.rolledBackTo,
+                message: `Menu restored to version ${version.rolledBackTo}`
+            };
+        } catch (error) {
+            return this.menuErrorResponse(error);
+        }
+    }
+
+    /**
+     * Menu errors are reported to the caller, anything else is rethrown
+     */
+    menuErrorResponse(error) {
+        switch (error.code) {
+            case 'INVALID_MENU_CHANGE':
+                return { success: false, code: error.code, message: error.message, errors: error.errors };
+            case 'UNKNOWN_VERSION':
+                return { success: false, code: error.code, message: error.message };
+            default:
+                throw error;
+        }
+    }
+
+    /**
+     * Handle delivery request - dispatches a delivery for an order (online or phone order)
      */
     async handleDeliveryRequest(data) {
         console.log(chalk.blue('🚚 Processing delivery request...'));
         
-        const delivery = {
-            id: `delivery_${Date.now()}`,
-            orderId: data.order_id,
-            deliveryAddress: data.delivery_address,
-            customerPhone: data.customer_phone,
-            estimatedArrival: new Date(Date.now() + 35 * 60000), // 35 minutes
-            status: 'assigned',
-            instructions: data.delivery_instructions,
-            createdAt: new Date()
+        const orderId = pick(data, 'order_id', 'orderId');
+        const order = orderId ? this.orders.orders.get(orderId) : null;
+        try {
+            const delivery = await this.dispatcher.createDelivery({
+                orderId,
+                deliveryAddress: pick(data, 'delivery_address', 'deliveryAddress') || (order && order.deliveryAddress),
+                customerPhone: pick(data, 'customer_phone', 'customerPhone') || (order && order.customer && order.customer.phone),
+                instructions: pick(data, 'delivery_instructions', 'deliveryInstructions') || (order && order.specialInstructions),
+                driverId: pick(data, 'driver_id', 'driverId', 'driverAssigned')
+            });
+            
+            return {
+                success: true,
+                deliveryId: delivery.id,
+                message: delivery.driverId ? 'Delivery assigned successfully' : 'Delivery is waiting for a driver',
+                ...this.describeDelivery(delivery),
+                trackingRoom: orderId ? `pizza_order:${orderId}` : null
+            };
+        } catch (error) {
+            return this.deliveryErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle delivery zone checks for an address
+     */
+    async handleDeliveryZoneCheck(data) {
+        const check = await this.dispatcher.checkAddress(pick(data, 'delivery_address', 'deliveryAddress') || {});
+        
+        return {
+            success: true,
+            ...check
         };
+    }
+
+    /**
+     * Handle delivery lookups by delivery or order
+     */
+    async handleDeliveryStatus(data) {
+        const delivery = this.findDelivery(data);
         
         return {
             success: true,
+            ...this.describeDelivery(delivery),
+            history: delivery.history
+        };
+    }
+
+    /**
+     * Handle driver pickups, drop-offs and failed deliveries; linked orders follow along
+     */
+    async handleDeliveryStatusUpdate(data, event = {}) {
+        const delivery = this.findDelivery(data);
+        try {
+            if (data.status === 'picked_up' && delivery.driverId) {
+                const notReady = this.dispatcher.getDriverDeliveries(delivery.driverId)
+                    .filter(entry => entry.orderId && this.orders.orders.has(entry.orderId))
+                    .map(entry => this.orders.get(entry.orderId))
+                    .filter(order => order.status !== 'ready' && order.status !== 'out_for_delivery');
+                if (notReady.length > 0) {
+                    return {
+                        success: false,
+                        code: 'ORDER_NOT_READY',
+                        message: `Orders not ready for pickup: ${notReady.map(order => order.id).join(', ')}`
+                    };
+                }
+            }
+            
+            const changed = await this.dispatcher.updateStatus(delivery.id, data.status, { note: data.note });
+            await this.syncOrders(changed, event);
+            
+            return {
+                success: true,
+                ...this.describeDelivery(delivery),
+                updated: changed.map(entry => entry.id)
+            };
+        } catch (error) {
+            return this.deliveryErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle driver roster changes
+     */
+    async handleDriverUpdate(data) {
+        try {
+            const { driver, assigned } = await this.dispatcher.saveDriver({
+                id: pick(data, 'driver_id', 'driverId'),
+                name: data.name,
+                phone: data.phone,
+                vehicle: data.vehicle,
+                status: data.status,
+                location: data.location
+            });
+            
+            return {
+                success: true,
+                driver,
+                assignedDeliveries: assigned.map(delivery => delivery.id)
+            };
+        } catch (error) {
+            return this.deliveryErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle driver position updates; ETAs of the driver's deliveries are refreshed
+     */
+    async handleDriverLocation(data) {
+        const driver = await this.dispatcher.updateDriverLocation(
+            pick(data, 'driver_id', 'driverId'),
+            data.location || { lat: data.lat, lng: data.lng }
+        );
+        
+        return {
+            success: true,
+            driverId: driver.id,
+            location: driver.location,
+            deliveries: this.dispatcher.getDriverDeliveries(driver.id).map(delivery => ({
+                deliveryId: delivery.id,
+                orderId: delivery.orderId,
+                eta: delivery.eta,
+                etaMinutes: delivery.etaMinutes
+            }))
+        };
+    }
+
+    findDelivery(data) {
+        const deliveryId = pick(data, 'delivery_id', 'deliveryId');
+        if (deliveryId) return this.dispatcher.get(deliveryId);
+
+        const orderId = pick(data, 'order_id', 'orderId');
+        const delivery = this.dispatcher.findByOrder(orderId);
+        if (!delivery) {
+            throw new Error(`No delivery for order: ${orderId}`);
+        }
+        return delivery;
+    }
+
+    /**
+     * Delivery details shared with customers and staff
+     */
+    describeDelivery(delivery) {
+        return {
             deliveryId: delivery.id,
-            message: 'Delivery assigned successfully',
-            estimatedArrival: delivery.estimatedArrival,
-            trackingUrl: `https://track.pizza/${delivery.id}`
+            orderId: delivery.orderId,
+            status: delivery.status,
+            zone: delivery.zone,
+            distanceMiles: delivery.distanceMiles,
+            driver: this.dispatcher.describeDriver(delivery.driverId),
+            stop: delivery.stop,
+            eta: delivery.eta,
+            etaMinutes: delivery.etaMinutes !== undefined ? delivery.etaMinutes : null,
+            updatedAt: delivery.updatedAt
         };
     }
 
     /**
-     * Activate the pizza socket
+     * Keep the delivery in step with kitchen and driver updates made on the order
      */
-    async activate() {
-        console.log(chalk.yellow('🔄 Activating Pizza Socket...'));
-        this.status = 'active';
-        this.emit('socket:activated', { businessType: this.businessType });
-        console.log(chalk.green('✅ Pizza Socket activated'));
+    async syncDelivery(order, status) {
+        const delivery = this.dispatcher.findByOrder(order.id);
+        if (!delivery) return;
+
+        if (status === 'ready') {
+            await this.dispatcher.markReady(order.id);
+            return;
+        }
+
+        const deliveryStatus = { out_for_delivery: 'picked_up', delivered: 'delivered', cancelled: 'cancelled' }[status];
+        if (deliveryStatus && delivery.status !== deliveryStatus) {
+            const changed = await this.dispatcher.updateStatus(delivery.id, deliveryStatus, { note: `Order ${status.replace(/_/g, ' ')}` });
+            await this.syncOrders(changed);
+        }
     }
 
     /**
-     * Pause the pizza socket
+     * Move linked orders along with their deliveries
      */
-    async pause() {
-        console.log(chalk.yellow('⏸️ Pausing Pizza Socket...'));
-        this.status = 'paused';
-        this.emit('socket:paused', { businessType: this.businessType });
-        console.log(chalk.gray('⏸️ Pizza Socket paused'));
+    async syncOrders(deliveries, event = {}) {
+        const orderStatus = { picked_up: 'out_for_delivery', delivered: 'delivered', cancelled: 'cancelled' };
+
+        for (const delivery of deliveries) {
+            const status = orderStatus[delivery.status];
+            if (!status || !delivery.orderId || !this.orders.orders.has(delivery.orderId)) continue;
+
+            const order = this.orders.get(delivery.orderId);
+            if (order.status === status) continue;
+            await this.orders.updateStatus(order.id, status, {
+                note: `Delivery ${delivery.status.replace(/_/g, ' ')}`,
+                by: event.actor ? event.actor.name : null
+            });
+        }
+    }
+
+    /**
+     * Delivery errors are reported to the caller, anything else is rethrown
+     */
+    deliveryErrorResponse(error) {
+        switch (error.code) {
+            case 'OUTSIDE_DELIVERY_ZONE':
+                return { success: false, code: error.code, message: error.message, zones: error.zones };
+            case 'DELIVERY_UNCONFIGURED':
+            case 'DRIVER_BUSY':
+            case 'INVALID_TRANSITION':
+                return { success: false, code: error.code, message: error.message };
+            default:
+                throw error;
+        }
     }
 
     /**
-     * Export data for migration
+     * Pizza configuration included in migration exports
      */
-    async exportData() {
+    exportState() {
         return {
-            businessType: this.businessType,
-            config: this.config,
             pizzaConfig: this.pizzaConfig,
-            services: Object.fromEntries(this.services),
-            integrations: this.activeIntegrations,
-            status: this.status,
-            exportedAt: new Date()
+            menu: this.menu.toJSON(),
+            menus: this.menus.toJSON(),
+            orders: this.orders.toJSON(),
+            deliveries: this.dispatcher.toJSON(),
+            catering: this.catering.toJSON()
         };
     }
 
     /**
-     * Import data from migration
+     * Restore pizza configuration from a migration export
      */
-    async importData(data) {
-        if (data.businessType === this.businessType) {
-            this.config = { ...this.config, ...data.config };
-            this.pizzaConfig = { ...this.pizzaConfig, ...data.pizzaConfig };
-            
-            for (const [key, value] of Object.entries(data.services || {})) {
-                this.services.set(key, value);
-            }
-            
-            this.activeIntegrations = data.integrations || [];
-            console.log(chalk.green('✅ Pizza data imported successfully'));
-        } else {
-            console.log(chalk.yellow('⚠️ Data not compatible with pizza socket'));
+    importState(data) {
+        this.pizzaConfig = { ...this.pizzaConfig, ...data.pizzaConfig };
+        if (data.menu) {
+            this.menu.restore(data.menu);
+        }
+        if (data.menus) {
+            this.menus.restore(data.menus);
+        }
+        if (data.orders) {
+            this.orders.restore(data.orders);
+        }
+        if (data.deliveries) {
+            this.dispatcher.restore(data.deliveries);
+        }
+        if (data.catering) {
+            this.catering.restore(data.catering);
         }
     }
 
@@ -429,30 +1006,292 @@ class PizzaSocket extends EventEmitter {
      */
     getStatus() {
         return {
-            businessType: this.businessType,
-            status: this.status,
-            isInitialized: this.isInitialized,
-            siteName: this.config.siteName,
-            location: this.config.location,
-            services: this.config.services.length,
+            ...super.getStatus(),
             specialties: this.config.specialties.length,
-            activeServices: Array.from(this.services.keys()),
-            integrations: this.activeIntegrations,
-            menuCategories: this.pizzaConfig.menuCategories.length
+            menuCategories: this.pizzaConfig.menuCategories.length,
+            menuItems: this.menu.items.size,
+            menus: this.menus.getStats(),
+            orders: this.orders.getStats(),
+            delivery: this.dispatcher.getStats(),
+            catering: this.catering.getStats()
         };
     }
 
     /**
-     * Shutdown the socket
+     * Shutdown the socket once pending orders, menus, deliveries and catering quotes are written
      */
     async shutdown() {
-        console.log(chalk.yellow('🔄 Shutting down Pizza Socket...'));
-        this.status = 'inactive';
-        this.services.clear();
-        this.activeIntegrations = [];
-        this.emit('socket:shutdown', { businessType: this.businessType });
-        console.log(chalk.gray('📴 Pizza Socket shutdown complete'));
+        await this.orders.flush();
+        await this.menus.flush();
+        await this.dispatcher.flush();
+        await this.catering.flush();
+        await super.shutdown();
     }
 }
 
+/**
+ * Socket metadata read by the socket registry
+ */
+PizzaSocket.metadata = {
+    name: 'Pizza Restaurants',
+    description: 'Pizza delivery, online ordering, and restaurant management',
+    color: '#d63638',
+    features: ['online_ordering', 'delivery_tracking', 'delivery_zones', 'driver_dispatch', 'menu_management', 'catering'],
+    events: {
+        online_order: {
+            description: 'Place an online pizza order',
+            fields: [
+                { name: 'restaurantId', type: 'string', required: false, description: 'Restaurant whose menu prices the order' },
+                { name: 'customerInfo', type: 'object', required: true, description: 'Customer information' },
+                { name: 'orderItems', type: 'array', required: true, description: 'Order items' },
+                { name: 'orderType', type: 'select', required: true, options: ['delivery', 'pickup', 'dine-in'], description: 'Order type' },
+                { name: 'deliveryAddress', type: 'object', required: false, description: 'Delivery address' },
+                { name: 'paymentMethod', type: 'select', required: true, options: ['credit_card', 'paypal', 'cash'], description: 'Payment method' },
+                { name: 'specialInstructions', type: 'text', required: false, description: 'Special instructions' },
+                { name: 'totalAmount', type: 'number', required: false, description: 'Total shown to the customer (checked against the server price)' }
+            ],
+            sampleData: {
+                customerInfo: { name: 'Mike Wilson', email: 'mike@email.com', phone: '555-0321' },
+                orderItems: [
+                    { name: 'Margherita Pizza', size: 'large', quantity: 1, modifiers: ['extra_cheese', 'light_sauce'] },
+                    { name: 'Garlic Bread', quantity: 2 }
+                ],
+                orderType: 'delivery',
+                deliveryAddress: { street: '789 Pine St', city: 'Anytown', zipCode: '12345' },
+                paymentMethod: 'credit_card',
+                specialInstructions: 'Ring the bell',
+                totalAmount: 39.14
+            }
+        },
+        order_quote: {
+            description: 'Price a cart without placing the order',
+            fields: [
+                { name: 'restaurantId', type: 'string', required: false, description: 'Restaurant whose menu prices the order' },
+                { name: 'orderItems', type: 'array', required: true, description: 'Order items [{ name, size, quantity, modifiers }]' },
+                { name: 'orderType', type: 'select', required: true, options: ['delivery', 'pickup', 'dine-in'], description: 'Order type' }
+            ],
+            sampleData: {
+                orderItems: [{ name: 'Pepperoni Pizza', size: 'medium', quantity: 2, modifiers: ['mushrooms'] }],
+                orderType: 'delivery'
+            }
+        },
+        order_status: {
+            description: 'Look up an order and its status history',
+            fields: [
+                { name: 'orderId', type: 'string', required: true, description: 'Order identifier' }
+            ],
+            sampleData: {
+                orderId: 'pizza_order_001'
+            }
+        },
+        order_status_update: {
+            description: 'Move an order through the kitchen and delivery (staff only)',
+            admin: true,
+            fields: [
+                { name: 'orderId', type: 'string', required: true, description: 'Order identifier' },
+                { name: 'status', type: 'select', required: true, options: OrderEngine.STATUSES, description: 'New status' },
+                { name: 'note', type: 'text', required: false, description: 'Note for the order history' }
+            ],
+            sampleData: {
+                orderId: 'pizza_order_001',
+                status: 'preparing'
+            }
+        },
+        order_cancellation: {
+            description: 'Cancel an order',
+            fields: [
+                { name: 'orderId', type: 'string', required: true, description: 'Order identifier' },
+                { name: 'reason', type: 'text', required: false, description: 'Cancellation reason' }
+            ],
+            sampleData: {
+                orderId: 'pizza_order_001',
+                reason: 'Ordered by mistake'
+            }
+        },
+        restaurant_registration: {
+            description: 'Register a new pizza restaurant (staff only)',
+            admin: true,
+            fields: [
+                { name: 'restaurantInfo', type: 'object', required: true, description: 'Restaurant information' },
+                { name: 'ownerInfo', type: 'object', required: true, description: 'Owner information' },
+                { name: 'menuData', type: 'array', required: true, description: 'Menu items' },
+                { name: 'deliveryAreas', type: 'array', required: false, description: 'Delivery coverage areas' },
+                { name: 'operatingHours', type: 'object', required: true, description: 'Operating hours' }
+            ],
+            sampleData: {
+                restaurantInfo: { name: 'Tony\'s Pizza Palace', address: '321 Food St', phone: '555-PIZZA' },
+                ownerInfo: { name: 'Tony Romano', email: 'tony@pizzapalace.com', phone: '555-0654' },
+                menuData: [
+                    { category: 'Pizza', items: ['Margherita', 'Pepperoni', 'Supreme'] },
+                    { category: 'Sides', items: ['Garlic Bread', 'Caesar Salad'] }
+                ],
+                deliveryAreas: ['Downtown', 'University District', 'Suburbs'],
+                operatingHours: { open: '11:00', close: '23:00', days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'] }
+            }
+        },
+        menu_update: {
+            description: 'Update restaurant menu (staff only)',
+            admin: true,
+            fields: [
+                { name: 'restaurantId', type: 'string', required: true, description: 'Restaurant identifier' },
+                { name: 'menuChanges', type: 'array', required: true, description: 'Menu changes [{ action, item, ...menu_item fields, oldPrice, newPrice, size }]' },
+                { name: 'changeType', type: 'select', required: true, options: MenuCatalog.CHANGE_ACTIONS, description: 'Type of change (used for changes without an action)' },
+                { name: 'effectiveDate', type: 'datetime', required: false, description: 'When changes take effect (future dates are scheduled)' },
+                { name: 'updatedBy', type: 'string', required: true, description: 'Who made the update' }
+            ],
+            sampleData: {
+                restaurantId: 'rest_001',
+                menuChanges: [
+                    { action: 'add', item: 'BBQ Chicken Pizza', price: 19.99, description: 'Smoky BBQ sauce with grilled chicken' },
+                    { action: 'price_change', item: 'Pepperoni Pizza', oldPrice: 16.99, newPrice: 17.99 }
+                ],
+                changeType: 'add',
+                effectiveDate: new Date().toISOString(),
+                updatedBy: 'manager_001'
+            }
+        },
+        menu_query: {
+            description: 'Fetch the current menu, a version or the menu in effect at a date',
+            fields: [
+                { name: 'restaurantId', type: 'string', required: true, description: 'Restaurant identifier' },
+                { name: 'version', type: 'number', required: false, description: 'Menu version' },
+                { name: 'at', type: 'datetime', required: false, description: 'Date the menu was in effect' },
+                { name: 'category', type: 'string', required: false, description: 'Only items in this category' }
+            ],
+            sampleData: {
+                restaurantId: 'rest_001',
+                category: 'Pizzas'
+            }
+        },
+        menu_history: {
+            description: 'List menu versions and scheduled changes',
+            fields: [
+                { name: 'restaurantId', type: 'string', required: true, description: 'Restaurant identifier' }
+            ],
+            sampleData: {
+                restaurantId: 'rest_001'
+            }
+        },
+        menu_diff: {
+            description: 'Compare two menu versions',
+            fields: [
+                { name: 'restaurantId', type: 'string', required: true, description: 'Restaurant identifier' },
+                { name: 'fromVersion', type: 'number', required: true, description: 'Earlier version' },
+                { name: 'toVersion', type: 'number', required: false, description: 'Later version (defaults to the current menu)' }
+            ],
+            sampleData: {
+                restaurantId: 'rest_001',
+                fromVersion: 1
+            }
+        },
+        menu_rollback: {
+            description: 'Restore an earlier menu version (staff only)',
+            admin: true,
+            fields: [
+                { name: 'restaurantId', type: 'string', required: true, description: 'Restaurant identifier' },
+                { name: 'version', type: 'number', required: true, description: 'Version to restore' },
+                { name: 'updatedBy', type: 'string', required: false, description: 'Who made the rollback' }
+            ],
+            sampleData: {
+                restaurantId: 'rest_001',
+                version: 1,
+                updatedBy: 'manager_001'
+            }
+        },
+        delivery_request: {
+            description: 'Request delivery for an order',
+            fields: [
+                { name: 'orderId', type: 'string', required: true, description: 'Order identifier' },
+                { name: 'deliveryAddress', type: 'object', required: true, description: 'Delivery address ({ lat, lng } or a zip code inside a zone)' },
+                { name: 'customerPhone', type: 'string', required: true, description: 'Customer phone number' },
+                { name: 'deliveryInstructions', type: 'text', required: false, description: 'Delivery instructions' },
+                { name: 'driverId', type: 'string', required: false, description: 'Assign a specific driver instead of dispatching' }
+            ],
+            sampleData: {
+                orderId: 'order_123456',
+                deliveryAddress: { street: '456 Elm St', apartment: '2B', city: 'Anytown', zipCode: '12345', lat: 40.7158, lng: -74.0021 },
+                customerPhone: '555-0987',
+                deliveryInstructions: 'Ring doorbell twice, leave at door if no answer'
+            }
+        },
+        delivery_zone_check: {
+            description: 'Check whether an address is inside a delivery zone',
+            fields: [
+                { name: 'deliveryAddress', type: 'object', required: true, description: 'Address with lat/lng or zipCode' }
+            ],
+            sampleData: {
+                deliveryAddress: { street: '456 Elm St', zipCode: '12345', lat: 40.7158, lng: -74.0021 }
+            }
+        },
+        delivery_status: {
+            description: 'Look up a delivery, its driver and ETA',
+            fields: [
+                { name: 'orderId', type: 'string', required: false, description: 'Order identifier' },
+                { name: 'deliveryId', type: 'string', required: false, description: 'Delivery identifier' }
+            ],
+            sampleData: {
+                orderId: 'pizza_order_001'
+            }
+        },
+        delivery_status_update: {
+            description: 'Record a pickup, drop-off or failed delivery (staff only)',
+            admin: true,
+            fields: [
+                { name: 'deliveryId', type: 'string', required: false, description: 'Delivery identifier' },
+                { name: 'orderId', type: 'string', required: false, description: 'Order identifier' },
+                { name: 'status', type: 'select', required: true, options: ['picked_up', 'delivered', 'failed', 'cancelled'], description: 'New delivery status' },
+                { name: 'note', type: 'text', required: false, description: 'Note for the delivery history' }
+            ],
+            sampleData: {
+                orderId: 'pizza_order_001',
+                status: 'picked_up'
+            }
+        },
+        driver_update: {
+            description: 'Add a driver or change their details and availability (staff only)',
+            admin: true,
+            fields: [
+                { name: 'driverId', type: 'string', required: true, description: 'Driver identifier' },
+                { name: 'name', type: 'string', required: false, description: 'Driver name' },
+                { name: 'phone', type: 'string', required: false, description: 'Driver phone number' },
+                { name: 'vehicle', type: 'string', required: false, description: 'Vehicle description' },
+                { name: 'status', type: 'select', required: false, options: ['available', 'offline'], description: 'Availability' },
+                { name: 'location', type: 'object', required: false, description: 'Current position { lat, lng }' }
+            ],
+            sampleData: {
+                driverId: 'driver_002',
+                name: 'Sam Lee',
+                phone: '555-0444',
+                vehicle: 'Blue Honda Civic',
+                status: 'available'
+            }
+        },
+        driver_location: {
+            description: 'Update a driver\'s position and refresh delivery ETAs (staff only)',
+            admin: true,
+            fields: [
+                { name: 'driverId', type: 'string', required: true, description: 'Driver identifier' },
+                { name: 'location', type: 'object', required: true, description: 'Current position { lat, lng }' }
+            ],
+            sampleData: {
+                driverId: 'driver_002',
+                location: { lat: 40.7135, lng: -74.0046 }
+            }
+        },
+        ...CateringDesk.metadataEvents({
+            quoteRequest: {
+                customer: { name: 'Jordan Lee', email: 'jordan@acme.com', phone: '555-0321', company: 'Acme Corp' },
+                packageId: 'office_lunch',
+                eventDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+                guests: 30,
+                serviceStyle: 'delivery',
+                venue: '200 Market St, Suite 400',
+                eventType: 'corporate',
+                addOns: [{ id: 'wings_platter', quantity: 2 }, { id: 'paper_goods' }],
+                dietary: ['vegetarian']
+            }
+        })
+    }
+};
+
 module.exports = PizzaSocket;
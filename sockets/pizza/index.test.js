@@ -0,0 +1,134 @@
+const PizzaSocket = require('./index');
+
+const STORE = { lat: 40.7128, lng: -74.0060 };
+const ITEMS = [{ name: 'Margherita Pizza', size: 'medium', quantity: 1 }];
+const ALWAYS_OPEN = Object.fromEntries(
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => [day, { open: '00:00', close: '00:00' }])
+);
+
+async function createSocket(config = {}) {
+    const socket = new PizzaSocket({ dataDirectory: null, ...config });
+    await socket.initialize();
+    return socket;
+}
+
+describe('PizzaSocket', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    describe('orders', () => {
+        const ORDER = {
+            customerInfo: { name: 'Sam', phone: '555-0100' },
+            orderItems: ITEMS,
+            orderType: 'pickup',
+            totalAmount: 0.01
+        };
+
+        test('charges the server price whatever total the client sends', async () => {
+            const socket = await createSocket({ businessHours: ALWAYS_OPEN });
+
+            const order = await socket.handleEvent({ type: 'online_order', data: ORDER });
+
+            expect(order).toMatchObject({ success: true, status: 'confirmed', priceAdjusted: true, pricing: { subtotal: 15.99, total: 17.27 } });
+            expect(socket.orders.get(order.orderId).clientTotal).toBe(0.01);
+        });
+
+        test('lets customers cancel only before the kitchen starts', async () => {
+            const socket = await createSocket({ businessHours: ALWAYS_OPEN });
+            const customer = { clientId: 'client_1', name: 'client_1', isAdmin: false };
+            const { orderId } = await socket.handleEvent({ type: 'online_order', data: ORDER });
+
+            await socket.handleEvent({ type: 'order_status_update', data: { orderId, status: 'preparing' }, actor: { clientId: 'client_2', name: 'Kitchen', isAdmin: true } });
+            const cancelled = await socket.handleEvent({ type: 'order_cancellation', data: { orderId }, actor: customer });
+
+            expect(cancelled).toMatchObject({ success: false, code: 'INVALID_TRANSITION' });
+            expect(socket.orders.get(orderId).history[1]).toMatchObject({ status: 'preparing', by: 'Kitchen' });
+        });
+    });
+
+    describe('menus', () => {
+        const MANAGER = { clientId: 'client_admin', name: 'Manager', isAdmin: true };
+
+        test('prices orders from the menu of the restaurant they are placed with', async () => {
+            const socket = await createSocket();
+
+            const update = await socket.handleEvent({
+                type: 'menu_update',
+                data: { restaurantId: 'uptown', menuChanges: [{ action: 'price_change', item: 'Margherita Pizza', size: 'medium', newPrice: 17.99 }] },
+                actor: MANAGER
+            });
+            const uptown = await socket.handleEvent({ type: 'order_quote', data: { restaurantId: 'uptown', orderType: 'pickup', orderItems: ITEMS } });
+            const downtown = await socket.handleEvent({ type: 'order_quote', data: { restaurantId: 'downtown', orderType: 'pickup', orderItems: ITEMS } });
+
+            expect(update).toMatchObject({
+                success: true,
+                status: 'applied',
+                version: 2,
+                diff: { changed: [{ id: 'margherita', fields: { price_medium: { from: 15.99, to: 17.99 } } }] }
+            });
+            expect(socket.menus.getVersion('uptown').updatedBy).toBe('Manager');
+            expect(uptown.subtotal).toBe(17.99);
+            expect(downtown.subtotal).toBe(15.99);
+        });
+
+        test('reports invalid menu changes to the caller', async () => {
+            const socket = await createSocket();
+
+            const result = await socket.handleEvent({
+                type: 'menu_update',
+                data: { restaurantId: 'uptown', menuChanges: [{ action: 'rename', item: 'Soda' }] },
+                actor: MANAGER
+            });
+
+            expect(result).toMatchObject({ success: false, code: 'INVALID_MENU_CHANGE', errors: [expect.stringContaining('action must be one of')] });
+        });
+    });
+
+    describe('delivery', () => {
+        test('refuses delivery quotes and orders until delivery is configured', async () => {
+            const socket = await createSocket();
+
+            const quote = await socket.handleEvent({ type: 'order_quote', data: { orderType: 'delivery', orderItems: ITEMS } });
+            const order = await socket.handleEvent({
+                type: 'online_order',
+                data: {
+                    customerInfo: { name: 'Sam', phone: '555-0100' },
+                    orderItems: ITEMS,
+                    orderType: 'delivery',
+                    deliveryAddress: { street: '456 Elm St', lat: 40.7158, lng: -74.0021 },
+                    paymentMethod: 'card'
+                }
+            });
+            const check = await socket.handleEvent({ type: 'delivery_zone_check', data: { deliveryAddress: { lat: 40.7158, lng: -74.0021 } } });
+
+            expect(quote).toMatchObject({ success: false, code: 'DELIVERY_UNCONFIGURED' });
+            expect(order).toMatchObject({ success: false, code: 'DELIVERY_UNCONFIGURED' });
+            expect(check).toMatchObject({ success: true, deliverable: false, configured: false });
+        });
+
+        test('still quotes pickup orders without delivery configured', async () => {
+            const socket = await createSocket();
+
+            const quote = await socket.handleEvent({ type: 'order_quote', data: { orderType: 'pickup', orderItems: ITEMS } });
+
+            expect(quote.success).toBe(true);
+            expect(quote.subtotal).toBeGreaterThan(0);
+        });
+
+        test('quotes delivery inside the radius around the store', async () => {
+            const socket = await createSocket({ store: STORE, deliveryRadius: 3 });
+
+            const quote = await socket.handleEvent({
+                type: 'order_quote',
+                data: { orderType: 'delivery', orderItems: ITEMS, deliveryAddress: { lat: 40.7158, lng: -74.0021 } }
+            });
+
+            expect(quote).toMatchObject({ success: true, deliverable: true });
+        });
+    });
+});
@@ -0,0 +1,585 @@
+/**
+ * Pizza Menu Catalog - Versioned menus per restaurant
+ *
+ * Every applied menu_update creates a new version holding the full item list, so any
+ * version can be queried, compared with another or rolled back to. Changes with a future
+ * effectiveDate are kept as scheduled changes and applied once they are due
+ */
+
+const JsonStore = require('../../core/json-store');
+const PizzaMenu = require('./menu');
+
+const { SIZES, toId } = PizzaMenu;
+
+const CHANGE_ACTIONS = ['add', 'remove', 'update', 'price_change'];
+
+// menu_item custom fields and the type each one must have
+const FIELD_TYPES = {
+    name: 'string',
+    description: 'string',
+    category: 'string',
+    ingredients: 'list',
+    allergens: 'list',
+    price: 'price',
+    price_small: 'price',
+    price_medium: 'price',
+    price_large: 'price',
+    calories: 'count',
+    preparation_time: 'count',
+    spice_level: 'count',
+    popularity_score: 'count',
+    vegetarian: 'boolean',
+    vegan: 'boolean',
+    gluten_free: 'boolean',
+    available: 'boolean'
+};
+
+// camelCase spellings accepted from clients
+const FIELD_ALIASES = {
+    basePrice: 'price',
+    priceSmall: 'price_small',
+    priceMedium: 'price_medium',
+    priceLarge: 'price_large',
+    preparationTime: 'preparation_time',
+    spiceLevel: 'spice_level',
+    popularityScore: 'popularity_score',
+    glutenFree: 'gluten_free'
+};
+
+function catalogError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * menu_item fields from a change; `prices: { small, medium, large }` becomes price_<size>
+ */
+function extractFields(source) {
+    const fields = {};
+    for (const [key, value] of Object.entries(source)) {
+        const field = FIELD_ALIASES[key] || key;
+        if (FIELD_TYPES[field] && value !== undefined) {
+            fields[field] = value;
+        }
+    }
+    if (source.prices && typeof source.prices === 'object') {
+        for (const [size, price] of Object.entries(source.prices)) {
+            fields[`price_${String(size).toLowerCase()}`] = price;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Check field types; lists may be given as comma separated strings
+ * @returns {string[]} Errors
+ */
+function validateFields(fields, label) {
+    const errors = [];
+    for (const [field, value] of Object.entries(fields)) {
+        if (value === null) continue;
+
+        switch (FIELD_TYPES[field]) {
+            case 'string':
+                if (typeof value !== 'string' || !value.trim()) errors.push(`${label}: ${field} must be a non-empty string`);
+                break;
+            case 'list':
+                if (typeof value === 'string') {
+                    fields[field] = value.split(',').map(entry => entry.trim()).filter(Boolean);
+                } else if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+                    errors.push(`${label}: ${field} must be a list of strings`);
+                }
+                break;
+            case 'price':
+                if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                    errors.push(`${label}: ${field} must be a positive number`);
+                } else {
+                    fields[field] = Math.round(value * 100) / 100;
+                }
+                break;
+            case 'count':
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${label}: ${field} must be a number of at least 0`);
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') errors.push(`${label}: ${field} must be true or false`);
+                break;
+            default:
+                errors.push(`${label}: unknown field ${field}`);
+        }
+    }
+    return errors;
+}
+
+class MenuCatalog extends JsonStore {
+    /**
+     * @param {Object} options - Catalog options
+     * @param {Object} options.baseMenu - { items, modifiers } every new restaurant menu starts from
+     * @param {string|null} options.directory - Directory for menus.json (null keeps data in memory only)
+     */
+    constructor(options = {}) {
+        super({ fileName: 'menus.json', directory: options.directory, namespace: 'pizza' });
+        this.baseMenu = options.baseMenu || new PizzaMenu().toJSON();
+
+        this.restaurants = new Map(); // restaurantId -> { versions, scheduled }
+    }
+
+    restore(snapshot = {}) {
+        this.restaurants = new Map(Object.entries(snapshot.restaurants || {}));
+    }
+
+    toJSON() {
+        return { restaurants: Object.fromEntries(this.restaurants) };
+    }
+
+    has(restaurantId) {
+        return this.restaurants.has(restaurantId);
+    }
+
+    /**
+     * A restaurant's menu record; new restaurants start at version 1 with the base menu
+     */
+    getRestaurant(restaurantId) {
+        if (!restaurantId) {
+            throw new Error('restaurantId is required');
+        }
+
+        if (!this.restaurants.has(restaurantId)) {
+            const createdAt = new Date().toISOString();
+            this.restaurants.set(restaurantId, {
+                versions: [{
+                    version: 1,
+                    items: clone(this.baseMenu.items),
+                    modifiers: clone(this.baseMenu.modifiers),
+                    changes: [],
+                    changeType: 'initial',
+                    updatedBy: null,
+                    createdAt,
+                    effectiveAt: createdAt
+                }],
+                scheduled: []
+            });
+        }
+        return this.restaurants.get(restaurantId);
+    }
+
+    /**
+     * A stored version: a version number, the version in effect at a date, or the current one
+     * @param {Object} options - { version, at }
+     */
+    getVersion(restaurantId, options = {}) {
+        const { versions } = this.getRestaurant(restaurantId);
+
+        if (options.version !== undefined && options.version !== null) {
+            const version = versions.find(entry => entry.version === Number(options.version));
+            if (!version) {
+                throw catalogError('UNKNOWN_VERSION',
+                    `Menu version ${options.version} does not exist for ${restaurantId} (1-${versions.length})`);
+            }
+            return version;
+        }
+
+        if (options.at) {
+            const at = new Date(options.at);
+            if (isNaN(at.getTime())) {
+                throw new Error(`Invalid date: ${options.at}`);
+            }
+            const version = versions.filter(entry => new Date(entry.effectiveAt) <= at).pop();
+            if (!version) {
+                throw catalogError('UNKNOWN_VERSION', `${restaurantId} had no menu on ${options.at}`);
+            }
+            return version;
+        }
+
+        return versions[versions.length - 1];
+    }
+
+    /**
+     * PizzaMenu for pricing orders from a version
+     */
+    getMenu(restaurantId, options = {}) {
+        const version = this.getVersion(restaurantId, options);
+        return new PizzaMenu({ items: version.items, modifiers: version.modifiers });
+    }
+
+    /**
+     * Apply menu changes now, or schedule them when effectiveDate is in the future
+     * Changes are all-or-nothing; throws with code INVALID_MENU_CHANGE listing every problem
+     * @param {string} restaurantId - Restaurant identifier
+     * @param {Object[]} changes - [{ action, item, ...menu_item fields, oldPrice, newPrice, size }]
+     * @param {Object} options - { changeType, effectiveDate, updatedBy, now }
+     * @returns {Object} { scheduled, version } or { scheduled, change }
+     */
+    async applyChanges(restaurantId, changes, options = {}) {
+        const now = options.now || new Date();
+        await this.activateDueChanges(now);
+
+        const restaurant = this.getRestaurant(restaurantId);
+        const effectiveAt = options.effectiveDate ? new Date(options.effectiveDate) : now;
+        if (isNaN(effectiveAt.getTime())) {
+            throw catalogError('INVALID_MENU_CHANGE', `Invalid effectiveDate: ${options.effectiveDate}`, {
+                errors: [`Invalid effectiveDate: ${options.effectiveDate}`]
+            });
+        }
+
+        // Validated against the current menu even when scheduled, so mistakes surface immediately
+        const current = this.getVersion(restaurantId);
+        const normalized = this.normalizeChanges(changes, options.changeType);
+        this.buildItems(current.items, normalized);
+
+        const entry = {
+            changes: normalized,
+            changeType: options.changeType || null,
+            updatedBy: options.updatedBy || null
+        };
+
+        if (effectiveAt > now) {
+            const change = {
+                id: `menu_change_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+                ...entry,
+                effectiveAt: effectiveAt.toISOString(),
+                createdAt: now.toISOString()
+            };
+            restaurant.scheduled.push(change);
+            restaurant.scheduled.sort((a, b) => a.effectiveAt.localeCompare(b.effectiveAt));
+
+            await this.save();
+            this.emit('menu:scheduled', { restaurantId, change });
+            return { scheduled: true, change };
+        }
+
+        const version = this.addVersion(restaurantId, {
+            ...entry,
+            items: this.buildItems(current.items, normalized),
+            effectiveAt: now.toISOString()
+        });
+        await this.save();
+        return { scheduled: false, version };
+    }
+
+    /**
+     * Apply scheduled changes that are due; a change that no longer fits the menu is marked failed
+     * @returns {Object[]} Versions created
+     */
+    async activateDueChanges(now = new Date()) {
+        const created = [];
+        let failed = false;
+
+        for (const [restaurantId, restaurant] of this.restaurants) {
+            while (restaurant.scheduled.length && new Date(restaurant.scheduled[0].effectiveAt) <= now) {
+                const change = restaurant.scheduled.shift();
+                try {
+                    const items = this.buildItems(this.getVersion(restaurantId).items, change.changes);
+                    created.push(this.addVersion(restaurantId, {
+                        changes: change.changes,
+                        changeType: change.changeType,
+                        updatedBy: change.updatedBy,
+                        scheduledChangeId: change.id,
+                        items,
+                        effectiveAt: change.effectiveAt
+                    }));
+                } catch (error) {
+                    restaurant.failed = restaurant.failed || [];
+                    restaurant.failed.push({ ...change, error: error.message, failedAt: now.toISOString() });
+                    this.emit('menu:change_failed', { restaurantId, change, error: error.message });
+                    failed = true;
+                }
+            }
+        }
+
+        if (created.length > 0 || failed) {
+            await this.save();
+        }
+        return created;
+    }
+
+    /**
+     * Drop a scheduled change before it takes effect
+     */
+    async cancelScheduled(restaurantId, changeId) {
+        const restaurant = this.getRestaurant(restaurantId);
+        const index = restaurant.scheduled.findIndex(change => change.id === changeId);
+        if (index === -1) {
+            throw new Error(`Unknown scheduled menu change: ${changeId}`);
+        }
+
+        const [change] = restaurant.scheduled.splice(index, 1);
+        await this.save();
+        return change;
+    }
+
+    /**
+     * Create a new version with the items of an earlier one
+     */
+    async rollback(restaurantId, version, options = {}) {
+        const target = this.getVersion(restaurantId, { version });
+
+        const created = this.addVersion(restaurantId, {
+            items: clone(target.items),
+            modifiers: clone(target.modifiers),
+            changes: [],
+            changeType: 'rollback',
+            rolledBackTo: target.version,
+            updatedBy: options.updatedBy || null,
+            effectiveAt: new Date().toISOString()
+        });
+        await this.save();
+        return created;
+    }
+
+    addVersion(restaurantId, entry) {
+        const restaurant = this.getRestaurant(restaurantId);
+        const previous = restaurant.versions[restaurant.versions.length - 1];
+        const version = {
+            version: previous.version + 1,
+            modifiers: previous.modifiers,
+            ...entry,
+            createdAt: new Date().toISOString()
+        };
+
+        restaurant.versions.push(version);
+        this.emit('menu:updated', { restaurantId, version });
+        return version;
+    }
+
+    /**
+     * Normalize client changes to { action, itemId, fields, ... }; a change without an
+     * action uses the update's changeType
+     */
+    normalizeChanges(changes, changeType) {
+        const errors = [];
+        if (!Array.isArray(changes) || changes.length === 0) {
+            errors.push('menuChanges must contain at least one change');
+        }
+
+        const normalized = (Array.isArray(changes) ? changes : []).map((change, index) => {
+            const label = `Change ${index + 1}`;
+            const action = change.action || change.type || changeType;
+            if (!CHANGE_ACTIONS.includes(action)) {
+                errors.push(`${label}: action must be one of ${CHANGE_ACTIONS.join(', ')}, got ${action}`);
+                return null;
+            }
+
+            const itemDetails = change.item && typeof change.item === 'object' ? change.item : {};
+            const name = itemDetails.name || (typeof change.item === 'string' ? change.item : change.name);
+            const itemId = change.itemId || itemDetails.id || (name ? toId(name) : null);
+            if (!itemId) {
+                errors.push(`${label}: item is required`);
+                return null;
+            }
+
+            const fields = extractFields({ ...change, ...itemDetails, name });
+            if (action === 'add' && Array.isArray(itemDetails.sizes || change.sizes) &&
+                !SIZES.some(size => fields[`price_${size}`] !== undefined)) {
+                errors.push(`${label}: ${name} lists sizes but no per-size prices (price_small, price_medium, price_large)`);
+                return null;
+            }
+            errors.push(...validateFields(fields, label));
+
+            if (action === 'price_change') {
+                return {
+                    action,
+                    itemId,
+                    name: name || null,
+                    size: change.size ? String(change.size).toLowerCase() : null,
+                    oldPrice: change.oldPrice !== undefined ? Number(change.oldPrice) : null,
+                    newPrice: change.newPrice !== undefined ? Number(change.newPrice) : null,
+                    prices: SIZES.reduce((prices, size) => {
+                        if (fields[`price_${size}`] !== undefined) prices[`price_${size}`] = fields[`price_${size}`];
+                        return prices;
+                    }, {}),
+                    reason: change.reason || null
+                };
+            }
+
+            return { action, itemId, name: name || null, fields: action === 'remove' ? {} : fields, reason: change.reason || null };
+        }).filter(Boolean);
+
+        if (errors.length > 0) {
+            throw catalogError('INVALID_MENU_CHANGE', `Invalid menu update: ${errors.join('; ')}`, { errors });
+        }
+        return normalized;
+    }
+
+    /**
+     * Items after applying normalized changes; throws with code INVALID_MENU_CHANGE
+     */
+    buildItems(currentItems, changes) {
+        const items = new Map(clone(currentItems).map(item => [item.id, item]));
+        const errors = [];
+        const find = itemId => items.get(itemId) ||
+            Array.from(items.values()).find(item => toId(item.name) === itemId);
+
+        changes.forEach((change, index) => {
+            const label = `Change ${index + 1}`;
+            const item = find(change.itemId);
+
+            switch (change.action) {
+                case 'add': {
+                    if (item) {
+                        errors.push(`${label}: ${item.name} is already on the menu`);
+                        return;
+                    }
+                    const added = { id: change.itemId, ...change.fields };
+                    if (!added.name) errors.push(`${label}: name is required`);
+                    if (!SIZES.some(size => typeof added[`price_${size}`] === 'number') && typeof added.price !== 'number') {
+                        errors.push(`${label}: ${added.name || change.itemId} needs a price or per-size prices`);
+                        return;
+                    }
+                    items.set(added.id, added);
+                    return;
+                }
+                case 'remove':
+                    if (!item) {
+                        errors.push(`${label}: ${change.name || change.itemId} is not on the menu`);
+                        return;
+                    }
+                    items.delete(item.id);
+                    return;
+                case 'update': {
+                    if (!item) {
+                        errors.push(`${label}: ${change.name || change.itemId} is not on the menu`);
+                        return;
+                    }
+                    const { name, ...fields } = change.fields;
+                    for (const [field, value] of Object.entries(fields)) {
+                        if (value === null) {
+                            delete item[field];
+                        } else {
+                            item[field] = value;
+                        }
+                    }
+                    if (!SIZES.some(size => typeof item[`price_${size}`] === 'number') && typeof item.price !== 'number') {
+                        errors.push(`${label}: ${item.name} would be left without a price`);
+                    }
+                    return;
+                }
+                case 'price_change':
+                    if (!item) {
+                        errors.push(`${label}: ${change.name || change.itemId} is not on the menu`);
+                        return;
+                    }
+                    errors.push(...this.changePrice(item, change, label));
+                    return;
+            }
+        });
+
+        if (errors.length > 0) {
+            throw catalogError('INVALID_MENU_CHANGE', `Invalid menu update: ${errors.join('; ')}`, { errors });
+        }
+        return Array.from(items.values());
+    }
+
+    /**
+     * Apply a price_change to an item. Without a size, the size whose price equals oldPrice
+     * is changed; single-price items change `price`
+     * @returns {string[]} Errors
+     */
+    changePrice(item, change, label) {
+        if (Object.keys(change.prices).length > 0) {
+            Object.assign(item, change.prices);
+            return [];
+        }
+
+        if (!(change.newPrice > 0)) {
+            return [`${label}: newPrice must be a positive number`];
+        }
+        const newPrice = Math.round(change.newPrice * 100) / 100;
+        const sizes = SIZES.filter(size => typeof item[`price_${size}`] === 'number');
+
+        let field;
+        if (sizes.length === 0) {
+            field = 'price';
+        } else if (change.size) {
+            if (!sizes.includes(change.size)) {
+                return [`${label}: ${item.name} is not sold in ${change.size} (${sizes.join(', ')})`];
+            }
+            field = `price_${change.size}`;
+        } else if (change.oldPrice !== null) {
+            const size = sizes.find(entry => item[`price_${entry}`] === change.oldPrice);
+            if (!size) {
+                return [`${label}: no ${item.name} size costs ${change.oldPrice}; give a size`];
+            }
+            field = `price_${size}`;
+        } else {
+            return [`${label}: ${item.name} has several sizes; give a size or oldPrice`];
+        }
+
+        if (change.oldPrice !== null && item[field] !== change.oldPrice) {
+            return [`${label}: ${item.name} ${field} is ${item[field]}, not ${change.oldPrice}`];
+        }
+        item[field] = newPrice;
+        return [];
+    }
+
+    /**
+     * Item differences between two versions
+     * @returns {Object} { from, to, added, removed, changed: [{ id, name, fields: { field: { from, to } } }] }
+     */
+    diff(restaurantId, fromVersion, toVersion) {
+        const from = this.getVersion(restaurantId, { version: fromVersion });
+        const to = this.getVersion(restaurantId, { version: toVersion !== undefined ? toVersion : null });
+        const before = new Map(from.items.map(item => [item.id, item]));
+        const after = new Map(to.items.map(item => [item.id, item]));
+
+        const changed = [];
+        for (const [id, item] of after) {
+            const previous = before.get(id);
+            if (!previous) continue;
+
+            const fields = {};
+            for (const field of new Set([...Object.keys(previous), ...Object.keys(item)])) {
+                if (!isEqual(previous[field], item[field])) {
+                    fields[field] = { from: previous[field] !== undefined ? previous[field] : null, to: item[field] !== undefined ? item[field] : null };
+                }
+            }
+            if (Object.keys(fields).length > 0) {
+                changed.push({ id, name: item.name, fields });
+            }
+        }
+
+        return {
+            from: from.version,
+            to: to.version,
+            added: to.items.filter(item => !before.has(item.id)),
+            removed: from.items.filter(item => !after.has(item.id)),
+            changed
+        };
+    }
+
+    /**
+     * Version summaries (without items) and pending scheduled changes
+     */
+    getHistory(restaurantId) {
+        const restaurant = this.getRestaurant(restaurantId);
+        return {
+            versions: restaurant.versions.map(({ items, modifiers, ...version }) => ({ ...version, itemCount: items.length })),
+            scheduled: restaurant.scheduled,
+            failed: restaurant.failed || []
+        };
+    }
+
+    getStats() {
+        let versions = 0;
+        let scheduled = 0;
+        for (const restaurant of this.restaurants.values()) {
+            versions += restaurant.versions.length;
+            scheduled += restaurant.scheduled.length;
+        }
+        return { restaurants: this.restaurants.size, versions, scheduled };
+    }
+}
+
+MenuCatalog.CHANGE_ACTIONS = CHANGE_ACTIONS;
+MenuCatalog.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = MenuCatalog;
@@ -0,0 +1,118 @@
+const MenuCatalog = require('./menu-catalog');
+
+const NOW = new Date(2030, 0, 7, 12, 0);
+const TOMORROW = new Date(2030, 0, 8, 12, 0);
+
+function createCatalog() {
+    return new MenuCatalog({ directory: null });
+}
+
+describe('MenuCatalog', () => {
+    test('starts every restaurant at version 1 with the base menu', () => {
+        const catalog = createCatalog();
+
+        const version = catalog.getVersion('store_1');
+
+        expect(version).toMatchObject({ version: 1, changeType: 'initial' });
+        expect(catalog.getMenu('store_1').getItem('Margherita Pizza').price_medium).toBe(15.99);
+        expect(() => catalog.getVersion('store_1', { version: 2 })).toThrow(expect.objectContaining({ code: 'UNKNOWN_VERSION' }));
+    });
+
+    test('applies additions, updates, removals and price changes as one new version', async () => {
+        const catalog = createCatalog();
+
+        const { scheduled, version } = await catalog.applyChanges('store_1', [
+            { action: 'add', item: { name: 'BBQ Chicken Pizza', sizes: ['small', 'large'], prices: { small: 14.5, large: 20.999 } }, allergens: 'dairy, gluten' },
+            { action: 'update', item: 'Caesar Salad', available: false },
+            { action: 'remove', itemId: 'tiramisu' },
+            { action: 'price_change', item: 'Pepperoni Pizza', oldPrice: 16.99, newPrice: 17.49 }
+        ], { changeType: 'seasonal', updatedBy: 'Manager', now: NOW });
+
+        const menu = catalog.getMenu('store_1');
+        expect(scheduled).toBe(false);
+        expect(version).toMatchObject({ version: 2, changeType: 'seasonal', updatedBy: 'Manager' });
+        expect(menu.getItem('bbq_chicken_pizza')).toMatchObject({ price_small: 14.5, price_large: 21, allergens: ['dairy', 'gluten'] });
+        expect(menu.getItem('Caesar Salad').available).toBe(false);
+        expect(menu.getItem('Tiramisu')).toBeNull();
+        expect(menu.getItem('Pepperoni Pizza')).toMatchObject({ price_medium: 17.49, price_small: 13.99 });
+        expect(catalog.getMenu('store_1', { version: 1 }).getItem('Tiramisu')).not.toBeNull();
+    });
+
+    test('rejects the whole update when any change is invalid', async () => {
+        const catalog = createCatalog();
+
+        await expect(catalog.applyChanges('store_1', [
+            { action: 'add', item: { name: 'Calzone' } },
+            { action: 'update', item: 'Soda', price: -1 },
+            { action: 'remove', item: 'Hawaiian Pizza' },
+            { action: 'price_change', item: 'Margherita Pizza', newPrice: 14 }
+        ], { now: NOW })).rejects.toMatchObject({
+            code: 'INVALID_MENU_CHANGE',
+            errors: ['Change 2: price must be a positive number']
+        });
+        await expect(catalog.applyChanges('store_1', [
+            { action: 'add', item: { name: 'Calzone' } },
+            { action: 'remove', item: 'Hawaiian Pizza' },
+            { action: 'price_change', item: 'Margherita Pizza', newPrice: 14 }
+        ], { now: NOW })).rejects.toMatchObject({
+            errors: [
+                'Change 1: Calzone needs a price or per-size prices',
+                'Change 2: Hawaiian Pizza is not on the menu',
+                'Change 3: Margherita Pizza has several sizes; give a size or oldPrice'
+            ]
+        });
+        expect(catalog.getHistory('store_1').versions).toHaveLength(1);
+    });
+
+    test('keeps changes with a future effective date until they are due', async () => {
+        const catalog = createCatalog();
+
+        const { scheduled, change } = await catalog.applyChanges('store_1', [
+            { action: 'price_change', item: 'Soda', newPrice: 2.99 }
+        ], { effectiveDate: TOMORROW, now: NOW });
+
+        expect(scheduled).toBe(true);
+        expect(catalog.getMenu('store_1').getItem('Soda').price).toBe(2.49);
+        expect(catalog.getStats()).toEqual({ restaurants: 1, versions: 1, scheduled: 1 });
+
+        const created = await catalog.activateDueChanges(new Date(TOMORROW.getTime() + 1000));
+
+        expect(created).toEqual([expect.objectContaining({ version: 2, scheduledChangeId: change.id, effectiveAt: TOMORROW.toISOString() })]);
+        expect(catalog.getMenu('store_1').getItem('Soda').price).toBe(2.99);
+        expect(catalog.getVersion('store_1', { at: NOW }).version).toBe(1);
+    });
+
+    test('marks a scheduled change failed when the menu no longer fits it', async () => {
+        const catalog = createCatalog();
+        const failures = [];
+        catalog.on('menu:change_failed', failure => failures.push(failure));
+        await catalog.applyChanges('store_1', [{ action: 'remove', item: 'Soda' }], { effectiveDate: TOMORROW, now: NOW });
+        await catalog.applyChanges('store_1', [{ action: 'remove', item: 'Soda' }], { now: NOW });
+
+        await catalog.activateDueChanges(TOMORROW);
+
+        expect(failures).toEqual([expect.objectContaining({ restaurantId: 'store_1', error: 'Invalid menu update: Change 1: Soda is not on the menu' })]);
+        expect(catalog.getHistory('store_1')).toMatchObject({ scheduled: [], failed: [expect.objectContaining({ failedAt: TOMORROW.toISOString() })] });
+    });
+
+    test('diffs two versions and rolls back to an earlier one', async () => {
+        const catalog = createCatalog();
+        await catalog.applyChanges('store_1', [
+            { action: 'price_change', item: 'Soda', newPrice: 2.99 },
+            { action: 'add', item: { name: 'Lemonade', price: 3.49 } }
+        ], { now: NOW });
+
+        expect(catalog.diff('store_1', 1)).toMatchObject({
+            from: 1,
+            to: 2,
+            added: [expect.objectContaining({ id: 'lemonade' })],
+            removed: [],
+            changed: [{ id: 'soda', name: 'Soda', fields: { price: { from: 2.49, to: 2.99 } } }]
+        });
+
+        const rolledBack = await catalog.rollback('store_1', 1, { updatedBy: 'Manager' });
+
+        expect(rolledBack).toMatchObject({ version: 3, changeType: 'rollback', rolledBackTo: 1 });
+        expect(catalog.diff('store_1', 1, 3)).toMatchObject({ added: [], removed: [], changed: [] });
+    });
+});
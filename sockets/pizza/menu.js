@@ -0,0 +1,145 @@
+/**
+ * Pizza Menu - Menu items (menu_item fields) and modifiers used to price orders
+ *
+ * Sized items carry price_small / price_medium / price_large; items sold in one size
+ * (sides, drinks) carry `price`. Modifier prices are a number or a price per size
+ */
+
+const EventEmitter = require('events');
+
+const SIZES = ['small', 'medium', 'large'];
+
+const DEFAULT_MENU = [
+    { id: 'margherita', name: 'Margherita Pizza', category: 'Pizzas', ingredients: ['tomato sauce', 'mozzarella', 'fresh basil'], allergens: ['dairy', 'gluten'], price_small: 12.99, price_medium: 15.99, price_large: 18.99, vegetarian: true },
+    { id: 'pepperoni', name: 'Pepperoni Pizza', category: 'Pizzas', ingredients: ['tomato sauce', 'mozzarella', 'pepperoni'], allergens: ['dairy', 'gluten'], price_small: 13.99, price_medium: 16.99, price_large: 19.99 },
+    { id: 'supreme', name: 'Supreme Pizza', category: 'Pizzas', ingredients: ['tomato sauce', 'mozzarella', 'pepperoni', 'sausage', 'peppers', 'onions', 'olives'], allergens: ['dairy', 'gluten'], price_small: 15.99, price_medium: 18.99, price_large: 21.99 },
+    { id: 'garlic_bread', name: 'Garlic Bread', category: 'Appetizers', allergens: ['dairy', 'gluten'], price: 5.99, vegetarian: true },
+    { id: 'caesar_salad', name: 'Caesar Salad', category: 'Salads', allergens: ['dairy', 'eggs', 'fish'], price: 8.99 },
+    { id: 'soda', name: 'Soda', category: 'Beverages', price: 2.49, vegan: true },
+    { id: 'tiramisu', name: 'Tiramisu', category: 'Desserts', price: 6.99, vegetarian: true }
+];
+
+const DEFAULT_MODIFIERS = {
+    extra_cheese: { name: 'Extra Cheese', price: { small: 1.5, medium: 2, large: 2.5 } },
+    pepperoni: { name: 'Pepperoni', price: { small: 1.5, medium: 2, large: 2.5 } },
+    mushrooms: { name: 'Mushrooms', price: { small: 1, medium: 1.5, large: 2 } },
+    onions: { name: 'Onions', price: { small: 1, medium: 1.5, large: 2 } },
+    olives: { name: 'Olives', price: { small: 1, medium: 1.5, large: 2 } },
+    jalapenos: { name: 'Jalapeños', price: { small: 1, medium: 1.5, large: 2 } },
+    gluten_free_crust: { name: 'Gluten-Free Crust', price: 3 },
+    light_sauce: { name: 'Light Sauce', price: 0 },
+    well_done: { name: 'Well Done', price: 0 }
+};
+
+/**
+ * Identifier for a menu item or modifier name ('BBQ Chicken Pizza' -> 'bbq_chicken_pizza')
+ */
+function toId(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+class PizzaMenu extends EventEmitter {
+    /**
+     * @param {Object} options - { items, modifiers }
+     */
+    constructor(options = {}) {
+        super();
+        this.items = new Map();
+        this.modifiers = new Map();
+
+        for (const item of options.items || DEFAULT_MENU) {
+            this.items.set(item.id || toId(item.name), { ...item, id: item.id || toId(item.name) });
+        }
+        for (const [id, modifier] of Object.entries(options.modifiers || DEFAULT_MODIFIERS)) {
+            this.modifiers.set(toId(id), { ...modifier, id: toId(id) });
+        }
+    }
+
+    /**
+     * Find an item by id or name
+     */
+    getItem(idOrName) {
+        const id = toId(idOrName);
+        if (this.items.has(id)) return this.items.get(id);
+
+        for (const item of this.items.values()) {
+            if (toId(item.name) === id) return item;
+        }
+        return null;
+    }
+
+    getItems(filter = {}) {
+        return Array.from(this.items.values())
+            .filter(item => !filter.category || item.category === filter.category);
+    }
+
+    /**
+     * Sizes an item is sold in; empty for single-price items
+     */
+    getSizes(item) {
+        return SIZES.filter(size => typeof item[`price_${size}`] === 'number');
+    }
+
+    /**
+     * Price of an item in a size; throws when the size is not offered
+     */
+    priceFor(item, size) {
+        const sizes = this.getSizes(item);
+        if (sizes.length === 0) {
+            if (typeof item.price !== 'number') {
+                throw new Error(`${item.name} has no price`);
+            }
+            return item.price;
+        }
+
+        if (!size) {
+            throw new Error(`${item.name} requires a size (${sizes.join(', ')})`);
+        }
+        if (!sizes.includes(size)) {
+            throw new Error(`${item.name} is not available in ${size} (${sizes.join(', ')})`);
+        }
+        return item[`price_${size}`];
+    }
+
+    getModifier(idOrName) {
+        const id = toId(idOrName);
+        if (this.modifiers.has(id)) return this.modifiers.get(id);
+
+        for (const modifier of this.modifiers.values()) {
+            if (toId(modifier.name) === id) return modifier;
+        }
+        return null;
+    }
+
+    /**
+     * Price of a modifier for an item size (per-size prices fall back to medium)
+     */
+    modifierPrice(modifier, size) {
+        if (typeof modifier.price === 'number') return modifier.price;
+        const prices = modifier.price || {};
+        return prices[size] !== undefined ? prices[size] : (prices.medium || 0);
+    }
+
+    toJSON() {
+        return {
+            items: Array.from(this.items.values()),
+            modifiers: Object.fromEntries(this.modifiers)
+        };
+    }
+
+    restore(snapshot = {}) {
+        if (snapshot.items) {
+            this.items = new Map(snapshot.items.map(item => [item.id, item]));
+        }
+        if (snapshot.modifiers) {
+            this.modifiers = new Map(Object.entries(snapshot.modifiers));
+        }
+    }
+}
+
+PizzaMenu.SIZES = SIZES;
+PizzaMenu.DEFAULT_MENU = DEFAULT_MENU;
+PizzaMenu.DEFAULT_MODIFIERS = DEFAULT_MODIFIERS;
+PizzaMenu.toId = toId;
+
+module.exports = PizzaMenu;
@@ -0,0 +1,367 @@
+/**
+ * Pizza Order Engine - Prices orders from the menu and tracks them through the kitchen
+ * Client-supplied totals are never trusted; every order is priced server-side
+ *
+ *   confirmed ──► preparing ──► ready ──► out_for_delivery ──► delivered
+ *       │             │           └──────────────────────────► delivered (pickup / dine-in)
+ *       └─────────────┴───────────┴──► cancelled
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const STATUSES = ['confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'];
+
+// Allowed status changes
+const TRANSITIONS = {
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'delivered', 'cancelled'],
+    out_for_delivery: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function parseTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function normalizeOrderType(orderType) {
+    return String(orderType || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+function orderError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+class OrderEngine extends JsonStore {
+    /**
+     * @param {Object} options - Engine options
+     * @param {PizzaMenu} options.menu - Menu used for pricing
+     * @param {string|null} options.directory - Directory for orders.json (null keeps data in memory only)
+     */
+    constructor(options = {}) {
+        super({ fileName: 'orders.json', directory: options.directory, namespace: 'pizza' });
+        this.menu = options.menu;
+
+        this.settings = {
+            orderTypes: [],
+            businessHours: {},
+            deliveryFee: 0,
+            freeDeliveryThreshold: null,
+            taxRate: 0,
+            estimatedTimes: { delivery: '30-45 minutes', default: '15-20 minutes' }
+        };
+
+        this.orders = new Map(); // orderId -> order
+    }
+
+    /**
+     * Apply ordering and delivery settings from the socket
+     * @param {Object} settings - { orderTypes, businessHours, deliveryFee, freeDeliveryThreshold, taxRate, estimatedTimes }
+     */
+    configure(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    restore(snapshot = {}) {
+        this.orders = new Map((snapshot.orders || []).map(order => [order.id, order]));
+    }
+
+    toJSON() {
+        return { orders: Array.from(this.orders.values()) };
+    }
+
+    /**
+     * Order type settings ({ name, fee, minimum }) for 'delivery', 'pickup' or 'dine-in'
+     */
+    getOrderType(orderType) {
+        const normalized = normalizeOrderType(orderType);
+        const settings = this.settings.orderTypes.find(type => normalizeOrderType(type.name) === normalized);
+        if (!settings) {
+            const available = this.settings.orderTypes.map(type => normalizeOrderType(type.name));
+            throw orderError('INVALID_ORDER', `Unknown order type: ${orderType}. Available: ${available.join(', ')}`, {
+                errors: [`Unknown order type: ${orderType}`]
+            });
+        }
+        return { ...settings, type: normalized };
+    }
+
+    /**
+     * Whether the restaurant takes orders at a time (closing times past midnight are supported)
+     */
+    isOpen(date = new Date()) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const today = this.settings.businessHours[WEEKDAYS[date.getDay()]];
+        const yesterday = this.settings.businessHours[WEEKDAYS[(date.getDay() + 6) % 7]];
+
+        if (today) {
+            const open = parseTime(today.open);
+            const close = parseTime(today.close);
+            if (close > open ? minutes >= open && minutes < close : minutes >= open) return true;
+        }
+
+        // Still inside yesterday's hours when they run past midnight
+        if (yesterday) {
+            const open = parseTime(yesterday.open);
+            const close = parseTime(yesterday.close);
+            if (close <= open && minutes < close) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Next opening time after a date, or null when no business hours are set
+     */
+    getNextOpening(date = new Date()) {
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+            const hours = this.settings.businessHours[WEEKDAYS[day.getDay()]];
+            if (!hours) continue;
+
+            const open = parseTime(hours.open);
+            const opening = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(open / 60), open % 60);
+            if (opening > date) return opening;
+        }
+        return null;
+    }
+
+    /**
+     * Price an order from the menu; throws with code INVALID_ORDER listing every problem
+     * Toppings that are already ingredients of the item are included at no charge
+     * @param {Object} request - { items: [{ name|itemId, size, quantity, modifiers }], orderType, menu, deliveryZone }
+     * @returns {Object} { orderType, items, subtotal, deliveryFee, tax, total }
+     */
+    priceOrder(request) {
+        const menu = request.menu || this.menu;
+        const orderType = this.getOrderType(request.orderType);
+        const errors = [];
+        const items = [];
+
+        if (!Array.isArray(request.items) || request.items.length === 0) {
+            errors.push('Order must contain at least one item');
+        }
+
+        (request.items || []).forEach((line, index) => {
+            const label = `Item ${index + 1}`;
+            const item = menu.getItem(line.itemId || line.name);
+            if (!item) {
+                errors.push(`${label}: ${line.itemId || line.name || 'unnamed item'} is not on the menu`);
+                return;
+            }
+            if (item.available === false) {
+                errors.push(`${label}: ${item.name} is not available`);
+                return;
+            }
+
+            const quantity = line.quantity === undefined ? 1 : Number(line.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > 50) {
+                errors.push(`${label}: quantity must be a whole number between 1 and 50`);
+                return;
+            }
+
+            let unitPrice;
+            const size = line.size ? String(line.size).toLowerCase() : null;
+            try {
+                unitPrice = menu.priceFor(item, size);
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+                return;
+            }
+
+            const modifiers = [];
+            const ingredients = (item.ingredients || []).map(ingredient => String(ingredient).toLowerCase());
+            for (const name of line.modifiers || line.toppings || []) {
+                if (ingredients.includes(String(name).trim().toLowerCase())) continue;
+
+                const modifier = menu.getModifier(name);
+                if (!modifier) {
+                    errors.push(`${label}: unknown modifier ${name}`);
+                    continue;
+                }
+                modifiers.push({ id: modifier.id, name: modifier.name, price: menu.modifierPrice(modifier, size) });
+            }
+
+            const unitTotal = unitPrice + modifiers.reduce((sum, modifier) => sum + modifier.price, 0);
+            items.push({
+                itemId: item.id,
+                name: item.name,
+                size: menu.getSizes(item).length ? size : null,
+                quantity,
+                unitPrice,
+                modifiers,
+                lineTotal: roundMoney(unitTotal * quantity)
+            });
+        });
+
+        if (errors.length > 0) {
+            throw orderError('INVALID_ORDER', `Invalid order: ${errors.join('; ')}`, { errors });
+        }
+
+        const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+        // Delivery zones may set their own fee and minimum
+        const zone = orderType.type === 'delivery' && request.deliveryZone ? request.deliveryZone : {};
+        const fee = zone.fee !== undefined && zone.fee !== null ? zone.fee : (orderType.fee || 0);
+        const minimum = zone.minimum !== undefined && zone.minimum !== null ? zone.minimum : (orderType.minimum || 0);
+        const threshold = this.settings.freeDeliveryThreshold;
+        const freeDelivery = orderType.type === 'delivery' && threshold !== null && subtotal >= threshold;
+        const deliveryFee = freeDelivery ? 0 : roundMoney(fee);
+        const tax = roundMoney(subtotal * this.settings.taxRate);
+
+        return {
+            orderType: orderType.type,
+            items,
+            subtotal,
+            deliveryFee,
+            freeDelivery,
+            tax,
+            taxRate: this.settings.taxRate,
+            total: roundMoney(subtotal + deliveryFee + tax),
+            minimum
+        };
+    }
+
+    /**
+     * Validate, price and confirm an order
+     * Throws with code CLOSED, INVALID_ORDER or BELOW_MINIMUM
+     * @param {Object} request - { restaurantId, menu, deliveryZone, customer, items, orderType, deliveryAddress, paymentMethod, specialInstructions, clientTotal }
+     * @param {Object} options - { now }
+     */
+    async placeOrder(request, options = {}) {
+        const now = options.now || new Date();
+        if (!this.isOpen(now)) {
+            const nextOpening = this.getNextOpening(now);
+            throw orderError('CLOSED', 'The restaurant is closed for online orders', {
+                nextOpening: nextOpening ? nextOpening.toISOString() : null
+            });
+        }
+
+        const pricing = this.priceOrder(request);
+        const errors = [];
+        if (!request.customer || (!request.customer.phone && !request.customer.email)) {
+            errors.push('customerInfo requires a phone or email');
+        }
+        if (pricing.orderType === 'delivery' && !request.deliveryAddress) {
+            errors.push('deliveryAddress is required for delivery orders');
+        }
+        if (errors.length > 0) {
+            throw orderError('INVALID_ORDER', `Invalid order: ${errors.join('; ')}`, { errors });
+        }
+
+        if (pricing.subtotal < pricing.minimum) {
+            throw orderError('BELOW_MINIMUM',
+                `${pricing.orderType} orders require a minimum of $${pricing.minimum.toFixed(2)} (subtotal $${pricing.subtotal.toFixed(2)})`,
+                { minimum: pricing.minimum, subtotal: pricing.subtotal });
+        }
+
+        const estimatedTimes = this.settings.estimatedTimes;
+        const order = {
+            id: `pizza_order_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            status: 'confirmed',
+            restaurantId: request.restaurantId || null,
+            customer: request.customer,
+            orderType: pricing.orderType,
+            deliveryAddress: request.deliveryAddress || null,
+            paymentMethod: request.paymentMethod || null,
+            specialInstructions: request.specialInstructions || null,
+            items: pricing.items,
+            pricing: {
+                subtotal: pricing.subtotal,
+                deliveryFee: pricing.deliveryFee,
+                freeDelivery: pricing.freeDelivery,
+                tax: pricing.tax,
+                total: pricing.total
+            },
+            estimatedTime: estimatedTimes[pricing.orderType] || estimatedTimes.default,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            history: [{ status: 'confirmed', at: now.toISOString(), note: null }]
+        };
+
+        // Record when the client's total disagreed with the server price
+        if (request.clientTotal !== undefined && request.clientTotal !== null &&
+            Math.abs(Number(request.clientTotal) - pricing.total) > 0.009) {
+            order.clientTotal = Number(request.clientTotal);
+        }
+
+        this.orders.set(order.id, order);
+        await this.save();
+        this.emit('order:created', order);
+        return order;
+    }
+
+    /**
+     * Move an order to a new status; throws with code INVALID_TRANSITION
+     */
+    async updateStatus(orderId, status, options = {}) {
+        const order = this.get(orderId);
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Unknown order status: ${status}. Available: ${STATUSES.join(', ')}`);
+        }
+
+        const allowed = TRANSITIONS[order.status].filter(next =>
+            !(next === 'out_for_delivery' && order.orderType !== 'delivery')
+        );
+        if (!allowed.includes(status)) {
+            throw orderError('INVALID_TRANSITION',
+                `Order ${orderId} cannot go from ${order.status} to ${status}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''));
+        }
+
+        const from = order.status;
+        const at = new Date().toISOString();
+        order.status = status;
+        order.updatedAt = at;
+        order.history.push({ status, at, note: options.note || null, by: options.by || null });
+
+        await this.save();
+        this.emit('order:status_changed', { order, from, to: status });
+        return order;
+    }
+
+    get(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            throw new Error(`Unknown order: ${orderId}`);
+        }
+        return order;
+    }
+
+    /**
+     * List orders, optionally by status or customer phone
+     */
+    list(filter = {}) {
+        return Array.from(this.orders.values())
+            .filter(order => !filter.status || order.status === filter.status)
+            .filter(order => !filter.customerPhone || (order.customer && order.customer.phone === filter.customerPhone))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    getStats() {
+        const stats = { total: this.orders.size };
+        for (const status of STATUSES) {
+            stats[status] = 0;
+        }
+        for (const order of this.orders.values()) {
+            stats[order.status]++;
+        }
+        return stats;
+    }
+}
+
+OrderEngine.STATUSES = STATUSES;
+OrderEngine.TRANSITIONS = TRANSITIONS;
+
+module.exports = OrderEngine;
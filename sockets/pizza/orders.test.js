@@ -0,0 +1,131 @@
+const OrderEngine = require('./orders');
+const PizzaMenu = require('./menu');
+
+// Friday 4 January 2030, local time
+const FRIDAY_EVENING = new Date(2030, 0, 4, 19, 0);
+const CUSTOMER = { name: 'Sam', phone: '555-0100' };
+
+function createEngine(settings = {}) {
+    const engine = new OrderEngine({ menu: new PizzaMenu(), directory: null });
+    engine.configure({
+        orderTypes: [{ name: 'delivery', fee: 2.99, minimum: 15 }, { name: 'pickup' }, { name: 'dine-in' }],
+        businessHours: { friday: { open: '11:00', close: '02:00' }, saturday: { open: '11:00', close: '23:00' } },
+        taxRate: 0.08,
+        ...settings
+    });
+    return engine;
+}
+
+function placeOrder(engine, overrides = {}) {
+    return engine.placeOrder({
+        customer: CUSTOMER,
+        orderType: 'pickup',
+        items: [{ name: 'Margherita Pizza', size: 'medium' }],
+        ...overrides
+    }, { now: FRIDAY_EVENING });
+}
+
+describe('OrderEngine', () => {
+    test('prices orders from the menu, including modifiers, delivery fee and tax', () => {
+        const pricing = createEngine().priceOrder({
+            orderType: 'Delivery',
+            items: [
+                { name: 'pepperoni pizza', size: 'Large', quantity: 2, modifiers: ['Extra Cheese', 'pepperoni'] },
+                { itemId: 'garlic_bread' }
+            ]
+        });
+
+        expect(pricing.items[0]).toMatchObject({
+            itemId: 'pepperoni',
+            size: 'large',
+            unitPrice: 19.99,
+            modifiers: [{ id: 'extra_cheese', name: 'Extra Cheese', price: 2.5 }],
+            lineTotal: 44.98
+        });
+        expect(pricing.items[1]).toMatchObject({ name: 'Garlic Bread', size: null, lineTotal: 5.99 });
+        expect(pricing).toMatchObject({ orderType: 'delivery', subtotal: 50.97, deliveryFee: 2.99, tax: 4.08, total: 58.04, minimum: 15 });
+    });
+
+    test('lets a delivery zone override the fee and waives it above the free delivery threshold', () => {
+        const engine = createEngine({ freeDeliveryThreshold: 30 });
+        const items = [{ name: 'Margherita Pizza', size: 'small' }];
+
+        expect(engine.priceOrder({ orderType: 'delivery', items, deliveryZone: { fee: 4.5, minimum: 10 } }))
+            .toMatchObject({ deliveryFee: 4.5, minimum: 10, freeDelivery: false });
+        expect(engine.priceOrder({ orderType: 'delivery', items: [{ ...items[0], quantity: 3 }] }))
+            .toMatchObject({ deliveryFee: 0, freeDelivery: true });
+    });
+
+    test('lists every problem with an order at once', () => {
+        expect(() => createEngine().priceOrder({
+            orderType: 'pickup',
+            items: [
+                { name: 'Hawaiian Pizza', size: 'large' },
+                { name: 'Margherita Pizza' },
+                { name: 'Soda', quantity: 0 },
+                { name: 'Pepperoni Pizza', size: 'medium', modifiers: ['pineapple'] }
+            ]
+        })).toThrow(expect.objectContaining({
+            code: 'INVALID_ORDER',
+            errors: [
+                'Item 1: Hawaiian Pizza is not on the menu',
+                'Item 2: Margherita Pizza requires a size (small, medium, large)',
+                'Item 3: quantity must be a whole number between 1 and 50',
+                'Item 4: unknown modifier pineapple'
+            ]
+        }));
+        expect(() => createEngine().priceOrder({ orderType: 'drive-through', items: [] }))
+            .toThrow('Unknown order type: drive-through. Available: delivery, pickup, dine-in');
+    });
+
+    test('takes orders during business hours, including hours past midnight', () => {
+        const engine = createEngine();
+
+        expect(engine.isOpen(FRIDAY_EVENING)).toBe(true);
+        expect(engine.isOpen(new Date(2030, 0, 5, 1, 30))).toBe(true);
+        expect(engine.isOpen(new Date(2030, 0, 5, 9, 0))).toBe(false);
+        expect(engine.getNextOpening(new Date(2030, 0, 5, 9, 0))).toEqual(new Date(2030, 0, 5, 11, 0));
+        expect(engine.getNextOpening(new Date(2030, 0, 6, 12, 0))).toEqual(new Date(2030, 0, 11, 11, 0));
+    });
+
+    test('refuses orders while closed or below the order type minimum', async () => {
+        const engine = createEngine();
+
+        await expect(engine.placeOrder({ customer: CUSTOMER, orderType: 'pickup', items: [{ name: 'Soda' }] }, { now: new Date(2030, 0, 5, 9, 0) }))
+            .rejects.toMatchObject({ code: 'CLOSED', nextOpening: new Date(2030, 0, 5, 11, 0).toISOString() });
+        await expect(placeOrder(engine, { orderType: 'delivery', items: [{ name: 'Soda' }], deliveryAddress: { street: '1 Main St' } }))
+            .rejects.toMatchObject({ code: 'BELOW_MINIMUM', minimum: 15, subtotal: 2.49 });
+        await expect(placeOrder(engine, { customer: { name: 'Sam' }, orderType: 'delivery' }))
+            .rejects.toMatchObject({
+                code: 'INVALID_ORDER',
+                errors: ['customerInfo requires a phone or email', 'deliveryAddress is required for delivery orders']
+            });
+    });
+
+    test('prices orders on the server and keeps a mismatching client total for review', async () => {
+        const engine = createEngine();
+
+        const order = await placeOrder(engine, { clientTotal: 1 });
+        const matching = await placeOrder(engine, { clientTotal: 17.27 });
+
+        expect(order).toMatchObject({ status: 'confirmed', pricing: { subtotal: 15.99, tax: 1.28, total: 17.27 }, clientTotal: 1 });
+        expect(order.estimatedTime).toBe('15-20 minutes');
+        expect(matching).not.toHaveProperty('clientTotal');
+    });
+
+    test('moves orders through the kitchen and refuses skipped or reversed steps', async () => {
+        const engine = createEngine();
+        const pickup = await placeOrder(engine);
+
+        await expect(engine.updateStatus(pickup.id, 'ready')).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        await engine.updateStatus(pickup.id, 'preparing');
+        await engine.updateStatus(pickup.id, 'ready', { by: 'Kitchen' });
+        await expect(engine.updateStatus(pickup.id, 'out_for_delivery'))
+            .rejects.toThrow(`Order ${pickup.id} cannot go from ready to out_for_delivery (allowed: delivered, cancelled)`);
+        const delivered = await engine.updateStatus(pickup.id, 'delivered');
+
+        expect(delivered.history.map(entry => entry.status)).toEqual(['confirmed', 'preparing', 'ready', 'delivered']);
+        await expect(engine.updateStatus(pickup.id, 'cancelled')).rejects.toThrow('cannot go from delivered to cancelled');
+        expect(engine.getStats()).toMatchObject({ total: 1, delivered: 1 });
+    });
+});
@@ -1,29 +1,127 @@
 /**
  * General Restaurant Socket
  * Specialized WordPress & SEO automation for restaurants
+ * Handles table reservations, the walk-in waitlist, no-show tracking and catering quotes
  */
 
-const EventEmitter = require('events');
 const chalk = require('chalk');
+const BaseSocket = require('../../core/base-socket');
+const { pick } = require('../../core/event-data');
+const ReservationBook = require('./reservations');
+const CateringDesk = require('../../core/catering');
 
-class RestaurantSocket extends EventEmitter {
+// WebSocket room for the host stand: every reservation and waitlist change
+const HOST_ROOM = 'restaurant_host';
+// WebSocket room for catering quotes, acceptances and payments
+const CATERING_ROOM = 'restaurant_catering';
+
+const CATERING_PACKAGES = [
+    { id: 'lunch_buffet', name: 'Lunch Buffet', pricing: 'per_head', pricePerHead: 22, minGuests: 15, includes: ['Two entrées', 'Two sides', 'Salad', 'Bread service', 'Iced tea and lemonade'] },
+    { id: 'dinner_buffet', name: 'Dinner Buffet', pricing: 'per_head', pricePerHead: 38, minGuests: 20, includes: ['Three entrées', 'Three sides', 'Salad', 'Dessert station', 'Coffee service'] },
+    { id: 'plated_dinner', name: 'Plated Dinner', pricing: 'per_head', pricePerHead: 65, minGuests: 20, maxGuests: 120, leadTimeHours: 10 * 24, includes: ['Three courses', 'Choice of two entrées', 'Wine pairing available'] },
+    { id: 'appetizer_platters', name: 'Appetizer Platters', pricing: 'package', price: 95, serves: 12, includes: ['Seasonal crudités', 'Cheese and charcuterie', 'Bruschetta'] },
+    { id: 'private_dining', name: 'Private Dining Room', pricing: 'package', price: 1500, serves: 40, minGuests: 10, maxGuests: 40, includes: ['Room hire for 4 hours', 'Family-style three-course menu', 'Dedicated server'] }
+];
+
+const CATERING_ADD_ONS = [
+    { id: 'bar_package', name: 'Beer and wine bar', price: 18, per: 'guest' },
+    { id: 'dessert_platter', name: 'Dessert platter', price: 45, per: 'order' },
+    { id: 'linen_rental', name: 'Table linens', price: 12, per: 'order' },
+    { id: 'disposables', name: 'Plates, napkins and cutlery', price: 1.25, per: 'guest' }
+];
+
+class RestaurantSocket extends BaseSocket {
     constructor(config = {}) {
-        super();
-        this.businessType = 'restaurant';
-        this.config = {
-            siteName: config.siteName || 'Restaurant',
-            location: config.location || 'Your City',
-            cuisine: config.cuisine || 'American',
-            services: config.services || [
+        super('restaurant', config, {
+            siteName: 'Restaurant',
+            cuisine: 'American',
+            services: [
                 'Dine-In',
                 'Takeout',
                 'Delivery',
                 'Catering',
                 'Private Events'
-            ],
-            ...config
-        };
-        this.isInitialized = false;
+            ]
+        });
+        
+        // Tables, service periods and the waitlist (config.reservations: { directory, tables, servicePeriods, turnTimes })
+        // Guests hear about their own bookings on the client they booked from
+        this.reservations = new ReservationBook(this.getStoreConfig('reservations'));
+        this.reservations.on('reservation:created', reservation => {
+            this.emit('reservation:created', reservation);
+            this.notifyReservation(reservation, 'reservation_confirmation');
+        });
+        this.reservations.on('reservation:modified', ({ reservation, previous }) => {
+            this.emit('reservation:modified', { reservation, previous });
+            this.notifyReservation(reservation, 'reservation_confirmation');
+        });
+        this.reservations.on('reservation:cancelled', ({ reservation, lateCancellation }) => {
+            this.emit('reservation:cancelled', { reservation, lateCancellation });
+            this.notifyReservation(reservation, 'reservation_cancelled');
+        });
+        this.reservations.on('reservation:seated', reservation => {
+            this.notify(HOST_ROOM, 'reservation_status', this.describeReservation(reservation));
+        });
+        this.reservations.on('reservation:completed', reservation => {
+            this.notify(HOST_ROOM, 'reservation_status', this.describeReservation(reservation));
+            this.pushWaitlistQuotes();
+        });
+        this.reservations.on('reservation:no_show', ({ reservation, noShows }) => {
+            this.emit('reservation:no_show', { reservation, noShows });
+            this.notifyReservation(reservation, 'reservation_no_show');
+        });
+        this.reservations.on('waitlist:joined', ({ entry, position }) => {
+            this.notify(HOST_ROOM, 'waitlist_updated', { entryId: entry.id, name: entry.guest.name, partySize: entry.partySize, position });
+            this.notifyClient(entry.clientId, 'waitlist_quote', {
+                entryId: entry.id,
+                position,
+                waitMinutes: entry.quotedMinutes,
+                message: this.waitMessage(entry.quotedMinutes, position)
+            });
+        });
+        this.reservations.on('waitlist:ready', entry => {
+            this.notify(HOST_ROOM, 'waitlist_updated', { entryId: entry.id, status: entry.status });
+            this.notifyClient(entry.clientId, 'waitlist_ready', {
+                entryId: entry.id,
+                tableId: entry.tableId,
+                message: `${entry.guest.name}, your table is ready - please come to the host stand`
+            });
+        });
+        for (const eventName of ['waitlist:seated', 'waitlist:left']) {
+            this.reservations.on(eventName, payload => {
+                const entry = payload.entry || payload;
+                this.notify(HOST_ROOM, 'waitlist_updated', { entryId: entry.id, status: entry.status });
+                this.pushWaitlistQuotes();
+            });
+        }
+
+        // Catering and private events (config.catering: { directory, packages, addOns, depositRate, ... })
+        this.catering = new CateringDesk({
+            businessType: 'restaurant',
+            packages: CATERING_PACKAGES,
+            addOns: CATERING_ADD_ONS,
+            ...this.getStoreConfig('catering')
+        });
+        this.catering.on('catering:quoted', quote => {
+            this.emit('catering:quoted', quote);
+            this.notify(CATERING_ROOM, 'catering_quote', {
+                quoteId: quote.id,
+                number: quote.number,
+                customer: quote.customer.name,
+                eventDate: quote.event.date,
+                guests: quote.event.guests,
+                total: quote.total
+            });
+        });
+        this.catering.on('catering:status_changed', ({ quote, from, to }) => {
+            this.emit('catering:status_changed', { quote, from, to });
+            const update = { quoteId: quote.id, number: quote.number, from, to, amountPaid: quote.amountPaid, total: quote.total };
+            this.notify(CATERING_ROOM, 'catering_status', update);
+            this.notifyClient(quote.clientId, 'catering_status', update);
+        });
+        this.catering.on('catering:payment', ({ quote, payment }) => {
+            this.notify(CATERING_ROOM, 'catering_payment', { quoteId: quote.id, number: quote.number, ...payment });
+        });
     }
 
     async initialize() {
@@ -32,6 +130,8 @@ class RestaurantSocket extends EventEmitter {
         try {
             await this.loadTemplates();
             await this.setupSEOConfig();
+            await this.reservations.load();
+            await this.catering.load();
             
             this.isInitialized = true;
             console.log(chalk.green('✅ Restaurant socket initialized successfully'));
@@ -93,16 +193,692 @@ class RestaurantSocket extends EventEmitter {
         };
     }
 
+    /**
+     * Restaurant event handlers
+     */
+    getEventHandlers() {
+        return {
+            reservation_availability: this.handleReservationAvailability,
+            reservation_request: this.handleReservationRequest,
+            reservation_modification: this.handleReservationModification,
+            reservation_cancellation: this.handleReservationCancellation,
+            reservation_lookup: this.handleReservationLookup,
+            reservation_seat: this.handleReservationSeat,
+            reservation_complete: this.handleReservationComplete,
+            reservation_no_show: this.handleReservationNoShow,
+            waitlist_join: this.handleWaitlistJoin,
+            waitlist_status: this.handleWaitlistStatus,
+            waitlist_leave: this.handleWaitlistLeave,
+            waitlist_notify: this.handleWaitlistNotify,
+            waitlist_seat: this.handleWaitlistSeat,
+            table_update: this.handleTableUpdate,
+            host_sheet: this.handleHostSheet,
+            ...CateringDesk.eventHandlers
+        };
+    }
+
+    /**
+     * Handle availability queries - bookable times for a party on a day
+     */
+    async handleReservationAvailability(data) {
+        const partySize = Number(pick(data, 'party_size', 'partySize')) || 2;
+        
+        return {
+            success: true,
+            date: data.date,
+            partySize,
+            servicePeriods: this.reservations.getAvailability(data.date || new Date(), partySize)
+        };
+    }
+
+    /**
+     * Handle reservation requests; staff can book on behalf of a guest
+     */
+    async handleReservationRequest(data, event = {}) {
+        console.log(chalk.blue('📅 Processing reservation request...'));
+        
+        const staff = !event.actor || event.actor.isAdmin;
+        try {
+            const reservation = await this.reservations.create({
+                guest: this.guestFrom(data),
+                partySize: pick(data, 'party_size', 'partySize'),
+                dateTime: this.dateTimeFrom(data),
+                tableId: staff ? pick(data, 'table_id', 'tableId') : undefined,
+                specialRequests: pick(data, 'special_requests', 'specialRequests'),
+                occasion: data.occasion,
+                source: staff ? data.source || 'staff' : 'online',
+                clientId: staff ? null : event.actor.clientId
+            }, { by: event.actor ? event.actor.name : null, override: staff && data.override === true });
+            
+            return {
+                success: true,
+                reservationId: reservation.id,
+                confirmationCode: reservation.confirmationCode,
+                message: this.confirmationMessage(reservation),
+                reservation: this.describeReservation(reservation)
+            };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle changes to party size, time or requests
+     */
+    async handleReservationModification(data, event = {}) {
+        try {
+            const staff = !event.actor || event.actor.isAdmin;
+            const date = pick(data, 'date_time', 'dateTime', 'date');
+            const reservation = await this.reservations.modify(this.reservationReference(data), {
+                partySize: pick(data, 'party_size', 'partySize'),
+                dateTime: date !== undefined ? this.dateTimeFrom(data) : undefined,
+                tableId: staff ? pick(data, 'table_id', 'tableId') : undefined,
+                specialRequests: pick(data, 'special_requests', 'specialRequests'),
+                occasion: data.occasion
+            }, { by: event.actor ? event.actor.name : null });
+            
+            return {
+                success: true,
+                reservationId: reservation.id,
+                message: this.confirmationMessage(reservation, 'updated'),
+                reservation: this.describeReservation(reservation)
+            };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle reservation cancellation
+     */
+    async handleReservationCancellation(data, event = {}) {
+        try {
+            const reservation = await this.reservations.cancel(this.reservationReference(data), {
+                reason: data.reason,
+                by: event.actor ? event.actor.name : null
+            });
+            
+            return {
+                success: true,
+                reservationId: reservation.id,
+                lateCancellation: reservation.cancellation.late,
+                message: this.confirmationMessage(reservation, 'cancelled')
+            };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle lookups by reservation ID or confirmation code, or a guest's upcoming reservations
+     */
+    async handleReservationLookup(data) {
+        const reference = this.reservationReference(data);
+        if (reference) {
+            return { success: true, reservation: this.describeReservation(this.reservations.get(reference)) };
+        }
+        
+        const guest = this.guestFrom(data);
+        return {
+            success: true,
+            reservations: this.reservations.findByGuest(guest).map(reservation => this.describeReservation(reservation))
+        };
+    }
+
+    /**
+     * Handle seating an arriving party
+     */
+    async handleReservationSeat(data, event = {}) {
+        try {
+            const reservation = await this.reservations.seat(this.reservationReference(data), {
+                tableId: pick(data, 'table_id', 'tableId'),
+                by: event.actor ? event.actor.name : null
+            });
+            return { success: true, reservation: this.describeReservation(reservation) };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle a party leaving - frees the table for the waitlist
+     */
+    async handleReservationComplete(data, event = {}) {
+        try {
+            const reservation = await this.reservations.complete(this.reservationReference(data), {
+                by: event.actor ? event.actor.name : null
+            });
+            return { success: true, reservation: this.describeReservation(reservation) };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle no-shows; without a reservation every overdue booking is marked
+     */
+    async handleReservationNoShow(data, event = {}) {
+        try {
+            const reference = this.reservationReference(data);
+            const marked = reference
+                ? [await this.reservations.markNoShow(reference, { by: event.actor ? event.actor.name : null })]
+                : await this.reservations.processNoShows();
+            
+            return {
+                success: true,
+                noShows: marked.map(reservation => ({
+                    ...this.describeReservation(reservation),
+                    guestNoShows: (this.reservations.getGuestHistory(reservation.guest) || {}).noShows || 1
+                }))
+            };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle walk-ins joining the waitlist
+     */
+    async handleWaitlistJoin(data, event = {}) {
+        console.log(chalk.blue('⏳ Adding party to the waitlist...'));
+        
+        const staff = !event.actor || event.actor.isAdmin;
+        try {
+            const { entry, position } = await this.reservations.joinWaitlist({
+                guest: this.guestFrom(data),
+                partySize: pick(data, 'party_size', 'partySize'),
+                notes: data.notes,
+                clientId: staff ? null : event.actor.clientId
+            });
+            
+            return {
+                success: true,
+                entryId: entry.id,
+                position,
+                waitMinutes: entry.quotedMinutes,
+                message: this.waitMessage(entry.quotedMinutes, position)
+            };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle waitlist queries - one party's place and wait, or the whole list
+     */
+    async handleWaitlistStatus(data) {
+        const entryId = pick(data, 'entry_id', 'entryId');
+        const quotes = this.reservations.getWaitlistQuotes();
+        
+        if (entryId) {
+            const entry = this.reservations.getWaitlistEntry(entryId);
+            const quote = quotes.find(candidate => candidate.entry.id === entryId);
+            return {
+                success: true,
+                entryId,
+                status: entry.status,
+                position: quote ? quote.position : null,
+                waitMinutes: quote ? quote.waitMinutes : null,
+                quotedMinutes: entry.quotedMinutes
+            };
+        }
+        
+        return {
+            success: true,
+            waitlist: quotes.map(({ entry, position, waitMinutes }) => ({
+                entryId: entry.id,
+                name: entry.guest.name,
+                partySize: entry.partySize,
+                status: entry.status,
+                position,
+                waitMinutes,
+                joinedAt: entry.joinedAt
+            }))
+        };
+    }
+
+    /**
+     * Handle parties leaving the waitlist
+     */
+    async handleWaitlistLeave(data) {
+        try {
+            const entry = await this.reservations.leaveWaitlist(pick(data, 'entry_id', 'entryId'), data.reason);
+            return { success: true, entryId: entry.id, message: 'Removed from the waitlist' };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle "table ready" messages to a waiting party
+     */
+    async handleWaitlistNotify(data) {
+        try {
+            const entry = await this.reservations.notifyWaitlist(pick(data, 'entry_id', 'entryId'), {
+                tableId: pick(data, 'table_id', 'tableId')
+            });
+            return { success: true, entryId: entry.id, notified: Boolean(entry.clientId) };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle seating a waiting party
+     */
+    async handleWaitlistSeat(data, event = {}) {
+        try {
+            const { entry, reservation } = await this.reservations.seatFromWaitlist(pick(data, 'entry_id', 'entryId'), {
+                tableId: pick(data, 'table_id', 'tableId'),
+                by: event.actor ? event.actor.name : null
+            });
+            
+            return {
+                success: true,
+                entryId: entry.id,
+                waitedMinutes: entry.waitedMinutes,
+                quotedMinutes: entry.quotedMinutes,
+                reservation: this.describeReservation(reservation)
+            };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle adding, changing or removing tables
+     */
+    async handleTableUpdate(data) {
+        const tableId = pick(data, 'table_id', 'tableId');
+        try {
+            if (data.remove === true) {
+                await this.reservations.removeTable(tableId);
+                return { success: true, tableId, removed: true };
+            }
+            
+            const table = await this.reservations.upsertTable(Object.fromEntries(Object.entries({
+                id: tableId,
+                capacity: data.capacity,
+                minParty: pick(data, 'min_party', 'minParty'),
+                section: data.section,
+                active: data.active
+            }).filter(([, value]) => value !== undefined)));
+            return { success: true, table };
+        } catch (error) {
+            return this.reservationErrorResponse(error);
+        }
+    }
+
+    /**
+     * Handle host stand overviews for a day
+     */
+    async handleHostSheet(data) {
+        const sheet = this.reservations.getDaySheet(data.date || new Date());
+        
+        return {
+            success: true,
+            ...sheet,
+            reservations: sheet.reservations.map(reservation => ({
+                ...this.describeReservation(reservation),
+                guest: reservation.guest,
+                guestHistory: this.reservations.getGuestHistory(reservation.guest)
+            })),
+            waitlist: this.reservations.getWaitlistQuotes().length
+        };
+    }
+
+    /**
+     * Guest details from { guest }, { guestInfo }, or flat name/phone/email fields
+     */
+    guestFrom(data) {
+        const guest = pick(data, 'guest', 'guest_info', 'guestInfo') || {};
+        return {
+            name: guest.name || pick(data, 'guest_name', 'guestName', 'name'),
+            phone: guest.phone || data.phone,
+            email: guest.email || data.email
+        };
+    }
+
+    /**
+     * Reservation start from dateTime, or a separate date and time
+     */
+    dateTimeFrom(data) {
+        const dateTime = pick(data, 'date_time', 'dateTime');
+        if (dateTime) return dateTime;
+        return data.time ? `${data.date}T${data.time}` : data.date;
+    }
+
+    reservationReference(data) {
+        return pick(data, 'reservation_id', 'reservationId', 'confirmation_code', 'confirmationCode');
+    }
+
+    /**
+     * Reservation details shared with the guest and the host stand (contact details left out)
+     */
+    describeReservation(reservation) {
+        return {
+            reservationId: reservation.id,
+            confirmationCode: reservation.confirmationCode,
+            name: reservation.guest.name,
+            partySize: reservation.partySize,
+            start: reservation.start,
+            end: reservation.end,
+            servicePeriod: reservation.servicePeriod,
+            tableId: reservation.tableId,
+            status: reservation.status,
+            source: reservation.source,
+            specialRequests: reservation.specialRequests,
+            occasion: reservation.occasion
+        };
+    }
+
+    confirmationMessage(reservation, action = 'confirmed') {
+        const when = new Date(reservation.start).toLocaleString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        const code = reservation.confirmationCode ? ` Confirmation code: ${reservation.confirmationCode}.` : '';
+        return `Your table for ${reservation.partySize} at ${this.config.siteName} on ${when} is ${action}.${action === 'cancelled' ? '' : code}`;
+    }
+
+    waitMessage(waitMinutes, position) {
+        if (waitMinutes === null) return 'We will seat you as soon as a table opens up';
+        return waitMinutes === 0
+            ? 'A table is available now'
+            : `You are number ${position} on the waitlist - about ${waitMinutes} minutes`;
+    }
+
+    /**
+     * Tell the host stand and the guest's client about a reservation change
+     */
+    notifyReservation(reservation, eventType) {
+        const details = this.describeReservation(reservation);
+        this.notify(HOST_ROOM, eventType, details);
+        
+        const messages = {
+            reservation_confirmation: this.confirmationMessage(reservation, reservation.history.length > 1 ? 'updated' : 'confirmed'),
+            reservation_cancelled: this.confirmationMessage(reservation, 'cancelled'),
+            reservation_no_show: `We missed you at ${this.config.siteName} - your reservation has been released`
+        };
+        this.notifyClient(reservation.clientId, eventType, { ...details, message: messages[eventType] });
+    }
+
+    /**
+     * Send updated places and waits to every waiting party
+     */
+    pushWaitlistQuotes() {
+        for (const { entry, position, waitMinutes } of this.reservations.getWaitlistQuotes()) {
+            if (entry.status !== 'waiting') continue;
+            this.notifyClient(entry.clientId, 'waitlist_quote', {
+                entryId: entry.id,
+                position,
+                waitMinutes,
+                message: this.waitMessage(waitMinutes, position)
+            });
+        }
+    }
+
+    /**
+     * Reservation errors are reported to the caller, anything else is rethrown
+     */
+    reservationErrorResponse(error) {
+        switch (error.code) {
+            case 'INVALID_RESERVATION':
+            case 'INVALID_WAITLIST':
+            case 'INVALID_TABLE':
+                return { success: false, code: error.code, message: error.message, errors: error.errors };
+            case 'NO_AVAILABILITY':
+                return { success: false, code: error.code, message: error.message, alternatives: error.alternatives, waitMinutes: error.waitMinutes };
+            case 'TABLE_IN_USE':
+                return { success: false, code: error.code, message: error.message, reservations: error.reservations };
+            case 'INVALID_TRANSITION':
+                return { success: false, code: error.code, message: error.message, status: error.status };
+            case 'GUEST_RESTRICTED':
+                return { success: false, code: error.code, message: error.message };
+            default:
+                throw error;
+        }
+    }
+
+    /**
+     * Reservations, tables, guest history and catering quotes included in migration exports
+     */
+    exportState() {
+        return {
+            reservations: this.reservations.toJSON(),
+            catering: this.catering.toJSON()
+        };
+    }
+
+    /**
+     * Restore reservations and catering quotes from a migration export
+     */
+    importState(data) {
+        if (data.reservations) {
+            this.reservations.restore(data.reservations);
+        }
+        if (data.catering) {
+            this.catering.restore(data.catering);
+        }
+    }
+
     getStatus() {
         return {
-            businessType: this.businessType,
-            isInitialized: this.isInitialized,
-            siteName: this.config.siteName,
-            location: this.config.location,
+            ...super.getStatus(),
             cuisine: this.config.cuisine,
-            services: this.config.services.length
+            reservations: this.reservations.getStats(),
+            catering: this.catering.getStats()
         };
     }
+
+    /**
+     * Shutdown the socket once pending reservation and catering writes are saved
+     */
+    async shutdown() {
+        await this.reservations.flush();
+        await this.catering.flush();
+        await super.shutdown();
+    }
 }
 
+/**
+ * Socket metadata read by the socket registry
+ */
+RestaurantSocket.metadata = {
+    name: 'General Restaurants',
+    description: 'Dining establishments and reservation management',
+    color: '#f56e28',
+    features: ['reservation_system', 'menu_display', 'review_management', 'waitlist', 'no_show_tracking', 'catering'],
+    events: {
+        reservation_availability: {
+            description: 'Bookable reservation times for a party on a day',
+            fields: [
+                { name: 'date', type: 'date', required: true, description: 'Day to check' },
+                { name: 'partySize', type: 'number', required: true, description: 'Number of guests' }
+            ],
+            sampleData: {
+                date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+                partySize: 4
+            }
+        },
+        reservation_request: {
+            description: 'Book a table; the guest is sent a confirmation',
+            fields: [
+                { name: 'guest', type: 'object', required: true, description: 'Guest name, phone and email' },
+                { name: 'partySize', type: 'number', required: true, description: 'Number of guests' },
+                { name: 'date', type: 'date', required: true, description: 'Reservation date' },
+                { name: 'time', type: 'string', required: true, description: 'Reservation time (HH:MM)' },
+                { name: 'specialRequests', type: 'text', required: false, description: 'Seating or dietary requests' },
+                { name: 'occasion', type: 'string', required: false, description: 'Birthday, anniversary, ...' },
+                { name: 'tableId', type: 'string', required: false, description: 'Specific table (staff only)' }
+            ],
+            sampleData: {
+                guest: { name: 'Maria Lopez', phone: '555-0188', email: 'maria@email.com' },
+                partySize: 4,
+                date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+                time: '19:00',
+                specialRequests: 'Window seat if possible',
+                occasion: 'birthday'
+            }
+        },
+        reservation_modification: {
+            description: 'Change party size, time or requests of a reservation',
+            fields: [
+                { name: 'confirmationCode', type: 'string', required: true, description: 'Confirmation code or reservation ID' },
+                { name: 'partySize', type: 'number', required: false, description: 'New number of guests' },
+                { name: 'date', type: 'date', required: false, description: 'New date' },
+                { name: 'time', type: 'string', required: false, description: 'New time (HH:MM)' },
+                { name: 'specialRequests', type: 'text', required: false, description: 'Seating or dietary requests' }
+            ],
+            sampleData: {
+                confirmationCode: 'ABC123',
+                partySize: 5,
+                date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+                time: '19:30'
+            }
+        },
+        reservation_cancellation: {
+            description: 'Cancel a reservation',
+            fields: [
+                { name: 'confirmationCode', type: 'string', required: true, description: 'Confirmation code or reservation ID' },
+                { name: 'reason', type: 'text', required: false, description: 'Cancellation reason' }
+            ],
+            sampleData: {
+                confirmationCode: 'ABC123',
+                reason: 'Change of plans'
+            }
+        },
+        reservation_lookup: {
+            description: 'Find a reservation by confirmation code, or a guest\'s upcoming reservations',
+            fields: [
+                { name: 'confirmationCode', type: 'string', required: false, description: 'Confirmation code or reservation ID' },
+                { name: 'phone', type: 'string', required: false, description: 'Guest phone' },
+                { name: 'email', type: 'string', required: false, description: 'Guest email' }
+            ],
+            sampleData: {
+                phone: '555-0188'
+            }
+        },
+        reservation_seat: {
+            description: 'Seat an arriving party (staff only)',
+            admin: true,
+            fields: [
+                { name: 'reservationId', type: 'string', required: true, description: 'Reservation ID or confirmation code' },
+                { name: 'tableId', type: 'string', required: false, description: 'Seat at another table' }
+            ],
+            sampleData: {
+                reservationId: 'res_001'
+            }
+        },
+        reservation_complete: {
+            description: 'Record that a party has left and free the table (staff only)',
+            admin: true,
+            fields: [
+                { name: 'reservationId', type: 'string', required: true, description: 'Reservation ID or confirmation code' }
+            ],
+            sampleData: {
+                reservationId: 'res_001'
+            }
+        },
+        reservation_no_show: {
+            description: 'Mark a no-show, or every overdue booking when no reservation is given (staff only)',
+            admin: true,
+            fields: [
+                { name: 'reservationId', type: 'string', required: false, description: 'Reservation ID or confirmation code' }
+            ],
+            sampleData: {}
+        },
+        waitlist_join: {
+            description: 'Add a walk-in party to the waitlist and quote a wait',
+            fields: [
+                { name: 'guest', type: 'object', required: true, description: 'Guest name and phone' },
+                { name: 'partySize', type: 'number', required: true, description: 'Number of guests' },
+                { name: 'notes', type: 'text', required: false, description: 'Seating notes' }
+            ],
+            sampleData: {
+                guest: { name: 'Sam Patel', phone: '555-0199' },
+                partySize: 2,
+                notes: 'Patio preferred'
+            }
+        },
+        waitlist_status: {
+            description: 'Current place and wait of a party, or the whole waitlist',
+            fields: [
+                { name: 'entryId', type: 'string', required: false, description: 'Waitlist entry' }
+            ],
+            sampleData: {}
+        },
+        waitlist_leave: {
+            description: 'Remove a party from the waitlist',
+            fields: [
+                { name: 'entryId', type: 'string', required: true, description: 'Waitlist entry' },
+                { name: 'reason', type: 'text', required: false, description: 'Why the party left' }
+            ],
+            sampleData: {
+                entryId: 'wait_001'
+            }
+        },
+        waitlist_notify: {
+            description: 'Tell a waiting party their table is ready (staff only)',
+            admin: true,
+            fields: [
+                { name: 'entryId', type: 'string', required: true, description: 'Waitlist entry' },
+                { name: 'tableId', type: 'string', required: false, description: 'Table being held' }
+            ],
+            sampleData: {
+                entryId: 'wait_001',
+                tableId: 'T4'
+            }
+        },
+        waitlist_seat: {
+            description: 'Seat a waiting party (staff only)',
+            admin: true,
+            fields: [
+                { name: 'entryId', type: 'string', required: true, description: 'Waitlist entry' },
+                { name: 'tableId', type: 'string', required: false, description: 'Table to seat them at' }
+            ],
+            sampleData: {
+                entryId: 'wait_001'
+            }
+        },
+        table_update: {
+            description: 'Add, change or remove a table (staff only)',
+            admin: true,
+            fields: [
+                { name: 'tableId', type: 'string', required: true, description: 'Table identifier' },
+                { name: 'capacity', type: 'number', required: false, description: 'Seats at the table' },
+                { name: 'minParty', type: 'number', required: false, description: 'Smallest party seated here' },
+                { name: 'section', type: 'string', required: false, description: 'Dining room section' },
+                { name: 'active', type: 'boolean', required: false, description: 'Whether the table can be booked' },
+                { name: 'remove', type: 'boolean', required: false, description: 'Remove the table' }
+            ],
+            sampleData: {
+                tableId: 'T11',
+                capacity: 4,
+                section: 'patio'
+            }
+        },
+        host_sheet: {
+            description: 'Reservations, covers and table bookings for a day (staff only)',
+            admin: true,
+            fields: [
+                { name: 'date', type: 'date', required: false, description: 'Day to show (default today)' }
+            ],
+            sampleData: {}
+        },
+        ...CateringDesk.metadataEvents({
+            quoteRequest: {
+                customer: { name: 'Jordan Lee', email: 'jordan@email.com', phone: '555-0321' },
+                packageId: 'dinner_buffet',
+                eventDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
+                guests: 60,
+                serviceStyle: 'buffet',
+                venue: 'Riverside Hall, 12 Park Lane',
+                eventType: 'wedding rehearsal',
+                addOns: [{ id: 'bar_package' }, { id: 'dessert_platter', quantity: 2 }],
+                dietary: ['vegetarian', 'gluten_free']
+            }
+        })
+    }
+};
+
 module.exports = RestaurantSocket;
@@ -0,0 +1,109 @@
+const RestaurantSocket = require('./index');
+
+const GUEST = { clientId: 'client_1', name: 'client_1', isAdmin: false };
+const HOST = { clientId: 'client_host', name: 'Host', isAdmin: true };
+
+async function createSocket() {
+    const socket = new RestaurantSocket({
+        dataDirectory: null,
+        reservations: {
+            tables: [{ id: 'A', capacity: 2 }, { id: 'B', capacity: 4 }],
+            servicePeriods: [{ id: 'all_day', name: 'All Day', start: '00:00', end: '23:59', lastSeating: '23:00' }],
+            turnTimes: { 2: 60, 4: 90 }
+        }
+    });
+    await socket.initialize();
+    return socket;
+}
+
+function nextWeekAt(hours) {
+    const date = new Date();
+    date.setDate(date.getDate() + 7);
+    date.setHours(hours, 0, 0, 0);
+    return date.toISOString();
+}
+
+function recordNotifications(socket) {
+    const notifications = [];
+    socket.on('notification', notification => notifications.push(notification));
+    return notifications;
+}
+
+describe('RestaurantSocket', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test('confirms online bookings to the guest and the host stand, ignoring a requested table', async () => {
+        const socket = await createSocket();
+        const notifications = recordNotifications(socket);
+
+        const result = await socket.handleEvent({
+            type: 'reservation_request',
+            data: { guest_name: 'Ada', phone: '555-0100', party_size: 2, date_time: nextWeekAt(19), table_id: 'B' },
+            actor: GUEST
+        });
+
+        expect(result).toMatchObject({ success: true, reservation: { tableId: 'A', partySize: 2 } });
+        expect(notifications).toEqual(expect.arrayContaining([
+            expect.objectContaining({ room: 'restaurant_host', eventType: 'reservation_confirmation' }),
+            expect.objectContaining({ clientId: 'client_1', eventType: 'reservation_confirmation' })
+        ]));
+    });
+
+    test('returns alternatives when every table is taken', async () => {
+        const socket = await createSocket();
+        const dateTime = nextWeekAt(19);
+        for (const name of ['Ada', 'Grace']) {
+            await socket.handleEvent({ type: 'reservation_request', data: { guest_name: name, email: `${name}@example.com`, party_size: 2, date_time: dateTime }, actor: HOST });
+        }
+
+        const result = await socket.handleEvent({
+            type: 'reservation_request',
+            data: { guest_name: 'Alan', phone: '555-0102', party_size: 2, date_time: dateTime },
+            actor: GUEST
+        });
+
+        expect(result).toMatchObject({ success: false, code: 'NO_AVAILABILITY' });
+        expect(result.alternatives).toContain(nextWeekAt(20));
+    });
+
+    test('quotes walk-ins their wait and seats them as tables free up', async () => {
+        const socket = await createSocket();
+        const notifications = recordNotifications(socket);
+
+        const joined = await socket.handleEvent({ type: 'waitlist_join', data: { guest_name: 'Alan', party_size: 2 }, actor: GUEST });
+        const seated = await socket.handleEvent({ type: 'waitlist_seat', data: { entry_id: joined.entryId }, actor: HOST });
+
+        expect(joined).toMatchObject({ success: true, position: 1, waitMinutes: 0 });
+        expect(notifications).toContainEqual(expect.objectContaining({ clientId: 'client_1', eventType: 'waitlist_quote' }));
+        expect(seated).toMatchObject({ success: true, reservation: { tableId: 'A', status: 'seated', source: 'walk_in' } });
+        expect(socket.reservations.getWaitlistQuotes()).toEqual([]);
+    });
+
+    test('takes catering quotes from guests through acceptance, deposit and export', async () => {
+        const socket = await createSocket();
+        const notifications = recordNotifications(socket);
+
+        const quoted = await socket.handleEvent({
+            type: 'catering_quote_request',
+            data: { customer: { name: 'Jordan Lee', email: 'jordan@example.com' }, packageId: 'appetizer_platters', guests: 30, eventDate: nextWeekAt(18) },
+            actor: GUEST
+        });
+        const accepted = await socket.handleEvent({ type: 'catering_quote_acceptance', data: { quoteId: quoted.number }, actor: GUEST });
+        const paid = await socket.handleEvent({ type: 'catering_payment', data: { quoteId: quoted.quoteId, amount: accepted.depositDue }, actor: HOST });
+        const exported = await socket.handleEvent({ type: 'catering_export', data: { quoteId: quoted.quoteId, format: 'html' }, actor: GUEST });
+
+        expect(quoted).toMatchObject({ success: true, quote: { subtotal: 285, total: 307.8 } });
+        expect(paid).toMatchObject({ success: true, status: 'confirmed', balance: 230.85 });
+        expect(exported).toMatchObject({ success: true, contentType: 'text/html', filename: `${quoted.number}.html` });
+        expect(notifications).toEqual(expect.arrayContaining([
+            expect.objectContaining({ room: 'restaurant_catering', eventType: 'catering_quote' }),
+            expect.objectContaining({ clientId: 'client_1', eventType: 'catering_status', data: expect.objectContaining({ to: 'confirmed' }) })
+        ]));
+    });
+});
@@ -0,0 +1,878 @@
+/**
+ * Restaurant Reservations - Tables, service periods, bookings and the walk-in waitlist
+ *
+ * A reservation holds a table for the party's turn time and gets the smallest free table
+ * that seats the party. Walk-ins wait in order and are quoted a wait from when suitable
+ * tables free up; a seated walk-in is recorded as a reservation so each table's
+ * occupancy lives in one place. Guests are tracked by phone or email for no-shows
+ *
+ *   booked ──► seated ──► completed
+ *     └──► cancelled / no_show
+ */
+
+const JsonStore = require('../../core/json-store');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const STATUSES = ['booked', 'seated', 'completed', 'cancelled', 'no_show'];
+const ACTIVE_STATUSES = ['booked', 'seated'];
+const TRANSITIONS = {
+    booked: ['seated', 'cancelled', 'no_show'],
+    seated: ['completed'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+
+const DEFAULT_TABLES = [
+    { id: 'T1', capacity: 2, section: 'window' },
+    { id: 'T2', capacity: 2, section: 'window' },
+    { id: 'T3', capacity: 2, section: 'bar' },
+    { id: 'T4', capacity: 4, section: 'main' },
+    { id: 'T5', capacity: 4, section: 'main' },
+    { id: 'T6', capacity: 4, section: 'main' },
+    { id: 'T7', capacity: 4, section: 'patio' },
+    { id: 'T8', capacity: 6, section: 'main' },
+    { id: 'T9', capacity: 6, section: 'main' },
+    { id: 'T10', capacity: 8, section: 'private', minParty: 5 }
+];
+
+const DEFAULT_SERVICE_PERIODS = [
+    { id: 'lunch', name: 'Lunch', days: ['tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'], start: '11:30', end: '14:30', lastSeating: '13:45' },
+    { id: 'dinner', name: 'Dinner', days: WEEKDAYS, start: '17:00', end: '22:00', lastSeating: '21:00' }
+];
+
+// Minutes a table is held, by the largest party size each turn time covers
+const DEFAULT_TURN_TIMES = { 2: 90, 4: 105, 6: 120, 8: 150 };
+
+function parseTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function toDate(value, field = 'date') {
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field}: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Local midnight of a date; 'YYYY-MM-DD' is read as a local day
+ */
+function startOfDay(value) {
+    const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+    const date = toDate(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function reservationError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+class ReservationBook extends JsonStore {
+    /**
+     * @param {Object} options - Reservation options
+     * @param {string|null} options.directory - Directory for reservations.json (null keeps data in memory only)
+     * @param {Object[]} options.tables - Tables [{ id, capacity, minParty, section }]
+     * @param {Object[]} options.servicePeriods - Periods [{ id, name, days, start, end, lastSeating }]
+     * @param {Object} options.turnTimes - Minutes a table is held by party size
+     */
+    constructor(options = {}) {
+        super({ fileName: 'reservations.json', directory: options.directory, namespace: 'restaurant' });
+
+        this.servicePeriods = (options.servicePeriods || DEFAULT_SERVICE_PERIODS).map(period => this.normalizeServicePeriod(period));
+        this.turnTimes = options.turnTimes || DEFAULT_TURN_TIMES;
+        this.slotMinutes = options.slotMinutes || 15;
+        this.bookingWindowDays = options.bookingWindowDays || 60;
+        this.noShowGraceMinutes = options.noShowGraceMinutes !== undefined ? options.noShowGraceMinutes : 15;
+        this.noShowLimit = options.noShowLimit !== undefined ? options.noShowLimit : 3;
+        this.lateCancelMinutes = options.lateCancelMinutes !== undefined ? options.lateCancelMinutes : 120;
+
+        this.tables = new Map((options.tables || DEFAULT_TABLES).map(table => {
+            const normalized = this.normalizeTable(table);
+            return [normalized.id, normalized];
+        }));
+        this.reservations = new Map(); // reservationId -> reservation
+        this.waitlist = []; // walk-in parties in arrival order
+        this.guests = new Map(); // guest key -> visit, cancellation and no-show counts
+    }
+
+    restore(snapshot = {}) {
+        if (snapshot.tables) {
+            this.tables = new Map(snapshot.tables.map(table => [table.id, table]));
+        }
+        this.reservations = new Map((snapshot.reservations || []).map(reservation => [reservation.id, reservation]));
+        this.waitlist = snapshot.waitlist || [];
+        this.guests = new Map((snapshot.guests || []).map(guest => [guest.key, guest]));
+    }
+
+    toJSON() {
+        return {
+            tables: Array.from(this.tables.values()),
+            reservations: Array.from(this.reservations.values()),
+            waitlist: this.waitlist,
+            guests: Array.from(this.guests.values())
+        };
+    }
+
+    /**
+     * Validate a table; throws with code INVALID_TABLE
+     */
+    normalizeTable(table) {
+        const errors = [];
+        const capacity = Number(table.capacity);
+        const minParty = table.minParty !== undefined ? Number(table.minParty) : 1;
+
+        if (!table.id) errors.push('id is required');
+        if (!Number.isInteger(capacity) || capacity < 1) errors.push('capacity must be a whole number of at least 1');
+        if (!Number.isInteger(minParty) || minParty < 1 || minParty > capacity) {
+            errors.push('minParty must be between 1 and the capacity');
+        }
+        if (errors.length > 0) {
+            throw reservationError('INVALID_TABLE', `Invalid table: ${errors.join('; ')}`, { errors });
+        }
+
+        return {
+            id: String(table.id),
+            capacity,
+            minParty,
+            section: table.section || null,
+            active: table.active !== false
+        };
+    }
+
+    normalizeServicePeriod(period) {
+        const start = parseTime(period.start);
+        const end = parseTime(period.end);
+        const lastSeating = period.lastSeating ? parseTime(period.lastSeating) : end;
+        if (end <= start || lastSeating < start || lastSeating > end) {
+            throw new Error(`Invalid service period ${period.id}: ${period.start}-${period.end}`);
+        }
+        return {
+            id: period.id,
+            name: period.name || period.id,
+            days: (period.days || WEEKDAYS).map(day => String(day).toLowerCase()),
+            start: period.start,
+            end: period.end,
+            lastSeating: period.lastSeating || period.end
+        };
+    }
+
+    /**
+     * Add or replace a table
+     */
+    async upsertTable(table) {
+        const normalized = this.normalizeTable({ ...(this.tables.get(table.id) || {}), ...table });
+        this.tables.set(normalized.id, normalized);
+
+        await this.save();
+        this.emit('table:updated', normalized);
+        return normalized;
+    }
+
+    /**
+     * Remove a table; throws with code TABLE_IN_USE while it has upcoming reservations
+     */
+    async removeTable(tableId, now = new Date()) {
+        const table = this.getTable(tableId);
+        const upcoming = this.getActiveReservations()
+            .filter(reservation => reservation.tableId === tableId && this.occupiedUntil(reservation, now) > now);
+        if (upcoming.length > 0) {
+            throw reservationError('TABLE_IN_USE', `Table ${tableId} has ${upcoming.length} upcoming reservation(s)`, {
+                reservations: upcoming.map(reservation => reservation.id)
+            });
+        }
+
+        this.tables.delete(tableId);
+        await this.save();
+        this.emit('table:removed', table);
+        return table;
+    }
+
+    getTable(tableId) {
+        const table = this.tables.get(tableId);
+        if (!table) {
+            throw new Error(`Unknown table: ${tableId}`);
+        }
+        return table;
+    }
+
+    /**
+     * Service period a reservation start falls in (between opening and last seating), or null
+     */
+    getServicePeriod(start) {
+        const minute = start.getHours() * 60 + start.getMinutes();
+        return this.servicePeriods.find(period =>
+            period.days.includes(WEEKDAYS[start.getDay()]) &&
+            minute >= parseTime(period.start) &&
+            minute <= parseTime(period.lastSeating)
+        ) || null;
+    }
+
+    turnMinutes(partySize) {
+        const sizes = Object.keys(this.turnTimes).map(Number).sort((a, b) => a - b);
+        const size = sizes.find(entry => entry >= partySize);
+        return this.turnTimes[size !== undefined ? size : sizes[sizes.length - 1]];
+    }
+
+    get maxPartySize() {
+        return Math.max(0, ...Array.from(this.tables.values()).filter(table => table.active).map(table => table.capacity));
+    }
+
+    getActiveReservations() {
+        return Array.from(this.reservations.values()).filter(reservation => ACTIVE_STATUSES.includes(reservation.status));
+    }
+
+    /**
+     * When a reservation frees its table; a party still seated past its turn time holds it until now
+     */
+    occupiedUntil(reservation, now = new Date()) {
+        const end = new Date(reservation.end);
+        return reservation.status === 'seated' && end < now ? now : end;
+    }
+
+    /**
+     * Active reservation holding a table at any point between two dates
+     */
+    findConflict(tableId, start, end, options = {}) {
+        const now = options.now || new Date();
+        return this.getActiveReservations().find(reservation =>
+            reservation.tableId === tableId &&
+            reservation.id !== options.ignoreId &&
+            new Date(reservation.start) < end &&
+            this.occupiedUntil(reservation, now) > start
+        ) || null;
+    }
+
+    /**
+     * Tables that seat a party, smallest first
+     */
+    getSuitableTables(partySize) {
+        return Array.from(this.tables.values())
+            .filter(table => table.active && table.capacity >= partySize && table.minParty <= partySize)
+            .sort((a, b) => a.capacity - b.capacity || a.id.localeCompare(b.id, undefined, { numeric: true }));
+    }
+
+    /**
+     * Smallest free table for a party between two dates, or null
+     * @param {Object} options - { tableId, preferTableId, ignoreId, now }
+     */
+    findTable(partySize, start, end, options = {}) {
+        let tables = this.getSuitableTables(partySize);
+        if (options.tableId) {
+            tables = tables.filter(table => table.id === options.tableId);
+        } else if (options.preferTableId) {
+            tables.sort((a, b) => (b.id === options.preferTableId) - (a.id === options.preferTableId));
+        }
+        return tables.find(table => !this.findConflict(table.id, start, end, options)) || null;
+    }
+
+    /**
+     * Bookable start times for a party on a day, grouped by service period
+     */
+    getAvailability(date, partySize, now = new Date()) {
+        const day = startOfDay(date);
+        const size = Number(partySize);
+        const turn = this.turnMinutes(size);
+        const periods = [];
+
+        for (const period of this.servicePeriods) {
+            if (!period.days.includes(WEEKDAYS[day.getDay()])) continue;
+
+            const times = [];
+            for (let minute = parseTime(period.start); minute <= parseTime(period.lastSeating); minute += this.slotMinutes) {
+                const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minute / 60), minute % 60);
+                if (start <= now || start - now > this.bookingWindowDays * DAY) continue;
+                if (this.findTable(size, start, new Date(start.getTime() + turn * MINUTE), { now })) {
+                    times.push(start.toISOString());
+                }
+            }
+            periods.push({ servicePeriod: period.id, name: period.name, times });
+        }
+        return periods;
+    }
+
+    /**
+     * Bookable times on the same day closest to a requested start
+     */
+    suggestAlternatives(partySize, start, now = new Date(), limit = 3) {
+        return this.getAvailability(start, partySize, now)
+            .flatMap(period => period.times)
+            .sort((a, b) => Math.abs(new Date(a) - start) - Math.abs(new Date(b) - start))
+            .slice(0, limit)
+            .sort();
+    }
+
+    /**
+     * Key guests are tracked by: phone digits, else lower-case email
+     */
+    guestKey(guest = {}) {
+        const digits = String(guest.phone || '').replace(/\D/g, '');
+        if (digits) return `phone:${digits}`;
+        if (guest.email) return `email:${String(guest.email).trim().toLowerCase()}`;
+        return null;
+    }
+
+    /**
+     * Visit, cancellation and no-show history of a guest (null when the guest is unknown)
+     */
+    getGuestHistory(guest) {
+        const key = this.guestKey(guest);
+        return key ? this.guests.get(key) || null : null;
+    }
+
+    recordGuest(guest, field) {
+        const key = this.guestKey(guest);
+        if (!key) return null;
+
+        const record = this.guests.get(key) || {
+            key,
+            name: guest.name,
+            reservations: 0,
+            visits: 0,
+            cancellations: 0,
+            lateCancellations: 0,
+            noShows: 0,
+            lastNoShowAt: null
+        };
+        record.name = guest.name || record.name;
+        record[field] = (record[field] || 0) + 1;
+        if (field === 'noShows') record.lastNoShowAt = new Date().toISOString();
+        this.guests.set(key, record);
+        return record;
+    }
+
+    validateGuest(guest = {}, errors) {
+        if (!guest.name) errors.push('guest name is required');
+        if (!guest.phone && !guest.email) errors.push('guest phone or email is required');
+    }
+
+    validatePartySize(partySize, errors) {
+        const size = Number(partySize);
+        if (!Number.isInteger(size) || size < 1) {
+            errors.push('partySize must be a whole number of at least 1');
+        } else if (size > this.maxPartySize) {
+            errors.push(`Parties larger than ${this.maxPartySize} need a private event booking`);
+        }
+        return size;
+    }
+
+    /**
+     * Check a start time against the booking window and service periods
+     */
+    validateStart(value, errors, now) {
+        let start = null;
+        try {
+            start = toDate(value, 'dateTime');
+        } catch (error) {
+            errors.push(error.message);
+            return { start: null, period: null };
+        }
+
+        if (start <= now) errors.push('Reservations must be in the future');
+        if (start - now > this.bookingWindowDays * DAY) errors.push(`Reservations open ${this.bookingWindowDays} days ahead`);
+        const period = this.getServicePeriod(start);
+        if (!period) {
+            errors.push('Requested time is outside our service hours (' +
+                this.servicePeriods.map(entry => `${entry.name} ${entry.start}-${entry.lastSeating}`).join(', ') + ')');
+        }
+        return { start, period };
+    }
+
+    /**
+     * Book a table; throws with code INVALID_RESERVATION, GUEST_RESTRICTED or NO_AVAILABILITY
+     * @param {Object} request - { guest: { name, phone, email }, partySize, dateTime, tableId, specialRequests, occasion, source, clientId }
+     */
+    async create(request, options = {}) {
+        const now = options.now || new Date();
+        const guest = request.guest || {};
+        const errors = [];
+
+        this.validateGuest(guest, errors);
+        const partySize = this.validatePartySize(request.partySize, errors);
+        const { start, period } = this.validateStart(request.dateTime, errors, now);
+        if (errors.length > 0) {
+            throw reservationError('INVALID_RESERVATION', `Invalid reservation: ${errors.join('; ')}`, { errors });
+        }
+
+        const history = this.getGuestHistory(guest);
+        if (history && this.noShowLimit && history.noShows >= this.noShowLimit && !options.override) {
+            throw reservationError('GUEST_RESTRICTED',
+                `${guest.name} has missed ${history.noShows} reservations; please call the restaurant to book`);
+        }
+
+        const end = new Date(start.getTime() + this.turnMinutes(partySize) * MINUTE);
+        const table = this.findTable(partySize, start, end, { tableId: request.tableId, now });
+        if (!table) {
+            throw reservationError('NO_AVAILABILITY', `No table for ${partySize} at ${start.toISOString()}`, {
+                alternatives: this.suggestAlternatives(partySize, start, now)
+            });
+        }
+
+        const reservation = {
+            id: `res_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            confirmationCode: Math.random().toString(36).substr(2, 6).toUpperCase(),
+            guest: { name: guest.name, phone: guest.phone || null, email: guest.email || null },
+            partySize,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            servicePeriod: period.id,
+            tableId: table.id,
+            status: 'booked',
+            source: request.source || 'online',
+            specialRequests: request.specialRequests || null,
+            occasion: request.occasion || null,
+            clientId: request.clientId || null,
+            history: [{ status: 'booked', at: now.toISOString(), by: options.by || null }],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.reservations.set(reservation.id, reservation);
+        this.recordGuest(reservation.guest, 'reservations');
+
+        await this.save();
+        this.emit('reservation:created', reservation);
+        return reservation;
+    }
+
+    /**
+     * Look up a reservation by ID or confirmation code
+     */
+    get(reference) {
+        const reservation = this.reservations.get(reference) ||
+            Array.from(this.reservations.values()).find(entry => entry.confirmationCode === String(reference).toUpperCase());
+        if (!reservation) {
+            throw new Error(`Unknown reservation: ${reference}`);
+        }
+        return reservation;
+    }
+
+    /**
+     * Upcoming reservations of a guest, matched by phone or email
+     */
+    findByGuest(guest, now = new Date()) {
+        const key = this.guestKey(guest);
+        if (!key) return [];
+        return Array.from(this.reservations.values())
+            .filter(reservation => this.guestKey(reservation.guest) === key && new Date(reservation.end) > now)
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    setStatus(reservation, status, options = {}) {
+        if (!TRANSITIONS[reservation.status].includes(status)) {
+            throw reservationError('INVALID_TRANSITION', `Reservation ${reservation.id} is ${reservation.status} and cannot become ${status}`, {
+                status: reservation.status
+            });
+        }
+
+        const now = options.now || new Date();
+        const from = reservation.status;
+        reservation.status = status;
+        reservation.updatedAt = now.toISOString();
+        reservation.history.push({ status, at: now.toISOString(), by: options.by || null, note: options.note || null });
+        return from;
+    }
+
+    /**
+     * Change party size, time, table or requests of a booked reservation; the current table
+     * is kept when it still fits. Throws with code INVALID_RESERVATION, INVALID_TRANSITION or NO_AVAILABILITY
+     */
+    async modify(reference, changes = {}, options = {}) {
+        const now = options.now || new Date();
+        const reservation = this.get(reference);
+        if (reservation.status !== 'booked') {
+            throw reservationError('INVALID_TRANSITION', `Reservation ${reservation.id} is ${reservation.status} and can no longer be changed`, {
+                status: reservation.status
+            });
+        }
+
+        const errors = [];
+        const partySize = changes.partySize !== undefined
+            ? this.validatePartySize(changes.partySize, errors)
+            : reservation.partySize;
+        const { start, period } = changes.dateTime !== undefined
+            ? this.validateStart(changes.dateTime, errors, now)
+            : { start: new Date(reservation.start), period: { id: reservation.servicePeriod } };
+        if (errors.length > 0) {
+            throw reservationError('INVALID_RESERVATION', `Invalid reservation change: ${errors.join('; ')}`, { errors });
+        }
+
+        const end = new Date(start.getTime() + this.turnMinutes(partySize) * MINUTE);
+        const table = this.findTable(partySize, start, end, {
+            tableId: changes.tableId,
+            preferTableId: reservation.tableId,
+            ignoreId: reservation.id,
+            now
+        });
+        if (!table) {
+            throw reservationError('NO_AVAILABILITY', `No table for ${partySize} at ${start.toISOString()}`, {
+                alternatives: this.suggestAlternatives(partySize, start, now)
+            });
+        }
+
+        const previous = { partySize: reservation.partySize, start: reservation.start, tableId: reservation.tableId };
+        Object.assign(reservation, {
+            partySize,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            servicePeriod: period.id,
+            tableId: table.id,
+            updatedAt: now.toISOString()
+        });
+        for (const field of ['specialRequests', 'occasion']) {
+            if (changes[field] !== undefined) reservation[field] = changes[field];
+        }
+        reservation.history.push({ status: 'modified', at: now.toISOString(), by: options.by || null, previous });
+
+        await this.save();
+        this.emit('reservation:modified', { reservation, previous });
+        return reservation;
+    }
+
+    /**
+     * Cancel a booked reservation; cancellations close to the start are recorded as late
+     */
+    async cancel(reference, options = {}) {
+        const now = options.now || new Date();
+        const reservation = this.get(reference);
+        this.setStatus(reservation, 'cancelled', { ...options, now, note: options.reason });
+
+        const lateCancellation = new Date(reservation.start) - now < this.lateCancelMinutes * MINUTE;
+        reservation.cancellation = { reason: options.reason || null, late: lateCancellation, at: now.toISOString() };
+        this.recordGuest(reservation.guest, lateCancellation ? 'lateCancellations' : 'cancellations');
+
+        await this.save();
+        this.emit('reservation:cancelled', { reservation, lateCancellation });
+        return reservation;
+    }
+
+    /**
+     * Seat an arriving party, optionally at another table; late arrivals hold the table for a full turn
+     */
+    async seat(reference, options = {}) {
+        const now = options.now || new Date();
+        const reservation = this.get(reference);
+        const end = new Date(Math.max(new Date(reservation.end).getTime(), now.getTime() + this.turnMinutes(reservation.partySize) * MINUTE));
+
+        if (options.tableId && options.tableId !== reservation.tableId) {
+            const table = this.getTable(options.tableId);
+            const conflict = this.findConflict(table.id, now, end, { ignoreId: reservation.id, now });
+            if (table.capacity < reservation.partySize || conflict) {
+                throw reservationError('NO_AVAILABILITY', `Table ${table.id} is not free for ${reservation.partySize}`, {
+                    alternatives: []
+                });
+            }
+            reservation.tableId = table.id;
+        }
+
+        this.setStatus(reservation, 'seated', { ...options, now });
+        reservation.seatedAt = now.toISOString();
+        reservation.end = end.toISOString();
+        this.recordGuest(reservation.guest, 'visits');
+
+        await this.save();
+        this.emit('reservation:seated', reservation);
+        return reservation;
+    }
+
+    /**
+     * Record that a seated party has left, freeing the table
+     */
+    async complete(reference, options = {}) {
+        const now = options.now || new Date();
+        const reservation = this.get(reference);
+        this.setStatus(reservation, 'completed', { ...options, now });
+        reservation.end = now.toISOString();
+
+        await this.save();
+        this.emit('reservation:completed', reservation);
+        return reservation;
+    }
+
+    /**
+     * Mark a booked party that never arrived; allowed once the grace period has passed
+     */
+    async markNoShow(reference, options = {}) {
+        const now = options.now || new Date();
+        const reservation = this.get(reference);
+        const graceEnds = new Date(new Date(reservation.start).getTime() + this.noShowGraceMinutes * MINUTE);
+        if (reservation.status === 'booked' && now < graceEnds) {
+            throw reservationError('INVALID_TRANSITION', `Reservation ${reservation.id} can be marked a no-show after ${graceEnds.toISOString()}`, {
+                status: reservation.status
+            });
+        }
+
+        this.setStatus(reservation, 'no_show', { ...options, now });
+        const guest = this.recordGuest(reservation.guest, 'noShows');
+
+        await this.save();
+        this.emit('reservation:no_show', { reservation, noShows: guest ? guest.noShows : 1 });
+        return reservation;
+    }
+
+    /**
+     * Mark every booked reservation past its grace period as a no-show
+     */
+    async processNoShows(now = new Date()) {
+        const overdue = Array.from(this.reservations.values()).filter(reservation =>
+            reservation.status === 'booked' &&
+            new Date(reservation.start).getTime() + this.noShowGraceMinutes * MINUTE <= now.getTime()
+        );
+
+        const marked = [];
+        for (const reservation of overdue) {
+            marked.push(await this.markNoShow(reservation.id, { now, by: 'system' }));
+        }
+        return marked;
+    }
+
+    /**
+     * Earliest time from `from` a table is free for `minutes`, stepping past its reservations
+     */
+    nextFreeAt(tableId, from, minutes, now) {
+        let start = from;
+        for (let attempts = 0; attempts <= this.reservations.size; attempts++) {
+            const conflict = this.findConflict(tableId, start, new Date(start.getTime() + minutes * MINUTE), { now });
+            if (!conflict) return start;
+            start = this.occupiedUntil(conflict, now);
+        }
+        return start;
+    }
+
+    getActiveWaitlist() {
+        return this.waitlist.filter(entry => ['waiting', 'notified'].includes(entry.status));
+    }
+
+    /**
+     * Quoted wait in minutes (rounded up to 5) for a party, after the parties waiting ahead of it
+     * Parties ahead take the suitable table that frees up first, in arrival order
+     */
+    estimateWait(partySize, options = {}) {
+        const now = options.now || new Date();
+        const ahead = options.ahead || this.getActiveWaitlist();
+        const tables = Array.from(this.tables.values()).filter(table => table.active);
+        const freeAt = new Map(tables.map(table => [table.id, now]));
+
+        const claim = size => {
+            const turn = this.turnMinutes(size);
+            let best = null;
+            for (const table of this.getSuitableTables(size)) {
+                const start = this.nextFreeAt(table.id, freeAt.get(table.id), turn, now);
+                if (!best || start < best.start) best = { table, start };
+            }
+            return best ? { ...best, turn } : null;
+        };
+
+        for (const entry of ahead) {
+            const claimed = claim(entry.partySize);
+            if (claimed) freeAt.set(claimed.table.id, new Date(claimed.start.getTime() + claimed.turn * MINUTE));
+        }
+
+        const claimed = claim(partySize);
+        if (!claimed) return null;
+        return Math.ceil(Math.max(0, claimed.start - now) / (5 * MINUTE)) * 5;
+    }
+
+    /**
+     * Add a walk-in party to the waitlist with a quoted wait; throws with code INVALID_WAITLIST
+     * @param {Object} request - { guest: { name, phone, email }, partySize, notes, clientId }
+     */
+    async joinWaitlist(request, options = {}) {
+        const now = options.now || new Date();
+        const guest = request.guest || {};
+        const errors = [];
+
+        if (!guest.name) errors.push('guest name is required');
+        const partySize = this.validatePartySize(request.partySize, errors);
+        if (errors.length > 0) {
+            throw reservationError('INVALID_WAITLIST', `Invalid waitlist entry: ${errors.join('; ')}`, { errors });
+        }
+
+        const quotedMinutes = this.estimateWait(partySize, { now });
+        const entry = {
+            id: `wait_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            guest: { name: guest.name, phone: guest.phone || null, email: guest.email || null },
+            partySize,
+            notes: request.notes || null,
+            clientId: request.clientId || null,
+            status: 'waiting',
+            quotedMinutes,
+            quotedAt: now.toISOString(),
+            joinedAt: now.toISOString()
+        };
+        this.waitlist.push(entry);
+
+        await this.save();
+        const position = this.getActiveWaitlist().indexOf(entry) + 1;
+        this.emit('waitlist:joined', { entry, position });
+        return { entry, position };
+    }
+
+    getWaitlistEntry(entryId) {
+        const entry = this.waitlist.find(candidate => candidate.id === entryId);
+        if (!entry) {
+            throw new Error(`Unknown waitlist entry: ${entryId}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Position and current wait of every waiting party
+     */
+    getWaitlistQuotes(now = new Date()) {
+        const active = this.getActiveWaitlist();
+        return active.map((entry, index) => ({
+            entry,
+            position: index + 1,
+            waitMinutes: entry.status === 'notified' ? 0 : this.estimateWait(entry.partySize, { now, ahead: active.slice(0, index) })
+        }));
+    }
+
+    /**
+     * Tell a waiting party their table is ready
+     */
+    async notifyWaitlist(entryId, options = {}) {
+        const now = options.now || new Date();
+        const entry = this.getWaitlistEntry(entryId);
+        if (entry.status !== 'waiting') {
+            throw reservationError('INVALID_TRANSITION', `Waitlist entry ${entryId} is ${entry.status}`, { status: entry.status });
+        }
+
+        entry.status = 'notified';
+        entry.notifiedAt = now.toISOString();
+        entry.tableId = options.tableId || null;
+
+        await this.save();
+        this.emit('waitlist:ready', entry);
+        return entry;
+    }
+
+    /**
+     * Seat a waiting party now; they are recorded as a walk-in reservation
+     * Throws with code NO_AVAILABILITY when no suitable table is free
+     */
+    async seatFromWaitlist(entryId, options = {}) {
+        const now = options.now || new Date();
+        const entry = this.getWaitlistEntry(entryId);
+        if (!['waiting', 'notified'].includes(entry.status)) {
+            throw reservationError('INVALID_TRANSITION', `Waitlist entry ${entryId} is ${entry.status}`, { status: entry.status });
+        }
+
+        const end = new Date(now.getTime() + this.turnMinutes(entry.partySize) * MINUTE);
+        const table = this.findTable(entry.partySize, now, end, { tableId: options.tableId || entry.tableId, now });
+        if (!table) {
+            throw reservationError('NO_AVAILABILITY', `No table for ${entry.partySize} is free yet`, {
+                waitMinutes: this.estimateWait(entry.partySize, { now, ahead: [] })
+            });
+        }
+
+        const reservation = {
+            id: `res_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            confirmationCode: null,
+            guest: entry.guest,
+            partySize: entry.partySize,
+            start: now.toISOString(),
+            end: end.toISOString(),
+            servicePeriod: (this.getServicePeriod(now) || {}).id || null,
+            tableId: table.id,
+            status: 'seated',
+            source: 'walk_in',
+            specialRequests: entry.notes,
+            occasion: null,
+            clientId: entry.clientId,
+            waitlistEntryId: entry.id,
+            seatedAt: now.toISOString(),
+            history: [{ status: 'seated', at: now.toISOString(), by: options.by || null }],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.reservations.set(reservation.id, reservation);
+        this.recordGuest(entry.guest, 'visits');
+
+        entry.status = 'seated';
+        entry.seatedAt = now.toISOString();
+        entry.reservationId = reservation.id;
+        entry.waitedMinutes = Math.round((now - new Date(entry.joinedAt)) / MINUTE);
+
+        await this.save();
+        this.emit('waitlist:seated', { entry, reservation });
+        return { entry, reservation };
+    }
+
+    /**
+     * Remove a party that left or no longer wants a table
+     */
+    async leaveWaitlist(entryId, reason) {
+        const entry = this.getWaitlistEntry(entryId);
+        if (!['waiting', 'notified'].includes(entry.status)) {
+            throw reservationError('INVALID_TRANSITION', `Waitlist entry ${entryId} is ${entry.status}`, { status: entry.status });
+        }
+
+        entry.status = 'left';
+        entry.leftAt = new Date().toISOString();
+        entry.reason = reason || null;
+
+        await this.save();
+        this.emit('waitlist:left', entry);
+        return entry;
+    }
+
+    /**
+     * Reservations on a local day with each table's bookings, for the host stand
+     */
+    getDaySheet(date) {
+        const from = startOfDay(date);
+        const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1);
+        const reservations = Array.from(this.reservations.values())
+            .filter(reservation => new Date(reservation.start) >= from && new Date(reservation.start) < to)
+            .sort((a, b) => a.start.localeCompare(b.start));
+
+        return {
+            date: from.toISOString(),
+            covers: reservations
+                .filter(reservation => !['cancelled', 'no_show'].includes(reservation.status))
+                .reduce((sum, reservation) => sum + reservation.partySize, 0),
+            reservations,
+            tables: Array.from(this.tables.values()).map(table => ({
+                ...table,
+                reservations: reservations
+                    .filter(reservation => reservation.tableId === table.id && !['cancelled', 'no_show'].includes(reservation.status))
+                    .map(reservation => ({ id: reservation.id, start: reservation.start, end: reservation.end, status: reservation.status }))
+            }))
+        };
+    }
+
+    getStats() {
+        const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        for (const reservation of this.reservations.values()) {
+            counts[reservation.status]++;
+        }
+        const finished = counts.completed + counts.no_show;
+
+        return {
+            tables: this.tables.size,
+            reservations: this.reservations.size,
+            byStatus: counts,
+            noShowRate: finished > 0 ? Math.round(counts.no_show / finished * 100) / 100 : 0,
+            waitlist: this.getActiveWaitlist().length
+        };
+    }
+}
+
+ReservationBook.STATUSES = STATUSES;
+ReservationBook.DEFAULT_TABLES = DEFAULT_TABLES;
+ReservationBook.DEFAULT_SERVICE_PERIODS = DEFAULT_SERVICE_PERIODS;
+ReservationBook.DEFAULT_TURN_TIMES = DEFAULT_TURN_TIMES;
+
+module.exports = ReservationBook;
@@ -0,0 +1,104 @@
+const ReservationBook = require('./reservations');
+
+// Friday 4 January 2030, local time
+const NOW = new Date(2030, 0, 4, 12, 0);
+
+function at(hours, minutes = 0) {
+    return new Date(2030, 0, 4, hours, minutes);
+}
+
+function createBook(options = {}) {
+    return new ReservationBook({
+        directory: null,
+        tables: [{ id: 'A', capacity: 2 }, { id: 'B', capacity: 4 }, { id: 'C', capacity: 6, minParty: 5 }],
+        servicePeriods: [{ id: 'dinner', name: 'Dinner', start: '17:00', end: '22:00', lastSeating: '21:00' }],
+        turnTimes: { 2: 60, 4: 90, 6: 120 },
+        ...options
+    });
+}
+
+function booking(name, partySize, dateTime, phone = null) {
+    return { guest: { name, phone: phone || `555-01${String(name.length).padStart(2, '0')}` }, partySize, dateTime };
+}
+
+describe('ReservationBook', () => {
+    test('gives each party the smallest free table and suggests the nearest free times when full', async () => {
+        const book = createBook();
+
+        const first = await book.create(booking('Ada', 2, at(19)), { now: NOW });
+        const second = await book.create(booking('Grace', 2, at(19)), { now: NOW });
+
+        expect([first.tableId, second.tableId]).toEqual(['A', 'B']);
+        expect(first).toMatchObject({ status: 'booked', servicePeriod: 'dinner', end: at(20).toISOString() });
+        await expect(book.create(booking('Alan', 2, at(19)), { now: NOW })).rejects.toMatchObject({
+            code: 'NO_AVAILABILITY',
+            alternatives: [at(17, 45).toISOString(), at(18).toISOString(), at(20).toISOString()]
+        });
+        const [dinner] = book.getAvailability('2030-01-04', 2, NOW);
+        expect(dinner.times).not.toContain(at(19).toISOString());
+        expect(dinner.times).toContain(at(20).toISOString());
+    });
+
+    test('lists every problem with a reservation request', async () => {
+        const book = createBook();
+
+        await expect(book.create({ guest: {}, partySize: 7, dateTime: at(15) }, { now: NOW })).rejects.toMatchObject({
+            code: 'INVALID_RESERVATION',
+            errors: [
+                'guest name is required',
+                'guest phone or email is required',
+                'Parties larger than 6 need a private event booking',
+                'Requested time is outside our service hours (Dinner 17:00-21:00)'
+            ]
+        });
+        await expect(book.create(booking('Ada', 2, at(11)), { now: NOW }))
+            .rejects.toThrow('Reservations must be in the future');
+    });
+
+    test('keeps the table when a change still fits and records late cancellations', async () => {
+        const book = createBook();
+        const reservation = await book.create(booking('Ada', 3, at(18)), { now: NOW });
+
+        const modified = await book.modify(reservation.confirmationCode, { partySize: 4, dateTime: at(18, 30) }, { now: NOW });
+        const cancelled = await book.cancel(reservation.id, { now: at(17), reason: 'Sick' });
+
+        expect(modified).toMatchObject({ tableId: 'B', partySize: 4, end: at(20).toISOString() });
+        expect(cancelled.cancellation).toMatchObject({ late: true, reason: 'Sick' });
+        expect(book.getGuestHistory({ phone: '555-0103' })).toMatchObject({ reservations: 1, lateCancellations: 1 });
+        await expect(book.modify(reservation.id, { partySize: 2 })).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+    });
+
+    test('marks no-shows after the grace period and stops guests who keep missing reservations', async () => {
+        const book = createBook({ noShowLimit: 2 });
+        const first = await book.create(booking('Ada', 2, at(17)), { now: NOW });
+        await book.create(booking('Ada', 2, at(18)), { now: NOW });
+
+        await expect(book.markNoShow(first.id, { now: at(17, 10) })).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        const marked = await book.processNoShows(at(18, 15));
+
+        expect(marked).toHaveLength(2);
+        expect(book.getStats()).toMatchObject({ byStatus: { no_show: 2 }, noShowRate: 1 });
+        await expect(book.create(booking('Ada', 2, at(20)), { now: NOW })).rejects.toMatchObject({ code: 'GUEST_RESTRICTED' });
+        await expect(book.create(booking('Ada', 2, at(20)), { now: NOW, override: true })).resolves.toMatchObject({ status: 'booked' });
+    });
+
+    test('quotes walk-in waits from when tables free up, in arrival order', async () => {
+        const book = createBook();
+        const ada = await book.create(booking('Ada', 2, at(19)), { now: NOW });
+        await book.seat(ada.id, { now: at(19) });
+        await book.create(booking('Grace', 4, at(19)), { now: NOW });
+
+        const first = await book.joinWaitlist({ guest: { name: 'Alan' }, partySize: 2 }, { now: at(19) });
+        const second = await book.joinWaitlist({ guest: { name: 'Edsger' }, partySize: 2 }, { now: at(19) });
+
+        expect([first.entry.quotedMinutes, second.entry.quotedMinutes]).toEqual([60, 90]);
+        expect(second.position).toBe(2);
+        await expect(book.seatFromWaitlist(first.entry.id, { now: at(19, 30) })).rejects.toMatchObject({ code: 'NO_AVAILABILITY' });
+
+        await book.complete(ada.id, { now: at(19, 30) });
+        const { reservation } = await book.seatFromWaitlist(first.entry.id, { now: at(19, 30) });
+
+        expect(reservation).toMatchObject({ tableId: 'A', status: 'seated', source: 'walk_in' });
+        expect(book.getWaitlistQuotes(at(19, 30))).toEqual([expect.objectContaining({ position: 1, waitMinutes: 60 })]);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * Salon Socket hooks - Custom handlers for events declared in socket.json
+ */
+
+module.exports = {
+    events: {
+        /**
+         * Handle appointment booking
+         */
+        async appointment_booking(data) {
+            const booking = {
+                id: `salon_appt_${Date.now()}`,
+                client: data.client_name,
+                treatment: data.treatment,
+                stylist: data.stylist_id || null,
+                requestedDate: data.preferred_date,
+                status: 'pending_confirmation',
+                createdAt: new Date()
+            };
+
+            this.emit('appointment:requested', booking);
+
+            return {
+                success: true,
+                bookingId: booking.id,
+                message: 'Appointment request submitted successfully'
+            };
+        }
+    }
+};